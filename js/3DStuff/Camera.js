@@ -12,14 +12,96 @@ export default class Camera {
     #angle_y = 0;
     #camera_rotation_matrix = GraphicsMath.createIdentityMatrix();
 
-    constructor(location = Vec4.createZeroPoint()) {
+    // Perspective projection settings
+    #fov = 30;
+    #near = 0.1;
+    #far = 1000;
+
+    /**
+     * @param {Vec4} location - The initial location of the camera.
+     * @param {Object} projection - (Optional) The perspective projection settings: fov (degrees), near and far. Default is 30, 0.1 and 1000.
+     */
+    constructor(location = Vec4.createZeroPoint(), projection = {}) {
         this.#location = location;
+
+        this.#fov = projection.fov ?? this.#fov;
+        this.#near = projection.near ?? this.#near;
+        this.#far = projection.far ?? this.#far;
     }
 
     get location() {
         return this.#location;
     }
 
+    /**
+     * Creates the perspective projection matrix of the camera.
+     * 
+     * @param {number} aspect_ratio - The aspect ratio (width / height) of the canvas.
+     * @returns {Float32Array} The projection matrix in column major order.
+     */
+    getProjectionMatrix(aspect_ratio) {
+        return GraphicsMath.createProjectionMatrix(this.#fov, aspect_ratio, this.#near, this.#far);
+    }
+
+    /**
+     * Creates the ray that goes from the camera through a point of the screen. Used to find what is under the mouse.
+     * 
+     * @param {number} ndc_x - The horizontal position of the point, from -1 (left of the canvas) to 1 (right).
+     * @param {number} ndc_y - The vertical position of the point, from -1 (bottom of the canvas) to 1 (top).
+     * @param {number} aspect_ratio - The aspect ratio (width / height) of the canvas.
+     * @returns {Object} An object with the properties origin (the camera location) and direction (normalized), both Vec4 in world coordinates.
+     */
+    getRay(ndc_x, ndc_y, aspect_ratio) {
+        const tan_fov = Math.tan(GraphicsMath.degToRad(this.#fov / 2));
+
+        // Direction in camera coordinates (the camera looks in the positive Z direction)
+        const d = [ndc_x * tan_fov * aspect_ratio, ndc_y * tan_fov, 1];
+
+        // The inverse of the camera rotation is its transpose
+        const m = this.#camera_rotation_matrix;
+        const direction = new Vec4(
+            m[0] * d[0] + m[1] * d[1] + m[2] * d[2],
+            m[4] * d[0] + m[5] * d[1] + m[6] * d[2],
+            m[8] * d[0] + m[9] * d[1] + m[10] * d[2],
+            0
+        );
+
+        return { origin: new Vec4(this.#location.x, this.#location.y, this.#location.z, 1), direction: direction.normalize() };
+    }
+
+    /**
+     * Returns the pose and the projection settings of the camera. Used to save the camera in scene files.
+     * 
+     * @returns {Object} An object with the properties: location ({ x, y, z }), yaw and pitch (radians), fov (degrees), near and far.
+     */
+    getState() {
+        return {
+            location: { x: this.#location.x, y: this.#location.y, z: this.#location.z },
+            yaw: this.#angle_y,
+            pitch: this.#angle_x,
+            fov: this.#fov,
+            near: this.#near,
+            far: this.#far
+        };
+    }
+
+    /**
+     * Restores the pose and the projection settings of the camera (as returned by getState).
+     * 
+     * @param {Object} state - The camera state.
+     */
+    setState(state) {
+        this.#location = new Vec4(state.location.x, state.location.y, state.location.z, 1);
+        this.#angle_y = state.yaw;
+        this.#angle_x = state.pitch;
+
+        this.#fov = state.fov;
+        this.#near = state.near;
+        this.#far = state.far;
+
+        this.#updateRotationMatrix();
+    }
+
     move(direction, speed) {
         const move = this.transformMovement(direction, -this.#angle_y, this.#angle_x);
 
@@ -55,6 +137,10 @@ export default class Camera {
             this.#angle_y += angle;
         }
 
+        this.#updateRotationMatrix();
+    }
+
+    #updateRotationMatrix() {
         const rotation_x = GraphicsMath.createRotationMatrix(this.#angle_x, 'x');
         const rotation_y = GraphicsMath.createRotationMatrix(this.#angle_y, 'y');
 
@@ -70,6 +156,16 @@ export default class Camera {
         return camera_matrix;
     }
 
+    /**
+     * Creates the matrix that transforms world coordinates into clip space (projection x camera matrix).
+     * 
+     * @param {number} aspect_ratio - The aspect ratio (width / height) of the canvas.
+     * @returns {Float32Array} The view projection matrix in column major order.
+     */
+    getViewProjectionMatrix(aspect_ratio) {
+        return GraphicsMath.multiplyMatrices(this.getProjectionMatrix(aspect_ratio), this.getCameraMatrix());
+    }
+
     logCameraStats(log) {
         log.log('Camera> Location: ' + this.#location.x + ', ' + this.#location.y + ', ' + this.#location.z);
         log.log('Camera> Rotation: ' + 'X: ' + this.#angle_x + ', Y: ' + this.#angle_y);
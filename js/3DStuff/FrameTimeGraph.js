@@ -0,0 +1,107 @@
+import FrameTimer from './FrameTimer.js';
+
+/**
+ * Draws the frame times of a FrameTimer on a 2D canvas, shown over the viewport.
+ *
+ * Each rendered frame is a bar, from the oldest (left) to the newest (right): its height is the frame time, and its lower part is the
+ * time spent rendering it (the rest is the time waiting for the next frame). The lines mark the frame times of 60 and 30 FPS.
+ *
+ * @class
+ */
+export default class FrameTimeGraph {
+    static #MAX_FRAME_TIME = 50; // Milliseconds at the top of the graph (longer frames are clamped)
+    static #GUIDE_LINES = [60, 30]; // FPS
+
+    static #BACKGROUND_COLOR = 'rgba(10, 10, 10, 0.75)';
+    static #FRAME_COLOR = 'rgb(90, 160, 255)';
+    static #WORK_COLOR = 'rgb(255, 153, 0)';
+    static #TEXT_COLOR = 'white';
+
+    /** @type {HTMLCanvasElement} */
+    #canvas = null;
+    /** @type {CanvasRenderingContext2D} */
+    #context = null;
+
+    /**
+     * @param {string} canvas_id - The id of the canvas element. It is hidden until the graph is enabled (see setVisible).
+     */
+    constructor(canvas_id) {
+        this.#canvas = document.getElementById(canvas_id);
+        this.#context = this.#canvas.getContext('2d');
+    }
+
+    /**
+     * @param {boolean} visible - True to show the graph.
+     */
+    setVisible(visible) {
+        this.#canvas.hidden = !visible;
+    }
+
+    /**
+     * @returns {boolean} True if the graph is shown.
+     */
+    isVisible() {
+        return !this.#canvas.hidden;
+    }
+
+    /**
+     * Draws the last frames of the timer. Does nothing while the graph is hidden.
+     *
+     * @param {FrameTimer} frame_timer - The timer of the render loop.
+     */
+    render(frame_timer) {
+        if (!this.isVisible()) {
+            return;
+        }
+
+        const ctx = this.#context;
+        const width = this.#canvas.width;
+        const height = this.#canvas.height;
+
+        const bar_width = width / FrameTimer.HISTORY_SIZE;
+        const toY = (time) => height - Math.min(time, FrameTimeGraph.#MAX_FRAME_TIME) / FrameTimeGraph.#MAX_FRAME_TIME * height;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = FrameTimeGraph.#BACKGROUND_COLOR;
+        ctx.fillRect(0, 0, width, height);
+
+        // The newest frame is always at the right border
+        const history = frame_timer.getHistory();
+        const start_x = width - history.length * bar_width;
+
+        history.forEach((frame, i) => {
+            const x = start_x + i * bar_width;
+
+            ctx.fillStyle = FrameTimeGraph.#FRAME_COLOR;
+            ctx.fillRect(x, toY(frame.frame_time), bar_width, height - toY(frame.frame_time));
+
+            ctx.fillStyle = FrameTimeGraph.#WORK_COLOR;
+            ctx.fillRect(x, toY(frame.work_time), bar_width, height - toY(frame.work_time));
+        });
+
+        ctx.strokeStyle = FrameTimeGraph.#TEXT_COLOR;
+        ctx.fillStyle = FrameTimeGraph.#TEXT_COLOR;
+        ctx.font = '10px "Source Code Pro", monospace';
+        ctx.textBaseline = 'bottom';
+
+        for (const fps of FrameTimeGraph.#GUIDE_LINES) {
+            const y = Math.round(toY(1000 / fps)) + 0.5;
+
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+
+            ctx.fillText(fps + ' FPS', 2, y - 1);
+        }
+
+        if (history.length > 0) {
+            const last = history[history.length - 1];
+
+            ctx.textBaseline = 'top';
+            ctx.textAlign = 'right';
+            ctx.fillText(`${last.frame_time.toFixed(1)} ms (${last.work_time.toFixed(1)} ms rendering)`, width - 2, 2);
+            ctx.textAlign = 'left';
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Paces a render loop driven by requestAnimationFrame and measures its frames.
+ *
+ * - The frame cap is applied by skipping the animation frames that come too early, instead of waiting with setTimeout (which adds its
+ *   own delay on top of the display refresh). The time left over by a frame is carried to the next one, so a cap that is not a divisor
+ *   of the refresh rate (e.g. 60 FPS on a 144 Hz display) is still met on average.
+ * - The time between the rendered frames (see getDelta) is used to move the camera and animate the scene at the same speed with any
+ *   frame rate. It is clamped, so the scene doesn't jump after a pause (e.g. while the tab is hidden).
+ * - The frame and work times of the last frames are kept for the FPS counter and the frame time graph (see FrameTimeGraph).
+ *
+ * @class
+ */
+export default class FrameTimer {
+    /**
+     * Number of frames kept in the history.
+     *
+     * @type {number}
+     * @static
+     */
+    static HISTORY_SIZE = 120;
+
+    static #MAX_DELTA = 0.1; // Seconds
+    // The animation frames are aligned to the display refresh, so a frame that comes slightly early is not skipped (milliseconds)
+    static #FRAME_TOLERANCE = 1;
+
+    #frame_cap = 0;
+
+    /** @type {number} */
+    #last_frame_time = null; // Time of the last rendered frame, minus the time left over for the next one
+    /** @type {number} */
+    #last_render_time = null;
+    #delta = 0;
+
+    /** @type {Object[]} */
+    #history = [];
+
+    /**
+     * @param {number} frame_cap - (Optional) The maximum frames per second, 0 for unlimited.
+     */
+    constructor(frame_cap = 0) {
+        this.setFrameCap(frame_cap);
+    }
+
+    /**
+     * @param {number} frame_cap - The maximum frames per second, 0 for unlimited.
+     */
+    setFrameCap(frame_cap) {
+        this.#frame_cap = Math.max(0, frame_cap);
+    }
+
+    /**
+     * @returns {number} The maximum frames per second, 0 for unlimited.
+     */
+    getFrameCap() {
+        return this.#frame_cap;
+    }
+
+    /**
+     * Called at the start of each animation frame callback.
+     *
+     * @param {number} timestamp - The timestamp of the animation frame (the argument of the requestAnimationFrame callback).
+     * @returns {boolean} True if the frame must be rendered, false if it must be skipped to respect the frame cap.
+     */
+    beginFrame(timestamp) {
+        if (this.#last_frame_time === null) {
+            this.#last_frame_time = timestamp;
+            this.#last_render_time = timestamp;
+            this.#delta = 0;
+
+            return true;
+        }
+
+        const elapsed = timestamp - this.#last_frame_time;
+
+        if (this.#frame_cap > 0) {
+            const interval = 1000 / this.#frame_cap;
+
+            if (elapsed < interval - FrameTimer.#FRAME_TOLERANCE) {
+                return false;
+            }
+
+            // After a long pause, the time left over is not carried (it would allow a burst of frames)
+            this.#last_frame_time = elapsed < 2 * interval ? timestamp - Math.max(0, elapsed - interval) : timestamp;
+        } else {
+            this.#last_frame_time = timestamp;
+        }
+
+        const frame_time = timestamp - this.#last_render_time;
+
+        this.#last_render_time = timestamp;
+        this.#delta = Math.min(frame_time / 1000, FrameTimer.#MAX_DELTA);
+
+        this.#history.push({ frame_time: frame_time, work_time: 0 });
+
+        if (this.#history.length > FrameTimer.HISTORY_SIZE) {
+            this.#history.shift();
+        }
+
+        return true;
+    }
+
+    /**
+     * Called at the end of each rendered frame, to measure the time spent rendering it.
+     */
+    endFrame() {
+        if (this.#history.length > 0) {
+            this.#history[this.#history.length - 1].work_time = performance.now() - this.#last_render_time;
+        }
+    }
+
+    /**
+     * @returns {number} The time since the previous rendered frame, in seconds (0 for the first frame, at most 0.1).
+     */
+    getDelta() {
+        return this.#delta;
+    }
+
+    /**
+     * @returns {Object[]} The last rendered frames, from the oldest: { frame_time, work_time }, in milliseconds. The frame time is the
+     * time since the previous frame, and the work time is the time spent in the frame (see endFrame).
+     */
+    getHistory() {
+        return this.#history;
+    }
+
+    /**
+     * @returns {number} The average frames per second of the last frames (0 if unknown).
+     */
+    getFPS() {
+        const total = this.#history.reduce((sum, frame) => sum + frame.frame_time, 0);
+
+        return total > 0 ? 1000 * this.#history.length / total : 0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,102 @@
+import Model3D from './Model3D.js';
+
+/**
+ * The view frustum of a camera, used to skip the models that are out of the screen (frustum culling).
+ *
+ * The six planes of the frustum are extracted from the view projection matrix: a point is inside the frustum if its clip space
+ * coordinates are between -w and w, which gives a plane (a, b, c, d) for each side, with a * x + b * y + c * z + d >= 0 for the points inside.
+ *
+ * The models are tested with the bounding volumes of their objects (see Object3D.getBoundingSphere and Object3D.getBoundingBox),
+ * transformed by their world matrices: first the bounding sphere (a cheap test that rejects most of the models), then the corners of
+ * the bounding box. The tests are conservative: a model can be kept when it is near a corner of the frustum, but a visible model is
+ * never skipped.
+ *
+ * @class
+ */
+export default class Frustum {
+    /** @type {number[][]} */
+    #planes = [];
+
+    /**
+     * @param {Float32Array} view_projection_matrix - The view projection matrix of the camera, in column major order (see Camera.getViewProjectionMatrix).
+     */
+    constructor(view_projection_matrix) {
+        const m = view_projection_matrix;
+        const row = (i) => [m[i], m[4 + i], m[8 + i], m[12 + i]];
+        const [row_x, row_y, row_z, row_w] = [row(0), row(1), row(2), row(3)];
+
+        // Left, right, bottom, top, near and far planes
+        for (const [axis, sign] of [[row_x, 1], [row_x, -1], [row_y, 1], [row_y, -1], [row_z, 1], [row_z, -1]]) {
+            const plane = row_w.map((value, k) => value + sign * axis[k]);
+            const length = Math.hypot(plane[0], plane[1], plane[2]) || 1;
+
+            this.#planes.push(plane.map((value) => value / length));
+        }
+    }
+
+    /**
+     * @param {number[]} center - The center [x, y, z] of the sphere, in world coordinates.
+     * @param {number} radius - The radius of the sphere.
+     * @returns {boolean} True if the sphere is inside or intersects the frustum.
+     */
+    intersectsSphere(center, radius) {
+        return this.#planes.every((plane) => plane[0] * center[0] + plane[1] * center[1] + plane[2] * center[2] + plane[3] >= -radius);
+    }
+
+    /**
+     * @param {number[]} min - The minimum corner [x, y, z] of the box, in model coordinates.
+     * @param {number[]} max - The maximum corner [x, y, z] of the box, in model coordinates.
+     * @param {Float32Array} matrix - The world matrix of the model.
+     * @returns {boolean} False if all the corners of the transformed box are outside a plane of the frustum.
+     */
+    intersectsBox(min, max, matrix) {
+        const corners = [];
+
+        for (let i = 0; i < 8; i++) {
+            const x = i & 1 ? max[0] : min[0];
+            const y = i & 2 ? max[1] : min[1];
+            const z = i & 4 ? max[2] : min[2];
+
+            corners.push([
+                matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12],
+                matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13],
+                matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]
+            ]);
+        }
+
+        return this.#planes.every((plane) => corners.some((c) => plane[0] * c[0] + plane[1] * c[1] + plane[2] * c[2] + plane[3] >= 0));
+    }
+
+    /**
+     * @param {Model3D} model - A model.
+     * @returns {boolean} True if any object of the model may be visible.
+     */
+    intersectsModel(model) {
+        const matrix = model.getWorldMatrix();
+
+        // The radius of the spheres grows with the largest scale of the matrix
+        const scale = Math.sqrt(Math.max(
+            matrix[0] * matrix[0] + matrix[1] * matrix[1] + matrix[2] * matrix[2],
+            matrix[4] * matrix[4] + matrix[5] * matrix[5] + matrix[6] * matrix[6],
+            matrix[8] * matrix[8] + matrix[9] * matrix[9] + matrix[10] * matrix[10]
+        ));
+
+        return model.getRenderableObjects().some((obj) => {
+            const sphere = obj.getBoundingSphere();
+            const c = sphere.center;
+            const world_center = [
+                matrix[0] * c[0] + matrix[4] * c[1] + matrix[8] * c[2] + matrix[12],
+                matrix[1] * c[0] + matrix[5] * c[1] + matrix[9] * c[2] + matrix[13],
+                matrix[2] * c[0] + matrix[6] * c[1] + matrix[10] * c[2] + matrix[14]
+            ];
+
+            if (!this.intersectsSphere(world_center, sphere.radius * scale)) {
+                return false;
+            }
+
+            const box = obj.getBoundingBox();
+
+            return this.intersectsBox(box.min, box.max, matrix);
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,351 @@
+import GraphicsMath from "./GraphicsMath.js";
+import Vec4 from "./Vec4.js";
+
+/**
+ * Prepares the geometry of the parsers to be uploaded to the GPU (see Object3D).
+ * 
+ * The parsers repeat the vertices for each face, because the OBJ files are not properly indexed: a single normal, color or texture coordinate
+ * can be shared between multiple vertices, turning impossible to use a single index buffer for all attributes of every vertex.
+ * Once the attributes of each vertex are final (normals, tangents and colors), the vertices with identical attributes are welded into a
+ * single one (see #weldVertices), and the object is drawn with an index buffer.
+ * 
+ * The processing doesn't use WebGL (nor the DOM), so the models are processed in the loader worker (see ModelParser), without blocking the
+ * render loop.
+ * 
+ * @class
+ */
+export default class GeometryProcessor {
+    /**
+     * Processes the geometry of an object: fills the missing attributes, generates the normals (if configured) and the tangents, welds the
+     * vertices and computes the bounding volumes.
+     * 
+     * @param {Object} geometry_data - The geometry data of a parser, with a vertex per face corner: { position, texcoord, normal, color }.
+     * Only the positions are required.
+     * @param {Object} configs - The configurations for the object processing. To check the available configurations, see {@link FileLoader#load3DObject}.
+     * @returns {Object} The processed geometry, used to create an Object3D:
+     * - data: the attributes of the welded vertices (position, texcoord, normal, color and tangent Float32Arrays) and the indices of the
+     *   vertices of each triangle (a Uint16Array, or a Uint32Array if there are more than 65536 welded vertices).
+     * - bounding_box: the axis aligned bounding box of the object, in model coordinates: { min, max }.
+     * - bounding_sphere: the bounding sphere of the object, in model coordinates: { center, radius }.
+     * @static
+     */
+    static process(geometry_data, configs) {
+        const data = GeometryProcessor.#processGeometryData(geometry_data, configs);
+        const bounding_box = GeometryProcessor.#calculateBoundingBox(data.position);
+
+        return {
+            data: data,
+            bounding_box: bounding_box,
+            bounding_sphere: GeometryProcessor.#calculateBoundingSphere(data.position, bounding_box)
+        };
+    }
+
+    /**
+     * Processes the geometry data preparing the proper arrays formats for each attribute according to the configurations provided.
+     * 
+     * @param {Object} geometry_data - The geometry data containing position, texcoord, normal and color attributes.
+     * @param {Object} configs - The configurations for the object processing. To check the available configurations, see {@link FileLoader}.
+     * @returns {Object} The geometry data with the proper arrays for each attribute.
+     */
+    static #processGeometryData(geometry_data, configs) {
+        const processed_data = {};
+
+        // Prepare the correct array for positions
+        const positions = new Float32Array(geometry_data.position);
+
+        // Check if texcoord are present
+        if (!('texcoord' in geometry_data)) {
+            const texcoord_length = positions.length / 3 * 2; // Calculate the length of the texcoord array
+            geometry_data.texcoord = new Array(texcoord_length).fill(0); // If not, create an array filled with zeros
+        }
+
+        // Check if we need to generate normals
+        if (configs.generate_normals) {
+            geometry_data.normal = GeometryProcessor.#calculateNormals(positions); // If not, calculate the normals
+        }
+        // Check if normals are present
+        else if (!('normal' in geometry_data)) {
+            // If normals are not present and the user does not want to generate them, create an array filled with zeros.
+            const normal_length = positions.length; // Calculate the length of the normal array
+            geometry_data.normal = new Array(normal_length).fill(0); // Create an array filled with zeros
+        }
+
+        // Create the expected arrays format
+        const texcoord = new Float32Array(geometry_data.texcoord);
+        const normal = new Float32Array(geometry_data.normal);
+
+        // Check if color is present
+        let color;
+        const color_expected_length = positions.length / 3 * 4; // Calculate the expected length of the color array
+
+        // Processing color data
+        if (!('color' in geometry_data) || geometry_data.color.length === 0) {
+            // If not, the welded vertices get random colors (just to have some color, see below)
+            color = null;
+        } else if (geometry_data.color.length < color_expected_length) {
+            // This means that the color array is missing the alpha channel, let's add it with a value of 1.0
+            color = new Float32Array(color_expected_length);
+
+            for (let i = 0; i < color_expected_length / 4; i++) {
+                color[i * 4] = geometry_data.color[i * 3];
+                color[i * 4 + 1] = geometry_data.color[i * 3 + 1];
+                color[i * 4 + 2] = geometry_data.color[i * 3 + 2];
+                color[i * 4 + 3] = 1.0;
+            }
+        } else {
+            // The color array has the correct length, so we can just create the Float32Array
+            color = new Float32Array(geometry_data.color);
+        }
+
+        // Tangents are needed by the normal maps and depend on the final normals and texture coordinates
+        const tangent = GeometryProcessor.#calculateTangents(positions, texcoord, normal);
+
+        // Assign the processed data to the return object
+        Object.assign(processed_data, GeometryProcessor.#weldVertices({ position: positions, texcoord, normal, tangent, color }));
+
+        if (processed_data.color === null) {
+            // Random colors are given to the welded vertices, since random colors per face corner would prevent the welding
+            const vertex_count = processed_data.position.length / 3;
+            processed_data.color = new Float32Array(vertex_count * 4);
+
+            for (let i = 0; i < vertex_count; i++) {
+                processed_data.color[i * 4] = Math.random();
+                processed_data.color[i * 4 + 1] = Math.random();
+                processed_data.color[i * 4 + 2] = Math.random();
+                processed_data.color[i * 4 + 3] = 1.0;
+            }
+        }
+
+        return processed_data;
+    }
+
+    /**
+     * Welds the vertices with identical attributes into a single vertex, building the index buffer that draws the same triangles.
+     * All the attributes are compared (not only the positions), so the welding never changes how the object looks.
+     * 
+     * @param {Object} attributes - The attributes of the vertices, with a vertex per face corner: { position, texcoord, normal, tangent, color }.
+     * The color can be null (it is not compared).
+     * @returns {Object} The attributes of the welded vertices (Float32Arrays, the color stays null) and the indices: a Uint16Array, or a
+     * Uint32Array if there are more than 65536 welded vertices.
+     * 
+     * @private
+     */
+    static #weldVertices(attributes) {
+        const components = { position: 3, texcoord: 2, normal: 3, tangent: 4, color: 4 };
+        const names = Object.keys(components).filter((name) => attributes[name] !== null);
+        const vertex_count = attributes.position.length / 3;
+
+        const vertexes_mapping = new Map(); // Mapping of vertexes ids (all their attributes) to their welded index
+        const indices = new Uint32Array(vertex_count);
+        const first_vertices = []; // Original vertex of each welded vertex
+
+        for (let i = 0; i < vertex_count; i++) {
+            const id = names.map((name) => attributes[name].subarray(i * components[name], (i + 1) * components[name]).join(',')).join('|');
+
+            let index = vertexes_mapping.get(id);
+
+            if (index === undefined) {
+                index = first_vertices.length;
+                vertexes_mapping.set(id, index);
+                first_vertices.push(i);
+            }
+
+            indices[i] = index;
+        }
+
+        const welded = { color: null };
+
+        for (const name of names) {
+            const size = components[name];
+            welded[name] = new Float32Array(first_vertices.length * size);
+
+            first_vertices.forEach((v, index) => welded[name].set(attributes[name].subarray(v * size, (v + 1) * size), index * size));
+        }
+
+        welded.indices = first_vertices.length > 65536 ? indices : new Uint16Array(indices);
+
+        return welded;
+    }
+
+    /**
+     * Calculates the tangent of each vertex from the texture coordinates, used to transform normal maps from tangent space.
+     * The tangents of the vertices with the same position, normal and texture coordinates are averaged (like in #calculateNormals).
+     * 
+     * The bitangent is not stored: it is cross(normal, tangent.xyz) * tangent.w, where w is the handedness of the texture coordinates (1 or -1).
+     * 
+     * @param {Float32Array} positions - The positions of the vertices.
+     * @param {Float32Array} texcoords - The texture coordinates of the vertices.
+     * @param {Float32Array} normals - The normals of the vertices.
+     * @returns {Float32Array} The tangents (x, y, z, w) of the vertices.
+     * 
+     * @private
+     */
+    static #calculateTangents(positions, texcoords, normals) {
+        const vertex_count = positions.length / 3;
+        const tangents = new Float32Array(vertex_count * 4);
+
+        const vertexes_mapping = {}; // Mapping of vertexes ids to their tangent_info
+
+        for (let t = 0; t + 2 < vertex_count; t += 3) {
+            const [i1, i2, i3] = [t, t + 1, t + 2];
+
+            const e1 = [0, 1, 2].map((k) => positions[i2 * 3 + k] - positions[i1 * 3 + k]);
+            const e2 = [0, 1, 2].map((k) => positions[i3 * 3 + k] - positions[i1 * 3 + k]);
+
+            const du1 = texcoords[i2 * 2] - texcoords[i1 * 2];
+            const dv1 = texcoords[i2 * 2 + 1] - texcoords[i1 * 2 + 1];
+            const du2 = texcoords[i3 * 2] - texcoords[i1 * 2];
+            const dv2 = texcoords[i3 * 2 + 1] - texcoords[i1 * 2 + 1];
+
+            const det = du1 * dv2 - du2 * dv1;
+
+            // Triangles without a proper texture mapping don't contribute
+            if (Math.abs(det) < 1e-12) {
+                continue;
+            }
+
+            const tangent = new Vec4((e1[0] * dv2 - e2[0] * dv1) / det, (e1[1] * dv2 - e2[1] * dv1) / det, (e1[2] * dv2 - e2[2] * dv1) / det, 0);
+            const bitangent = new Vec4((e2[0] * du1 - e1[0] * du2) / det, (e2[1] * du1 - e1[1] * du2) / det, (e2[2] * du1 - e1[2] * du2) / det, 0);
+
+            for (const i of [i1, i2, i3]) {
+                const id = [
+                    positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2],
+                    normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2],
+                    texcoords[i * 2], texcoords[i * 2 + 1]
+                ].join(',');
+
+                if (id in vertexes_mapping) {
+                    vertexes_mapping[id].tangent = vertexes_mapping[id].tangent.add(tangent);
+                    vertexes_mapping[id].bitangent = vertexes_mapping[id].bitangent.add(bitangent);
+                    vertexes_mapping[id].indexes.push(i);
+                } else {
+                    vertexes_mapping[id] = {
+                        tangent: tangent,
+                        bitangent: bitangent,
+                        indexes: [i],
+                    };
+                }
+            }
+        }
+
+        // Orthogonalize the tangents against the normals (Gram-Schmidt) and compute the handedness
+        for (let v in vertexes_mapping) {
+            const i0 = vertexes_mapping[v].indexes[0];
+            const normal = new Vec4(normals[i0 * 3], normals[i0 * 3 + 1], normals[i0 * 3 + 2], 0);
+            const t = vertexes_mapping[v].tangent;
+
+            let tangent = t.subtract(normal.scale(normal.dotProduct(t)));
+
+            if (tangent.length() < 1e-12) {
+                continue;
+            }
+
+            tangent = tangent.normalize();
+
+            const handedness = normal.crossProduct(tangent).dotProduct(vertexes_mapping[v].bitangent) < 0 ? -1 : 1;
+
+            for (let i of vertexes_mapping[v].indexes) {
+                tangents[i * 4] = tangent.x;
+                tangents[i * 4 + 1] = tangent.y;
+                tangents[i * 4 + 2] = tangent.z;
+                tangents[i * 4 + 3] = handedness;
+            }
+        }
+
+        return tangents;
+    }
+
+    static #calculateNormals(positions) {
+        const normals = new Array(positions.length).fill(0);
+
+        const vertexes_mapping = {}; // Mapping of vertexes ids to their vertex_info
+
+        for (let i = 0; i < positions.length; i += 9) {
+            const v1 = [positions[i], positions[i + 1], positions[i + 2]];
+            const v2 = [positions[i + 3], positions[i + 4], positions[i + 5]];
+            const v3 = [positions[i + 6], positions[i + 7], positions[i + 8]];
+
+            const normal = GraphicsMath.calculateNormal(v1, v2, v3);
+
+            const v1_id = v1.join(',');
+            const v2_id = v2.join(',');
+            const v3_id = v3.join(',');
+
+            const normal_vec4 = new Vec4(normal[0], normal[1], normal[2], 0);
+            for (let [id, k] of [[v1_id, i], [v2_id, i + 3], [v3_id, i + 6]]) {
+                if (id in vertexes_mapping) {
+                    vertexes_mapping[id].normal = vertexes_mapping[id].normal.add(normal_vec4);
+                    vertexes_mapping[id].indexes.push(k);
+                } else {
+                    vertexes_mapping[id] = {
+                        normal: normal_vec4,
+                        indexes: [k],
+                    };
+                }
+            }
+        }
+
+        // Normalize normals
+        for (let v in vertexes_mapping) {
+            const normal = vertexes_mapping[v].normal.normalize();
+            for (let i of vertexes_mapping[v].indexes) {
+                normals[i] = normal.x;
+                normals[i + 1] = normal.y;
+                normals[i + 2] = normal.z;
+            }
+        }
+
+        return normals;
+    }
+
+    /**
+     * Calculates the axis aligned bounding box of the given positions.
+     * 
+     * @param {Float32Array} positions - The positions of the vertices.
+     * @returns {Object} { min, max }: the minimum and maximum corners [x, y, z].
+     * 
+     * @private
+     */
+    static #calculateBoundingBox(positions) {
+        if (positions.length === 0) {
+            return { min: [0, 0, 0], max: [0, 0, 0] };
+        }
+
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+
+        for (let i = 0; i < positions.length; i += 3) {
+            for (let j = 0; j < 3; j++) {
+                min[j] = Math.min(min[j], positions[i + j]);
+                max[j] = Math.max(max[j], positions[i + j]);
+            }
+        }
+
+        return { min: min, max: max };
+    }
+
+    /**
+     * Calculates a bounding sphere of the given positions, centered in their bounding box.
+     * The radius is the distance to the farthest vertex, so the sphere is tighter than the one around the box.
+     * 
+     * @param {Float32Array} positions - The positions of the vertices.
+     * @param {Object} bounding_box - The bounding box of the positions (see #calculateBoundingBox).
+     * @returns {Object} { center, radius }.
+     * 
+     * @private
+     */
+    static #calculateBoundingSphere(positions, bounding_box) {
+        const center = [0, 1, 2].map((j) => (bounding_box.min[j] + bounding_box.max[j]) / 2);
+        let squared_radius = 0;
+
+        for (let i = 0; i < positions.length; i += 3) {
+            const dx = positions[i] - center[0];
+            const dy = positions[i + 1] - center[1];
+            const dz = positions[i + 2] - center[2];
+
+            squared_radius = Math.max(squared_radius, dx * dx + dy * dy + dz * dz);
+        }
+
+        return { center: center, radius: Math.sqrt(squared_radius) };
+    }
+}
\ No newline at end of file
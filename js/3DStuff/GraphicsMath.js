@@ -103,6 +103,83 @@ export default class GraphicsMath {
         return GraphicsMath.transposeMatrix(matrix);
     }
 
+    /**
+     * Creates the rotation matrix of a rotation dictionary, in the order used by Model3D (Rx * Ry * Rz).
+     *
+     * @param {Object} rotation - The angles in radians: { x, y, z }.
+     * @returns {Float32Array} A 4x4 rotation matrix in column major order.
+     */
+    static createEulerRotationMatrix(rotation) {
+        const r_x_m = GraphicsMath.createRotationMatrix(rotation.x, 'x');
+        const r_y_m = GraphicsMath.createRotationMatrix(rotation.y, 'y');
+        const r_z_m = GraphicsMath.createRotationMatrix(rotation.z, 'z');
+
+        return GraphicsMath.multiplyMatrices(GraphicsMath.multiplyMatrices(r_x_m, r_y_m), r_z_m);
+    }
+
+    /**
+     * Creates a rotation matrix around an arbitrary axis (Rodrigues' rotation formula).
+     * For the x, y and z axes, the result is the same as createRotationMatrix.
+     *
+     * @param {number} angle - The angle of rotation in radians.
+     * @param {Vec4} axis - The axis of rotation. It doesn't need to be normalized.
+     * @returns {Float32Array} A 4x4 rotation matrix in column major order.
+     */
+    static createAxisRotationMatrix(angle, axis) {
+        const a = axis.normalize();
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        const t = 1 - c;
+
+        const matrix = new Float32Array([
+            t * a.x * a.x + c, t * a.x * a.y - s * a.z, t * a.x * a.z + s * a.y, 0,
+            t * a.x * a.y + s * a.z, t * a.y * a.y + c, t * a.y * a.z - s * a.x, 0,
+            t * a.x * a.z - s * a.y, t * a.y * a.z + s * a.x, t * a.z * a.z + c, 0,
+            0, 0, 0, 1
+        ]);
+
+        return GraphicsMath.transposeMatrix(matrix);
+    }
+
+    /**
+     * Creates the rotation matrix of a quaternion (e.g. the rotations of the glTF nodes).
+     *
+     * @param {number[]} quaternion - The quaternion [x, y, z, w]. It doesn't need to be normalized.
+     * @returns {Float32Array} A 4x4 rotation matrix in column major order.
+     */
+    static createQuaternionRotationMatrix(quaternion) {
+        const length = Math.hypot(...quaternion) || 1;
+        const [x, y, z, w] = quaternion.map((value) => value / length);
+
+        return new Float32Array([
+            1 - 2 * (y * y + z * z), 2 * (x * y + z * w), 2 * (x * z - y * w), 0,
+            2 * (x * y - z * w), 1 - 2 * (x * x + z * z), 2 * (y * z + x * w), 0,
+            2 * (x * z + y * w), 2 * (y * z - x * w), 1 - 2 * (x * x + y * y), 0,
+            0, 0, 0, 1
+        ]);
+    }
+
+    /**
+     * Extracts the rotation angles of a rotation matrix composed as Rx * Ry * Rz (the order used by Model3D).
+     * When the Y angle is +-90 degrees (gimbal lock), the Z angle is set to 0.
+     *
+     * @param {Float32Array} matrix - A 4x4 rotation matrix in column major order (without scale).
+     * @returns {Object} The angles in radians: { x, y, z }.
+     */
+    static extractRotationAngles(matrix) {
+        // Element at row i and column j of the column major matrix
+        const m = (i, j) => matrix[j * 4 + i];
+
+        const sin_y = Math.max(-1, Math.min(1, m(0, 2)));
+        const y = Math.asin(sin_y);
+
+        if (Math.abs(sin_y) < 0.9999999) {
+            return { x: Math.atan2(-m(1, 2), m(2, 2)), y: y, z: Math.atan2(-m(0, 1), m(0, 0)) };
+        }
+
+        return { x: Math.atan2(m(2, 1), m(1, 1)), y: y, z: 0 };
+    }
+
     /**
      * Creates a translation matrix for the given x, y, and z values.
      * 
@@ -178,6 +255,130 @@ export default class GraphicsMath {
         return result;
     }
 
+    /**
+     * Creates the transformation matrix of a transformation dictionary, in the order used by Model3D (T * Rx * Ry * Rz * S).
+     *
+     * @param {Object} transformation_dict - The transformation dictionary with the properties: translation, rotation (in radians) and scale.
+     * @returns {Float32Array} A 4x4 transformation matrix in column major order.
+     */
+    static createTransformationMatrix(transformation_dict) {
+        const t = transformation_dict.translation;
+        const s = transformation_dict.scale;
+
+        const t_m = GraphicsMath.createTranslationMatrix(t.x, t.y, t.z);
+        const r_m = GraphicsMath.createEulerRotationMatrix(transformation_dict.rotation);
+        const s_m = GraphicsMath.createScaleMatrix(s.x, s.y, s.z);
+
+        return GraphicsMath.multiplyMatrices(t_m, GraphicsMath.multiplyMatrices(r_m, s_m));
+    }
+
+    /**
+     * Splits an affine transformation matrix into a transformation dictionary (the inverse of createTransformationMatrix).
+     * Matrices with shear (e.g. a rotated child of a parent with non uniform scale) can't be represented exactly: the shear is dropped.
+     *
+     * @param {Float32Array} matrix - A 4x4 affine matrix in column major order.
+     * @returns {Object} The transformation dictionary with the properties: translation, rotation (in radians) and scale.
+     */
+    static decomposeMatrix(matrix) {
+        const columns = [0, 1, 2].map((i) => new Vec4(matrix[i * 4], matrix[i * 4 + 1], matrix[i * 4 + 2], 0));
+        const scale = columns.map((column) => column.length());
+
+        // A mirrored matrix (negative determinant) is represented with a negative X scale
+        if (columns[0].crossProduct(columns[1]).dotProduct(columns[2]) < 0) {
+            scale[0] = -scale[0];
+        }
+
+        const rotation = GraphicsMath.createIdentityMatrix();
+
+        columns.forEach((column, i) => {
+            const length = scale[i] !== 0 ? scale[i] : 1;
+
+            rotation[i * 4] = column.x / length;
+            rotation[i * 4 + 1] = column.y / length;
+            rotation[i * 4 + 2] = column.z / length;
+        });
+
+        return {
+            translation: { x: matrix[12], y: matrix[13], z: matrix[14] },
+            rotation: GraphicsMath.extractRotationAngles(rotation),
+            scale: { x: scale[0], y: scale[1], z: scale[2] }
+        };
+    }
+
+    /**
+     * Inverts an affine transformation matrix (a matrix whose last row is 0, 0, 0, 1, like the models transformations).
+     *
+     * @param {Float32Array} matrix - A 4x4 affine matrix in column major order.
+     * @returns {Float32Array} The inverse matrix in column major order, or null if the matrix can't be inverted (e.g. a scale of 0).
+     */
+    static invertAffineMatrix(matrix) {
+        // Element at row i and column j of the column major matrix
+        const m = (i, j) => matrix[j * 4 + i];
+
+        // Cofactors of the 3x3 linear part
+        const c00 = m(1, 1) * m(2, 2) - m(1, 2) * m(2, 1);
+        const c01 = m(1, 2) * m(2, 0) - m(1, 0) * m(2, 2);
+        const c02 = m(1, 0) * m(2, 1) - m(1, 1) * m(2, 0);
+
+        const determinant = m(0, 0) * c00 + m(0, 1) * c01 + m(0, 2) * c02;
+
+        if (Math.abs(determinant) < 1e-12) {
+            return null;
+        }
+
+        const d = 1 / determinant;
+
+        // Inverse of the linear part (the transposed cofactors divided by the determinant), by rows
+        const inv = [
+            [c00 * d, (m(0, 2) * m(2, 1) - m(0, 1) * m(2, 2)) * d, (m(0, 1) * m(1, 2) - m(0, 2) * m(1, 1)) * d],
+            [c01 * d, (m(0, 0) * m(2, 2) - m(0, 2) * m(2, 0)) * d, (m(0, 2) * m(1, 0) - m(0, 0) * m(1, 2)) * d],
+            [c02 * d, (m(0, 1) * m(2, 0) - m(0, 0) * m(2, 1)) * d, (m(0, 0) * m(1, 1) - m(0, 1) * m(1, 0)) * d]
+        ];
+
+        // The inverse translation is -inv * t
+        const t = [m(0, 3), m(1, 3), m(2, 3)];
+        const inv_t = inv.map((row) => -(row[0] * t[0] + row[1] * t[1] + row[2] * t[2]));
+
+        return GraphicsMath.transposeMatrix(new Float32Array([
+            inv[0][0], inv[0][1], inv[0][2], inv_t[0],
+            inv[1][0], inv[1][1], inv[1][2], inv_t[1],
+            inv[2][0], inv[2][1], inv[2][2], inv_t[2],
+            0, 0, 0, 1
+        ]));
+    }
+
+    /**
+     * Checks if a transformation matrix mirrors the geometry (the determinant of its 3x3 linear part is negative). The triangles transformed
+     * by a mirroring matrix have their winding reversed, so their vertices must be reordered to keep facing the same side.
+     *
+     * @param {Float32Array} matrix - A 4x4 matrix in column major order.
+     * @returns {boolean} True if the matrix mirrors the geometry.
+     */
+    static isMirroring(matrix) {
+        const m = (i, j) => matrix[j * 4 + i];
+
+        const determinant = m(0, 0) * (m(1, 1) * m(2, 2) - m(1, 2) * m(2, 1))
+            - m(0, 1) * (m(1, 0) * m(2, 2) - m(1, 2) * m(2, 0))
+            + m(0, 2) * (m(1, 0) * m(2, 1) - m(1, 1) * m(2, 0));
+
+        return determinant < 0;
+    }
+
+    /**
+     * Transforms a normal by the inverse transpose of a transformation matrix, so it stays perpendicular to the transformed surface with
+     * non uniform scales. The inverse is given instead of the inverse transpose: the normal is multiplied by its rows.
+     *
+     * @param {Float32Array} inverse_matrix - The inverse of the transformation matrix (see invertAffineMatrix), in column major order.
+     * @param {number[]|Float32Array} normal - The normal [x, y, z].
+     * @returns {number[]} The transformed normal [x, y, z], normalized.
+     */
+    static transformNormal(inverse_matrix, normal) {
+        const n = [0, 1, 2].map((k) => inverse_matrix[k * 4] * normal[0] + inverse_matrix[k * 4 + 1] * normal[1] + inverse_matrix[k * 4 + 2] * normal[2]);
+        const length = Math.hypot(n[0], n[1], n[2]) || 1;
+
+        return [n[0] / length, n[1] / length, n[2] / length];
+    }
+
     /**
      * Translates a 4x4 matrix by the given x, y, and z values.
      * 
@@ -221,4 +422,49 @@ export default class GraphicsMath {
 
         return GraphicsMath.transposeMatrix(proj_mat);
     }
+
+    /**
+     * Creates an orthographic projection matrix for the given view volume. Like the perspective projection, the view looks in the positive Z direction.
+     *
+     * @param {number} left - The left plane of the view volume.
+     * @param {number} right - The right plane of the view volume.
+     * @param {number} bottom - The bottom plane of the view volume.
+     * @param {number} top - The top plane of the view volume.
+     * @param {number} near_z - The distance to the near clipping plane.
+     * @param {number} far_z - The distance to the far clipping plane.
+     * @returns {Float32Array} A 4x4 orthographic projection matrix in column major order.
+     */
+    static createOrthographicMatrix(left, right, bottom, top, near_z, far_z) {
+        const ortho_mat = new Float32Array([
+            2.0 / (right - left), 0, 0, -(right + left) / (right - left),
+            0, 2.0 / (top - bottom), 0, -(top + bottom) / (top - bottom),
+            0, 0, 2.0 / (far_z - near_z), -(far_z + near_z) / (far_z - near_z),
+            0, 0, 0, 1
+        ]);
+
+        return GraphicsMath.transposeMatrix(ortho_mat);
+    }
+
+    /**
+     * Creates a view matrix for an observer at 'eye' looking at 'target'. The resulting view looks in the positive Z direction, like the Camera class.
+     *
+     * @param {Vec4} eye - The position of the observer.
+     * @param {Vec4} target - The point the observer is looking at.
+     * @param {Vec4} up - The up direction of the observer. It must not be parallel to the viewing direction.
+     * @returns {Float32Array} A 4x4 view matrix in column major order.
+     */
+    static createLookAtMatrix(eye, target, up) {
+        const forward = target.subtract(eye).normalize();
+        const right = up.crossProduct(forward).normalize();
+        const new_up = forward.crossProduct(right);
+
+        const view_mat = new Float32Array([
+            right.x, right.y, right.z, -right.dotProduct(eye),
+            new_up.x, new_up.y, new_up.z, -new_up.dotProduct(eye),
+            forward.x, forward.y, forward.z, -forward.dotProduct(eye),
+            0, 0, 0, 1
+        ]);
+
+        return GraphicsMath.transposeMatrix(view_mat);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,191 @@
+import DoLog from '../Logging/DoLog.js';
+
+import Model3D from './Model3D.js';
+import Object3D from './Object3D.js';
+
+/**
+ * Batches the duplicates of a model into instanced draws.
+ *
+ * The duplicates of a model (see Model3D.duplicateModel) share their objects, so all of them can be drawn with a single
+ * gl.drawElementsInstanced call per object. The world matrix and the global color of each duplicate are stored in an instance buffer and
+ * read by the vertex shader as per instance attributes (a_instance_matrix and a_instance_color) when u_enable_instancing is set.
+ *
+ * Only the duplicates that render the same way are batched: the models with their own texture or normal map (bound as uniforms), and the
+ * transparent models (sorted by distance in the transparent pass), are drawn one by one.
+ *
+ * The instance buffer of some duplicates is created the first time they are batched, and belongs to their objects: it is deleted with
+ * them (see Object3D.deleteObject).
+ *
+ * @class
+ */
+export default class InstancedRenderer extends DoLog {
+    /**
+     * Minimum number of duplicates to draw them with instancing.
+     *
+     * @type {number}
+     * @static
+     */
+    static MIN_INSTANCES = 2;
+
+    // Must match the locations in VertexShader.glsl. The matrix takes 4 locations (one per column).
+    static #INSTANCE_MATRIX_LOCATION = 8;
+    static #INSTANCE_COLOR_LOCATION = 12;
+
+    // 16 floats of the world matrix and 4 of the global color
+    static #INSTANCE_FLOATS = 20;
+
+    /** @type {WebGL2RenderingContext} */
+    #gl = null;
+
+    /**
+     * Shared objects of the duplicates -> their instance buffer.
+     *
+     * @type {WeakMap<Object3D[], WebGLBuffer>}
+     */
+    #instance_buffers = new WeakMap();
+
+    /** @type {Float32Array} */
+    #instance_data = new Float32Array(0);
+
+    /**
+     * @param {DoLog} log - The logger object in which this object will log messages.
+     * @param {WebGL2RenderingContext} gl - The WebGL2 context.
+     */
+    constructor(log, gl) {
+        super(log, 'InstancedRenderer> ');
+
+        this.#gl = gl;
+    }
+
+    /**
+     * Groups the duplicates of the models (by model path, see Model3D.getDuplicatesMapping) that can be drawn together, creating the
+     * instance buffers of the new batches. Creating them binds the VAOs of their objects, so the tracked state of the main program must be
+     * reset afterwards (see ShaderProgram.resetState).
+     *
+     * @param {Model3D[]} models - The models to render.
+     * @returns {Object} { batches, singles }: the batches of models to draw with instancing (each one with at least MIN_INSTANCES models
+     * sharing their objects), and the models to draw one by one.
+     */
+    groupModels(models) {
+        const models_by_name = new Map(models.map((model) => [model.getModelName(), model]));
+        const batched = new Set();
+        const batches = [];
+
+        for (const names of Object.values(Model3D.getDuplicatesMapping())) {
+            // Objects shared by the duplicates (and shadow receiving) -> models
+            const groups = new Map();
+
+            for (const name of names) {
+                const model = models_by_name.get(name);
+
+                if (!model || !this.#canBeInstanced(model)) {
+                    continue;
+                }
+
+                const objects = model.getRenderableObjects();
+                const receives = model.getShadowProperties().receives;
+
+                if (!groups.has(objects)) {
+                    groups.set(objects, new Map());
+                }
+
+                const group = groups.get(objects);
+
+                if (!group.has(receives)) {
+                    group.set(receives, []);
+                }
+
+                group.get(receives).push(model);
+            }
+
+            for (const group of groups.values()) {
+                for (const batch of group.values()) {
+                    if (batch.length >= InstancedRenderer.MIN_INSTANCES) {
+                        const objects = batch[0].getRenderableObjects();
+
+                        if (!this.#instance_buffers.has(objects)) {
+                            this.#instance_buffers.set(objects, this.#createInstanceBuffer(objects));
+                        }
+
+                        batches.push(batch);
+                        batch.forEach((model) => batched.add(model));
+                    }
+                }
+            }
+        }
+
+        return { batches: batches, singles: models.filter((model) => !batched.has(model)) };
+    }
+
+    /**
+     * Uploads the world matrices and global colors of a batch of duplicates to their instance buffer. The VAOs of their objects read
+     * the per instance attributes from it, so the objects can then be drawn with gl.drawElementsInstanced.
+     *
+     * @param {Model3D[]} batch - The duplicates, as grouped by groupModels.
+     */
+    uploadInstances(batch) {
+        const gl = this.#gl;
+        const objects = batch[0].getRenderableObjects();
+        const instance_floats = InstancedRenderer.#INSTANCE_FLOATS;
+
+        if (this.#instance_data.length < batch.length * instance_floats) {
+            this.#instance_data = new Float32Array(batch.length * instance_floats);
+        }
+
+        batch.forEach((model, i) => {
+            this.#instance_data.set(model.getWorldMatrix(), i * instance_floats);
+            this.#instance_data.set(model.getGlobalColor().getRGBA(), i * instance_floats + 16);
+        });
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.#instance_buffers.get(objects));
+        gl.bufferData(gl.ARRAY_BUFFER, this.#instance_data.subarray(0, batch.length * instance_floats), gl.DYNAMIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    }
+
+    /**
+     * Creates the instance buffer of the duplicates and adds the per instance attributes to the VAOs of their objects, which own the
+     * buffer from then on.
+     *
+     * @param {Object3D[]} objects - The objects shared by the duplicates.
+     * @returns {WebGLBuffer} The instance buffer.
+     */
+    #createInstanceBuffer(objects) {
+        const gl = this.#gl;
+        const stride = InstancedRenderer.#INSTANCE_FLOATS * 4;
+        const buffer = gl.createBuffer();
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+
+        for (const obj of objects) {
+            gl.bindVertexArray(obj.getVAO());
+
+            // One vec4 per column of the matrix
+            for (let column = 0; column < 4; column++) {
+                const location = InstancedRenderer.#INSTANCE_MATRIX_LOCATION + column;
+
+                gl.enableVertexAttribArray(location);
+                gl.vertexAttribPointer(location, 4, gl.FLOAT, false, stride, column * 16);
+                gl.vertexAttribDivisor(location, 1);
+            }
+
+            gl.enableVertexAttribArray(InstancedRenderer.#INSTANCE_COLOR_LOCATION);
+            gl.vertexAttribPointer(InstancedRenderer.#INSTANCE_COLOR_LOCATION, 4, gl.FLOAT, false, stride, 64);
+            gl.vertexAttribDivisor(InstancedRenderer.#INSTANCE_COLOR_LOCATION, 1);
+
+            obj.setInstanceBuffer(buffer);
+        }
+
+        gl.bindVertexArray(null);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+        return buffer;
+    }
+
+    /**
+     * @param {Model3D} model - A model.
+     * @returns {boolean} True if the model can be drawn with the other duplicates: it has no texture nor normal map and it is opaque.
+     */
+    #canBeInstanced(model) {
+        return !model.hasTexture() && !model.hasNormalMap() && model.getOpacity() >= 1.0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,148 @@
+import GraphicsMath from './GraphicsMath.js';
+import Vec4 from './Vec4.js';
+import { Color } from './WebGLUtils.js';
+
+/**
+ * Represents a light source in the scene.
+ *
+ * Three types of lights are supported:
+ * - directional: lights the whole scene from a single direction (like the sun). Only the direction is used.
+ * - point: emits light in all directions from a position. The light fades with the distance according to the attenuation factors.
+ * - spot: emits light from a position in a cone around its direction. Besides the attenuation, the light fades between the inner and outer cone angles.
+ *
+ * @class
+ *
+ * @property {string} name - The name of the light.
+ * @property {string} type - The type of the light ('directional', 'point' or 'spot').
+ * @property {boolean} enabled - If false, the light is not sent to the shader.
+ * @property {boolean} cast_shadows - If true, the light casts shadows (directional and spot lights only).
+ * @property {Color} color - The color of the light.
+ * @property {number} intensity - The intensity of the light. The color is multiplied by this value in the shader.
+ * @property {Vec4} position - The position of the light (point and spot lights).
+ * @property {Vec4} direction - The direction in which the light travels (directional and spot lights).
+ * @property {Object} attenuation - The constant, linear and quadratic attenuation factors (point and spot lights).
+ * @property {number} inner_angle - The angle of the inner cone in degrees (spot lights).
+ * @property {number} outer_angle - The angle of the outer cone in degrees (spot lights).
+ */
+export default class Light {
+    static DIRECTIONAL = 'directional';
+    static POINT = 'point';
+    static SPOT = 'spot';
+
+    /**
+     * Maps the light types to the constants used in the fragment shader (LIGHT_DIRECTIONAL, LIGHT_POINT and LIGHT_SPOT).
+     *
+     * @type {Object}
+     * @static
+     */
+    static TYPES_IDS = {
+        [Light.DIRECTIONAL]: 0,
+        [Light.POINT]: 1,
+        [Light.SPOT]: 2
+    };
+
+    /**
+     * Maximum number of lights supported by the fragment shader (MAX_LIGHTS).
+     *
+     * @type {number}
+     * @static
+     */
+    static MAX_LIGHTS = 8;
+
+    /**
+     * Creates a new light with default values for its type.
+     *
+     * @param {string} name - The name of the light.
+     * @param {string} type - The type of the light ('directional', 'point' or 'spot').
+     */
+    constructor(name, type = Light.DIRECTIONAL) {
+        if (!Object.hasOwn(Light.TYPES_IDS, type)) {
+            throw new Error('Invalid light type: ' + type);
+        }
+
+        this.name = name;
+        this.type = type;
+        this.enabled = true;
+        this.cast_shadows = true;
+
+        this.color = new Color(1.0, 1.0, 1.0);
+        this.intensity = 1.0;
+
+        this.position = new Vec4(0, 2, -2, 1);
+        this.direction = new Vec4(0, -1, 0, 0);
+
+        this.attenuation = { constant: 1.0, linear: 0.09, quadratic: 0.032 };
+
+        this.inner_angle = 15;
+        this.outer_angle = 25;
+    }
+
+    /**
+     * Returns the light values in the format expected by the shader.
+     *
+     * @param {number} shadow_index - The layer of the light in the shadow maps texture, or -1 if the light has no shadow map.
+     * @returns {Object} An object with the properties: type, position, direction, color, attenuation, inner_cutoff, outer_cutoff and shadow_index.
+     */
+    getShaderValues(shadow_index = -1) {
+        const direction = this.direction.normalize();
+
+        // The outer cone must be bigger than the inner one, otherwise smoothstep is undefined
+        const inner_angle = Math.min(this.inner_angle, this.outer_angle);
+        const outer_angle = Math.max(this.outer_angle, inner_angle + 0.01);
+
+        return {
+            type: Light.TYPES_IDS[this.type],
+            position: new Float32Array([this.position.x, this.position.y, this.position.z]),
+            direction: new Float32Array([direction.x, direction.y, direction.z]),
+            color: new Float32Array([this.color.r * this.intensity, this.color.g * this.intensity, this.color.b * this.intensity]),
+            attenuation: new Float32Array([this.attenuation.constant, this.attenuation.linear, this.attenuation.quadratic]),
+            inner_cutoff: Math.cos(GraphicsMath.degToRad(inner_angle)),
+            outer_cutoff: Math.cos(GraphicsMath.degToRad(outer_angle)),
+            shadow_index: shadow_index
+        };
+    }
+
+    /**
+     * Returns a plain object with the light properties. Used to save the light in scene files.
+     *
+     * @returns {Object} The light properties.
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            type: this.type,
+            enabled: this.enabled,
+            cast_shadows: this.cast_shadows,
+            color: { r: this.color.r, g: this.color.g, b: this.color.b },
+            intensity: this.intensity,
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            direction: { x: this.direction.x, y: this.direction.y, z: this.direction.z },
+            attenuation: { ...this.attenuation },
+            inner_angle: this.inner_angle,
+            outer_angle: this.outer_angle
+        };
+    }
+
+    /**
+     * Creates a light from a plain object (as returned by toJSON).
+     *
+     * @param {Object} json - The light properties.
+     * @returns {Light} The new light.
+     * @static
+     */
+    static fromJSON(json) {
+        const light = new Light(json.name, json.type);
+
+        light.enabled = json.enabled;
+        light.cast_shadows = json.cast_shadows ?? true; // Lights saved before shadows existed cast shadows by default
+        light.color = new Color(json.color.r, json.color.g, json.color.b);
+        light.intensity = json.intensity;
+        light.position = new Vec4(json.position.x, json.position.y, json.position.z, 1);
+        light.direction = new Vec4(json.direction.x, json.direction.y, json.direction.z, 0);
+        light.attenuation = { ...json.attenuation };
+        light.inner_angle = json.inner_angle;
+        light.outer_angle = json.outer_angle;
+
+        return light;
+    }
+}
\ No newline at end of file
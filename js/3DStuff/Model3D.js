@@ -1,4 +1,5 @@
 import Object3D from './Object3D.js';
+import GeometryProcessor from './GeometryProcessor.js';
 import GraphicsMath from './GraphicsMath.js';
 import { Color } from './WebGLUtils.js';
 
@@ -14,9 +15,18 @@ import { Color } from './WebGLUtils.js';
  * @property {string} model_path - The path to the model file.
  * @property {Image} model_texture_image - The texture image of the model.
  * @property {string} model_texture_id - The id of the texture image of the model.
- * @property {Color} global_color - The global color of the model.
+ * @property {Color} global_color - The global color of the model. Its alpha is how much of the color is added to the model colors (the
+ * COLOR opacity input of the properties panel), not the opacity of the model: the default color (alpha 0) adds nothing.
+ * @property {number} opacity - The opacity of the model, from 0 (invisible) to 1 (opaque). It is multiplied by the materials opacity.
  * @property {WebGL2Texture} model_texture - The WebGL2 texture of the model.
- * @property {Object} transformation_dict - A transformation dictionary with the properties: translation, rotation, and scale.
+ * @property {boolean} model_texture_has_alpha - True if the texture image has translucent pixels.
+ * @property {Image} normal_map_image - The normal map image of the model, in tangent space.
+ * @property {string} normal_map_id - The id of the normal map image of the model.
+ * @property {WebGL2Texture} normal_map - The WebGL2 texture of the normal map.
+ * @property {Object} transformation_dict - A transformation dictionary with the properties: translation, rotation, and scale. It is relative to the parent model (if any).
+ * @property {Model3D} parent - The parent model in the scene graph, or null for models at the root of the scene.
+ * @property {Model3D[]} children - The models whose transformations are relative to this one.
+ * @property {Object} shadow_properties - An object with the properties: casts (the model casts shadows) and receives (the model receives shadows).
  * @property {Object3D[]} objects - The objects that make up the model.
  * 
  * @static @property {Object} models_duplicates_mapping - A mapping of models that have duplicates. The key is the model path and the value is an array of model names.
@@ -34,6 +44,15 @@ export default class Model3D {
     #global_color = new Color(0, 0, 0, 0); // Default color is transparent black
     /** @type {WebGL2Texture} */
     #model_texture = null;
+    #model_texture_has_alpha = false;
+    /** @type {number} */
+    #opacity = 1.0;
+    /** @type {Image} */
+    #normal_map_image = null;
+    /** @type {string} */
+    #normal_map_id = '';
+    /** @type {WebGL2Texture} */
+    #normal_map = null;
 
     /**  @type {Object} */
     #transformation_dict = {
@@ -43,21 +62,49 @@ export default class Model3D {
     };
     /** @type {Float32Array} */
     #transformation_matrix = GraphicsMath.createIdentityMatrix();
+    /** @type {Float32Array} */
+    #world_matrix = null; // The transformation matrix composed with the ones of the ancestors. Null when it must be computed again.
+
+    /** @type {Model3D} */
+    #parent = null;
+    /** @type {Model3D[]} */
+    #children = [];
+
+    /** @type {Object} */
+    #shadow_properties = { casts: true, receives: true };
 
     /** @type {Object3D[]} */
     static #models_duplicates_mapping = {};
 
+    /**
+     * Number of models using each objects array. Duplicates share the objects, which are deleted when the last model using them is deleted.
+     *
+     * @type {WeakMap<Object3D[], number>}
+     */
+    static #objects_users = new WeakMap();
+
+    /**
+     * Texture image id -> true if the image has translucent pixels (see #hasTranslucentPixels), so each image is read once.
+     *
+     * @type {Map<string, boolean>}
+     */
+    static #textures_alpha = new Map();
+
+    // Largest side of the copy of the texture images read to find their translucent pixels
+    static #ALPHA_CHECK_SIZE = 256;
+
     /**
      * Creates a new Model3D.
      * 
      * @param {string} name - The name of the model.
-     * @param {string} model_path - The path to the model file (obj).
+     * @param {string} model_path - The path to the model file (obj, gltf, glb, stl or ply).
      * @param {Object} parsed_obj_data - The parsed object data containing 'geometries', 'materialLibs', and 'configs'.
      * @param {Object} parsed_materials - The parsed materials.
      * @param {WebGL2RenderingContext} gl - The WebGL2 context in which the model will be rendered.
      * @param {WebGLProgram} program - The WebGL program.
+     * @param {Object} material_textures - (Optional) The textures of the materials maps, by material name. See {@link FileLoader#load3DObject}.
      */
-    constructor(name, model_path, parsed_obj_data, parsed_materials, gl, program) {
+    constructor(name, model_path, parsed_obj_data, parsed_materials, gl, program, material_textures = {}) {
         // Set the name of the model
         this.#name = name;
         // Set the path to the model file
@@ -67,7 +114,9 @@ export default class Model3D {
         this.objects = [];
 
         if (parsed_obj_data && parsed_materials) {
-            this.#createObjects(parsed_obj_data, parsed_materials, gl, program);
+            this.#createObjects(parsed_obj_data, parsed_materials, material_textures, gl, program);
+
+            Model3D.#objects_users.set(this.objects, 1);
         }
     }
 
@@ -76,12 +125,13 @@ export default class Model3D {
      * 
      * @param {Object} parsed_obj_data - The parsed object data. Contains 'geometries', 'materialLibs' and 'configs'.
      * @param {Object} parsed_materials - The parsed materials.
+     * @param {Object} material_textures - The textures of the materials maps, by material name.
      * @param {WebGL2RenderingContext} gl - The WebGL2 context.
      * @param {WebGLProgram} program - The WebGL program.
      * 
      * @private
      */
-    #createObjects(parsed_obj_data, parsed_materials, gl, program) {
+    #createObjects(parsed_obj_data, parsed_materials, material_textures, gl, program) {
         const geometries = parsed_obj_data.geometries;
         const configs = parsed_obj_data.configs;
 
@@ -97,17 +147,19 @@ export default class Model3D {
             //       normal,
             //       color,
             //     },
+            //     processed, (the result of GeometryProcessor.process, if the geometry was already processed by the loader worker)
 
-            const data = geometries[g].data;
+            const processed = geometries[g].processed ?? GeometryProcessor.process(geometries[g].data, configs);
             const material = parsed_materials[geometries[g].material];
-            const obj = new Object3D(data, material, configs, gl, program);
+            const textures = material_textures[geometries[g].material] ?? {};
+            const obj = new Object3D(processed, material, gl, program, textures);
             
             this.objects.push(obj);
         }
     }
 
     /**
-     * Get the transformation matrix of the model.
+     * Get the transformation matrix of the model, relative to its parent (see getWorldMatrix).
      * 
      * @returns {Float32Array} The transformation matrix in column major order.
      */
@@ -116,7 +168,103 @@ export default class Model3D {
     }
 
     /**
-     * Get the transformation dictionary of the model.
+     * Get the world matrix of the model: its transformation matrix composed with the ones of its ancestors (parent * ... * model).
+     * This is the matrix used to render the model.
+     * 
+     * @returns {Float32Array} The world matrix in column major order.
+     */
+    getWorldMatrix() {
+        if (this.#world_matrix === null) {
+            this.#world_matrix = this.#parent !== null
+                ? GraphicsMath.multiplyMatrices(this.#parent.getWorldMatrix(), this.#transformation_matrix)
+                : this.#transformation_matrix;
+        }
+
+        return this.#world_matrix;
+    }
+
+    /**
+     * Get the world matrix of the parent model (the space where the transformation of the model is defined).
+     * 
+     * @returns {Float32Array} The world matrix of the parent in column major order, or the identity matrix if the model has no parent.
+     */
+    getParentWorldMatrix() {
+        return this.#parent !== null ? this.#parent.getWorldMatrix() : GraphicsMath.createIdentityMatrix();
+    }
+
+    /**
+     * Mark the world matrices of the model and its descendants to be computed again.
+     * 
+     * @private
+     */
+    #invalidateWorldMatrix() {
+        this.#world_matrix = null;
+
+        for (const child of this.#children) {
+            child.#invalidateWorldMatrix();
+        }
+    }
+
+    /**
+     * Get the parent of the model in the scene graph.
+     * 
+     * @returns {Model3D} The parent model, or null if the model is at the root of the scene.
+     */
+    getParent() {
+        return this.#parent;
+    }
+
+    /**
+     * Get the children of the model in the scene graph.
+     * 
+     * @returns {Model3D[]} The children models.
+     */
+    getChildren() {
+        return [...this.#children];
+    }
+
+    /**
+     * Check if a model is this model or one of its ancestors.
+     * 
+     * @param {Model3D} model - The model.
+     * @returns {boolean} True if the model is this model, its parent, the parent of its parent, and so on.
+     */
+    isDescendantOf(model) {
+        for (let m = this; m !== null; m = m.#parent) {
+            if (m === model) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Set the parent of the model in the scene graph. The transformation dictionary is kept, so it becomes relative to the new parent.
+     * 
+     * @param {Model3D} parent - The new parent, or null to move the model to the root of the scene.
+     * @throws {Error} If the parent is the model itself or one of its descendants.
+     */
+    setParent(parent) {
+        if (parent !== null && parent.isDescendantOf(this)) {
+            throw new Error('A model can\'t be a child of itself or of one of its descendants.');
+        }
+
+        if (this.#parent !== null) {
+            this.#parent.#children.splice(this.#parent.#children.indexOf(this), 1);
+        }
+
+        this.#parent = parent;
+
+        if (parent !== null) {
+            parent.#children.push(this);
+        }
+
+        this.#invalidateWorldMatrix();
+    }
+
+    /**
+     * Get the transformation dictionary of the model, relative to its parent.
      * 
      * @returns {Object} The transformation dictionary with the properties: translation, rotation, and scale.
      */
@@ -130,25 +278,28 @@ export default class Model3D {
      * @param {Object} dictionary - The dictionary with the transformation matrix properties: translation, rotation, and scale.
      */
     setTransformation(dictionary) {
-        const t = dictionary.translation;
-        const r = dictionary.rotation;
-        const s = dictionary.scale;
-
-        const t_m = GraphicsMath.createTranslationMatrix(t.x, t.y, t.z);
-
-        const r_x_m = GraphicsMath.createRotationMatrix(r.x, 'x');
-        const r_y_m = GraphicsMath.createRotationMatrix(r.y, 'y');
-        const r_z_m = GraphicsMath.createRotationMatrix(r.z, 'z');
-        const r_xy_m = GraphicsMath.multiplyMatrices(r_x_m, r_y_m);
-        const r_xyz_m = GraphicsMath.multiplyMatrices(r_xy_m, r_z_m);
+        this.#transformation_matrix = GraphicsMath.createTransformationMatrix(dictionary);
+        this.#transformation_dict = dictionary;
 
-        const s_m = GraphicsMath.createScaleMatrix(s.x, s.y, s.z);
+        this.#invalidateWorldMatrix();
+    }
 
-        const s_r = GraphicsMath.multiplyMatrices(r_xyz_m, s_m);
-        const s_r_p = GraphicsMath.multiplyMatrices(t_m, s_r);
+    /**
+     * Get the shadow settings of the model.
+     * 
+     * @returns {Object} An object with the properties: casts and receives.
+     */
+    getShadowProperties() {
+        return this.#shadow_properties;
+    }
 
-        this.#transformation_matrix = s_r_p;
-        this.#transformation_dict = dictionary;
+    /**
+     * Set the shadow settings of the model.
+     * 
+     * @param {Object} shadow_properties - An object with the properties: casts (the model is rendered in the shadow maps) and receives (shadows are applied to the model).
+     */
+    setShadowProperties(shadow_properties) {
+        this.#shadow_properties = { casts: shadow_properties.casts, receives: shadow_properties.receives };
     }
 
     /**
@@ -160,7 +311,10 @@ export default class Model3D {
         return {
             image_id: this.#model_texture_id,
             image_path: this.#model_texture_image !== null ? this.#model_texture_image.src : null,
-            color: this.#global_color
+            color: this.#global_color,
+            opacity: this.#opacity,
+            normal_map_id: this.#normal_map_id,
+            normal_map_path: this.#normal_map_image !== null ? this.#normal_map_image.src : null
         };
     }
 
@@ -198,8 +352,11 @@ export default class Model3D {
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
 
-            // Upload the image into the texture only after it has loaded
+            // Upload the image into the texture only after it has loaded. It must be bound again, since the render loop keeps binding other
+            // textures while the image loads.
             this.#model_texture_image.onload = () => {
+                gl.bindTexture(gl.TEXTURE_2D, this.#model_texture);
+
                 var mipLevel = 0;               // the largest mip
                 var internalFormat = gl.RGBA;   // format we want in the texture
                 var srcFormat = gl.RGBA;        // format of data we are supplying
@@ -211,6 +368,8 @@ export default class Model3D {
                     srcType,
                     this.#model_texture_image);
 
+                this.#model_texture_has_alpha = Model3D.#hasTranslucentPixels(this.#model_texture_image, texture_img_id);
+
                 // After the image has been uploaded, we have resolved the promise
                 resolve('Texture loaded successfully');
             };
@@ -242,6 +401,7 @@ export default class Model3D {
         this.#model_texture_image = null;
         this.#model_texture_id = '';
         this.#model_texture = null;
+        this.#model_texture_has_alpha = false;
     }
 
     /**
@@ -274,6 +434,156 @@ export default class Model3D {
         return this.#model_texture !== null;
     }
 
+    /**
+     * Check if the texture of the model has translucent pixels, so the model must be rendered in the transparent pass.
+     * 
+     * @returns {boolean} True if the model has a texture with an alpha lower than 1 in some pixel.
+     */
+    hasTextureAlpha() {
+        return this.#model_texture_has_alpha;
+    }
+
+    /**
+     * Reads the pixels of an image to find out if some of them are translucent. A copy of at most ALPHA_CHECK_SIZE pixels per side is
+     * read, so large images don't stall the render loop (the filtering of the copy keeps the translucent areas, but can miss isolated
+     * pixels), and the result is kept by image id.
+     * 
+     * @param {HTMLImageElement} image - A loaded image.
+     * @param {string} image_id - The id of the image (name_of_img + size), or an empty string if it has none.
+     * @returns {boolean} True if a pixel has an alpha lower than 255. False if the pixels can't be read (e.g. a cross-origin image), so the
+     * texture is drawn as opaque.
+     * 
+     * @private
+     */
+    static #hasTranslucentPixels(image, image_id) {
+        if (image_id && Model3D.#textures_alpha.has(image_id)) {
+            return Model3D.#textures_alpha.get(image_id);
+        }
+
+        let translucent = false;
+
+        try {
+            const scale = Math.min(1, Model3D.#ALPHA_CHECK_SIZE / Math.max(image.naturalWidth, image.naturalHeight, 1));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            const pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+
+            for (let i = 3; i < pixels.length && !translucent; i += 4) {
+                translucent = pixels[i] < 255;
+            }
+        } catch (error) {
+            translucent = false;
+        }
+
+        if (image_id) {
+            Model3D.#textures_alpha.set(image_id, translucent);
+        }
+
+        return translucent;
+    }
+
+    /**
+     * Get the texture of the model, to bind it to a specific texture unit.
+     * 
+     * @returns {WebGLTexture} The texture, or null if the model has no texture.
+     */
+    getTexture() {
+        return this.#model_texture;
+    }
+
+    /**
+     * Set the normal map of the model. The normal map is sampled with the same texture coordinates as the texture image.
+     * 
+     * @param {string} normal_map_path - The path to the normal map image.
+     * @param {string} normal_map_id - The identifier of the normal map image.
+     * @param {WebGL2RenderingContext} gl - The WebGL2 context.
+     * 
+     * @returns {Promise} A promise that resolves when the normal map is loaded successfully and rejects if there is an error loading the image.
+     */
+    async setNormalMap(normal_map_path, normal_map_id, gl) {
+        return new Promise((resolve, reject) => {
+            // Release the previous normal map (if any)
+            this.clearNormalMap(gl);
+
+            this.#normal_map_id = normal_map_id;
+
+            this.#normal_map_image = new Image();
+            this.#normal_map = gl.createTexture();
+
+            // Bind the texture to the active texture unit at bind point TEXTURE_2D
+            gl.bindTexture(gl.TEXTURE_2D, this.#normal_map);
+
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+            // Upload the image into the texture only after it has loaded. It must be bound again, since other textures may have been bound meanwhile.
+            this.#normal_map_image.onload = () => {
+                gl.bindTexture(gl.TEXTURE_2D, this.#normal_map);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.#normal_map_image);
+
+                resolve('Normal map loaded successfully');
+            };
+
+            this.#normal_map_image.onerror = () => reject('Error loading normal map image');
+
+            this.#normal_map_image.src = normal_map_path;
+        });
+    }
+
+    /**
+     * Clear the normal map of the model.
+     * 
+     * @param {WebGL2RenderingContext} gl - The WebGL2 context.
+     */
+    clearNormalMap(gl) {
+        if (this.#normal_map_image !== null) {
+            URL.revokeObjectURL(this.#normal_map_image.src);
+
+            gl.deleteTexture(this.#normal_map);
+        }
+
+        this.#normal_map_image = null;
+        this.#normal_map_id = '';
+        this.#normal_map = null;
+    }
+
+    /**
+     * Enable the normal map of the model for rendering, binding it to the active texture unit.
+     * 
+     * @param {WebGL2RenderingContext} gl - The WebGL2 context in which the model will be rendered.
+     */
+    enableNormalMap(gl) {
+        if (this.#normal_map !== null) {
+            gl.bindTexture(gl.TEXTURE_2D, this.#normal_map);
+        }
+    }
+
+    /**
+     * Check if the model has a normal map.
+     * 
+     * @returns {boolean} True if the model has a normal map, false otherwise.
+     */
+    hasNormalMap() {
+        return this.#normal_map !== null;
+    }
+
+    /**
+     * Get the normal map of the model, to bind it to a specific texture unit.
+     * 
+     * @returns {WebGLTexture} The normal map texture, or null if the model has no normal map.
+     */
+    getNormalMap() {
+        return this.#normal_map;
+    }
+
     /**
      * Set the global color of the model.
      * 
@@ -292,6 +602,24 @@ export default class Model3D {
         return this.#global_color;
     }
 
+    /**
+     * Set the opacity of the model.
+     * 
+     * @param {number} opacity - The opacity, from 0 (invisible) to 1 (opaque).
+     */
+    setOpacity(opacity) {
+        this.#opacity = Math.min(Math.max(opacity, 0.0), 1.0);
+    }
+
+    /**
+     * Get the opacity of the model.
+     * 
+     * @returns {number} The opacity, from 0 (invisible) to 1 (opaque).
+     */
+    getOpacity() {
+        return this.#opacity;
+    }
+
     /**
      * Get the renderable objects of the model.
      * 
@@ -301,6 +629,25 @@ export default class Model3D {
         return this.objects;
     }
 
+    /**
+     * Returns the size of the vertex buffers of the objects of the model (see Object3D.getMemoryUsage). The duplicates share the buffers.
+     * 
+     * @returns {Object} The sums for all the objects: { vertices, unique_vertices, array_bytes, indexed_bytes }.
+     */
+    getMemoryUsage() {
+        const usage = { vertices: 0, unique_vertices: 0, array_bytes: 0, indexed_bytes: 0 };
+
+        for (const obj of this.objects) {
+            const obj_usage = obj.getMemoryUsage();
+
+            for (const key in usage) {
+                usage[key] += obj_usage[key];
+            }
+        }
+
+        return usage;
+    }
+
     /**
      * Returns the name of the model.
      * 
@@ -345,28 +692,31 @@ export default class Model3D {
      * @param {WebGL2RenderingContext} gl - The WebGL2 context.
      */
     deleteModel(gl) {
-        // Check if the model has duplicates
+        // The texture and the normal map belong only to this model, even if it has duplicates
+        this.clearTexture(gl);
+        this.clearNormalMap(gl);
+
+        // Remove the current model from the mapping of duplicates
         if (Model3D.checkIfModelHasDuplicates(this.#model_path)) {
-            // Get the duplicates of the current model
             const duplicates = Model3D.#models_duplicates_mapping[this.#model_path];
 
-            // Remove the current model from the mapping
             const index = duplicates.indexOf(this.#name);
             duplicates.splice(index, 1);
 
-            // Clear the texture
-            this.clearTexture(gl);
-
-            // Check if after removing the current model from the mapping, we still have duplicates
-            if (duplicates.length > 0) {
-                // If we still have duplicates, we can't delete the entire model yet. Just return.
-                return;
-            } else {
-                // If not, delete the key from the mapping and we'll proceed to delete the entire model
+            if (duplicates.length === 0) {
                 delete Model3D.#models_duplicates_mapping[this.#model_path];
             }
         }
 
+        // If other models still use the objects (duplicates, including the deleted ones kept by the editor history), we can't delete them yet
+        const users = (Model3D.#objects_users.get(this.objects) ?? 1) - 1;
+
+        if (users > 0) {
+            Model3D.#objects_users.set(this.objects, users);
+            this.objects = [];
+            return;
+        }
+
         // Delete all objects in the model
         for (let i = 0; i < this.objects.length; i++) {
             this.objects[i].deleteObject(gl);
@@ -391,6 +741,7 @@ export default class Model3D {
 
         // Set new model's objects to the same objects as the current model
         new_model.objects = this.getRenderableObjects();
+        Model3D.#objects_users.set(new_model.objects, (Model3D.#objects_users.get(new_model.objects) ?? 1) + 1);
 
         // Add entries to the static mapping of duplicates if necessary
         if (!Model3D.checkIfModelHasDuplicates(this.#model_path)) {
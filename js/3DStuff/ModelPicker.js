@@ -0,0 +1,147 @@
+import DoLog from '../Logging/DoLog.js';
+
+import Model3D from './Model3D.js';
+
+/**
+ * Finds the model under a pixel of the canvas.
+ *
+ * The models are rendered into an offscreen framebuffer (the ID buffer), each one with a flat color that encodes its position in the
+ * list of models (24 bits, so up to 16777215 models). The color of the pixel is then read back and decoded. Only the picked pixel is
+ * rendered (scissor test), so the pass is cheap enough to run on each click.
+ *
+ * The depth test and the face culling are the same as in the main render pass, so the picked model is the one the user sees.
+ *
+ * @class
+ */
+export default class ModelPicker extends DoLog {
+    /** @type {WebGL2RenderingContext} */
+    #gl = null;
+    /** @type {WebGLProgram} */
+    #picking_program = null;
+    /** @type {WebGLFramebuffer} */
+    #framebuffer = null;
+    /** @type {WebGLRenderbuffer} */
+    #color_buffer = null;
+    /** @type {WebGLRenderbuffer} */
+    #depth_buffer = null;
+
+    #width = 0;
+    #height = 0;
+
+    #uniforms = null;
+
+    /**
+     * @param {DoLog} log - The logger object in which this object will log messages.
+     * @param {WebGL2RenderingContext} gl - The WebGL2 context.
+     * @param {WebGLProgram} picking_program - The program used in the picking pass (PickingVertexShader.glsl and PickingFragmentShader.glsl).
+     */
+    constructor(log, gl, picking_program) {
+        super(log, 'ModelPicker> ');
+
+        this.#gl = gl;
+        this.#picking_program = picking_program;
+
+        this.#uniforms = {
+            model_matrix: gl.getUniformLocation(picking_program, 'u_model_matrix'),
+            view_projection_matrix: gl.getUniformLocation(picking_program, 'u_view_projection_matrix'),
+            pick_color: gl.getUniformLocation(picking_program, 'u_pick_color')
+        };
+
+        this.#framebuffer = gl.createFramebuffer();
+        this.#color_buffer = gl.createRenderbuffer();
+        this.#depth_buffer = gl.createRenderbuffer();
+
+        this.LOG('Picking buffer created.', 'success');
+    }
+
+    /**
+     * Resizes the ID buffer to the size of the canvas, if it changed since the last pick.
+     */
+    #resizeBuffers() {
+        const gl = this.#gl;
+
+        if (this.#width === gl.canvas.width && this.#height === gl.canvas.height) {
+            return;
+        }
+
+        this.#width = gl.canvas.width;
+        this.#height = gl.canvas.height;
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, this.#color_buffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.RGBA8, this.#width, this.#height);
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, this.#depth_buffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, this.#width, this.#height);
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.#framebuffer);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, this.#color_buffer);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.#depth_buffer);
+    }
+
+    /**
+     * Returns the model rendered at a pixel of the canvas.
+     * After picking, the main program is bound again, as well as the default framebuffer.
+     *
+     * @param {number} x - The horizontal pixel coordinate, from the left of the canvas.
+     * @param {number} y - The vertical pixel coordinate, from the top of the canvas (as in mouse events).
+     * @param {Model3D[]} models - The models of the scene.
+     * @param {Float32Array} view_projection_matrix - The projection matrix multiplied by the camera matrix, in column major order.
+     * @param {WebGLProgram} main_program - The program to bind after the picking pass.
+     * @returns {Model3D} The model at the pixel, or null if there is no model there.
+     */
+    pick(x, y, models, view_projection_matrix, main_program) {
+        const gl = this.#gl;
+
+        this.#resizeBuffers();
+
+        // WebGL pixels start at the bottom of the canvas
+        const pixel_x = Math.floor(x);
+        const pixel_y = this.#height - 1 - Math.floor(y);
+
+        if (pixel_x < 0 || pixel_y < 0 || pixel_x >= this.#width || pixel_y >= this.#height) {
+            return null;
+        }
+
+        gl.useProgram(this.#picking_program);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.#framebuffer);
+        gl.viewport(0, 0, this.#width, this.#height);
+
+        // Only the picked pixel is needed
+        gl.enable(gl.SCISSOR_TEST);
+        gl.scissor(pixel_x, pixel_y, 1, 1);
+
+        // The clear color (0) means "no model"
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+        gl.uniformMatrix4fv(this.#uniforms.view_projection_matrix, false, view_projection_matrix);
+
+        models.forEach((model, i) => {
+            // The identifiers start at 1
+            const id = i + 1;
+
+            gl.uniform4f(this.#uniforms.pick_color, (id & 0xFF) / 255, ((id >> 8) & 0xFF) / 255, ((id >> 16) & 0xFF) / 255, 1.0);
+            gl.uniformMatrix4fv(this.#uniforms.model_matrix, false, model.getWorldMatrix());
+
+            for (const obj of model.getRenderableObjects()) {
+                gl.bindVertexArray(obj.getVAO());
+                gl.drawElements(gl.TRIANGLES, obj.getVertexCount(), obj.getIndexType(), 0);
+            }
+        });
+
+        const pixel = new Uint8Array(4);
+        gl.readPixels(pixel_x, pixel_y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+
+        // Restore the main pass state
+        gl.disable(gl.SCISSOR_TEST);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        gl.useProgram(main_program);
+
+        const id = pixel[0] | (pixel[1] << 8) | (pixel[2] << 16);
+
+        return id > 0 && id <= models.length ? models[id - 1] : null;
+    }
+}
\ No newline at end of file
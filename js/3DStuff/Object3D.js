@@ -1,34 +1,43 @@
-import GraphicsMath from "./GraphicsMath.js";
+import GeometryProcessor from "./GeometryProcessor.js";
 import VAOFactory from "./VAOFactory.js";
-import Vec4 from "./Vec4.js";
 
 /**
  * Represents a 3D object.
  * 
- * This object does not use indexed rendering, so the vertices are repeated for each face. This is because OBJs files are not properly indexed.
- * A single normal, color or texture coordinate can be shared between multiple vertices, turning impossible to use a single index buffer for all attributes of every vertex.
- * Therefore, it's easier to just repeat the attributes and use array rendering.
+ * The geometry of the object is processed before (see GeometryProcessor): its vertices are welded, and the object is drawn with an index buffer:
+ * gl.drawElements(gl.TRIANGLES, obj.getVertexCount(), obj.getIndexType(), 0).
  * 
  * @class
  * 
  * @property {WebGLVertexArrayObject} vao - The Vertex Array Object for this object.
- * @property {Object} geometry_data - Processed geometry data containing position, texcoord, normal, and color. This is mostly used for debugging purposes.
- * @property {number} vertex_count - The number of vertices in this object.
+ * @property {Object} geometry_data - Processed geometry data containing position, texcoord, normal, tangent, color and indices. This is mostly used for debugging purposes.
+ * @property {number} vertex_count - The number of vertices drawn (the number of indices).
+ * @property {number} index_type - The type of the indices: gl.UNSIGNED_SHORT, or gl.UNSIGNED_INT for the objects with more than 65536 unique vertices.
+ * @property {Object} bounding_box - The axis aligned bounding box of the object, in model coordinates: { min, max }.
+ * @property {Object} bounding_sphere - The bounding sphere of the object, in model coordinates: { center, radius }. The center is the center of the bounding box.
+ * @property {Object} textures - The textures of the material maps (diffuse, specular, bump and opacity), loaded from the MTL file.
+ * @property {boolean} has_vertex_alpha - True if a vertex color has an alpha lower than 1 (e.g. the COLOR_0 of a glTF file or the alpha of a PLY file).
  */
 export default class Object3D {
     #material = null;
     #vao = null;
     #geometry_data = null;
     #vertex_count = 0;
+    #index_type = 0;
+    #bounding_box = { min: [0, 0, 0], max: [0, 0, 0] };
+    #bounding_sphere = { center: [0, 0, 0], radius: 0 };
+    #textures = {};
+    #has_vertex_alpha = false;
+    /** @type {WebGLBuffer} */
+    #instance_buffer = null;
 
     /**
      * Creates a new Object3D.
      * 
-     * @param {Object} geometry_data - The geometry data containing position, texcoord, normal, and color attributes like this:
-     * @param {number[]} geometry_data.position - The position of the vertices.
-     * @param {number[]} geometry_data.texcoord - The texture coordinates of the vertices.
-     * @param {number[]} geometry_data.normal - The normals of the vertices.
-     * @param {number[]} geometry_data.color - The colors of the vertices.
+     * @param {Object} geometry - The processed geometry of the object, as returned by {@link GeometryProcessor.process}.
+     * @param {Object} geometry.data - The attributes of the welded vertices (position, texcoord, normal, color and tangent) and the indices.
+     * @param {Object} geometry.bounding_box - The bounding box of the object: { min, max }.
+     * @param {Object} geometry.bounding_sphere - The bounding sphere of the object: { center, radius }.
      * @param {Object} material - The material of the object.
      * @param {number} material.shininess - The shininess of the material.
      * @param {number[]} material.ambient - The ambient color of the material.
@@ -38,20 +47,33 @@ export default class Object3D {
      * @param {number} material.opticalDensity - The optical density of the material.
      * @param {number} material.opacity - The opacity of the material.
      * @param {number} material.illum - The illumination model of the material.
-     * @param {Object} configs - The configurations for the object processing. To check the available configurations, see {@link FileLoader#load3DObject}.
+     * @param {Object} material.diffuseMap - The diffuse texture map (map_Kd), with the properties: path, bumpMultiplier and channel.
+     * @param {Object} material.specularMap - The specular texture map (map_Ks).
+     * @param {Object} material.bumpMap - The bump texture map (map_Bump).
+     * @param {Object} material.opacityMap - The opacity texture map (map_d).
      * @param {WebGLRenderingContext} gl - The WebGL rendering context.
      * @param {WebGLProgram} program - The WebGL program.
+     * @param {Object} textures - (Optional) The textures of the material maps: { diffuse, specular, bump, opacity }. Missing maps are not present.
      * 
      * @constructor
      */
-    constructor(geometry_data, material, configs, gl, program) {
-        this.#geometry_data = this.#processGeometryData(geometry_data, configs);
+    constructor(geometry, material, gl, program, textures = {}) {
+        this.#geometry_data = geometry.data;
         this.#material = material;
+        this.#textures = textures;
 
         const vao_config = this.#createVAOConfig(this.#geometry_data, gl);
 
         this.#vao = VAOFactory.buildVAO(vao_config, gl, program);
-        this.#vertex_count = this.#countVertices(geometry_data);
+        this.#vertex_count = this.#geometry_data.indices.length;
+        this.#index_type = this.#geometry_data.indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+        this.#bounding_box = geometry.bounding_box;
+        this.#bounding_sphere = geometry.bounding_sphere;
+
+        const color = this.#geometry_data.color;
+        for (let i = 3; i < color.length && !this.#has_vertex_alpha; i += 4) {
+            this.#has_vertex_alpha = color[i] < 1.0;
+        }
     }
 
     getMaterial() {
@@ -66,34 +88,118 @@ export default class Object3D {
         return this.#vertex_count;
     }
 
+    /**
+     * @returns {number} The type of the index buffer, to draw the object with gl.drawElements (gl.UNSIGNED_SHORT or gl.UNSIGNED_INT).
+     */
+    getIndexType() {
+        return this.#index_type;
+    }
+
+    /**
+     * Returns the size of the vertex buffers of the object, compared with the size they would have without welding the vertices.
+     * 
+     * @returns {Object} { vertices, unique_vertices, array_bytes, indexed_bytes }: the number of vertices drawn, the number of vertices
+     * after welding, the bytes of the attributes with a vertex per face corner, and the bytes of the welded attributes plus the indices.
+     */
+    getMemoryUsage() {
+        const data = this.#geometry_data;
+        const unique_vertices = data.position.length / 3;
+        const attributes_bytes = data.position.byteLength + data.texcoord.byteLength + data.normal.byteLength + data.color.byteLength + data.tangent.byteLength;
+        const vertex_bytes = unique_vertices > 0 ? attributes_bytes / unique_vertices : 0;
+
+        return {
+            vertices: this.#vertex_count,
+            unique_vertices: unique_vertices,
+            array_bytes: this.#vertex_count * vertex_bytes,
+            indexed_bytes: attributes_bytes + data.indices.byteLength
+        };
+    }
+
+    /**
+     * Returns the center of the object bounding box. Used to sort transparent objects by their distance to the camera.
+     * 
+     * @returns {number[]} The center [x, y, z] in model coordinates.
+     */
+    getCenter() {
+        return this.#bounding_sphere.center;
+    }
+
+    /**
+     * Returns the axis aligned bounding box of the object. Used by the frustum culling (see Frustum).
+     * 
+     * @returns {Object} { min, max }: the minimum and maximum corners [x, y, z], in model coordinates.
+     */
+    getBoundingBox() {
+        return this.#bounding_box;
+    }
+
+    /**
+     * Returns the bounding sphere of the object. Used by the frustum culling (see Frustum).
+     * 
+     * @returns {Object} { center, radius }: the center [x, y, z] (the center of the bounding box) and the radius, in model coordinates.
+     */
+    getBoundingSphere() {
+        return this.#bounding_sphere;
+    }
+
+    /**
+     * Checks if the vertex colors of the object are translucent. They are only drawn when the object has no material color nor texture,
+     * so the object must then be rendered in the transparent pass.
+     * 
+     * @returns {boolean} True if a vertex color has an alpha lower than 1.
+     */
+    hasVertexAlpha() {
+        return this.#has_vertex_alpha;
+    }
+
+    /**
+     * Returns the textures of the material maps.
+     * 
+     * @returns {Object} An object with the available textures: { diffuse, specular, bump, opacity }.
+     */
+    getTextures() {
+        return this.#textures;
+    }
+
     /**
      * This is mostly used for debugging purposes.
      * 
-     * @returns {Object} The geometry data containing position, texcoord, normal, and color attributes.
+     * @returns {Object} The geometry data containing the position, texcoord, normal, color and tangent attributes of the welded vertices,
+     * and the indices of the vertices of each triangle.
      */
     getGeometryData() {
         return this.#geometry_data;
     }
 
     /**
-     * Deletes the VAO object from the GPU. This should trigger the garbage collector to free the memory.
+     * Sets the buffer of the per instance attributes read by the VAO, when the duplicates of the model are drawn with instancing (see
+     * InstancedRenderer). It is deleted with the object.
      * 
-     * @param {WebGLRenderingContext} gl - The WebGL rendering context.
+     * @param {WebGLBuffer} buffer - The instance buffer, shared by the objects of the model.
      */
-    deleteObject(gl) {
-        gl.deleteVertexArray(this.#vao);
+    setInstanceBuffer(buffer) {
+        this.#instance_buffer = buffer;
     }
 
     /**
-     * Returns the number of vertices in the geometry data.
-     * 
-     * @param {Object} geometry_data - The geometry data containing position, texcoord, normal, and color attributes.
-     * @returns {number} The number of vertices in the geometry data.
+     * Deletes the VAO object, the instance buffer (if any) and the material textures from the GPU. This should trigger the garbage collector
+     * to free the memory.
      * 
-     * @private
+     * @param {WebGLRenderingContext} gl - The WebGL rendering context.
      */
-    #countVertices(geometry_data) {
-        return geometry_data.position.length / 3;
+    deleteObject(gl) {
+        gl.deleteVertexArray(this.#vao);
+
+        // The instance buffer is shared by the objects of the model, deleting it twice is harmless
+        if (this.#instance_buffer !== null) {
+            gl.deleteBuffer(this.#instance_buffer);
+            this.#instance_buffer = null;
+        }
+
+        // The textures may be shared with other objects of the same model, deleting them twice is harmless
+        for (const texture of Object.values(this.#textures)) {
+            gl.deleteTexture(texture);
+        }
     }
 
     /**
@@ -103,7 +209,7 @@ export default class Object3D {
      *
      * @param {Object} geometry_data - The geometry data containing position, texcoord, normal, and color attributes.
      * @param {WebGLRenderingContext} gl - The WebGL rendering context.
-     * @returns {Object} An object containing the configuration for each attribute (position, texcoord, normal, color).
+     * @returns {Object} An object containing the configuration for each attribute (position, texcoord, normal, color, tangent) and the indices.
      * 
      * @private
      */
@@ -140,125 +246,18 @@ export default class Object3D {
                 normalize: false,
                 stride: 0,
                 offset: 0
-            }
+            },
+            'a_tangent': {
+                data: geometry_data.tangent,
+                components_per_attr: 4,
+                data_type: gl.FLOAT,
+                normalize: false,
+                stride: 0,
+                offset: 0
+            },
+            [VAOFactory.INDEX_BUFFER_KEY]: geometry_data.indices
         }
 
         return config;
     }
-
-    /**
-     * Processes the geometry data preparing the proper arrays formats for each attribute according to the configurations provided.
-     * 
-     * @param {Object} geometry_data - The geometry data containing position, texcoord, normal and color attributes.
-     * @param {Object} configs - The configurations for the object processing. To check the available configurations, see {@link FileLoader}.
-     * @returns {Object} The geometry data with the proper arrays for each attribute.
-     */
-    #processGeometryData(geometry_data, configs) {
-        const processed_data = {};
-
-        // Prepare the correct array for positions
-        const positions = new Float32Array(geometry_data.position);
-
-        // Check if texcoord are present
-        if (!('texcoord' in geometry_data)) {
-            const texcoord_length = positions.length / 3 * 2; // Calculate the length of the texcoord array
-            geometry_data.texcoord = new Array(texcoord_length).fill(0); // If not, create an array filled with zeros
-        }
-
-        // Check if we need to generate normals
-        if (configs.generate_normals) {
-            geometry_data.normal = this.#calculateNormals(positions); // If not, calculate the normals
-        }
-        // Check if normals are present
-        else if (!('normal' in geometry_data)) {
-            // If normals are not present and the user does not want to generate them, create an array filled with zeros.
-            const normal_length = positions.length; // Calculate the length of the normal array
-            geometry_data.normal = new Array(normal_length).fill(0); // Create an array filled with zeros
-        }
-
-        // Create the expected arrays format
-        const texcoord = new Float32Array(geometry_data.texcoord);
-        const normal = new Float32Array(geometry_data.normal);
-
-        // Check if color is present
-        let color;
-        const color_expected_length = positions.length / 3 * 4; // Calculate the expected length of the color array
-
-        // Processing color data
-        if (!('color' in geometry_data) || geometry_data.color.length === 0) {
-            // If not, create an array filled with random colors (just to have some color)
-            color = new Float32Array(color_expected_length);
-
-            for (let i = 0; i < color_expected_length / 4; i++) {
-                color[i * 4] = Math.random();
-                color[i * 4 + 1] = Math.random();
-                color[i * 4 + 2] = Math.random();
-                color[i * 4 + 3] = 1.0;
-            }
-        } else if (geometry_data.color.length < color_expected_length) {
-            // This means that the color array is missing the alpha channel, let's add it with a value of 1.0
-            color = new Float32Array(color_expected_length);
-
-            for (let i = 0; i < color_expected_length / 4; i++) {
-                color[i * 4] = geometry_data.color[i * 3];
-                color[i * 4 + 1] = geometry_data.color[i * 3 + 1];
-                color[i * 4 + 2] = geometry_data.color[i * 3 + 2];
-                color[i * 4 + 3] = 1.0;
-            }
-        } else {
-            // The color array has the correct length, so we can just create the Float32Array
-            color = new Float32Array(geometry_data.color);
-        }
-
-        // Assign the processed data to the return object
-        processed_data.position = positions;
-        processed_data.texcoord = texcoord;
-        processed_data.normal = normal;
-        processed_data.color = color;
-
-        return processed_data;
-    }
-
-    #calculateNormals(positions) {
-        const normals = new Array(positions.length).fill(0);
-
-        const vertexes_mapping = {}; // Mapping of vertexes ids to their vertex_info
-
-        for (let i = 0; i < positions.length; i += 9) {
-            const v1 = [positions[i], positions[i + 1], positions[i + 2]];
-            const v2 = [positions[i + 3], positions[i + 4], positions[i + 5]];
-            const v3 = [positions[i + 6], positions[i + 7], positions[i + 8]];
-
-            const normal = GraphicsMath.calculateNormal(v1, v2, v3);
-
-            const v1_id = v1.join(',');
-            const v2_id = v2.join(',');
-            const v3_id = v3.join(',');
-
-            const normal_vec4 = new Vec4(normal[0], normal[1], normal[2], 0);
-            for (let [id, k] of [[v1_id, i], [v2_id, i + 3], [v3_id, i + 6]]) {
-                if (id in vertexes_mapping) {
-                    vertexes_mapping[id].normal = vertexes_mapping[id].normal.add(normal_vec4);
-                    vertexes_mapping[id].indexes.push(k);
-                } else {
-                    vertexes_mapping[id] = {
-                        normal: normal_vec4,
-                        indexes: [k],
-                    };
-                }
-            }
-        }
-
-        // Normalize normals
-        for (let v in vertexes_mapping) {
-            const normal = vertexes_mapping[v].normal.normalize();
-            for (let i of vertexes_mapping[v].indexes) {
-                normals[i] = normal.x;
-                normals[i + 1] = normal.y;
-                normals[i + 2] = normal.z;
-            }
-        }
-
-        return normals;
-    }
 }
\ No newline at end of file
@@ -6,6 +6,8 @@ import { Color, WebGLUtils } from './WebGLUtils.js';
 import GraphicsMath from './GraphicsMath.js';
 import Camera from './Camera.js';
 import Vec4 from './Vec4.js';
+import ShaderProgram from './ShaderProgram.js';
+import FrameTimer from './FrameTimer.js';
 
 
 export default class PreviewCanvas extends DoLog {
@@ -14,8 +16,12 @@ export default class PreviewCanvas extends DoLog {
 
 	#gl = null;
 	#program = null;
+	/** @type {ShaderProgram} */
+	#shader_program = null;
 	#wgl_utils = null;
 	#camera = null;
+	/** @type {FrameTimer} */
+	#frame_timer = new FrameTimer(PreviewCanvas.#FPS);
 
 	#file_loader = null;
 	/** @type {Model3D} */
@@ -28,9 +34,8 @@ export default class PreviewCanvas extends DoLog {
 	static #clearColor = new Color(1.0, 1.0, 1.0, 1.0); // White
 	static #STARTING_CAMERA_LOCATION = new Vec4(0, 0, -10, 1);
 	static #FPS = 30;
-	static #fps_limit = 1000 / PreviewCanvas.#FPS;
 	static #fps_frame_counter = 0;
-	static #ROTATION_AMOUNT = GraphicsMath.degToRad(-1); // 1 degree per frame
+	static #ROTATION_SPEED = GraphicsMath.degToRad(-30); // 30 degrees per second
 
 	constructor(canvasID, vs, fs, log) {
 		super(log, canvasID + '> ');
@@ -57,13 +62,12 @@ export default class PreviewCanvas extends DoLog {
 		}
 		this.#gl.useProgram(program);
 		this.#program = program;
+		this.#shader_program = ShaderProgram.get(this.#gl, program);
 
 		// Creating camera
 		this.#camera = new Camera(PreviewCanvas.#STARTING_CAMERA_LOCATION);
 
-		const camera_uniform = this.#gl.getUniformLocation(program, 'u_camera_matrix');
-		const camera_matrix = this.#camera.getCameraMatrix();
-		this.#gl.uniformMatrix4fv(camera_uniform, false, camera_matrix);
+		this.#shader_program.setMat4('u_camera_matrix', this.#camera.getCameraMatrix());
 
 		// Creating projection matrix
 		const fov = 30;
@@ -72,16 +76,17 @@ export default class PreviewCanvas extends DoLog {
 		const far = 100;
 		const projection_matrix = GraphicsMath.createProjectionMatrix(fov, aspect_ratio, near, far);
 
-		const projection_uniform = this.#gl.getUniformLocation(program, 'u_perspective_projection');
-		const enable_texture_uniform = this.#gl.getUniformLocation(this.#program, 'u_enable_texture');
-		const enable_lighting_uniform = this.#gl.getUniformLocation(this.#program, 'u_enable_lighting');
-
 		// Set projection matrix (all preview canvases have the same projection matrix)
-		this.#gl.uniformMatrix4fv(projection_uniform, false, projection_matrix);
+		this.#shader_program.setMat4('u_perspective_projection', projection_matrix);
 		// Disable texture (preview models don't have textures)
-		this.#gl.uniform1i(enable_texture_uniform, false);
+		this.#shader_program.setInt('u_enable_texture', false);
 		// Disable lighting (preview models don't have lighting)
-		this.#gl.uniform1i(enable_lighting_uniform, false);
+		this.#shader_program.setInt('u_enable_lighting', false);
+		// The shadow maps sampler can't share the texture unit 0 with u_texture, since they have different types
+		this.#shader_program.setInt('u_shadow_maps', 1);
+		// Preview models are always opaque
+		this.#shader_program.setFloat('u_material_opacity', 1.0);
+		this.#shader_program.setFloat('u_model_opacity', 1.0);
 
 		// Enable depth test and culling
 		this.#gl.enable(this.#gl.DEPTH_TEST);
@@ -107,6 +112,8 @@ export default class PreviewCanvas extends DoLog {
 		}
 
 		this.#model = await this.#file_loader.load3DObject(model_path, this.#gl, this.#program);
+		// Loading the model binds its VAOs and textures
+		this.#shader_program.resetState();
 
 		this.enableRender();
 	}
@@ -130,23 +137,23 @@ export default class PreviewCanvas extends DoLog {
 			return;
 		}
 
-		// Getting uniform locations
-		const transformation_uniform = this.#gl.getUniformLocation(this.#program, 'u_model_matrix');
-		const enable_v_color_uniform = this.#gl.getUniformLocation(this.#program, 'u_enable_vertex_color');
-		const enable_m_color_uniform = this.#gl.getUniformLocation(this.#program, 'u_enable_material_color');
-		const material_color_uniform = this.#gl.getUniformLocation(this.#program, 'u_material_color');
+		// The animation frames that come before the frame cap allows are skipped
+		if (!this.#frame_timer.beginFrame(s_time)) {
+			requestAnimationFrame(this.renderLoop.bind(this));
+			return;
+		}
 
-		// Set transformation of the model
+		// Set transformation of the model (it rotates at the same speed with any frame rate)
 		const transformation_dictionary = this.#model.getTransformationDict();
-		transformation_dictionary.rotation.y += PreviewCanvas.#ROTATION_AMOUNT;
+		transformation_dictionary.rotation.y += PreviewCanvas.#ROTATION_SPEED * this.#frame_timer.getDelta();
 		this.#model.setTransformation(transformation_dictionary);
 
-		this.#gl.uniformMatrix4fv(transformation_uniform, false, this.#model.getTransformationMatrix());
+		this.#shader_program.setMat4('u_model_matrix', this.#model.getTransformationMatrix());
 
 		// Clearing the canvas
 		this.#wgl_utils.clearCanvas(PreviewCanvas.#clearColor, this.#gl);
 
-		// Rendering the model
+		// Rendering the model (the uniforms that don't change between frames or objects are not uploaded again, see ShaderProgram)
 		const model_geometries = this.#model.getRenderableObjects();
 		for (let i = 0; i < model_geometries.length; i++) {
 			const geometry = model_geometries[i];
@@ -157,43 +164,33 @@ export default class PreviewCanvas extends DoLog {
 			// Enable material color, if it exists
 			if ('diffuse' in material) {
 				// Disable vertex color
-				this.#gl.uniform1i(enable_v_color_uniform, false);
+				this.#shader_program.setInt('u_enable_vertex_color', false);
 				// Enable material color
-				this.#gl.uniform1i(enable_m_color_uniform, true);
+				this.#shader_program.setInt('u_enable_material_color', true);
 
 				// Set material color
-				this.#gl.uniform3fv(material_color_uniform, new Float32Array(material.diffuse));
+				this.#shader_program.setVec3('u_material_color', material.diffuse);
 			} else {
 				// Disable material color
-				this.#gl.uniform1i(enable_m_color_uniform, false);
+				this.#shader_program.setInt('u_enable_material_color', false);
 				// Enable vertex color (it has random colors by default)
-				this.#gl.uniform1i(enable_v_color_uniform, true);
+				this.#shader_program.setInt('u_enable_vertex_color', true);
 			}
 
-			this.#gl.bindVertexArray(vao);
+			this.#shader_program.bindVertexArray(vao);
 
-			this.#gl.drawArrays(this.#gl.TRIANGLES, 0, geometry.getVertexCount());
+			this.#gl.drawElements(this.#gl.TRIANGLES, geometry.getVertexCount(), geometry.getIndexType(), 0);
 		}
 
-		const end_time = performance.now();
-		const elapsed_time = end_time - s_time;
-		const time_to_wait = PreviewCanvas.#fps_limit - elapsed_time;
+		this.#frame_timer.endFrame();
 
-		const callback = () => {
-			requestAnimationFrame(this.renderLoop.bind(this));
-
-			PreviewCanvas.#fps_frame_counter++;
+		requestAnimationFrame(this.renderLoop.bind(this));
 
-			if (this.debug_log && PreviewCanvas.#fps_frame_counter >= PreviewCanvas.#FPS) {
-				this.LOG(`FPS: ${Math.round(1000 / (elapsed_time + Math.abs(time_to_wait)))}`, 'info');
-				PreviewCanvas.#fps_frame_counter = 0;
-			}
-		}
+		PreviewCanvas.#fps_frame_counter++;
 
-		if (time_to_wait > 0) {
-			setTimeout(callback, time_to_wait);
-		} else {
-			callback();
+		if (this.debug_log && PreviewCanvas.#fps_frame_counter >= PreviewCanvas.#FPS) {
+			this.LOG(`FPS: ${Math.round(this.#frame_timer.getFPS())}`, 'info');
+			PreviewCanvas.#fps_frame_counter = 0;
 		}
 	}
 }
\ No newline at end of file
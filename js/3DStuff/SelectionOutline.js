@@ -0,0 +1,194 @@
+import DoLog from '../Logging/DoLog.js';
+
+import Model3D from './Model3D.js';
+import { Color } from './WebGLUtils.js';
+
+/**
+ * Draws an outline around the selected models, as a post-process edge pass.
+ *
+ * The models are first rendered into a mask texture (with the picking program, in a flat color). Then a full screen pass draws the outline
+ * color in the pixels outside the mask that have a masked pixel closer than the outline thickness. The mask is rendered without depth test,
+ * so the whole silhouette of the selection is outlined, even the parts hidden behind other models.
+ *
+ * @class
+ */
+export default class SelectionOutline extends DoLog {
+    /**
+     * Maximum outline thickness in pixels. Each pixel of the outline pass samples the mask (2 * thickness + 1)^2 times.
+     *
+     * @type {number}
+     * @static
+     */
+    static MAX_THICKNESS = 10;
+
+    /** @type {WebGL2RenderingContext} */
+    #gl = null;
+    /** @type {WebGLProgram} */
+    #mask_program = null;
+    /** @type {WebGLProgram} */
+    #outline_program = null;
+    /** @type {WebGLTexture} */
+    #mask_texture = null;
+    /** @type {WebGLFramebuffer} */
+    #framebuffer = null;
+    /** @type {WebGLVertexArrayObject} */
+    #empty_vao = null; // The full screen triangle has no vertex attributes, but a VAO must be bound to draw
+
+    #texture_unit = 0;
+    #width = 0;
+    #height = 0;
+
+    /** @type {Color} */
+    #color = new Color(1.0, 0.6, 0.0, 1.0);
+    #thickness = 3;
+
+    #mask_uniforms = null;
+    #outline_uniforms = null;
+
+    /**
+     * @param {DoLog} log - The logger object in which this object will log messages.
+     * @param {WebGL2RenderingContext} gl - The WebGL2 context.
+     * @param {WebGLProgram} mask_program - The program used to render the mask (the picking program: PickingVertexShader.glsl and PickingFragmentShader.glsl).
+     * @param {WebGLProgram} outline_program - The program of the edge pass (OutlineVertexShader.glsl and OutlineFragmentShader.glsl).
+     * @param {number} texture_unit - The texture unit in which the mask will be bound. It must not be used by any other texture.
+     */
+    constructor(log, gl, mask_program, outline_program, texture_unit) {
+        super(log, 'SelectionOutline> ');
+
+        this.#gl = gl;
+        this.#mask_program = mask_program;
+        this.#outline_program = outline_program;
+        this.#texture_unit = texture_unit;
+
+        this.#mask_uniforms = {
+            model_matrix: gl.getUniformLocation(mask_program, 'u_model_matrix'),
+            view_projection_matrix: gl.getUniformLocation(mask_program, 'u_view_projection_matrix'),
+            color: gl.getUniformLocation(mask_program, 'u_pick_color')
+        };
+
+        this.#outline_uniforms = {
+            mask: gl.getUniformLocation(outline_program, 'u_mask'),
+            color: gl.getUniformLocation(outline_program, 'u_outline_color'),
+            thickness: gl.getUniformLocation(outline_program, 'u_thickness')
+        };
+
+        this.#mask_texture = gl.createTexture();
+        this.#framebuffer = gl.createFramebuffer();
+        this.#empty_vao = gl.createVertexArray();
+
+        this.LOG('Selection outline created.', 'success');
+    }
+
+    getColor() {
+        return this.#color;
+    }
+
+    /**
+     * @param {Color} color - The outline color. The alpha channel is used to blend the outline with the scene.
+     */
+    setColor(color) {
+        this.#color = color;
+    }
+
+    getThickness() {
+        return this.#thickness;
+    }
+
+    /**
+     * @param {number} thickness - The outline thickness in pixels, clamped to [1, MAX_THICKNESS].
+     */
+    setThickness(thickness) {
+        this.#thickness = Math.min(Math.max(Math.round(thickness), 1), SelectionOutline.MAX_THICKNESS);
+    }
+
+    /**
+     * Resizes the mask to the size of the canvas, if it changed since the last frame.
+     */
+    #resizeMask() {
+        const gl = this.#gl;
+
+        if (this.#width === gl.canvas.width && this.#height === gl.canvas.height) {
+            return;
+        }
+
+        this.#width = gl.canvas.width;
+        this.#height = gl.canvas.height;
+
+        gl.activeTexture(gl.TEXTURE0 + this.#texture_unit);
+        gl.bindTexture(gl.TEXTURE_2D, this.#mask_texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, this.#width, this.#height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        // Go back to the default texture unit, used by the models textures
+        gl.activeTexture(gl.TEXTURE0);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.#framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.#mask_texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Draws the outline of the selected models over the scene. The models share a single mask, so the selection gets one outline
+     * around its whole silhouette. After rendering, the main program is bound again.
+     *
+     * @param {Model3D[]} models - The selected models.
+     * @param {Float32Array} view_projection_matrix - The projection matrix multiplied by the camera matrix, in column major order.
+     * @param {WebGLProgram} main_program - The program to bind after the outline pass.
+     */
+    render(models, view_projection_matrix, main_program) {
+        const gl = this.#gl;
+
+        this.#resizeMask();
+
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.CULL_FACE);
+
+        // Mask pass
+        gl.useProgram(this.#mask_program);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.#framebuffer);
+        gl.viewport(0, 0, this.#width, this.#height);
+
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        gl.uniform4f(this.#mask_uniforms.color, 1, 1, 1, 1);
+        gl.uniformMatrix4fv(this.#mask_uniforms.view_projection_matrix, false, view_projection_matrix);
+
+        for (const model of models) {
+            gl.uniformMatrix4fv(this.#mask_uniforms.model_matrix, false, model.getWorldMatrix());
+
+            for (const obj of model.getRenderableObjects()) {
+                gl.bindVertexArray(obj.getVAO());
+                gl.drawElements(gl.TRIANGLES, obj.getVertexCount(), obj.getIndexType(), 0);
+            }
+        }
+
+        // Edge pass, blended over the scene
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        gl.useProgram(this.#outline_program);
+
+        gl.activeTexture(gl.TEXTURE0 + this.#texture_unit);
+        gl.bindTexture(gl.TEXTURE_2D, this.#mask_texture);
+        gl.activeTexture(gl.TEXTURE0);
+
+        gl.uniform1i(this.#outline_uniforms.mask, this.#texture_unit);
+        gl.uniform4fv(this.#outline_uniforms.color, this.#color.getRGBA());
+        gl.uniform1i(this.#outline_uniforms.thickness, this.#thickness);
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+        gl.bindVertexArray(this.#empty_vao);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+        // Restore the main pass state
+        gl.disable(gl.BLEND);
+        gl.enable(gl.CULL_FACE);
+        gl.enable(gl.DEPTH_TEST);
+        gl.useProgram(main_program);
+    }
+}
\ No newline at end of file
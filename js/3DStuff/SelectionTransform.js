@@ -0,0 +1,199 @@
+import GraphicsMath from "./GraphicsMath.js";
+import Model3D from "./Model3D.js";
+import Vec4 from "./Vec4.js";
+
+/**
+ * Applies the transformation of the active model to all the selected models, around a shared pivot.
+ *
+ * The change of the active model (from its transformation before the edit to the one after it) is turned into a relative transformation:
+ * - The rotation change is applied to the orientation of every model, and their positions are rotated around the pivot.
+ * - The scale change (a factor per local axis of the active model) multiplies the scale of every model, and the positions are scaled
+ *   around the pivot along the axes of the active model.
+ * - The translation change moves every model by the same offset.
+ * With the pivot on the centroid, rotating or scaling the active model also moves it around the centroid.
+ *
+ * The transformations of child models are relative to their parents, so the relative transformation is computed and applied in world space.
+ * A model whose ancestor is also selected is not transformed, since it already follows its ancestor.
+ *
+ * @class
+ */
+export default class SelectionTransform {
+    /**
+     * The pivot is the center of the positions of the selected models.
+     *
+     * @type {string}
+     * @static
+     */
+    static CENTROID = 'centroid';
+
+    /**
+     * The pivot is the position of the active model.
+     *
+     * @type {string}
+     * @static
+     */
+    static ACTIVE = 'active';
+
+    /**
+     * Returns the selected models that must be transformed: the ones without a selected ancestor.
+     * If the active model is a descendant of another selected model, only the active model is transformed.
+     *
+     * @param {Model3D[]} models - The selected models.
+     * @param {Model3D} active_model - The active model.
+     * @returns {Model3D[]} The models to transform.
+     * @static
+     */
+    static getTransformedModels(models, active_model) {
+        const top_models = models.filter((model) => !models.some((other) => other !== model && model.isDescendantOf(other)));
+
+        return top_models.includes(active_model) ? top_models : [active_model];
+    }
+
+    /**
+     * Returns the world matrices of the parents of some models (see Model3D.getParentWorldMatrix), to be used by apply.
+     *
+     * @param {Model3D[]} models - The models.
+     * @returns {Float32Array[]} The matrices, in the same order. Null for the models without a parent.
+     * @static
+     */
+    static getParentMatrices(models) {
+        return models.map((model) => model.getParent() !== null ? model.getParentWorldMatrix() : null);
+    }
+
+    /**
+     * Returns the pivot of a selection.
+     *
+     * @param {Object[]} transformations - The transformation dictionaries of the selected models.
+     * @param {Object} active_transformation - The transformation dictionary of the active model.
+     * @param {string} pivot_mode - SelectionTransform.CENTROID or SelectionTransform.ACTIVE.
+     * @returns {Vec4} The pivot point.
+     * @static
+     */
+    static getPivot(transformations, active_transformation, pivot_mode) {
+        if (pivot_mode === SelectionTransform.ACTIVE || transformations.length === 0) {
+            const t = active_transformation.translation;
+            return new Vec4(t.x, t.y, t.z, 1);
+        }
+
+        const sum = transformations.reduce((acc, transformation) => {
+            const t = transformation.translation;
+            return acc.add(new Vec4(t.x, t.y, t.z, 0));
+        }, new Vec4(0, 0, 0, 0));
+
+        return new Vec4(sum.x / transformations.length, sum.y / transformations.length, sum.z / transformations.length, 1);
+    }
+
+    /**
+     * Computes the new transformations of the selected models after the active model changed.
+     *
+     * @param {Object[]} transformations - The transformation dictionaries of the models before the edit (relative to their parents).
+     * @param {Float32Array[]} parent_matrices - The world matrices of the parents of the models (see getParentMatrices).
+     * @param {number} active_index - The index of the active model in the transformations.
+     * @param {Object} active_after - The transformation dictionary of the active model after the edit (relative to its parent).
+     * @param {string} pivot_mode - SelectionTransform.CENTROID or SelectionTransform.ACTIVE.
+     * @returns {Object[]} The new transformation dictionaries (relative to the parents), in the same order.
+     * @static
+     */
+    static apply(transformations, parent_matrices, active_index, active_after, pivot_mode) {
+        const toWorld = (transformation, parent_matrix) => parent_matrix !== null
+            ? GraphicsMath.decomposeMatrix(GraphicsMath.multiplyMatrices(parent_matrix, GraphicsMath.createTransformationMatrix(transformation)))
+            : transformation;
+
+        const world_transformations = transformations.map((transformation, i) => toWorld(transformation, parent_matrices[i]));
+        const active_before = world_transformations[active_index];
+        const pivot = SelectionTransform.getPivot(world_transformations, active_before, pivot_mode);
+
+        const world_after = SelectionTransform.#applyInWorld(world_transformations, active_index, toWorld(active_after, parent_matrices[active_index]), pivot);
+
+        // Back to the space of the parents
+        return world_after.map((transformation, i) => {
+            const parent_matrix = parent_matrices[i];
+
+            if (parent_matrix === null) {
+                return transformation;
+            }
+
+            const to_parent = GraphicsMath.invertAffineMatrix(parent_matrix);
+
+            if (to_parent === null) {
+                return structuredClone(transformations[i]);
+            }
+
+            if (i === active_index) {
+                // The active model keeps the exact values of the edit, only its position can be changed by the pivot
+                const t = transformation.translation;
+                const position = new Vec4(t.x, t.y, t.z, 1).applyTransformationMatrix(to_parent);
+
+                return { translation: { x: position.x, y: position.y, z: position.z }, rotation: { ...active_after.rotation }, scale: { ...active_after.scale } };
+            }
+
+            return GraphicsMath.decomposeMatrix(GraphicsMath.multiplyMatrices(to_parent, GraphicsMath.createTransformationMatrix(transformation)));
+        });
+    }
+
+    /**
+     * Applies the change of the active model to all the models, with all the transformations in world space.
+     *
+     * @param {Object[]} transformations - The world transformations of the models before the edit.
+     * @param {number} active_index - The index of the active model in the transformations.
+     * @param {Object} active_after - The world transformation of the active model after the edit.
+     * @param {Vec4} pivot - The pivot of the selection.
+     * @returns {Object[]} The new world transformations, in the same order.
+     * @static
+     * @private
+     */
+    static #applyInWorld(transformations, active_index, active_after, pivot) {
+        const active_before = transformations[active_index];
+
+        const rotation_changed = ['x', 'y', 'z'].some((key) => active_before.rotation[key] !== active_after.rotation[key]);
+        const scale_changed = ['x', 'y', 'z'].some((key) => active_before.scale[key] !== active_after.scale[key]);
+
+        // Rotation change: R_after * R_before^-1 (the inverse of a rotation is its transpose)
+        const rotation_before = GraphicsMath.createEulerRotationMatrix(active_before.rotation);
+        const delta_rotation = rotation_changed
+            ? GraphicsMath.multiplyMatrices(GraphicsMath.createEulerRotationMatrix(active_after.rotation), GraphicsMath.transposeMatrix(rotation_before))
+            : GraphicsMath.createIdentityMatrix();
+
+        // Scale factors along the local axes of the active model (a model with scale 0 keeps the other models as they are)
+        const factors = {};
+
+        for (const key of ['x', 'y', 'z']) {
+            factors[key] = scale_changed && active_before.scale[key] !== 0 ? active_after.scale[key] / active_before.scale[key] : 1;
+        }
+
+        // Transformation of the offsets from the pivot: scale along the axes of the active model, then rotate
+        const scale_in_active_axes = scale_changed
+            ? GraphicsMath.multiplyMatrices(
+                GraphicsMath.multiplyMatrices(rotation_before, GraphicsMath.createScaleMatrix(factors.x, factors.y, factors.z)),
+                GraphicsMath.transposeMatrix(rotation_before)
+            )
+            : GraphicsMath.createIdentityMatrix();
+        const offset_matrix = GraphicsMath.multiplyMatrices(delta_rotation, scale_in_active_axes);
+
+        const moveAroundPivot = (translation) => {
+            const offset = new Vec4(translation.x - pivot.x, translation.y - pivot.y, translation.z - pivot.z, 0);
+            return pivot.add(offset.applyTransformationMatrix(offset_matrix));
+        };
+
+        const delta_translation = new Vec4(active_after.translation.x, active_after.translation.y, active_after.translation.z, 0).subtract(active_before.translation);
+
+        return transformations.map((transformation, i) => {
+            const position = moveAroundPivot(transformation.translation).add(delta_translation);
+            const new_transformation = { translation: { x: position.x, y: position.y, z: position.z } };
+
+            if (i === active_index) {
+                // The active model keeps the exact values of the edit
+                new_transformation.rotation = { ...active_after.rotation };
+                new_transformation.scale = { ...active_after.scale };
+            } else {
+                const rotation = GraphicsMath.multiplyMatrices(delta_rotation, GraphicsMath.createEulerRotationMatrix(transformation.rotation));
+                const s = transformation.scale;
+
+                new_transformation.rotation = rotation_changed ? GraphicsMath.extractRotationAngles(rotation) : { ...transformation.rotation };
+                new_transformation.scale = { x: s.x * factors.x, y: s.y * factors.y, z: s.z * factors.z };
+            }
+
+            return new_transformation;
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,219 @@
+/**
+ * Wraps a WebGL program to avoid the redundant WebGL calls of the render loops.
+ *
+ * - The locations of the uniforms and attributes are queried once and cached by name.
+ * - The last value uploaded to each uniform is kept, and the setters skip the uploads of the same value. The uniforms are part of the
+ *   program state, so this is valid as long as the uniforms set through the wrapper are not set directly with the context.
+ * - The bound VAO, the active texture unit and the texture bound to each unit are tracked, and binding what is already bound is skipped.
+ *   This state belongs to the context, so any code binding VAOs or textures without the wrapper (the shadow, picking and outline passes,
+ *   the creation of the instance buffers, or the loading of the models and textures) invalidates it: resetState must be called after that
+ *   code and before drawing with the wrapper again. The render loop of the editor runs all that code before resetting the state once per
+ *   frame, and resets it again at the end of the frame, for the code that runs between the frames.
+ *
+ * There is a single wrapper per program (see ShaderProgram.get), so the cached locations are shared by all the code using the program.
+ *
+ * @class
+ */
+export default class ShaderProgram {
+    /**
+     * Program -> its wrapper.
+     *
+     * @type {WeakMap<WebGLProgram, ShaderProgram>}
+     * @static
+     */
+    static #wrappers = new WeakMap();
+
+    /** @type {WebGL2RenderingContext} */
+    #gl = null;
+    /** @type {WebGLProgram} */
+    #program = null;
+
+    /** @type {Map<string, WebGLUniformLocation>} */
+    #uniform_locations = new Map();
+    /** @type {Map<string, number>} */
+    #attribute_locations = new Map();
+    /** @type {Map<string, number|Float32Array>} */
+    #uniform_values = new Map();
+
+    /** @type {WebGLVertexArrayObject} */
+    #bound_vao = undefined;
+    #active_texture_unit = -1;
+    /** @type {Map<number, WebGLTexture>} */
+    #bound_textures = new Map();
+
+    /**
+     * Returns the wrapper of a program, creating it the first time.
+     *
+     * @param {WebGL2RenderingContext} gl - The WebGL2 context of the program.
+     * @param {WebGLProgram} program - The program.
+     * @returns {ShaderProgram} The wrapper.
+     * @static
+     */
+    static get(gl, program) {
+        if (!ShaderProgram.#wrappers.has(program)) {
+            ShaderProgram.#wrappers.set(program, new ShaderProgram(gl, program));
+        }
+
+        return ShaderProgram.#wrappers.get(program);
+    }
+
+    /**
+     * Use ShaderProgram.get instead, so the program has a single wrapper.
+     *
+     * @param {WebGL2RenderingContext} gl - The WebGL2 context of the program.
+     * @param {WebGLProgram} program - The program.
+     */
+    constructor(gl, program) {
+        this.#gl = gl;
+        this.#program = program;
+    }
+
+    /**
+     * @returns {WebGLProgram} The wrapped program.
+     */
+    getProgram() {
+        return this.#program;
+    }
+
+    /**
+     * @param {string} name - The name of a uniform.
+     * @returns {WebGLUniformLocation} The location of the uniform, or null if the program doesn't use it.
+     */
+    getUniformLocation(name) {
+        if (!this.#uniform_locations.has(name)) {
+            this.#uniform_locations.set(name, this.#gl.getUniformLocation(this.#program, name));
+        }
+
+        return this.#uniform_locations.get(name);
+    }
+
+    /**
+     * @param {string} name - The name of an attribute.
+     * @returns {number} The location of the attribute, or -1 if the program doesn't use it.
+     */
+    getAttribLocation(name) {
+        if (!this.#attribute_locations.has(name)) {
+            this.#attribute_locations.set(name, this.#gl.getAttribLocation(this.#program, name));
+        }
+
+        return this.#attribute_locations.get(name);
+    }
+
+    /**
+     * Sets an int, bool or sampler uniform.
+     *
+     * @param {string} name - The name of the uniform.
+     * @param {number|boolean} value - The value.
+     */
+    setInt(name, value) {
+        this.#setScalar(name, Number(value), (location, v) => this.#gl.uniform1i(location, v));
+    }
+
+    /**
+     * @param {string} name - The name of a float uniform.
+     * @param {number} value - The value.
+     */
+    setFloat(name, value) {
+        this.#setScalar(name, value, (location, v) => this.#gl.uniform1f(location, v));
+    }
+
+    /**
+     * @param {string} name - The name of a vec3 uniform.
+     * @param {number[]|Float32Array} value - The 3 components.
+     */
+    setVec3(name, value) {
+        this.#setVector(name, value, (location, v) => this.#gl.uniform3fv(location, v));
+    }
+
+    /**
+     * @param {string} name - The name of a vec4 uniform.
+     * @param {number[]|Float32Array} value - The 4 components.
+     */
+    setVec4(name, value) {
+        this.#setVector(name, value, (location, v) => this.#gl.uniform4fv(location, v));
+    }
+
+    /**
+     * @param {string} name - The name of a mat4 uniform.
+     * @param {Float32Array} value - The matrix, in column major order.
+     */
+    setMat4(name, value) {
+        this.#setVector(name, value, (location, v) => this.#gl.uniformMatrix4fv(location, false, v));
+    }
+
+    /**
+     * Binds a VAO, unless it is already bound.
+     *
+     * @param {WebGLVertexArrayObject} vao - The VAO.
+     */
+    bindVertexArray(vao) {
+        if (this.#bound_vao !== vao) {
+            this.#gl.bindVertexArray(vao);
+            this.#bound_vao = vao;
+        }
+    }
+
+    /**
+     * Binds a 2D texture to a texture unit, unless it is already bound to it.
+     *
+     * @param {number} unit - The texture unit.
+     * @param {WebGLTexture} texture - The texture.
+     */
+    bindTexture(unit, texture) {
+        if (this.#bound_textures.get(unit) === texture) {
+            return;
+        }
+
+        if (this.#active_texture_unit !== unit) {
+            this.#gl.activeTexture(this.#gl.TEXTURE0 + unit);
+            this.#active_texture_unit = unit;
+        }
+
+        this.#gl.bindTexture(this.#gl.TEXTURE_2D, texture);
+        this.#bound_textures.set(unit, texture);
+    }
+
+    /**
+     * Forgets the tracked context state (bound VAO and textures), since other code may have changed it, and activates the texture unit 0
+     * (the unit the rest of the editor expects to be active). The cached uniform values are kept.
+     */
+    resetState() {
+        this.#bound_vao = undefined;
+        this.#bound_textures.clear();
+
+        this.#gl.activeTexture(this.#gl.TEXTURE0);
+        this.#active_texture_unit = 0;
+    }
+
+    /**
+     * @param {string} name - The name of the uniform.
+     * @param {number} value - The value.
+     * @param {function(WebGLUniformLocation, number)} upload - Uploads the value.
+     */
+    #setScalar(name, value, upload) {
+        if (this.#uniform_values.get(name) === value) {
+            return;
+        }
+
+        upload(this.getUniformLocation(name), value);
+        this.#uniform_values.set(name, value);
+    }
+
+    /**
+     * @param {string} name - The name of the uniform.
+     * @param {number[]|Float32Array} value - The components.
+     * @param {function(WebGLUniformLocation, Float32Array)} upload - Uploads the components.
+     */
+    #setVector(name, value, upload) {
+        const previous = this.#uniform_values.get(name);
+        // Compared after the conversion to 32 bits floats, as they are stored in the uniform
+        const copy = Float32Array.from(value);
+
+        if (previous !== undefined && previous.length === copy.length && previous.every((v, i) => v === copy[i])) {
+            return;
+        }
+
+        upload(this.getUniformLocation(name), copy);
+        this.#uniform_values.set(name, copy);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,235 @@
+import DoLog from '../Logging/DoLog.js';
+
+import GraphicsMath from './GraphicsMath.js';
+import Light from './Light.js';
+import Model3D from './Model3D.js';
+import Vec4 from './Vec4.js';
+
+/**
+ * Renders the shadow maps of the scene lights.
+ *
+ * Before the main render pass, the scene is rendered from the point of view of each shadow casting light (directional and spot lights),
+ * storing only the depth of the closest surfaces. Each light gets a layer in a depth texture array, which is later sampled by the
+ * main fragment shader (u_shadow_maps) to check if a fragment is hidden from the light.
+ *
+ * Directional lights use an orthographic projection covering a sphere around the scene center, while spot lights use a perspective
+ * projection with the field of view of their outer cone.
+ *
+ * @class
+ */
+export default class ShadowMapper extends DoLog {
+    /**
+     * Maximum number of shadow maps. Must match MAX_SHADOW_MAPS in the fragment shader.
+     *
+     * @type {number}
+     * @static
+     */
+    static MAX_SHADOW_MAPS = 4;
+
+    static #SPOT_NEAR = 0.1;
+    static #SPOT_FAR = 100;
+    static #SPOT_MAX_FOV = 170; // A perspective projection can't have a 180 degrees field of view
+
+    /** @type {WebGL2RenderingContext} */
+    #gl = null;
+    /** @type {WebGLProgram} */
+    #shadow_program = null;
+    /** @type {WebGLTexture} */
+    #depth_texture = null;
+    /** @type {WebGLFramebuffer} */
+    #framebuffer = null;
+
+    #map_size = 0;
+    #texture_unit = 0;
+    #scene_center = Vec4.createZeroPoint();
+    #scene_radius = 0;
+
+    /** @type {Float32Array} */
+    #light_space_matrices = new Float32Array(16 * ShadowMapper.MAX_SHADOW_MAPS);
+
+    #shadow_uniforms = null;
+    #main_uniforms = null;
+
+    /**
+     * @param {DoLog} log - The logger object in which this object will log messages.
+     * @param {WebGL2RenderingContext} gl - The WebGL2 context.
+     * @param {WebGLProgram} shadow_program - The program used in the depth pass (ShadowVertexShader.glsl and ShadowFragmentShader.glsl).
+     * @param {WebGLProgram} main_program - The program used in the main render pass.
+     * @param {number} texture_unit - The texture unit in which the shadow maps will be bound. It must not be used by any other texture.
+     * @param {Object} configs - (Optional) Shadow configurations:
+     * @param {number} configs.map_size - The width and height of each shadow map in pixels. Default is 2048.
+     * @param {Vec4} configs.scene_center - The center of the region covered by directional lights shadows. Default is the origin.
+     * @param {number} configs.scene_radius - The radius of the region covered by directional lights shadows. Default is 20.
+     */
+    constructor(log, gl, shadow_program, main_program, texture_unit, configs = {}) {
+        super(log, 'ShadowMapper> ');
+
+        this.#gl = gl;
+        this.#shadow_program = shadow_program;
+        this.#texture_unit = texture_unit;
+
+        this.#map_size = configs.map_size ?? 2048;
+        this.#scene_center = configs.scene_center ?? Vec4.createZeroPoint();
+        this.#scene_radius = configs.scene_radius ?? 20;
+
+        this.#shadow_uniforms = {
+            model_matrix: gl.getUniformLocation(shadow_program, 'u_model_matrix'),
+            light_space_matrix: gl.getUniformLocation(shadow_program, 'u_light_space_matrix')
+        };
+
+        this.#main_uniforms = {
+            shadow_maps: gl.getUniformLocation(main_program, 'u_shadow_maps'),
+            light_space_matrices: gl.getUniformLocation(main_program, 'u_light_space_matrices')
+        };
+
+        this.#createDepthTexture();
+
+        this.LOG('Shadow maps created (' + ShadowMapper.MAX_SHADOW_MAPS + ' x ' + this.#map_size + 'px).', 'success');
+    }
+
+    /**
+     * Creates the depth texture array and the framebuffer used to render into its layers.
+     */
+    #createDepthTexture() {
+        const gl = this.#gl;
+
+        this.#depth_texture = gl.createTexture();
+
+        gl.activeTexture(gl.TEXTURE0 + this.#texture_unit);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.#depth_texture);
+        gl.texStorage3D(gl.TEXTURE_2D_ARRAY, 1, gl.DEPTH_COMPONENT24, this.#map_size, this.#map_size, ShadowMapper.MAX_SHADOW_MAPS);
+
+        // Compare mode makes the hardware do the depth test when sampling (sampler2DArrayShadow), and LINEAR filtering
+        // gives an extra 2x2 PCF on top of the one done in the shader
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_COMPARE_FUNC, gl.LEQUAL);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        // Go back to the default texture unit, used by the models textures
+        gl.activeTexture(gl.TEXTURE0);
+
+        this.#framebuffer = gl.createFramebuffer();
+    }
+
+    /**
+     * Checks if a light can cast shadows.
+     *
+     * @param {Light} light - The light.
+     * @returns {boolean} True if the light is a directional or spot light with shadows enabled.
+     */
+    static castsShadows(light) {
+        return light.cast_shadows && (light.type === Light.DIRECTIONAL || light.type === Light.SPOT);
+    }
+
+    /**
+     * Renders the shadow maps of the given lights. Only the first MAX_SHADOW_MAPS lights that cast shadows get a shadow map.
+     * After rendering, the main program is bound again, as well as the default framebuffer and viewport.
+     *
+     * @param {Light[]} lights - The lights of the scene.
+     * @param {Model3D[]} models - The models of the scene. Only the models that cast shadows are rendered.
+     * @param {WebGLProgram} main_program - The program to bind after the depth pass.
+     * @returns {Map<Light, number>} A map from each shadow casting light to its layer in the shadow maps texture.
+     */
+    renderShadowMaps(lights, models, main_program) {
+        const gl = this.#gl;
+        const shadow_indices = new Map();
+
+        const shadow_lights = lights.filter(ShadowMapper.castsShadows).slice(0, ShadowMapper.MAX_SHADOW_MAPS);
+
+        if (shadow_lights.length === 0) {
+            return shadow_indices;
+        }
+
+        const casting_models = models.filter((model) => model.getShadowProperties().casts);
+
+        gl.useProgram(this.#shadow_program);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.#framebuffer);
+        gl.viewport(0, 0, this.#map_size, this.#map_size);
+
+        // Render both faces and push the depth a bit away from the light to avoid shadow acne
+        gl.disable(gl.CULL_FACE);
+        gl.enable(gl.POLYGON_OFFSET_FILL);
+        gl.polygonOffset(2.0, 4.0);
+
+        for (let i = 0; i < shadow_lights.length; i++) {
+            const light = shadow_lights[i];
+            const light_space_matrix = this.#createLightSpaceMatrix(light);
+
+            this.#light_space_matrices.set(light_space_matrix, i * 16);
+            shadow_indices.set(light, i);
+
+            gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, this.#depth_texture, 0, i);
+            gl.clear(gl.DEPTH_BUFFER_BIT);
+
+            gl.uniformMatrix4fv(this.#shadow_uniforms.light_space_matrix, false, light_space_matrix);
+
+            for (const model of casting_models) {
+                gl.uniformMatrix4fv(this.#shadow_uniforms.model_matrix, false, model.getWorldMatrix());
+
+                for (const obj of model.getRenderableObjects()) {
+                    gl.bindVertexArray(obj.getVAO());
+                    gl.drawElements(gl.TRIANGLES, obj.getVertexCount(), obj.getIndexType(), 0);
+                }
+            }
+        }
+
+        // Restore the main pass state
+        gl.disable(gl.POLYGON_OFFSET_FILL);
+        gl.enable(gl.CULL_FACE);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        gl.useProgram(main_program);
+
+        return shadow_indices;
+    }
+
+    /**
+     * Binds the shadow maps and uploads the light space matrices to the main program. The main program must be in use.
+     */
+    setShadowUniforms() {
+        const gl = this.#gl;
+
+        gl.activeTexture(gl.TEXTURE0 + this.#texture_unit);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.#depth_texture);
+        gl.activeTexture(gl.TEXTURE0);
+
+        gl.uniform1i(this.#main_uniforms.shadow_maps, this.#texture_unit);
+        gl.uniformMatrix4fv(this.#main_uniforms.light_space_matrices, false, this.#light_space_matrices);
+    }
+
+    /**
+     * Creates the matrix that transforms world coordinates into the clip space of the light.
+     *
+     * @param {Light} light - A directional or spot light.
+     * @returns {Float32Array} The light space matrix (projection x view) in column major order.
+     */
+    #createLightSpaceMatrix(light) {
+        const direction = light.direction.normalize();
+
+        // The up vector can't be parallel to the light direction
+        const up = Math.abs(direction.y) > 0.99 ? new Vec4(0, 0, 1, 0) : new Vec4(0, 1, 0, 0);
+
+        let view_matrix;
+        let projection_matrix;
+
+        if (light.type === Light.DIRECTIONAL) {
+            // Place the light outside the scene sphere, looking at its center
+            const r = this.#scene_radius;
+            const eye = this.#scene_center.subtract(direction.scale(2 * r));
+
+            view_matrix = GraphicsMath.createLookAtMatrix(eye, this.#scene_center, up);
+            projection_matrix = GraphicsMath.createOrthographicMatrix(-r, r, -r, r, r, 3 * r);
+        } else {
+            const target = light.position.add(direction);
+            const fov = Math.min(2 * light.outer_angle, ShadowMapper.#SPOT_MAX_FOV);
+
+            view_matrix = GraphicsMath.createLookAtMatrix(light.position, target, up);
+            projection_matrix = GraphicsMath.createProjectionMatrix(fov, 1.0, ShadowMapper.#SPOT_NEAR, ShadowMapper.#SPOT_FAR);
+        }
+
+        return GraphicsMath.multiplyMatrices(projection_matrix, view_matrix);
+    }
+}
\ No newline at end of file
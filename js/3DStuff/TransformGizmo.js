@@ -0,0 +1,554 @@
+import DoLog from '../Logging/DoLog.js';
+
+import Camera from './Camera.js';
+import GraphicsMath from './GraphicsMath.js';
+import Model3D from './Model3D.js';
+import VAOFactory from './VAOFactory.js';
+import Vec4 from './Vec4.js';
+
+/**
+ * Renders the manipulator handles of the selected model (arrows to translate, rings to rotate and boxes to scale) and converts the
+ * mouse drags on them into new transformations.
+ *
+ * The handles are drawn on top of the scene (without depth test) and keep the same size on the screen, wherever the model is.
+ * Hit tests are done in screen space, by measuring the distance from the mouse to the projected handles.
+ *
+ * In the world space, the handles are aligned with the world axes. In the local space, they follow the rotation of the model (and of its ancestors).
+ * Scaling is always done along the local axes of the model, since the model scale is applied before its rotation.
+ * The handles are placed in the world, but the transformation of a child model is relative to its parent, so the drags are converted to
+ * the space of the parent before they are applied.
+ *
+ * @class
+ */
+export default class TransformGizmo extends DoLog {
+    static TRANSLATE = 'translate';
+    static ROTATE = 'rotate';
+    static SCALE = 'scale';
+
+    static LOCAL = 'local';
+    static WORLD = 'world';
+
+    static #AXES_COLORS = [[0.9, 0.2, 0.2, 1], [0.2, 0.8, 0.2, 1], [0.2, 0.4, 0.95, 1]];
+    static #HIGHLIGHT_COLOR = [1, 0.85, 0.1, 1];
+
+    static #SCREEN_SIZE = 0.25; // Length of the handles, as a fraction of half the height of the canvas
+    static #HIT_DISTANCE = 8; // Maximum distance (pixels) from the mouse to a handle to grab it
+    static #RING_SEGMENTS = 64;
+    static #MIN_SCALE = 0.001;
+
+    /** @type {WebGL2RenderingContext} */
+    #gl = null;
+    /** @type {WebGLProgram} */
+    #gizmo_program = null;
+
+    #uniforms = null;
+
+    /**
+     * The VAO of each mode, with the range of vertices of each axis.
+     *
+     * @type {Object}
+     */
+    #meshes = {};
+
+    #mode = TransformGizmo.TRANSLATE;
+    #space = TransformGizmo.WORLD;
+    #highlighted_axis = -1;
+
+    /**
+     * The state saved when a drag starts: the axis, the frame of the handles, the transformation of the model and the initial value
+     * of the drag (the position along the axis or the direction of the mouse from the center of the rotation).
+     *
+     * @type {Object}
+     */
+    #drag = null;
+
+    /**
+     * @param {DoLog} log - The logger object in which this object will log messages.
+     * @param {WebGL2RenderingContext} gl - The WebGL2 context.
+     * @param {WebGLProgram} gizmo_program - The program used to render the handles (GizmoVertexShader.glsl and GizmoFragmentShader.glsl).
+     */
+    constructor(log, gl, gizmo_program) {
+        super(log, 'TransformGizmo> ');
+
+        this.#gl = gl;
+        this.#gizmo_program = gizmo_program;
+
+        this.#uniforms = {
+            model_matrix: gl.getUniformLocation(gizmo_program, 'u_model_matrix'),
+            view_projection_matrix: gl.getUniformLocation(gizmo_program, 'u_view_projection_matrix'),
+            color: gl.getUniformLocation(gizmo_program, 'u_color')
+        };
+
+        this.#meshes[TransformGizmo.TRANSLATE] = this.#createMesh((add) => {
+            add(TransformGizmo.#createBox(0, 0.8, 0.012));
+            add(TransformGizmo.#createCone(0.8, 1.0, 0.05));
+        });
+
+        this.#meshes[TransformGizmo.ROTATE] = this.#createMesh((add) => {
+            add(TransformGizmo.#createRing(1.0, 0.015));
+        });
+
+        this.#meshes[TransformGizmo.SCALE] = this.#createMesh((add) => {
+            add(TransformGizmo.#createBox(0, 0.86, 0.012));
+            add(TransformGizmo.#createBox(0.86, 1.0, 0.07));
+        });
+
+        this.LOG('Transform gizmo created.', 'success');
+    }
+
+    getMode() {
+        return this.#mode;
+    }
+
+    /**
+     * @param {string} mode - TransformGizmo.TRANSLATE, TransformGizmo.ROTATE or TransformGizmo.SCALE.
+     */
+    setMode(mode) {
+        this.#mode = mode;
+    }
+
+    getSpace() {
+        return this.#space;
+    }
+
+    /**
+     * @param {string} space - TransformGizmo.LOCAL or TransformGizmo.WORLD.
+     */
+    setSpace(space) {
+        this.#space = space;
+    }
+
+    /**
+     * Set the axis drawn with the highlight color (the axis under the mouse).
+     *
+     * @param {number} axis - The axis (0: x, 1: y, 2: z), or -1 for none.
+     */
+    setHighlightedAxis(axis) {
+        this.#highlighted_axis = axis;
+    }
+
+    /**
+     * Checks if a handle is being dragged.
+     *
+     * @returns {boolean} True between startDrag and endDrag.
+     */
+    isDragging() {
+        return this.#drag !== null;
+    }
+
+    /**
+     * Renders the handles of a model on top of the scene. After rendering, the main program is bound again.
+     *
+     * @param {Model3D} model - The selected model.
+     * @param {Camera} camera - The camera.
+     * @param {WebGLProgram} main_program - The program to bind after rendering the handles.
+     */
+    render(model, camera, main_program) {
+        const gl = this.#gl;
+        const frame = this.#getFrame(model, camera);
+        const mesh = this.#meshes[this.#mode];
+
+        // The handles are scaled to keep their size on the screen
+        const c = frame.center;
+        const a = frame.axes.map((axis) => axis.scale(frame.size));
+        const model_matrix = new Float32Array([
+            a[0].x, a[0].y, a[0].z, 0,
+            a[1].x, a[1].y, a[1].z, 0,
+            a[2].x, a[2].y, a[2].z, 0,
+            c.x, c.y, c.z, 1
+        ]);
+
+        gl.useProgram(this.#gizmo_program);
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.CULL_FACE);
+
+        gl.uniformMatrix4fv(this.#uniforms.model_matrix, false, model_matrix);
+        gl.uniformMatrix4fv(this.#uniforms.view_projection_matrix, false, camera.getViewProjectionMatrix(gl.canvas.width / gl.canvas.height));
+
+        gl.bindVertexArray(mesh.vao);
+
+        for (let axis = 0; axis < 3; axis++) {
+            const active_axis = this.#drag !== null ? this.#drag.axis : this.#highlighted_axis;
+            const color = axis === active_axis ? TransformGizmo.#HIGHLIGHT_COLOR : TransformGizmo.#AXES_COLORS[axis];
+
+            gl.uniform4fv(this.#uniforms.color, color);
+            gl.drawArrays(gl.TRIANGLES, mesh.ranges[axis].first, mesh.ranges[axis].count);
+        }
+
+        // Restore the main pass state
+        gl.enable(gl.CULL_FACE);
+        gl.enable(gl.DEPTH_TEST);
+        gl.useProgram(main_program);
+    }
+
+    /**
+     * Finds the handle under a point of the canvas.
+     *
+     * @param {number} x - The horizontal pixel coordinate, from the left of the canvas.
+     * @param {number} y - The vertical pixel coordinate, from the top of the canvas.
+     * @param {Model3D} model - The selected model.
+     * @param {Camera} camera - The camera.
+     * @returns {number} The axis of the handle (0: x, 1: y, 2: z), or -1 if there is no handle at the point.
+     */
+    hitTest(x, y, model, camera) {
+        const frame = this.#getFrame(model, camera);
+        const view_projection_matrix = camera.getViewProjectionMatrix(this.#gl.canvas.width / this.#gl.canvas.height);
+
+        let closest_axis = -1;
+        let closest_distance = TransformGizmo.#HIT_DISTANCE;
+
+        for (let axis = 0; axis < 3; axis++) {
+            // The handles are approximated by polylines: the axis segment or the ring
+            const points = [];
+
+            if (this.#mode === TransformGizmo.ROTATE) {
+                const u = frame.axes[(axis + 1) % 3];
+                const v = frame.axes[(axis + 2) % 3];
+
+                for (let i = 0; i <= TransformGizmo.#RING_SEGMENTS; i++) {
+                    const angle = 2 * Math.PI * i / TransformGizmo.#RING_SEGMENTS;
+                    points.push(frame.center.add(u.scale(Math.cos(angle) * frame.size)).add(v.scale(Math.sin(angle) * frame.size)));
+                }
+            } else {
+                points.push(frame.center, frame.center.add(frame.axes[axis].scale(frame.size)));
+            }
+
+            const screen_points = points.map((p) => this.#toScreen(p, view_projection_matrix));
+
+            for (let i = 0; i < screen_points.length - 1; i++) {
+                if (screen_points[i] === null || screen_points[i + 1] === null) {
+                    continue;
+                }
+
+                const distance = TransformGizmo.#distanceToSegment(x, y, screen_points[i], screen_points[i + 1]);
+
+                if (distance < closest_distance) {
+                    closest_distance = distance;
+                    closest_axis = axis;
+                }
+            }
+        }
+
+        return closest_axis;
+    }
+
+    /**
+     * Starts dragging a handle.
+     *
+     * @param {number} axis - The axis of the handle (see hitTest).
+     * @param {number} x - The horizontal pixel coordinate of the mouse.
+     * @param {number} y - The vertical pixel coordinate of the mouse.
+     * @param {Model3D} model - The selected model.
+     * @param {Camera} camera - The camera.
+     * @returns {boolean} False if the drag can't start (e.g. the axis points to the camera).
+     */
+    startDrag(axis, x, y, model, camera) {
+        const frame = this.#getFrame(model, camera);
+        const ray = this.#getRay(x, y, camera);
+
+        const start_value = this.#mode === TransformGizmo.ROTATE
+            ? TransformGizmo.#intersectPlane(ray, frame.center, frame.axes[axis])
+            : TransformGizmo.#closestPointOnAxis(ray, frame.center, frame.axes[axis]);
+
+        if (start_value === null || (this.#mode === TransformGizmo.SCALE && Math.abs(start_value) < 1e-6)) {
+            return false;
+        }
+
+        this.#drag = {
+            axis: axis,
+            frame: frame,
+            transformation: structuredClone(model.getTransformationDict()),
+            start_value: start_value
+        };
+
+        return true;
+    }
+
+    /**
+     * Computes the transformation of the dragged model for a new mouse position.
+     *
+     * @param {number} x - The horizontal pixel coordinate of the mouse.
+     * @param {number} y - The vertical pixel coordinate of the mouse.
+     * @param {Camera} camera - The camera.
+     * @returns {Object} The new transformation dictionary (translation, rotation and scale), or null if it can't be computed for this position.
+     */
+    drag(x, y, camera) {
+        const { axis, frame, transformation, start_value } = this.#drag;
+        const ray = this.#getRay(x, y, camera);
+        const new_transformation = structuredClone(transformation);
+        const direction = frame.axes[axis];
+
+        if (this.#mode === TransformGizmo.ROTATE) {
+            const current = TransformGizmo.#intersectPlane(ray, frame.center, direction);
+
+            if (current === null) {
+                return null;
+            }
+
+            // Signed angle from the start direction to the current one, around the axis
+            const angle = Math.atan2(start_value.crossProduct(current).dotProduct(direction), start_value.dotProduct(current));
+
+            const r = transformation.rotation;
+            const parent_direction = direction.applyTransformationMatrix(frame.to_parent);
+            const rotation = GraphicsMath.multiplyMatrices(GraphicsMath.createAxisRotationMatrix(angle, parent_direction), GraphicsMath.createEulerRotationMatrix(r));
+
+            new_transformation.rotation = GraphicsMath.extractRotationAngles(rotation);
+
+            return new_transformation;
+        }
+
+        const current = TransformGizmo.#closestPointOnAxis(ray, frame.center, direction);
+
+        if (current === null) {
+            return null;
+        }
+
+        if (this.#mode === TransformGizmo.TRANSLATE) {
+            const t = transformation.translation;
+            const offset = direction.scale(current - start_value).applyTransformationMatrix(frame.to_parent);
+
+            new_transformation.translation = { x: t.x + offset.x, y: t.y + offset.y, z: t.z + offset.z };
+        } else {
+            const key = ['x', 'y', 'z'][axis];
+            const factor = current / start_value;
+
+            new_transformation.scale[key] = Math.max(transformation.scale[key] * factor, TransformGizmo.#MIN_SCALE);
+        }
+
+        return new_transformation;
+    }
+
+    /**
+     * Stops dragging the handle.
+     */
+    endDrag() {
+        this.#drag = null;
+    }
+
+    /**
+     * Returns the center, the axes (normalized) and the length of the handles of a model, in world space.
+     *
+     * @param {Model3D} model - The model.
+     * @param {Camera} camera - The camera.
+     * @returns {Object} An object with the properties center (Vec4), axes (Vec4[3]), size (number) and to_parent (the matrix that converts
+     * world directions to the space of the parent of the model).
+     */
+    #getFrame(model, camera) {
+        const transformation = model.getTransformationDict();
+        const parent_matrix = model.getParentWorldMatrix();
+        const t = transformation.translation;
+        const center = new Vec4(t.x, t.y, t.z, 1).applyTransformationMatrix(parent_matrix);
+
+        let axes = [new Vec4(1, 0, 0, 0), new Vec4(0, 1, 0, 0), new Vec4(0, 0, 1, 0)];
+
+        if (this.#space === TransformGizmo.LOCAL || this.#mode === TransformGizmo.SCALE) {
+            // The local axes are the columns of the rotation matrix, moved to the world by the transformation of the parent
+            const m = GraphicsMath.createEulerRotationMatrix(transformation.rotation);
+            axes = axes.map((_, i) => new Vec4(m[i * 4], m[i * 4 + 1], m[i * 4 + 2], 0).applyTransformationMatrix(parent_matrix).normalize());
+        }
+
+        // A parent with a scale of 0 can't be inverted: the drags are applied as they are
+        const to_parent = GraphicsMath.invertAffineMatrix(parent_matrix) ?? GraphicsMath.createIdentityMatrix();
+
+        const distance = center.subtract(camera.location).length();
+        const size = distance * Math.tan(GraphicsMath.degToRad(camera.getState().fov / 2)) * TransformGizmo.#SCREEN_SIZE;
+
+        return { center: center, axes: axes, size: size, to_parent: to_parent };
+    }
+
+    /**
+     * Creates the ray from the camera through a pixel of the canvas.
+     */
+    #getRay(x, y, camera) {
+        const canvas = this.#gl.canvas;
+
+        return camera.getRay(2 * x / canvas.width - 1, 1 - 2 * y / canvas.height, canvas.width / canvas.height);
+    }
+
+    /**
+     * Projects a point into pixel coordinates of the canvas.
+     *
+     * @param {Vec4} point - The point in world coordinates.
+     * @param {Float32Array} view_projection_matrix - The view projection matrix of the camera.
+     * @returns {Object} The pixel coordinates { x, y }, or null if the point is behind the camera.
+     */
+    #toScreen(point, view_projection_matrix) {
+        const m = view_projection_matrix;
+        const w = m[3] * point.x + m[7] * point.y + m[11] * point.z + m[15];
+
+        if (w <= 0) {
+            return null;
+        }
+
+        const ndc_x = (m[0] * point.x + m[4] * point.y + m[8] * point.z + m[12]) / w;
+        const ndc_y = (m[1] * point.x + m[5] * point.y + m[9] * point.z + m[13]) / w;
+
+        return { x: (ndc_x + 1) / 2 * this.#gl.canvas.width, y: (1 - ndc_y) / 2 * this.#gl.canvas.height };
+    }
+
+    /**
+     * Creates the VAO of the handles of a mode. The parts are created along the X axis and copied to the Y and Z axes.
+     *
+     * @param {Function} build - Receives a function that adds a part (array of positions) to each axis.
+     * @returns {Object} An object with the properties vao and ranges (the first vertex and the number of vertices of each axis).
+     */
+    #createMesh(build) {
+        const parts = [];
+        build((positions) => parts.push(positions));
+
+        const positions = [];
+        const ranges = [];
+
+        for (let axis = 0; axis < 3; axis++) {
+            const first = positions.length / 3;
+
+            for (const part of parts) {
+                for (let i = 0; i < part.length; i += 3) {
+                    // Rotate the coordinates so the X of the part goes to the axis
+                    const p = [0, 0, 0];
+                    p[axis] = part[i];
+                    p[(axis + 1) % 3] = part[i + 1];
+                    p[(axis + 2) % 3] = part[i + 2];
+
+                    positions.push(...p);
+                }
+            }
+
+            ranges.push({ first: first, count: positions.length / 3 - first });
+        }
+
+        const gl = this.#gl;
+        const vao = VAOFactory.buildVAO({
+            'a_position': {
+                data: new Float32Array(positions),
+                components_per_attr: 3,
+                data_type: gl.FLOAT,
+                normalize: false,
+                stride: 0,
+                offset: 0
+            }
+        }, gl, this.#gizmo_program);
+
+        return { vao: vao, ranges: ranges };
+    }
+
+    /**
+     * Creates the triangles of a box along the X axis, from x0 to x1, with the given half thickness.
+     */
+    static #createBox(x0, x1, half) {
+        const v = [];
+
+        // The 8 corners, indexed by the bits (x, y, z)
+        const corner = (i) => [i & 1 ? x1 : x0, i & 2 ? half : -half, i & 4 ? half : -half];
+        const faces = [[0, 2, 6, 4], [1, 5, 7, 3], [0, 4, 5, 1], [2, 3, 7, 6], [0, 1, 3, 2], [4, 6, 7, 5]];
+
+        for (const [a, b, c, d] of faces) {
+            v.push(...corner(a), ...corner(b), ...corner(c), ...corner(a), ...corner(c), ...corner(d));
+        }
+
+        return v;
+    }
+
+    /**
+     * Creates the triangles of a cone along the X axis, with the base at x0 and the tip at x1.
+     */
+    static #createCone(x0, x1, radius, sides = 16) {
+        const v = [];
+
+        for (let i = 0; i < sides; i++) {
+            const a0 = 2 * Math.PI * i / sides;
+            const a1 = 2 * Math.PI * (i + 1) / sides;
+
+            const p0 = [x0, Math.cos(a0) * radius, Math.sin(a0) * radius];
+            const p1 = [x0, Math.cos(a1) * radius, Math.sin(a1) * radius];
+
+            v.push(...p0, ...p1, x1, 0, 0);
+            v.push(...p1, ...p0, x0, 0, 0);
+        }
+
+        return v;
+    }
+
+    /**
+     * Creates the triangles of a ring (a thin torus) around the X axis.
+     */
+    static #createRing(radius, thickness, sides = 6) {
+        const v = [];
+        const segments = TransformGizmo.#RING_SEGMENTS;
+
+        const point = (i, j) => {
+            const u = 2 * Math.PI * i / segments;
+            const w = 2 * Math.PI * j / sides;
+            const r = radius + Math.cos(w) * thickness;
+
+            return [Math.sin(w) * thickness, Math.cos(u) * r, Math.sin(u) * r];
+        };
+
+        for (let i = 0; i < segments; i++) {
+            for (let j = 0; j < sides; j++) {
+                v.push(...point(i, j), ...point(i + 1, j), ...point(i + 1, j + 1));
+                v.push(...point(i, j), ...point(i + 1, j + 1), ...point(i, j + 1));
+            }
+        }
+
+        return v;
+    }
+
+    /**
+     * Finds the point of an axis line closest to a ray.
+     *
+     * @param {Object} ray - The ray (origin and normalized direction).
+     * @param {Vec4} center - A point of the axis.
+     * @param {Vec4} axis - The normalized direction of the axis.
+     * @returns {number} The position of the point along the axis, from the center. Null if the ray is parallel to the axis.
+     */
+    static #closestPointOnAxis(ray, center, axis) {
+        const b = axis.dotProduct(ray.direction);
+        const denominator = 1 - b * b;
+
+        if (denominator < 1e-6) {
+            return null;
+        }
+
+        const w = center.subtract(ray.origin);
+
+        return (b * ray.direction.dotProduct(w) - axis.dotProduct(w)) / denominator;
+    }
+
+    /**
+     * Intersects a ray with the plane that goes through the center and is perpendicular to the axis.
+     *
+     * @returns {Vec4} The direction from the center to the intersection, or null if the ray doesn't hit the plane.
+     */
+    static #intersectPlane(ray, center, axis) {
+        const d = ray.direction.dotProduct(axis);
+
+        if (Math.abs(d) < 1e-6) {
+            return null;
+        }
+
+        const t = center.subtract(ray.origin).dotProduct(axis) / d;
+
+        if (t < 0) {
+            return null;
+        }
+
+        const hit = ray.origin.add(ray.direction.scale(t));
+        const direction = hit.subtract(center);
+
+        return new Vec4(direction.x, direction.y, direction.z, 0);
+    }
+
+    /**
+     * Distance from a point to a segment, in pixels.
+     */
+    static #distanceToSegment(x, y, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const length_squared = dx * dx + dy * dy;
+
+        const t = length_squared > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / length_squared)) : 0;
+
+        return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+    }
+}
\ No newline at end of file
@@ -1,3 +1,5 @@
+import ShaderProgram from "./ShaderProgram.js";
+
 /**
  * A factory class for creating Vertex Array Objects (VAOs) in WebGL2.
  * 
@@ -62,8 +64,8 @@ export default class VAOFactory {
      * @static
      */
     static #configureVertexAttribute(gl, program, attribute_name, attribute_config) {
-        // Get the attribute location
-        const attrib_location = gl.getAttribLocation(program, attribute_name);
+        // Get the attribute location (cached for the program)
+        const attrib_location = ShaderProgram.get(gl, program).getAttribLocation(attribute_name);
 
         if (attrib_location === -1) {
             console.warn('Attribute not found: ' + attribute_name) + '. Skipping configuration.';
@@ -22,12 +22,19 @@ export class WebGLUtils extends DoLog {
         super(log, `WebGLUtils[${WebGLUtils.#WUtilsInstance++}]> `);
     }
 
-    initializeWebGLContext(canvas) {
-        let gl = canvas.getContext('webgl2');
+    /**
+     * Creates the WebGL2 context of a canvas.
+     * 
+     * @param {HTMLCanvasElement} canvas - The canvas element.
+     * @param {Object} attributes - (Optional) The context attributes (alpha, antialias, etc.). See HTMLCanvasElement.getContext.
+     * @returns {WebGL2RenderingContext} The WebGL2 context.
+     */
+    initializeWebGLContext(canvas, attributes = {}) {
+        let gl = canvas.getContext('webgl2', attributes);
 
         if (!gl) {
             this.LOG('WebGL2 not supported, falling back on experimental-webgl.', 'warning');
-            gl = canvas.getContext('experimental-webgl');
+            gl = canvas.getContext('experimental-webgl', attributes);
 
             if (!gl) {
                 this.LOG('Your browser does not support WebGL2.', 'error');
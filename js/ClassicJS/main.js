@@ -5,12 +5,27 @@ import CameraControls from "../Inputs/CameraControls.js";
 import ModelCreatorMenu from "../Inputs/ModelCreatorMenu.js";
 import ModelSelector from "../Inputs/ModelSelector.js";
 import PropertiesEditor from "../Inputs/PropertiesEditor.js";
+import LightsEditor from "../Inputs/LightsEditor.js";
+import EditorHistory from "../Inputs/EditorHistory.js";
+import ModelCommands from "../Inputs/ModelCommands.js";
+import GizmoControls from "../Inputs/GizmoControls.js";
 import { SceneLoaderSaver } from "../Inputs/SceneLoaderSaver.js";
 
 import { Color, WebGLUtils } from "../3DStuff/WebGLUtils.js";
-import GraphicsMath from "../3DStuff/GraphicsMath.js";
 import Vec4 from "../3DStuff/Vec4.js";
 import Camera from "../3DStuff/Camera.js";
+import Light from "../3DStuff/Light.js";
+import Model3D from "../3DStuff/Model3D.js";
+import ShaderProgram from "../3DStuff/ShaderProgram.js";
+import ShadowMapper from "../3DStuff/ShadowMapper.js";
+import InstancedRenderer from "../3DStuff/InstancedRenderer.js";
+import Frustum from "../3DStuff/Frustum.js";
+import ModelPicker from "../3DStuff/ModelPicker.js";
+import SelectionOutline from "../3DStuff/SelectionOutline.js";
+import TransformGizmo from "../3DStuff/TransformGizmo.js";
+import SelectionTransform from "../3DStuff/SelectionTransform.js";
+import FrameTimer from "../3DStuff/FrameTimer.js";
+import FrameTimeGraph from "../3DStuff/FrameTimeGraph.js";
 
 function initializeLog() {
     // Initializing log
@@ -20,25 +35,58 @@ function initializeLog() {
     return log;
 }
 
-function setProjectionMatrix(fov, aspect_ratio, near, far, gl, program) {
-    // Creating perspective matrix
-    const perspective_matrix = GraphicsMath.createProjectionMatrix(fov, aspect_ratio, near, far);
-
-    // Getting uniform location
-    const pespective_uniform = gl.getUniformLocation(program, 'u_perspective_projection');
-
-    // Binding
-    gl.uniformMatrix4fv(pespective_uniform, false, perspective_matrix);
+function setProjectionMatrix(perspective_matrix, shader) {
+    shader.setMat4('u_perspective_projection', perspective_matrix);
 }
 
-function setLightSource(light_direction, gl, program) {
-    const ld_norm = light_direction.normalize();
+function setupLighting(ambient_light, shader) {
+    shader.setVec3('u_ambient_light', [ambient_light.r, ambient_light.g, ambient_light.b]);
+    shader.setInt('u_enable_lighting', true);
+}
 
-    const light_uniform = gl.getUniformLocation(program, 'u_light_direction');
-    const enable_lighting_uniform = gl.getUniformLocation(program, 'u_enable_lighting');
+/**
+ * Uploads the light sources to the shader (the fields of the u_lights array in the fragment shader).
+ *
+ * @param {Light[]} lights - The lights to upload (only the first Light.MAX_LIGHTS are used).
+ * @param {Map<Light, number>} shadow_indices - The layer of each shadow casting light in the shadow maps (see ShadowMapper.renderShadowMaps).
+ * @param {ShaderProgram} shader - The main program.
+ */
+function setLightSources(lights, shadow_indices, shader) {
+    const num_lights = Math.min(lights.length, Light.MAX_LIGHTS);
+
+    shader.setInt('u_num_lights', num_lights);
+
+    for (let i = 0; i < num_lights; i++) {
+        const shadow_index = shadow_indices.has(lights[i]) ? shadow_indices.get(lights[i]) : -1;
+        const values = lights[i].getShaderValues(shadow_index);
+        const prefix = `u_lights[${i}].`;
+
+        shader.setInt(prefix + 'type', values.type);
+        shader.setVec3(prefix + 'position', values.position);
+        shader.setVec3(prefix + 'direction', values.direction);
+        shader.setVec3(prefix + 'color', values.color);
+        shader.setVec3(prefix + 'attenuation', values.attenuation);
+        shader.setFloat(prefix + 'inner_cutoff', values.inner_cutoff);
+        shader.setFloat(prefix + 'outer_cutoff', values.outer_cutoff);
+        shader.setInt(prefix + 'shadow_index', values.shadow_index);
+    }
+}
 
-    gl.uniform3fv(light_uniform, new Float32Array([ld_norm.x, ld_norm.y, ld_norm.z]));
-    gl.uniform1i(enable_lighting_uniform, true);
+/**
+ * Uploads the material properties of an object to the shader. Properties missing from the material
+ * (MTL files don't need to define all of them) are replaced by the values in DEFAULT_MATERIAL.
+ *
+ * @param {Object} material - The material of the object, as parsed by OBJParser.parseMTL.
+ * @param {ShaderProgram} shader - The main program.
+ */
+function setMaterialUniforms(material, shader) {
+    const m = { ...DEFAULT_MATERIAL, ...material };
+
+    shader.setVec3('u_material_ambient', m.ambient);
+    shader.setVec3('u_material_specular', m.specular);
+    shader.setVec3('u_material_emissive', m.emissive);
+    shader.setFloat('u_material_shininess', m.shininess);
+    shader.setFloat('u_material_opacity', m.opacity);
 }
 
 async function loadObjsList() {
@@ -64,36 +112,226 @@ async function loadObjsList() {
     return obj_list;
 }
 
-function setupTextureUnit(gl, program, texture_unit_num) {
-    // Get uniform location
-    const texture_uniform = gl.getUniformLocation(program, 'u_texture');
-    // Activate texture unit 0
-    gl.activeTexture(gl.TEXTURE0 + texture_unit_num);
+function setupTextureUnit(shader, texture_unit_num) {
+    shader.setInt('u_texture', texture_unit_num);
+}
+
+/**
+ * Assigns a texture unit to each material map sampler (u_diffuse_map, u_specular_map, u_bump_map and u_opacity_map).
+ *
+ * @param {ShaderProgram} shader - The main program.
+ * @param {Object} texture_units - The texture unit of each map type (see MATERIAL_MAPS_TEXTURE_UNITS).
+ */
+function setupMaterialMapsTextureUnits(shader, texture_units) {
+    for (const [type, unit] of Object.entries(texture_units)) {
+        shader.setInt(`u_${type}_map`, unit);
+    }
+}
+
+/**
+ * Binds the material maps of an object to their texture units, enabling in the shader only the maps the object has.
+ *
+ * @param {Object3D} obj - The object.
+ * @param {ShaderProgram} shader - The main program.
+ */
+function bindMaterialMaps(obj, shader) {
+    const textures = obj.getTextures();
+    const material = obj.getMaterial() ?? {};
+
+    for (const [type, unit] of Object.entries(MATERIAL_MAPS_TEXTURE_UNITS)) {
+        const has_map = type in textures;
+
+        shader.setInt(`u_enable_${type}_map`, has_map);
+
+        if (has_map) {
+            shader.bindTexture(unit, textures[type]);
+        }
+    }
+
+    // Channels used to read scalar values from the bump and opacity maps
+    if ('bump' in textures) {
+        shader.setVec4('u_bump_channel', MAP_CHANNELS[material.bumpMap.channel ?? 'l']);
+        shader.setFloat('u_bump_multiplier', material.bumpMap.bumpMultiplier);
+    }
+
+    if ('opacity' in textures) {
+        shader.setVec4('u_opacity_channel', MAP_CHANNELS[material.opacityMap.channel ?? 'l']);
+    }
+}
+
+/**
+ * Sorts the draws of the opaque objects by the textures and materials they use, so consecutive draws share them and the uniforms and
+ * texture bindings that don't change are not uploaded again (see ShaderProgram).
+ *
+ * @param {Object[]} draws - The draws ({ model, obj }), sorted in place.
+ */
+function sortDraws(draws) {
+    const keys = new Map(draws.map((draw) => {
+        const textures = draw.obj.getTextures();
+
+        return [draw, [
+            getStateId(draw.model.getTexture()),
+            getStateId(draw.model.getNormalMap()),
+            getStateId(textures.diffuse),
+            getStateId(draw.obj.getMaterial()),
+            getStateId(draw.model)
+        ]];
+    }));
+
+    draws.sort((a, b) => {
+        const key_a = keys.get(a);
+        const key_b = keys.get(b);
+        const index = key_a.findIndex((id, i) => id !== key_b[i]);
+
+        return index === -1 ? 0 : key_a[index] - key_b[index];
+    });
+}
+
+/**
+ * @param {Object} state - A texture, material or model.
+ * @returns {number} A number that identifies it (0 if there is none), used to sort the draws (see sortDraws).
+ */
+function getStateId(state) {
+    if (state === null || state === undefined) {
+        return 0;
+    }
+
+    if (!state_ids.has(state)) {
+        state_ids.set(state, ++last_state_id);
+    }
+
+    return state_ids.get(state);
+}
+
+/**
+ * Applies the selection outline settings of the properties panel (color and thickness) when they change.
+ *
+ * @param {SelectionOutline} selection_outline - The selection outline.
+ */
+function setupSelectionOutlineInputs(selection_outline) {
+    const color_input = document.getElementById('outline_color');
+    const thickness_input = document.getElementById('outline_thickness');
+
+    const read_inputs = () => {
+        const color_hex = color_input.value.substring(1);
+
+        const r = parseInt(color_hex.substring(0, 2), 16) / 255;
+        const g = parseInt(color_hex.substring(2, 4), 16) / 255;
+        const b = parseInt(color_hex.substring(4, 6), 16) / 255;
+
+        selection_outline.setColor(new Color(r, g, b, 1.0));
+
+        const thickness = parseInt(thickness_input.value);
+
+        if (!isNaN(thickness)) {
+            selection_outline.setThickness(thickness);
+        }
+    };
 
-    gl.uniform1i(texture_uniform, texture_unit_num);
+    color_input.addEventListener('input', read_inputs);
+    thickness_input.addEventListener('input', read_inputs);
+
+    read_inputs();
 }
 
+/**
+ * Applies the frame cap selected by the user and toggles the frame time graph when its button is clicked.
+ *
+ * @param {FrameTimer} frame_timer - The timer of the render loop.
+ * @param {FrameTimeGraph} frame_time_graph - The frame time graph.
+ */
+function setupFrameControls(frame_timer, frame_time_graph) {
+    const frame_cap_select = document.getElementById('frame_cap');
+    const graph_button = document.getElementById('frame_graph_btn');
+
+    const read_frame_cap = () => {
+        frame_timer.setFrameCap(parseInt(frame_cap_select.value) || 0);
+    };
+
+    frame_cap_select.addEventListener('change', read_frame_cap);
+
+    graph_button.addEventListener('click', () => {
+        frame_time_graph.setVisible(!frame_time_graph.isVisible());
+        graph_button.innerText = frame_time_graph.isVisible() ? 'HIDE GRAPH' : 'SHOW GRAPH';
+    });
+
+    read_frame_cap();
+}
 
 // ----------- GLOBAL PARAMETERS --------------
-const FPS = 60;
-const FPS_LIMIT = 1000 / FPS;
-const CAMERA_SPEED = 6; // Camera speed (pixels per second)
+const CAMERA_SPEED = 6; // Camera speed (units per second)
+const MODEL_TEXTURE_UNIT = 0; // Textures set by the user in the properties panel
+const SHADOW_MAPS_TEXTURE_UNIT = 1;
+// Texture units of the maps loaded from the MTL files
+const MATERIAL_MAPS_TEXTURE_UNITS = {
+    diffuse: 2,
+    specular: 3,
+    bump: 4,
+    opacity: 5
+};
+const NORMAL_MAP_TEXTURE_UNIT = 6; // Normal maps set by the user in the properties panel
+const OUTLINE_MASK_TEXTURE_UNIT = 7; // Mask of the selected model, used to draw its outline
+// Weights used to read a scalar value from a texture channel (MTL -imfchan option). Luminance ('l') is the default.
+const MAP_CHANNELS = {
+    r: new Float32Array([1, 0, 0, 0]),
+    g: new Float32Array([0, 1, 0, 0]),
+    b: new Float32Array([0, 0, 1, 0]),
+    m: new Float32Array([0, 0, 0, 1]),
+    l: new Float32Array([0.2126, 0.7152, 0.0722, 0])
+};
 const MODELS_CONFIGS = {
     generate_normals: true
 };
 
 const CLEAR_COLOR = new Color(0.4, 0.4, 0.4, 1.0); // Clear color (60% gray)
+const PLACEHOLDER_SIZE = 1.0; // Size of the placeholder box drawn while models are loading
+const AMBIENT_LIGHT = new Color(0.25, 0.25, 0.25); // Ambient light color (25% white)
+// Material values used when the MTL file doesn't define them (or when the object has no material at all)
+const DEFAULT_MATERIAL = {
+    ambient: [1.0, 1.0, 1.0],
+    specular: [0.0, 0.0, 0.0],
+    emissive: [0.0, 0.0, 0.0],
+    shininess: 1.0,
+    opacity: 1.0
+};
 
 let models_to_render = [];
 
+// Models being loaded in the background: { path, progress } (see loadModel). A placeholder box is drawn while there are any.
+const pending_models = [];
+/** @type {Map<string, Promise<Model3D>>} */
+const loading_models = new Map(); // Model path -> its loading promise, so a model added again while loading is duplicated when ready
+/** @type {Model3D} */
+let placeholder_box = null;
+
+// Textures, materials and models -> their ids (see getStateId)
+const state_ids = new WeakMap();
+let last_state_id = 0;
+
 /** @type {OutputLog} */
 let log = null;
 
 let gl = null;
 let program = null;
+/** @type {ShaderProgram} */
+let shader_program = null;
 let wgl_utils = null;
 let camera = null;
 let camera_controls_obj = null;
+/** @type {ShadowMapper} */
+let shadow_mapper = null;
+/** @type {InstancedRenderer} */
+let instanced_renderer = null;
+/** @type {ModelPicker} */
+let model_picker = null;
+/** @type {SelectionOutline} */
+let selection_outline = null;
+/** @type {TransformGizmo} */
+let transform_gizmo = null;
+/** @type {FrameTimer} */
+let frame_timer = null;
+/** @type {FrameTimeGraph} */
+let frame_time_graph = null;
 
 /** @type {FileLoader} */
 let file_loader = null;
@@ -103,6 +341,10 @@ let model_creator = null;
 let model_selector = null;
 /** @type {PropertiesEditor} */
 let properties_editor = null;
+/** @type {LightsEditor} */
+let lights_editor = null;
+/** @type {EditorHistory} */
+let editor_history = null;
 
 // ----------- MAIN FUNCTION --------------
 async function main() {
@@ -117,7 +359,8 @@ async function main() {
 
     // WebGL initialization
     const canvas = document.getElementById('glcanvas');
-    gl = wgl_utils.initializeWebGLContext(canvas);
+    // The canvas has no alpha channel, so transparent objects blend with the scene instead of the web page behind the canvas
+    gl = wgl_utils.initializeWebGLContext(canvas, { alpha: false });
 
     // Loading shaders code
     const v_shader = await file_loader.loadShader('shaders/VertexShader.glsl');
@@ -143,22 +386,90 @@ async function main() {
     }
 
     gl.useProgram(program);
+    shader_program = ShaderProgram.get(gl, program);
 
     log.success_log('main> Program created.');
 
-    // Creating perspective matrix
-    const fov = 30;
-    const aspect_ratio = canvas.width / canvas.height;
-    const near = 0.1;
-    const far = 1000;
-    setProjectionMatrix(fov, aspect_ratio, near, far, gl, program);
+    // Setup lighting (the light sources are uploaded every frame, since the user can edit them in the lights panel)
+    setupLighting(AMBIENT_LIGHT, shader_program);
+
+    // Creating the shadow depth pass program
+    const shadow_v_shader = wgl_utils.createShader(gl.VERTEX_SHADER, await file_loader.loadShader('shaders/ShadowVertexShader.glsl'));
+    const shadow_f_shader = wgl_utils.createShader(gl.FRAGMENT_SHADER, await file_loader.loadShader('shaders/ShadowFragmentShader.glsl'));
+
+    if (!shadow_v_shader || !shadow_f_shader) {
+        throw new Error('Failed to create shadow shaders.');
+    }
+
+    const shadow_program = wgl_utils.createProgram(shadow_v_shader, shadow_f_shader);
+
+    if (!shadow_program) {
+        throw new Error('Failed to create shadow program.');
+    }
+
+    shadow_mapper = new ShadowMapper(log, gl, shadow_program, program, SHADOW_MAPS_TEXTURE_UNIT);
+    instanced_renderer = new InstancedRenderer(log, gl);
+
+    log.success_log('main> Shadow program created.');
+
+    // Creating the picking (ID buffer) program
+    const picking_v_shader = wgl_utils.createShader(gl.VERTEX_SHADER, await file_loader.loadShader('shaders/PickingVertexShader.glsl'));
+    const picking_f_shader = wgl_utils.createShader(gl.FRAGMENT_SHADER, await file_loader.loadShader('shaders/PickingFragmentShader.glsl'));
+
+    if (!picking_v_shader || !picking_f_shader) {
+        throw new Error('Failed to create picking shaders.');
+    }
+
+    const picking_program = wgl_utils.createProgram(picking_v_shader, picking_f_shader);
+
+    if (!picking_program) {
+        throw new Error('Failed to create picking program.');
+    }
+
+    model_picker = new ModelPicker(log, gl, picking_program);
+
+    // The selection outline mask is rendered with the picking program
+    const outline_v_shader = wgl_utils.createShader(gl.VERTEX_SHADER, await file_loader.loadShader('shaders/OutlineVertexShader.glsl'));
+    const outline_f_shader = wgl_utils.createShader(gl.FRAGMENT_SHADER, await file_loader.loadShader('shaders/OutlineFragmentShader.glsl'));
+
+    if (!outline_v_shader || !outline_f_shader) {
+        throw new Error('Failed to create outline shaders.');
+    }
+
+    const outline_program = wgl_utils.createProgram(outline_v_shader, outline_f_shader);
+
+    if (!outline_program) {
+        throw new Error('Failed to create outline program.');
+    }
+
+    selection_outline = new SelectionOutline(log, gl, picking_program, outline_program, OUTLINE_MASK_TEXTURE_UNIT);
+    setupSelectionOutlineInputs(selection_outline);
+
+    log.success_log('main> Picking and outline programs created.');
+
+    // Creating the transform gizmo program
+    const gizmo_v_shader = wgl_utils.createShader(gl.VERTEX_SHADER, await file_loader.loadShader('shaders/GizmoVertexShader.glsl'));
+    const gizmo_f_shader = wgl_utils.createShader(gl.FRAGMENT_SHADER, await file_loader.loadShader('shaders/GizmoFragmentShader.glsl'));
+
+    if (!gizmo_v_shader || !gizmo_f_shader) {
+        throw new Error('Failed to create gizmo shaders.');
+    }
+
+    const gizmo_program = wgl_utils.createProgram(gizmo_v_shader, gizmo_f_shader);
 
-    // Set light direction
-    const light_direction = new Vec4(0.5, -0.6, 1, 0); // Light direction
-    setLightSource(light_direction, gl, program);
+    if (!gizmo_program) {
+        throw new Error('Failed to create gizmo program.');
+    }
+
+    transform_gizmo = new TransformGizmo(log, gl, gizmo_program);
+
+    log.success_log('main> Gizmo program created.');
+
+    placeholder_box = createPlaceholderBox(PLACEHOLDER_SIZE);
 
     // Creating camera
-    camera = new Camera(new Vec4(0, 0, -10, 1)); // By default, the camera is looking in the positive Z direction
+    // By default, the camera is looking in the positive Z direction. The projection is uploaded every frame, since loading a scene can change it.
+    camera = new Camera(new Vec4(0, 0, -10, 1), { fov: 30, near: 0.1, far: 1000 });
     // Here I set that if the user presses the space bar, the camera stats will be logged
     document.addEventListener('keydown', (e) => {
         if (e.key === ' ') {
@@ -170,8 +481,38 @@ async function main() {
     const objs_list = await loadObjsList();
     model_creator = new ModelCreatorMenu(log, objs_list, v_shader, f_shader);
     properties_editor = new PropertiesEditor(log);
-    model_selector = new ModelSelector(log, properties_editor, gl);
-    const saver_loader = new SceneLoaderSaver(log, model_selector, MODELS_CONFIGS, gl, program);
+    // Deleted models are kept by the history (so the deletion can be undone) and freed when they leave it
+    editor_history = new EditorHistory(log, (model) => model_selector.releaseModel(model));
+    model_selector = new ModelSelector(log, properties_editor, editor_history, gl);
+    lights_editor = new LightsEditor(log);
+    const saver_loader = new SceneLoaderSaver(log, model_selector, model_creator, lights_editor, camera, MODELS_CONFIGS, gl, program);
+
+    // Edits typed in the properties panel are merged into a single history entry until the input is committed
+    document.getElementById('model_properties').addEventListener('change', () => editor_history.seal());
+
+    // Dragging the gizmo handles transforms the selected models
+    const gizmo_controls = new GizmoControls(log, canvas, transform_gizmo, camera, model_selector, properties_editor, editor_history);
+
+    // Clicking the canvas selects the model under the cursor (or unselects the selected models if there is none).
+    // Ctrl+click toggles the model in the selection and Shift+click adds it.
+    canvas.addEventListener('click', (e) => {
+        // The click that ends a gizmo drag doesn't select models
+        if (gizmo_controls.consumeClick()) {
+            return;
+        }
+
+        const rect = canvas.getBoundingClientRect();
+
+        // The canvas can be displayed with a different size than its drawing buffer
+        const x = (e.clientX - rect.left) * canvas.width / rect.width;
+        const y = (e.clientY - rect.top) * canvas.height / rect.height;
+
+        const view_projection_matrix = camera.getViewProjectionMatrix(canvas.width / canvas.height);
+
+        const model = model_picker.pick(x, y, models_to_render, view_projection_matrix, program);
+
+        model_selector.selectModel(model, { toggle: e.ctrlKey || e.metaKey, extend: e.shiftKey });
+    });
 
     // ------------- Rendering setup -------------
     gl.enable(gl.DEPTH_TEST); // Enable depth test
@@ -180,141 +521,379 @@ async function main() {
     // Configure face culling
     gl.cullFace(gl.FRONT);
 
-    // Setup texture unit
-    setupTextureUnit(gl, program, 0);
+    // Setup texture units
+    setupMaterialMapsTextureUnits(shader_program, MATERIAL_MAPS_TEXTURE_UNITS);
+    shader_program.setInt('u_normal_map', NORMAL_MAP_TEXTURE_UNIT);
+    setupTextureUnit(shader_program, MODEL_TEXTURE_UNIT);
+
+    // The frame cap is read from the panel (see setupFrameControls)
+    frame_timer = new FrameTimer();
+    frame_time_graph = new FrameTimeGraph('frame_time_graph');
+    setupFrameControls(frame_timer, frame_time_graph);
 
     requestAnimationFrame(renderCallBack);
 }
 
 // ---------------------------------- RENDER CALLBACK ----------------------------------
-async function renderCallBack(s_time) {
+function renderCallBack(s_time) {
+    // The animation frames that come before the frame cap allows are skipped
+    if (!frame_timer.beginFrame(s_time)) {
+        requestAnimationFrame(renderCallBack);
+        return;
+    }
+
+    // The camera moves by its speed per second, whatever the frame rate
+    const delta = frame_timer.getDelta();
+
     let camera_controls_output = camera_controls_obj.readCameraControls();
 
     if (camera_controls_output.status_active) {
         const rotation = camera_controls_output.controls_values.camera_rotation;
         const move_dir = camera_controls_output.controls_values.camera_move_direction;
 
-        camera.move(move_dir, CAMERA_SPEED / FPS);
+        camera.move(move_dir, CAMERA_SPEED * delta);
 
         if (rotation.x !== 0) {
-            camera.rotate(-rotation.x, 'y');
+            camera.rotate(-rotation.x * delta, 'y');
         }
 
         if (rotation.y !== 0) {
-            camera.rotate(-rotation.y, 'x');
+            camera.rotate(-rotation.y * delta, 'x');
         }
     }
 
-    // Getting uniform locations
-    const camera_uniform = gl.getUniformLocation(program, 'u_camera_matrix');
-    const transformation_uniform = gl.getUniformLocation(program, 'u_model_matrix');
-    const material_color_uniform = gl.getUniformLocation(program, 'u_material_color');
-    const global_color_uniform = gl.getUniformLocation(program, 'u_global_color');
-
-    const enable_v_color_uniform = gl.getUniformLocation(program, 'u_enable_vertex_color');
-    const enable_m_color_uniform = gl.getUniformLocation(program, 'u_enable_material_color');
-    const enable_texture_uniform = gl.getUniformLocation(program, 'u_enable_texture');
+    // Set projection matrix
+    setProjectionMatrix(camera.getProjectionMatrix(gl.canvas.width / gl.canvas.height), shader_program);
 
     // Set camera matrix (it will be the same for all objects to render, so we can set it here)
-    const camera_matrix = camera.getCameraMatrix();
-    gl.uniformMatrix4fv(camera_uniform, false, camera_matrix);
+    shader_program.setMat4('u_camera_matrix', camera.getCameraMatrix());
+    // Set camera position (used for the specular highlights)
+    const camera_location = camera.location;
+    shader_program.setVec3('u_camera_position', [camera_location.x, camera_location.y, camera_location.z]);
 
-    // Update models to render
-    await updateModelsToRender();
-    const selected_model = model_selector.getSelectedModelName();
+    // Update models to render (the new models are loaded in the background, see loadModel)
+    updateModelsToRender();
+    updateSelectedModel();
+
+    // Shadow depth pass
+    const lights = lights_editor.getEnabledLights();
+    const shadow_indices = shadow_mapper.renderShadowMaps(lights, models_to_render, program);
+
+    // Set light sources and shadow maps
+    setLightSources(lights, shadow_indices, shader_program);
+    shadow_mapper.setShadowUniforms();
+
+    // Frustum culling: the models out of the screen are not drawn (they are still rendered in the shadow maps, since their shadows can be visible)
+    const frustum = new Frustum(camera.getViewProjectionMatrix(gl.canvas.width / gl.canvas.height));
+    const visible_models = models_to_render.filter((model) => frustum.intersectsModel(model));
+
+    // The duplicates of a model that render the same way are drawn with a single instanced draw per object
+    const { batches, singles } = instanced_renderer.groupModels(visible_models);
+
+    // The shadow pass, the models loaded since the last frame and the instance buffers created by groupModels have changed the bound VAO
+    // and textures. Nothing else binds them until the outline pass, after the scene is drawn with the wrapper.
+    shader_program.resetState();
 
     wgl_utils.clearCanvas(CLEAR_COLOR, gl);
 
-    for (const model of models_to_render) {
-        if (selected_model === model.getModelName()) {
-            // If the user is selecting a model, we need to update its transformation matrix
-            model.setTransformation(properties_editor.readTransformationsProperties());
+    // Opaque pass. Transparent objects are saved to be rendered after all the opaque ones.
+    const transparent_objects = [];
+
+    const addTransparentObject = (model, obj) => {
+        // Distance from the object center (in world coordinates) to the camera
+        const center = obj.getCenter();
+        const world_center = new Vec4(center[0], center[1], center[2], 1).applyTransformationMatrix(model.getWorldMatrix());
+        const distance = world_center.subtract(camera_location).length();
 
-            // Read texture properties panel
-            const texture_properties = properties_editor.readTextureProperties();
+        transparent_objects.push({ model: model, obj: obj, distance: distance });
+    };
 
-            if (texture_properties.set_texture) {
-                // Set texture
-                await model.setTexture(texture_properties.image_path, texture_properties.image_id, gl);
-            } else if (texture_properties.clear) {
-                // Clear texture
-                model.clearTexture(gl);
+    for (const batch of batches) {
+        // The models of the batch share everything but their world matrices and global colors, which are instance attributes
+        setModelUniforms(batch[0], shader_program);
+        instanced_renderer.uploadInstances(batch);
+        shader_program.setInt('u_enable_instancing', true);
+
+        for (const obj of batch[0].getRenderableObjects()) {
+            if (isTransparent(batch[0], obj)) {
+                batch.forEach((model) => addTransparentObject(model, obj));
+                continue;
             }
 
-            // Set global color for model
-            model.setGlobalColor(texture_properties.color);
+            drawObject(batch[0], obj, shader_program, batch.length);
         }
 
-        // Set transformation matrix (since it's the same for all objects, we can set it here)
-        gl.uniformMatrix4fv(transformation_uniform, false, model.getTransformationMatrix());
-        // Set global color
-        gl.uniform4fv(global_color_uniform, model.getGlobalColor().getRGBA());
-        // Set texture (if any)
-        if (model.hasTexture()) {
-            gl.uniform1i(enable_texture_uniform, true);
-            // Enable material texture for rendering
-            model.enableTexture(gl);
-        } else {
-            gl.uniform1i(enable_texture_uniform, false);
-        }
+        shader_program.setInt('u_enable_instancing', false);
+    }
 
-        const objects = model.getRenderableObjects(); // Get renderable objects from model
-
-        for (const obj of objects) {
-            // Set object material settings
-            const material = obj.getMaterial();
-
-            // Enable material color, if the model has no texture
-            if (!model.hasTexture()) {
-                if ('diffuse' in material) {
-                    // Disable vertex color
-                    gl.uniform1i(enable_v_color_uniform, false);
-                    // Enable material color
-                    gl.uniform1i(enable_m_color_uniform, true);
-
-                    // Set material color
-                    gl.uniform3fv(material_color_uniform, new Float32Array(material.diffuse));
-                } else {
-                    // Disable material color
-                    gl.uniform1i(enable_m_color_uniform, false);
-                    // Enable vertex color (it has random colors by default)
-                    gl.uniform1i(enable_v_color_uniform, true);
-                }
+    // The other opaque objects are drawn sorted by texture and material
+    const opaque_draws = [];
+
+    for (const model of singles) {
+        for (const obj of model.getRenderableObjects()) {
+            if (isTransparent(model, obj)) {
+                addTransparentObject(model, obj);
             } else {
-                // Disable material color
-                gl.uniform1i(enable_m_color_uniform, false);
-                // Disable vertex color
-                gl.uniform1i(enable_v_color_uniform, false);
+                opaque_draws.push({ model: model, obj: obj });
             }
+        }
+    }
+
+    sortDraws(opaque_draws);
+
+    for (const draw of opaque_draws) {
+        setModelUniforms(draw.model, shader_program);
+        drawObject(draw.model, draw.obj, shader_program);
+    }
+
+    // The placeholder box of the models being loaded (it pulses, so it is not mistaken for a model)
+    if (pending_models.length > 0) {
+        placeholder_box.setOpacity(0.35 + 0.15 * Math.sin(s_time / 200));
+        placeholder_box.getRenderableObjects().forEach((obj) => addTransparentObject(placeholder_box, obj));
+    }
+
+    // Transparent pass. The objects are rendered from back to front, blending with what is already in the color buffer.
+    // They are still depth tested against the opaque objects, but don't write to the depth buffer so they don't hide each other.
+    if (transparent_objects.length > 0) {
+        transparent_objects.sort((a, b) => b.distance - a.distance);
 
-            // Set object VAO
-            gl.bindVertexArray(obj.getVAO());
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.depthMask(false);
 
-            // Render
-            gl.drawArrays(gl.TRIANGLES, 0, obj.getVertexCount());
+        for (const t of transparent_objects) {
+            setModelUniforms(t.model, shader_program);
+            drawObject(t.model, t.obj, shader_program);
         }
+
+        gl.depthMask(true);
+        gl.disable(gl.BLEND);
+    }
+
+    // Outline of the selected models and transform gizmo of the active model, on top of the scene
+    const selected_model = model_selector.getSelectedModel();
+
+    if (selected_model !== null) {
+        selection_outline.render(model_selector.getSelectedModels(), camera.getViewProjectionMatrix(gl.canvas.width / gl.canvas.height), program);
+        transform_gizmo.render(selected_model, camera, program);
     }
 
-    const end = performance.now();
-    const elapsed = end - s_time;
+    // The code outside the render loop (e.g. the loading of the textures) binds to the active texture unit, which must be the unit 0
+    shader_program.resetState();
 
-    const diff = FPS_LIMIT - elapsed;
+    frame_timer.endFrame();
+    frame_time_graph.render(frame_timer);
 
     // Update FPS counter in HTML
-    document.getElementById('fps_counter').innerText = `FPS: ${Math.round(1000 / (elapsed + Math.abs(diff)))}`;
+    document.getElementById('fps_counter').innerText = `FPS: ${Math.round(frame_timer.getFPS())}` +
+        ` | Culled: ${models_to_render.length - visible_models.length}/${models_to_render.length} models`;
 
-    const callback = () => {
-        requestAnimationFrame(renderCallBack);
+    requestAnimationFrame(renderCallBack);
+}
+
+/**
+ * Checks if an object of a model must be rendered in the transparent pass.
+ *
+ * @param {Model3D} model - The model.
+ * @param {Object3D} obj - One of the objects of the model.
+ * @returns {boolean} True if the model or the object material are not fully opaque, if the material has an opacity map, or if the
+ * colors drawn (the model texture or the vertex colors) have translucent pixels.
+ */
+function isTransparent(model, obj) {
+    const material = obj.getMaterial();
+    const material_opacity = material && 'opacity' in material ? material.opacity : DEFAULT_MATERIAL.opacity;
+
+    if (model.getOpacity() * material_opacity < 1.0 || 'opacity' in obj.getTextures()) {
+        return true;
+    }
+
+    // The alpha of the model texture, or else of the vertex colors when they are drawn (see drawObject), is applied too
+    if (model.hasTexture()) {
+        return model.hasTextureAlpha();
     }
 
-    if (diff > 0) {
-        setTimeout(callback, diff);
+    const uses_material_color = (material && 'diffuse' in material) || 'diffuse' in obj.getTextures();
+
+    return !uses_material_color && obj.hasVertexAlpha();
+}
+
+/**
+ * Uploads the uniforms shared by all objects of a model.
+ *
+ * @param {Model3D} model - The model.
+ * @param {ShaderProgram} shader - The main program.
+ */
+function setModelUniforms(model, shader) {
+    // Set shadow receiving
+    shader.setInt('u_receive_shadows', model.getShadowProperties().receives);
+    // Set transformation matrix (since it's the same for all objects, we can set it here)
+    shader.setMat4('u_model_matrix', model.getWorldMatrix());
+    // Set global color and opacity
+    shader.setVec4('u_global_color', model.getGlobalColor().getRGBA());
+    shader.setFloat('u_model_opacity', model.getOpacity());
+    // Set texture (if any)
+    shader.setInt('u_enable_texture', model.hasTexture());
+    if (model.hasTexture()) {
+        shader.bindTexture(MODEL_TEXTURE_UNIT, model.getTexture());
+    }
+    // Set normal map (if any)
+    shader.setInt('u_enable_normal_map', model.hasNormalMap());
+    if (model.hasNormalMap()) {
+        shader.bindTexture(NORMAL_MAP_TEXTURE_UNIT, model.getNormalMap());
+    }
+}
+
+/**
+ * Uploads the material of an object and renders it. The model uniforms must be set before (see setModelUniforms).
+ *
+ * @param {Model3D} model - The model the object belongs to.
+ * @param {Object3D} obj - The object to render.
+ * @param {ShaderProgram} shader - The main program.
+ * @param {number} instances_count - (Optional) The number of duplicates to draw with instancing. The instance attributes must be uploaded
+ * before (see InstancedRenderer.uploadInstances). If it is not provided, the object is drawn once with the model uniforms.
+ */
+function drawObject(model, obj, shader, instances_count = 0) {
+    // Set object material settings
+    const material = obj.getMaterial();
+    setMaterialUniforms(material, shader);
+
+    // Bind the material maps (diffuse, specular, bump and opacity) loaded from the MTL file
+    bindMaterialMaps(obj, shader);
+
+    // Enable material color, if the model has no texture
+    if (!model.hasTexture()) {
+        if ('diffuse' in material || 'diffuse' in obj.getTextures()) {
+            // Disable vertex color
+            shader.setInt('u_enable_vertex_color', false);
+            // Enable material color
+            shader.setInt('u_enable_material_color', true);
+
+            // Set material color. A diffuse map without Kd is used as is (white Kd).
+            shader.setVec3('u_material_color', material.diffuse ?? [1.0, 1.0, 1.0]);
+        } else {
+            // Disable material color
+            shader.setInt('u_enable_material_color', false);
+            // Enable vertex color (it has random colors by default)
+            shader.setInt('u_enable_vertex_color', true);
+        }
+    } else {
+        // Disable material color
+        shader.setInt('u_enable_material_color', false);
+        // Disable vertex color
+        shader.setInt('u_enable_vertex_color', false);
+    }
+
+    // Set object VAO
+    shader.bindVertexArray(obj.getVAO());
+
+    // Render
+    if (instances_count > 0) {
+        gl.drawElementsInstanced(gl.TRIANGLES, obj.getVertexCount(), obj.getIndexType(), 0, instances_count);
     } else {
-        callback();
+        gl.drawElements(gl.TRIANGLES, obj.getVertexCount(), obj.getIndexType(), 0);
+    }
+}
+
+/**
+ * Applies the values of the properties panel to the selected models (if any).
+ * Only the values that differ from the active model are applied, and each change is recorded in the editor history.
+ * The transformation and the color are applied to the whole selection, the images and the shadow settings only to the active model.
+ */
+function updateSelectedModel() {
+    const model = model_selector.getSelectedModel();
+
+    if (model === null) {
+        return;
+    }
+
+    const selected_models = model_selector.getSelectedModels();
+
+    // If the user is editing the transformations of the model, we need to update its transformation matrix
+    const transformation = properties_editor.readTransformationsProperties();
+    const prev_transformation = model.getTransformationDict();
+
+    if (!ModelCommands.sameValues(transformation, prev_transformation)) {
+        // The change of the active model is applied to all the selected models, around the pivot chosen in the panel
+        const models = SelectionTransform.getTransformedModels(selected_models, model);
+        const before = models.map((m) => structuredClone(m.getTransformationDict()));
+        const parent_matrices = SelectionTransform.getParentMatrices(models);
+
+        const after = SelectionTransform.apply(before, parent_matrices, models.indexOf(model), transformation, properties_editor.readPivotMode());
+
+        models.forEach((m, i) => m.setTransformation(after[i]));
+
+        // With the centroid pivot, rotating or scaling also moves the active model, so the panel must show its new position
+        model_selector.refreshProperties(model, true);
+
+        editor_history.push(ModelCommands.createSelectionTransformCommand(models, before, after, model_selector));
+    }
+
+    // Read texture and normal map properties panel (the images are loaded in the background, see updateModelImages)
+    const texture_properties = properties_editor.readTextureProperties();
+    const normal_map_properties = properties_editor.readNormalMapProperties();
+
+    updateModelImages(model, texture_properties, normal_map_properties).catch((error) => {
+        log.error_log('main> Failed to load the image of model "' + model.getModelName() + '": ' + error);
+    });
+
+    // Set global color and opacity for all the selected models (the panel rounds the color to 8 bits per channel)
+    const color = { color: texture_properties.color, opacity: texture_properties.opacity };
+    const prev_color = { color: model.getGlobalColor(), opacity: model.getOpacity() };
+
+    if (!ModelCommands.sameValues(color.color, prev_color.color, 1 / 255) || !ModelCommands.sameValues(color.opacity, prev_color.opacity)) {
+        const before = selected_models.map((m) => ({ color: m.getGlobalColor(), opacity: m.getOpacity() }));
+
+        for (const m of selected_models) {
+            m.setGlobalColor(color.color);
+            m.setOpacity(color.opacity);
+        }
+
+        editor_history.push(ModelCommands.createSelectionColorCommand(selected_models, before, color, model_selector));
+    }
+
+    // Set shadow properties
+    model.setShadowProperties(properties_editor.readShadowProperties());
+}
+
+/**
+ * Applies the texture and normal map changes of the properties panel to a model, recording them in the editor history.
+ * It is not awaited by the render loop, which keeps drawing while the images are decoded.
+ *
+ * @param {Model3D} model - The active model.
+ * @param {Object} texture_properties - The texture properties read from the panel (see PropertiesEditor.readTextureProperties).
+ * @param {Object} normal_map_properties - The normal map properties read from the panel (see PropertiesEditor.readNormalMapProperties).
+ */
+async function updateModelImages(model, texture_properties, normal_map_properties) {
+    const set_texture = texture_properties.set_texture;
+    const clear_texture = !set_texture && texture_properties.clear && model.hasTexture();
+    const set_normal_map = normal_map_properties.set_normal_map;
+    const clear_normal_map = !set_normal_map && normal_map_properties.clear && model.hasNormalMap();
+
+    if (!set_texture && !clear_texture && !set_normal_map && !clear_normal_map) {
+        return;
+    }
+
+    // The images are read before the model replaces them, since the model revokes the URLs of the previous images
+    const before = await ModelCommands.getImagesState(model);
+
+    if (set_texture) {
+        await model.setTexture(texture_properties.image_path, texture_properties.image_id, gl);
+    } else if (clear_texture) {
+        model.clearTexture(gl);
+    }
+
+    if (set_normal_map) {
+        await model.setNormalMap(normal_map_properties.image_path, normal_map_properties.image_id, gl);
+    } else if (clear_normal_map) {
+        model.clearNormalMap(gl);
     }
+
+    const label = (set_texture || set_normal_map ? 'Set ' : 'Clear ') + (set_texture || clear_texture ? 'texture' : 'normal map');
+
+    editor_history.push(ModelCommands.createImagesCommand(model, label, before, await ModelCommands.getImagesState(model), model_selector, gl));
 }
 
-async function updateModelsToRender() {
+function updateModelsToRender() {
     // Check if there are new models to add to the scene
     if (model_creator.hasNewModels()) {
         const new_models_paths = model_creator.getNewModels();
@@ -325,24 +904,23 @@ async function updateModelsToRender() {
         for (let mp of new_models_paths) {
             loaded_paths = model_selector.getLoadedModelsPaths();
 
-            let nm = null;
-
             // Check if we already loaded this model
             if (loaded_paths.has(mp)) {
                 // Model already loaded, let's duplicate it
                 for (const m of models_to_render) {
                     if (m.getModelPath() === mp) {
-                        nm = m.duplicateModel();
+                        const nm = m.duplicateModel();
                         log.log('main> Model "' + m.getModelName() + '" duplicated.');
+
+                        model_selector.addModelToList(nm);
+                        editor_history.push(ModelCommands.createAddCommand(nm, true, model_selector));
                         break;
                     }
                 }
             } else {
-                // Model not loaded, let's load it
-                nm = await file_loader.load3DObject(mp, gl, program, MODELS_CONFIGS);
+                // Model not loaded, let's load it without blocking the render loop
+                loadModel(mp);
             }
-
-            model_selector.addModelToList(nm);
         }
     }
 
@@ -350,5 +928,110 @@ async function updateModelsToRender() {
     models_to_render = model_selector.get3DModelsList();
 }
 
+/**
+ * Loads a model in the background (see FileLoader.load3DObject) and adds it to the scene when it is ready. Meanwhile, a placeholder box
+ * is drawn and the progress is shown below the FPS counter. If the same model is already loading, it is duplicated when ready.
+ *
+ * @param {string} model_path - The path of the model file.
+ */
+async function loadModel(model_path) {
+    const pending = { path: model_path, progress: null };
+    const loading = loading_models.get(model_path);
+
+    pending_models.push(pending);
+    updateLoadingProgress();
+
+    let model;
+
+    try {
+        if (loading !== undefined) {
+            model = (await loading).duplicateModel();
+            log.log('main> Model "' + model.getModelName() + '" duplicated.');
+        } else {
+            const promise = file_loader.load3DObject(model_path, gl, program, MODELS_CONFIGS, (progress) => {
+                pending.progress = progress;
+                updateLoadingProgress();
+            });
+
+            loading_models.set(model_path, promise);
+            model = await promise;
+        }
+    } catch (error) {
+        // The error was logged by FileLoader
+        return;
+    } finally {
+        if (loading === undefined) {
+            loading_models.delete(model_path);
+        }
+
+        pending_models.splice(pending_models.indexOf(pending), 1);
+        updateLoadingProgress();
+    }
+
+    model_selector.addModelToList(model);
+    editor_history.push(ModelCommands.createAddCommand(model, loading !== undefined, model_selector));
+}
+
+/**
+ * Shows the progress of the models being loaded (see loadModel), or hides it if there are none.
+ */
+function updateLoadingProgress() {
+    const progress_element = document.getElementById('loading_progress');
+
+    const describe = (pending) => {
+        const name = pending.path.split('/').pop();
+        const progress = pending.progress;
+
+        if (progress === null) {
+            return name + ': waiting';
+        }
+
+        const percentage = progress.total > 0 ? ' ' + Math.round(progress.loaded / progress.total * 100) + '%' : '';
+
+        return name + ': ' + progress.stage + percentage;
+    };
+
+    progress_element.hidden = pending_models.length === 0;
+    progress_element.innerText = 'Loading ' + pending_models.map(describe).join(' | ');
+}
+
+/**
+ * Creates the box drawn at the origin (where the new models are placed) while models are loading.
+ *
+ * @param {number} size - The length of the edges of the box.
+ * @returns {Model3D} The box model. It is not added to the scene.
+ */
+function createPlaceholderBox(size) {
+    const h = size / 2;
+    const corner = (i) => [i & 1 ? h : -h, i & 2 ? h : -h, i & 4 ? h : -h];
+
+    // Corners of each face (counter-clockwise seen from outside, like the OBJ faces) and its normal
+    const faces = [
+        [[0, 4, 6, 2], [-1, 0, 0]], [[1, 3, 7, 5], [1, 0, 0]],
+        [[0, 1, 5, 4], [0, -1, 0]], [[2, 6, 7, 3], [0, 1, 0]],
+        [[0, 2, 3, 1], [0, 0, -1]], [[4, 5, 7, 6], [0, 0, 1]]
+    ];
+
+    const data = { position: [], normal: [] };
+
+    for (const [corners, normal] of faces) {
+        for (const i of [0, 1, 2, 0, 2, 3]) {
+            data.position.push(...corner(corners[i]));
+            data.normal.push(...normal);
+        }
+    }
+
+    const parsed_obj_data = {
+        geometries: [{ object: 'placeholder', groups: ['default'], material: 'placeholder', data: data }],
+        materialLibs: [],
+        configs: { generate_normals: false }
+    };
+
+    const box = new Model3D('placeholder', '', parsed_obj_data, { placeholder: { diffuse: [0.9, 0.9, 0.9] } }, gl, program);
+    box.setShadowProperties({ casts: false, receives: false });
+
+    return box;
+}
+
 
 main();
\ No newline at end of file
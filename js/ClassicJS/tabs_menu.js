@@ -1,6 +1,8 @@
 const tabs_mapping = {
 	'tab_model_properties': 'model_properties',
-	'tab_model_creator': 'model_creator'
+	'tab_lights_editor': 'lights_editor',
+	'tab_model_creator': 'model_creator',
+	'tab_history': 'history_editor'
 };
 
 const tab_active_class = 'tab_active';
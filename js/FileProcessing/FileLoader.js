@@ -1,8 +1,33 @@
 import DoLog from "../Logging/DoLog.js";
 import Model3D from "../3DStuff/Model3D.js";
-import OBJParser from "./OBJParser.js";
+import ModelParser from "./ModelParser.js";
+import LocalFiles from "./LocalFiles.js";
 
 export default class FileLoader extends DoLog {
+    /**
+     * The source of each texture loaded by loadTexture: { path } (a path or a virtual path, see LocalFiles) or { blob } for the images
+     * stored inside the model files. Used to export the textures with the scene.
+     *
+     * @type {WeakMap<WebGLTexture, Object>}
+     * @static
+     * @private
+     */
+    static #texture_sources = new WeakMap();
+
+    /**
+     * The loader worker (see #getWorker), its pending requests by id, and the imported files already sent to it.
+     *
+     * @static
+     * @private
+     */
+    static #worker = null;
+    static #worker_failed = false;
+    static #next_request_id = 0;
+    /** @type {Map<number, Object>} */
+    static #requests = new Map();
+    /** @type {WeakSet<Blob>} */
+    static #worker_blobs = new WeakSet();
+
     constructor(log) {
         super(log, 'FileLoader> ');
     }
@@ -21,54 +46,327 @@ export default class FileLoader extends DoLog {
     }
 
     /**
-     * Loads a 3D object from a .obj file.
+     * Loads a 3D object from a .obj, .gltf, .glb, .stl or .ply file. The material libraries (and the glTF buffers and images, and the PLY
+     * textures) are loaded from paths relative to the object file.
      * 
-     * @param {string} object_path - Path to the .obj file.
+     * The files are fetched and parsed, and the geometries processed, in a worker (see ModelParser), so the render loop keeps running
+     * while large models load. Only the textures and the buffers of the objects are created in the main thread, once the worker is done.
+     * 
+     * @param {string} object_path - Path to the object file, or the virtual path of an imported file (see LocalFiles).
      * @param {WebGL2RenderingContext} gl - The WebGL2RenderingContext object.
      * @param {WebGLProgram} program - The WebGLProgram object.
      * @param {Object} configs - (Optional) Configurations for the object processing. If it is not provided, the default values will be used. The properties accepted are:
      * @param {boolean} configs.generate_normals - If true, the normals will be generated for the object even if they are present in the file. Default is false.
+     * @param {function(Object)} on_progress - (Optional) Called with the progress of the worker: { stage, loaded, total } (see ModelParser).
      * @returns {Model3D} - The 3D model.
      */
-    async load3DObject(object_path, gl, program, configs = null) {
-        const response = await fetch(object_path);
+    async load3DObject(object_path, gl, program, configs = null, on_progress = null) {
+        const processed_configs = this.#processConfigs(configs);
 
-        if (!response.ok) {
-            this.LOG('Failed to load object file: ' + object_path, 'error');
-            throw new Error('Failed to load file ' + object_path + ':' + response.status + ' - ' + response.statusText);
+        let parsed;
+
+        try {
+            parsed = await this.#parseModel(object_path, processed_configs, on_progress);
+        } catch (error) {
+            // The parsers errors don't name the file
+            this.LOG(error.message.includes(object_path) ? error.message : object_path + ': ' + error.message, 'error');
+            throw error;
         }
 
-        const text = await response.text();
+        for (const warning of parsed.warnings) {
+            this.LOG(object_path + ': ' + warning, 'warning');
+        }
+
+        // Material libraries, buffers and textures read, needed to save imported models in the scenes
+        const loaded_files = [...parsed.loaded_files];
+        const material_textures = {};
+
+        if (parsed.format === 'gltf') {
+            Object.assign(material_textures, await this.#loadGLTFTextures(parsed, parsed.directory, gl, loaded_files));
+        }
+
+        // The texture maps paths are relative to the .mtl file (or to the PLY file)
+        for (const material_lib of parsed.material_libs) {
+            Object.assign(material_textures, await this.#loadMaterialTextures(material_lib.materials, material_lib.directory, gl, loaded_files));
+        }
+
+        if (LocalFiles.isLocal(object_path)) {
+            LocalFiles.setDependencies(object_path, loaded_files);
+        }
+
+        const model_name = this.#getFileNameFromPath(object_path);
+
+        const parsed_obj_data = {
+            geometries: parsed.geometries,
+            materialLibs: [],
+            configs: processed_configs
+        };
+
+        const model = new Model3D(model_name, object_path, parsed_obj_data, parsed.materials, gl, program, material_textures);
+        this.#logMemoryUsage(model);
 
-        const obj_parser = new OBJParser();
-        const parsed_obj_data = obj_parser.parseOBJ(text);
-        // Adding configs to the parsed data
-        parsed_obj_data['configs'] = this.#processConfigs(configs);
+        return model;
+    }
+
+    /**
+     * Parses a model file in the loader worker (see ModelLoaderWorker.js), or in the main thread if workers are not available.
+     * 
+     * @param {string} object_path - Path to the object file.
+     * @param {Object} configs - The processed configurations (see #processConfigs).
+     * @param {function(Object)} on_progress - The progress callback, or null.
+     * @returns {Promise<Object>} - The parsed model (see ModelParser.parse).
+     */
+    #parseModel(object_path, configs, on_progress) {
+        if (typeof Worker === 'undefined' || FileLoader.#worker_failed) {
+            return new ModelParser(on_progress).parse(object_path, configs);
+        }
 
-        // Processing materials
-        const path_prefix = './objs/kit/';
-        const obj_materials_src = [];
-        for (let i = 0; i < parsed_obj_data.materialLibs.length; i++) {
-            const material_path = path_prefix + parsed_obj_data.materialLibs[i];
+        const worker = this.#getWorker();
+        const id = FileLoader.#next_request_id++;
 
-            const response = await fetch(material_path);
+        // Only the imported files that the worker doesn't have yet are sent
+        const files = LocalFiles.getFiles().filter((file) => !FileLoader.#worker_blobs.has(file.blob));
+        files.forEach((file) => FileLoader.#worker_blobs.add(file.blob));
 
-            if (!response.ok) {
-                this.LOG('Failed to load material file: ' + material_path, 'error');
-                throw new Error('Failed to load file ' + material_path + ':' + response.status + ' - ' + response.statusText);
+        return new Promise((resolve, reject) => {
+            FileLoader.#requests.set(id, { object_path: object_path, configs: configs, on_progress: on_progress, resolve: resolve, reject: reject });
+
+            worker.postMessage({ id: id, object_path: object_path, base_url: document.baseURI, configs: configs, files: files });
+        });
+    }
+
+    /**
+     * Returns the loader worker, shared by all the FileLoader objects, creating it the first time. If the worker can't be started (e.g. the
+     * browser doesn't support module workers), the pending and following models are parsed in the main thread.
+     * 
+     * @returns {Worker} - The worker.
+     */
+    #getWorker() {
+        if (FileLoader.#worker !== null) {
+            return FileLoader.#worker;
+        }
+
+        const worker = new Worker(new URL('./ModelLoaderWorker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = (e) => {
+            const request = FileLoader.#requests.get(e.data.id);
+
+            if (e.data.type === 'progress') {
+                request.on_progress?.(e.data.progress);
+                return;
             }
 
-            const text = await response.text();
-            obj_materials_src.push(text);
+            FileLoader.#requests.delete(e.data.id);
+
+            if (e.data.type === 'loaded') {
+                request.resolve(e.data.parsed);
+            } else {
+                request.reject(new Error(e.data.message));
+            }
+        };
+
+        worker.onerror = (e) => {
+            e.preventDefault();
+
+            this.LOG('The loader worker failed to start (' + (e.message || 'unknown error') + '). The models will be loaded in the main thread.', 'warning');
+
+            worker.terminate();
+            FileLoader.#worker = null;
+            FileLoader.#worker_failed = true;
+
+            for (const request of FileLoader.#requests.values()) {
+                new ModelParser(request.on_progress).parse(request.object_path, request.configs).then(request.resolve, request.reject);
+            }
+
+            FileLoader.#requests.clear();
+        };
+
+        FileLoader.#worker = worker;
+
+        return worker;
+    }
+
+    /**
+     * Loads an image into a new texture. The texture repeats outside the [0, 1] range and uses mipmaps, as expected by the OBJ texture coordinates.
+     * 
+     * @param {string} image_path - Path to the image file, or the virtual path of an imported file (see LocalFiles).
+     * @param {WebGL2RenderingContext} gl - The WebGL2RenderingContext object.
+     * @returns {Promise<WebGLTexture>} - The texture, or null if the image could not be loaded.
+     */
+    async loadTexture(image_path, gl) {
+        const image = new Image();
+
+        const loaded = await new Promise((resolve) => {
+            image.onload = () => resolve(true);
+            image.onerror = () => resolve(false);
+            image.src = LocalFiles.resolve(image_path);
+        });
+
+        if (!loaded) {
+            this.LOG('Failed to load texture image: ' + image_path, 'warning');
+            return null;
         }
 
-        const parsed_materials = obj_parser.parseMTL(obj_materials_src.join('\n'));
+        const texture = gl.createTexture();
 
-        const model_name = this.#getFileNameFromPath(object_path);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
 
-        const model = new Model3D(model_name, object_path, parsed_obj_data, parsed_materials, gl, program);
+        // The OBJ texture coordinates have the origin at the bottom left corner of the image
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
 
-        return model;
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+        gl.bindTexture(gl.TEXTURE_2D, null);
+
+        FileLoader.#texture_sources.set(texture, { path: image_path });
+
+        return texture;
+    }
+
+    /**
+     * Returns the source of a texture loaded by loadTexture.
+     * 
+     * @param {WebGLTexture} texture - The texture.
+     * @returns {Object} - { path } (the path of the image) or { blob } (an image stored inside a model file), or null for other textures.
+     */
+    static getTextureSource(texture) {
+        return FileLoader.#texture_sources.get(texture) ?? null;
+    }
+
+    /**
+     * Loads the texture maps (map_Kd, map_Ks, map_Bump and map_d) of the given materials. An image used by more than one map is loaded only once.
+     * 
+     * @param {Object} materials - The parsed materials, as returned by {@link OBJParser#parseMTL}.
+     * @param {string} directory - The directory of the .mtl file, ending with '/'.
+     * @param {WebGL2RenderingContext} gl - The WebGL2RenderingContext object.
+     * @param {string[]} loaded_files - The paths of the images loaded are added to this list.
+     * @returns {Promise<Object>} - A mapping from each material name to its textures: { diffuse, specular, bump, opacity }. Missing maps are not present.
+     */
+    async #loadMaterialTextures(materials, directory, gl, loaded_files) {
+        const maps_keys = {
+            diffuse: 'diffuseMap',
+            specular: 'specularMap',
+            bump: 'bumpMap',
+            opacity: 'opacityMap'
+        };
+
+        const loaded_textures = {}; // Image path -> texture
+        const material_textures = {};
+
+        for (const material_name in materials) {
+            const material = materials[material_name];
+            const textures = {};
+
+            for (const [type, key] of Object.entries(maps_keys)) {
+                if (!(key in material) || material[key].path === '') {
+                    continue;
+                }
+
+                const image_path = directory + material[key].path.replaceAll('\\', '/');
+
+                if (!(image_path in loaded_textures)) {
+                    loaded_textures[image_path] = await this.loadTexture(image_path, gl);
+
+                    if (loaded_textures[image_path] !== null) {
+                        loaded_files.push(image_path);
+                    }
+                }
+
+                if (loaded_textures[image_path] !== null) {
+                    textures[type] = loaded_textures[image_path];
+                }
+            }
+
+            material_textures[material_name] = textures;
+        }
+
+        const textures_count = Object.values(loaded_textures).filter((texture) => texture !== null).length;
+        if (textures_count > 0) {
+            this.LOG('Loaded ' + textures_count + ' material texture(s) from ' + directory, 'success');
+        }
+
+        return material_textures;
+    }
+
+    /**
+     * Loads the base color textures of the glTF materials (as their diffuse maps). An image used by more than one material is loaded only once.
+     * 
+     * @param {Object} parsed_gltf - The parsed glTF file, with its materials and images (see {@link GLTFParser#parseGLTF} and ModelParser.parse).
+     * @param {string} directory - The directory of the glTF file, ending with '/'.
+     * @param {WebGL2RenderingContext} gl - The WebGL2RenderingContext object.
+     * @param {string[]} loaded_files - The paths of the external images loaded are added to this list.
+     * @returns {Promise<Object>} - A mapping from each material name to its textures: { diffuse }.
+     */
+    async #loadGLTFTextures(parsed_gltf, directory, gl, loaded_files) {
+        const loaded_textures = {}; // Image index -> texture
+        const material_textures = {};
+
+        for (const [material_name, material] of Object.entries(parsed_gltf.materials)) {
+            material_textures[material_name] = {};
+
+            if (!material.diffuseMap) {
+                continue;
+            }
+
+            const image_index = material.diffuseMap.image;
+
+            if (!(image_index in loaded_textures)) {
+                const image = parsed_gltf.images[image_index];
+
+                if (image.blob) {
+                    // Images stored in the buffers
+                    const image_url = URL.createObjectURL(image.blob);
+                    loaded_textures[image_index] = await this.loadTexture(image_url, gl);
+                    URL.revokeObjectURL(image_url);
+
+                    if (loaded_textures[image_index] !== null) {
+                        FileLoader.#texture_sources.set(loaded_textures[image_index], { blob: image.blob });
+                    }
+                } else if (image.uri?.startsWith('data:')) {
+                    loaded_textures[image_index] = await this.loadTexture(image.uri, gl);
+                } else if (image.uri) {
+                    const image_path = directory + decodeURIComponent(image.uri);
+                    loaded_textures[image_index] = await this.loadTexture(image_path, gl);
+
+                    if (loaded_textures[image_index] !== null) {
+                        loaded_files.push(image_path);
+                    }
+                } else {
+                    loaded_textures[image_index] = null;
+                }
+            }
+
+            if (loaded_textures[image_index] !== null) {
+                material_textures[material_name].diffuse = loaded_textures[image_index];
+            }
+        }
+
+        const textures_count = Object.values(loaded_textures).filter((texture) => texture !== null).length;
+        if (textures_count > 0) {
+            this.LOG('Loaded ' + textures_count + ' base color texture(s) from the glTF materials.', 'success');
+        }
+
+        return material_textures;
+    }
+
+    /**
+     * Logs how much memory the vertex buffers of a model take after welding its vertices, compared with a vertex per face corner.
+     * 
+     * @param {Model3D} model - The loaded model.
+     */
+    #logMemoryUsage(model) {
+        const usage = model.getMemoryUsage();
+        const toKB = (bytes) => (bytes / 1024).toFixed(1) + ' KB';
+        const saved = usage.array_bytes > 0 ? Math.round((1 - usage.indexed_bytes / usage.array_bytes) * 100) : 0;
+
+        this.LOG(model.getModelName() + ': ' + usage.vertices + ' vertices welded into ' + usage.unique_vertices + ' (vertex buffers: ' +
+            toKB(usage.array_bytes) + ' without indices, ' + toKB(usage.indexed_bytes) + ' indexed, ' + saved + '% saved).', 'info');
     }
 
     #getFileNameFromPath(path) {
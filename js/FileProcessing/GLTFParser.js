@@ -0,0 +1,477 @@
+import GraphicsMath from "../3DStuff/GraphicsMath.js";
+
+/**
+ * Parses glTF 2.0 files (.gltf and .glb) into the same structure as OBJParser, so the glTF models are rendered like the OBJ models.
+ *
+ * - Each primitive of the meshes becomes a geometry, with the positions, normals, texture coordinates (TEXCOORD_0) and colors (COLOR_0) of its
+ *   triangles. The indices are expanded to a vertex per face corner, like the OBJ faces: the identical vertices are welded again when the
+ *   geometry is processed (see GeometryProcessor), so the objects are still drawn with an index buffer.
+ * - The transformations of the nodes of the scene are baked into the vertices, so a mesh used by several nodes gives several geometries.
+ * - The PBR materials are converted to the MTL materials of the editor: the base color is the diffuse color (and the base color texture the
+ *   diffuse map), the alpha of the base color is the opacity, and the metallic and roughness factors give an approximated specular color
+ *   and shininess.
+ *
+ * The texture coordinates are flipped vertically (glTF has the origin at the top left corner of the images, OBJ at the bottom left one),
+ * so the textures are loaded like the OBJ textures.
+ *
+ * @class
+ */
+export default class GLTFParser {
+    /**
+     * Magic number of the GLB header and types of its chunks, as little endian integers. Also used to write GLB files (see SceneExporter).
+     *
+     * @type {number}
+     * @static
+     */
+    static GLB_MAGIC = 0x46546C67; // 'glTF'
+    static GLB_JSON_CHUNK = 0x4E4F534A; // 'JSON'
+    static GLB_BIN_CHUNK = 0x004E4942; // 'BIN'
+
+    static #COMPONENTS_PER_TYPE = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+    // DataView getter, size in bytes and maximum value (used to normalize the integers) of each component type
+    static #COMPONENT_TYPES = {
+        5120: { getter: 'getInt8', size: 1, max: 127, unsigned: false },
+        5121: { getter: 'getUint8', size: 1, max: 255, unsigned: true },
+        5122: { getter: 'getInt16', size: 2, max: 32767, unsigned: false },
+        5123: { getter: 'getUint16', size: 2, max: 65535, unsigned: true },
+        5125: { getter: 'getUint32', size: 4, max: 4294967295, unsigned: true },
+        5126: { getter: 'getFloat32', size: 4, max: 1, unsigned: false }
+    };
+
+    static #MODES = { POINTS: 0, LINES: 1, LINE_LOOP: 2, LINE_STRIP: 3, TRIANGLES: 4, TRIANGLE_STRIP: 5, TRIANGLE_FAN: 6 };
+
+    // Extensions that only add optional data: the files that require them can still be loaded without it
+    static #IGNORED_EXTENSIONS = ['KHR_materials_emissive_strength', 'KHR_texture_transform', 'KHR_materials_unlit'];
+
+    /**
+     * Splits a binary glTF file (.glb) into its JSON document and its binary chunk.
+     *
+     * @param {ArrayBuffer} array_buffer - The content of the .glb file.
+     * @returns {Object} An object with the properties json (the parsed glTF document) and bin (an ArrayBuffer with the binary chunk, or null).
+     */
+    parseGLB(array_buffer) {
+        const view = new DataView(array_buffer);
+
+        if (array_buffer.byteLength < 12 || view.getUint32(0, true) !== GLTFParser.GLB_MAGIC) {
+            throw new Error('Not a binary glTF file (invalid header).');
+        }
+
+        if (view.getUint32(4, true) !== 2) {
+            throw new Error('Unsupported binary glTF version ' + view.getUint32(4, true) + ' (only version 2 is supported).');
+        }
+
+        let json = null;
+        let bin = null;
+        let offset = 12;
+
+        while (offset + 8 <= array_buffer.byteLength) {
+            const chunk_length = view.getUint32(offset, true);
+            const chunk_type = view.getUint32(offset + 4, true);
+            const chunk_start = offset + 8;
+
+            if (chunk_type === GLTFParser.GLB_JSON_CHUNK) {
+                json = JSON.parse(new TextDecoder().decode(new Uint8Array(array_buffer, chunk_start, chunk_length)));
+            } else if (chunk_type === GLTFParser.GLB_BIN_CHUNK && bin === null) {
+                bin = array_buffer.slice(chunk_start, chunk_start + chunk_length);
+            }
+
+            offset = chunk_start + chunk_length;
+        }
+
+        if (json === null) {
+            throw new Error('The binary glTF file has no JSON chunk.');
+        }
+
+        return { json: json, bin: bin };
+    }
+
+    /**
+     * Parses a glTF document whose buffers were already loaded.
+     *
+     * @param {Object} json - The glTF document.
+     * @param {ArrayBuffer[]} buffers - The content of each buffer of the document, in the same order.
+     * @returns {Object} The parsed data:
+     * - geometries: the geometries, like the ones of OBJParser.parseOBJ ({ object, groups, material, data: { position, texcoord, normal, color } }).
+     * - materials: the materials by name, like the ones of OBJParser.parseMTL. The diffuseMap of a material has the index of its image
+     *   (image) besides the MTL properties.
+     * - images: the images of the document: { uri } for external or data URI images, { blob } for the images stored in the buffers.
+     * - warnings: the parts of the file that were skipped.
+     */
+    parseGLTF(json, buffers) {
+        const version = String(json.asset?.version ?? '');
+
+        if (!version.startsWith('2.')) {
+            throw new Error('Unsupported glTF version "' + version + '" (only version 2.0 is supported).');
+        }
+
+        const unsupported = (json.extensionsRequired ?? []).filter((extension) => !GLTFParser.#IGNORED_EXTENSIONS.includes(extension));
+
+        if (unsupported.length > 0) {
+            throw new Error('The glTF file requires unsupported extensions: ' + unsupported.join(', '));
+        }
+
+        const warnings = [];
+        const materials = this.#parseMaterials(json);
+        const images = this.#parseImages(json, buffers);
+        const geometries = [];
+
+        const visitNode = (node_index, parent_matrix) => {
+            const node = json.nodes[node_index];
+            const matrix = GraphicsMath.multiplyMatrices(parent_matrix, this.#getNodeMatrix(node));
+
+            if (node.mesh !== undefined) {
+                const mesh = json.meshes[node.mesh];
+                const object_name = node.name ?? mesh.name ?? 'mesh_' + node.mesh;
+
+                mesh.primitives.forEach((primitive, i) => {
+                    const data = this.#parsePrimitive(json, buffers, primitive, matrix, warnings, `${object_name}[${i}]`);
+
+                    if (data !== null) {
+                        geometries.push({
+                            object: object_name,
+                            groups: [object_name],
+                            material: primitive.material !== undefined ? GLTFParser.#getMaterialName(primitive.material) : 'default',
+                            data: data
+                        });
+                    }
+                });
+            }
+
+            for (const child of node.children ?? []) {
+                visitNode(child, matrix);
+            }
+        };
+
+        for (const root of this.#getRootNodes(json)) {
+            visitNode(root, GraphicsMath.createIdentityMatrix());
+        }
+
+        return { geometries: geometries, materials: materials, images: images, warnings: warnings };
+    }
+
+    /**
+     * Returns the names used for the materials in the parsed data. The glTF materials names are optional and don't need to be unique.
+     *
+     * @param {number} material_index - The index of the material in the document.
+     * @returns {string} The name of the material.
+     * @static
+     * @private
+     */
+    static #getMaterialName(material_index) {
+        return 'material_' + material_index;
+    }
+
+    /**
+     * Returns the root nodes of the scene to render: the default scene, the first one, or all the nodes without a parent if there are no scenes.
+     *
+     * @param {Object} json - The glTF document.
+     * @returns {number[]} The indices of the root nodes.
+     * @private
+     */
+    #getRootNodes(json) {
+        const scenes = json.scenes ?? [];
+
+        if (scenes.length > 0) {
+            return scenes[json.scene ?? 0]?.nodes ?? [];
+        }
+
+        const nodes = json.nodes ?? [];
+        const children = new Set(nodes.flatMap((node) => node.children ?? []));
+
+        return nodes.map((node, i) => i).filter((i) => !children.has(i));
+    }
+
+    /**
+     * Returns the local matrix of a node: its matrix, or the composition of its translation, rotation (quaternion) and scale (T * R * S).
+     *
+     * @param {Object} node - The node.
+     * @returns {Float32Array} The matrix in column major order (like the glTF matrices).
+     * @private
+     */
+    #getNodeMatrix(node) {
+        if (node.matrix) {
+            return new Float32Array(node.matrix);
+        }
+
+        const t = node.translation ?? [0, 0, 0];
+        const s = node.scale ?? [1, 1, 1];
+
+        const t_m = GraphicsMath.createTranslationMatrix(t[0], t[1], t[2]);
+        const r_m = GraphicsMath.createQuaternionRotationMatrix(node.rotation ?? [0, 0, 0, 1]);
+        const s_m = GraphicsMath.createScaleMatrix(s[0], s[1], s[2]);
+
+        return GraphicsMath.multiplyMatrices(t_m, GraphicsMath.multiplyMatrices(r_m, s_m));
+    }
+
+    /**
+     * Converts the PBR materials to the materials of the editor. A 'default' material (white, as the glTF default material) is used by
+     * the primitives without a material.
+     *
+     * @param {Object} json - The glTF document.
+     * @returns {Object} The materials by name (see #getMaterialName).
+     * @private
+     */
+    #parseMaterials(json) {
+        const materials = {
+            default: { diffuse: [1, 1, 1], specular: [0, 0, 0], shininess: 1, opacity: 1 }
+        };
+
+        (json.materials ?? []).forEach((gltf_material, i) => {
+            const pbr = gltf_material.pbrMetallicRoughness ?? {};
+            const base_color = pbr.baseColorFactor ?? [1, 1, 1, 1];
+            const metallic = pbr.metallicFactor ?? 1;
+            const roughness = pbr.roughnessFactor ?? 1;
+
+            // Metals reflect with their own color, dielectrics with 4% of white. Rough surfaces have dimmer and wider highlights.
+            const specular = [0, 1, 2].map((c) => (0.04 * (1 - metallic) + base_color[c] * metallic) * (1 - roughness));
+            const shininess = Math.min(Math.max(2 / Math.max(roughness ** 4, 1e-4) - 2, 1), 1000);
+
+            const material = {
+                diffuse: base_color.slice(0, 3),
+                specular: specular,
+                shininess: shininess,
+                emissive: gltf_material.emissiveFactor ?? [0, 0, 0],
+                // Opaque materials ignore the alpha of the base color
+                opacity: (gltf_material.alphaMode ?? 'OPAQUE') === 'OPAQUE' ? 1 : base_color[3]
+            };
+
+            const texture = json.textures?.[pbr.baseColorTexture?.index];
+
+            if (texture?.source !== undefined) {
+                material.diffuseMap = { path: json.images[texture.source].uri ?? '', bumpMultiplier: 1.0, channel: null, image: texture.source };
+            }
+
+            materials[GLTFParser.#getMaterialName(i)] = material;
+        });
+
+        return materials;
+    }
+
+    /**
+     * Reads the sources of the images.
+     *
+     * @param {Object} json - The glTF document.
+     * @param {ArrayBuffer[]} buffers - The content of the buffers.
+     * @returns {Object[]} { uri } or { blob } for each image.
+     * @private
+     */
+    #parseImages(json, buffers) {
+        return (json.images ?? []).map((image) => {
+            if (image.bufferView === undefined) {
+                return { uri: image.uri };
+            }
+
+            const buffer_view = json.bufferViews[image.bufferView];
+            const bytes = new Uint8Array(buffers[buffer_view.buffer], buffer_view.byteOffset ?? 0, buffer_view.byteLength);
+
+            return { blob: new Blob([bytes], { type: image.mimeType }) };
+        });
+    }
+
+    /**
+     * Reads the triangles of a primitive and transforms them by the matrix of its node.
+     *
+     * @param {Object} json - The glTF document.
+     * @param {ArrayBuffer[]} buffers - The content of the buffers.
+     * @param {Object} primitive - The primitive.
+     * @param {Float32Array} matrix - The world matrix of the node of the mesh.
+     * @param {string[]} warnings - The list of warnings, where the skipped primitives are added.
+     * @param {string} name - The name of the primitive, used in the warnings.
+     * @returns {Object} The vertex data ({ position, texcoord, normal, color }, without the missing attributes), or null if the primitive was skipped.
+     * @private
+     */
+    #parsePrimitive(json, buffers, primitive, matrix, warnings, name) {
+        const attributes = primitive.attributes;
+
+        if (attributes.POSITION === undefined) {
+            warnings.push(name + ': skipped, the primitive has no positions.');
+            return null;
+        }
+
+        const positions = this.#readAccessor(json, buffers, attributes.POSITION);
+        const vertex_count = positions.length / 3;
+        const indices = primitive.indices !== undefined ? this.#readAccessor(json, buffers, primitive.indices) : null;
+        const triangles = this.#getTriangles(indices ?? vertex_count, primitive.mode ?? GLTFParser.#MODES.TRIANGLES);
+
+        if (triangles === null) {
+            warnings.push(name + ': skipped, only triangles are supported (mode ' + primitive.mode + ').');
+            return null;
+        }
+
+        const normal_matrix = GraphicsMath.invertAffineMatrix(matrix);
+        const mirrored = normal_matrix !== null && GraphicsMath.isMirroring(matrix);
+
+        if (mirrored) {
+            for (let i = 0; i < triangles.length; i += 3) {
+                [triangles[i + 1], triangles[i + 2]] = [triangles[i + 2], triangles[i + 1]];
+            }
+        }
+
+        const data = {};
+
+        data.position = this.#expand(positions, 3, triangles, (v, out, o) => {
+            out[o] = matrix[0] * v[0] + matrix[4] * v[1] + matrix[8] * v[2] + matrix[12];
+            out[o + 1] = matrix[1] * v[0] + matrix[5] * v[1] + matrix[9] * v[2] + matrix[13];
+            out[o + 2] = matrix[2] * v[0] + matrix[6] * v[1] + matrix[10] * v[2] + matrix[14];
+        });
+
+        if (attributes.NORMAL !== undefined && normal_matrix !== null) {
+            data.normal = this.#expand(this.#readAccessor(json, buffers, attributes.NORMAL), 3, triangles, (v, out, o) => {
+                out.set(GraphicsMath.transformNormal(normal_matrix, v), o);
+            });
+        }
+
+        if (attributes.TEXCOORD_0 !== undefined) {
+            data.texcoord = this.#expand(this.#readAccessor(json, buffers, attributes.TEXCOORD_0), 2, triangles, (v, out, o) => {
+                out[o] = v[0];
+                out[o + 1] = 1 - v[1];
+            });
+        }
+
+        if (attributes.COLOR_0 !== undefined) {
+            const accessor = json.accessors[attributes.COLOR_0];
+            const components = GLTFParser.#COMPONENTS_PER_TYPE[accessor.type];
+
+            // RGB colors get an opaque alpha
+            data.color = this.#expand(this.#readAccessor(json, buffers, attributes.COLOR_0), components, triangles, (v, out, o) => {
+                out[o] = v[0];
+                out[o + 1] = v[1];
+                out[o + 2] = v[2];
+                out[o + 3] = components === 4 ? v[3] : 1;
+            }, 4);
+        }
+
+        return data;
+    }
+
+    /**
+     * Returns the vertex indices of the triangles of a primitive, converting the strips and fans into lists of triangles.
+     *
+     * @param {Uint32Array|number} indices - The indices of the primitive, or the number of vertices of a primitive without indices.
+     * @param {number} mode - The topology of the primitive.
+     * @returns {Uint32Array} Three indices per triangle, or null if the primitive is not made of triangles.
+     * @private
+     */
+    #getTriangles(indices, mode) {
+        if (typeof indices === 'number') {
+            indices = Uint32Array.from({ length: indices }, (_, i) => i);
+        }
+
+        switch (mode) {
+            case GLTFParser.#MODES.TRIANGLES:
+                return Uint32Array.from(indices.subarray(0, indices.length - indices.length % 3));
+            case GLTFParser.#MODES.TRIANGLE_STRIP: {
+                const triangles = [];
+
+                for (let i = 0; i + 2 < indices.length; i++) {
+                    // Every other triangle of a strip has the opposite winding
+                    if (i % 2 === 0) {
+                        triangles.push(indices[i], indices[i + 1], indices[i + 2]);
+                    } else {
+                        triangles.push(indices[i + 1], indices[i], indices[i + 2]);
+                    }
+                }
+
+                return Uint32Array.from(triangles);
+            }
+            case GLTFParser.#MODES.TRIANGLE_FAN: {
+                const triangles = [];
+
+                for (let i = 1; i + 1 < indices.length; i++) {
+                    triangles.push(indices[0], indices[i], indices[i + 1]);
+                }
+
+                return Uint32Array.from(triangles);
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Creates the array of an attribute for the expanded triangles.
+     *
+     * @param {Float32Array} values - The values of the attribute, by vertex.
+     * @param {number} components - The number of values per vertex.
+     * @param {Uint32Array} triangles - The vertex indices of the triangles.
+     * @param {Function} write - Called for each vertex with (vertex values, output array, output offset) to write the output values.
+     * @param {number} output_components - (Optional) The number of output values per vertex. By default, the same as components.
+     * @returns {Float32Array} The expanded attribute.
+     * @private
+     */
+    #expand(values, components, triangles, write, output_components = components) {
+        const out = new Float32Array(triangles.length * output_components);
+
+        for (let i = 0; i < triangles.length; i++) {
+            const start = triangles[i] * components;
+
+            write(values.subarray(start, start + components), out, i * output_components);
+        }
+
+        return out;
+    }
+
+    /**
+     * Reads the values of an accessor, applying its sparse values (if any). Normalized integers are converted to [0, 1] (or [-1, 1]).
+     *
+     * @param {Object} json - The glTF document.
+     * @param {ArrayBuffer[]} buffers - The content of the buffers.
+     * @param {number} accessor_index - The index of the accessor.
+     * @returns {Float32Array|Uint32Array} The values, tightly packed. The indices (unsigned integers that are not normalized) are read into
+     * an Uint32Array, the rest into a Float32Array.
+     * @private
+     */
+    #readAccessor(json, buffers, accessor_index) {
+        const accessor = json.accessors[accessor_index];
+        const components = GLTFParser.#COMPONENTS_PER_TYPE[accessor.type];
+        const component_type = GLTFParser.#COMPONENT_TYPES[accessor.componentType];
+
+        if (components === undefined || component_type === undefined) {
+            throw new Error('Accessor ' + accessor_index + ' has an invalid type (' + accessor.type + ', ' + accessor.componentType + ').');
+        }
+
+        const integer_indices = component_type.unsigned && !accessor.normalized;
+        const values = integer_indices ? new Uint32Array(accessor.count * components) : new Float32Array(accessor.count * components);
+
+        const copy = (buffer_view_index, byte_offset, count, target_indices = null) => {
+            const buffer_view = json.bufferViews[buffer_view_index];
+            const view = new DataView(buffers[buffer_view.buffer], buffer_view.byteOffset ?? 0, buffer_view.byteLength);
+            const read = view[component_type.getter].bind(view);
+            const stride = buffer_view.byteStride ?? components * component_type.size;
+
+            for (let i = 0; i < count; i++) {
+                const source = byte_offset + i * stride;
+                const target = (target_indices !== null ? target_indices[i] : i) * components;
+
+                for (let c = 0; c < components; c++) {
+                    const value = read(source + c * component_type.size, true);
+
+                    // Normalized signed values are clamped, since -max - 1 is -1 too
+                    values[target + c] = accessor.normalized ? Math.max(value / component_type.max, -1) : value;
+                }
+            }
+        };
+
+        // Accessors without a buffer view are filled with zeros (and usually have sparse values)
+        if (accessor.bufferView !== undefined) {
+            copy(accessor.bufferView, accessor.byteOffset ?? 0, accessor.count);
+        }
+
+        if (accessor.sparse) {
+            const sparse = accessor.sparse;
+            const indices_accessor = {
+                bufferView: sparse.indices.bufferView,
+                byteOffset: sparse.indices.byteOffset ?? 0,
+                componentType: sparse.indices.componentType,
+                count: sparse.count,
+                type: 'SCALAR'
+            };
+            const sparse_indices = this.#readAccessor({ ...json, accessors: [indices_accessor] }, buffers, 0);
+
+            copy(sparse.values.bufferView, sparse.values.byteOffset ?? 0, sparse.count, sparse_indices);
+        }
+
+        return values;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * Keeps the files imported from the user's disk (models, materials and textures), so they can be loaded like the files served with the editor.
+ *
+ * Each imported file gets a virtual path starting with LocalFiles.PREFIX, keeping the folder structure of the import
+ * (e.g. 'imported/house/house.obj'). The loaders resolve the virtual paths into blob URLs with LocalFiles.resolve, so the relative
+ * paths inside the files (the mtllib of an OBJ file, the texture maps of an MTL file) work as they do for the served files.
+ *
+ * @class
+ */
+export default class LocalFiles {
+    /**
+     * The prefix of the virtual paths of the imported files.
+     *
+     * @type {string}
+     * @static
+     */
+    static PREFIX = 'imported/';
+
+    /**
+     * The extensions of the model files that can be loaded (see FileLoader.load3DObject). The other imported files are the files they use.
+     *
+     * @type {string[]}
+     * @static
+     */
+    static MODEL_EXTENSIONS = ['.obj', '.gltf', '.glb', '.stl', '.ply'];
+
+    /**
+     * Virtual path -> { blob, url }.
+     *
+     * @type {Map<string, Object>}
+     * @static
+     * @private
+     */
+    static #files = new Map();
+
+    /**
+     * Virtual path of a model -> the virtual paths of the files read when it was loaded (see setDependencies).
+     *
+     * @type {Map<string, string[]>}
+     * @static
+     * @private
+     */
+    static #dependencies = new Map();
+
+    /**
+     * Registers the files selected in a file input. Files selected from a folder keep their path inside the folder.
+     *
+     * @param {FileList|File[]} files - The selected files.
+     * @returns {string[]} The virtual paths of the model files (see MODEL_EXTENSIONS), sorted.
+     * @static
+     */
+    static registerFiles(files) {
+        const model_paths = [];
+
+        for (const file of files) {
+            const path = LocalFiles.PREFIX + (file.webkitRelativePath || file.name).replaceAll('\\', '/');
+
+            LocalFiles.register(path, file);
+
+            if (LocalFiles.MODEL_EXTENSIONS.some((extension) => path.toLowerCase().endsWith(extension))) {
+                model_paths.push(path);
+            }
+        }
+
+        return model_paths.sort();
+    }
+
+    /**
+     * Registers a file. A file already registered with the same path is replaced.
+     *
+     * @param {string} path - The virtual path of the file.
+     * @param {Blob} blob - The content of the file.
+     * @static
+     */
+    static register(path, blob) {
+        const previous = LocalFiles.#files.get(path);
+
+        if (previous) {
+            URL.revokeObjectURL(previous.url);
+        }
+
+        LocalFiles.#files.set(path, { blob: blob, url: URL.createObjectURL(blob) });
+    }
+
+    /**
+     * @param {string} path - A file path.
+     * @returns {boolean} True if the path is the virtual path of an imported file (even if it was not registered in this session).
+     * @static
+     */
+    static isLocal(path) {
+        return typeof path === 'string' && path.startsWith(LocalFiles.PREFIX);
+    }
+
+    /**
+     * @param {string} path - A virtual path.
+     * @returns {boolean} True if a file was registered for the path (see resolve).
+     * @static
+     */
+    static has(path) {
+        return LocalFiles.#find(path) !== null;
+    }
+
+    /**
+     * Returns the URL from which a file can be fetched. Paths that are not virtual are returned as they are.
+     *
+     * @param {string} path - The path of the file.
+     * @returns {string} The blob URL of the imported file, or the path itself if no file was registered for it.
+     * @static
+     */
+    static resolve(path) {
+        if (!LocalFiles.isLocal(path)) {
+            return path;
+        }
+
+        return LocalFiles.#find(path)?.url ?? path;
+    }
+
+    /**
+     * @param {string} path - A virtual path.
+     * @returns {Blob} The content of the imported file, or null if no file was registered for the path.
+     * @static
+     */
+    static getBlob(path) {
+        return LocalFiles.#find(path)?.blob ?? null;
+    }
+
+    /**
+     * @returns {Object[]} The registered files: [{ path, blob }], to register them in another context (the loader worker, see FileLoader).
+     * @static
+     */
+    static getFiles() {
+        return [...LocalFiles.#files].map(([path, file]) => ({ path: path, blob: file.blob }));
+    }
+
+    /**
+     * Records the files read when loading an imported model, so they can be embedded with it in a scene file.
+     *
+     * @param {string} model_path - The virtual path of the model file.
+     * @param {string[]} paths - The virtual paths of the files read (material libraries, buffers and texture maps), as referenced by the files.
+     * @static
+     */
+    static setDependencies(model_path, paths) {
+        LocalFiles.#dependencies.set(model_path, [...new Set(paths)]);
+    }
+
+    /**
+     * @param {string} model_path - The virtual path of a model file.
+     * @returns {string[]} The path of the model followed by the paths of the files it depends on (see setDependencies).
+     * @static
+     */
+    static getDependencies(model_path) {
+        return [model_path, ...(LocalFiles.#dependencies.get(model_path) ?? [])];
+    }
+
+    /**
+     * Finds the file registered for a path. Files often reference each other with a different case or folder than the one on disk
+     * (e.g. an MTL file pointing to 'textures/wood.png' when only the files were selected, without their folder), so when there is no exact
+     * match the path is compared ignoring the case, and then only by the file name (if a single imported file has that name).
+     *
+     * @param {string} path - A virtual path.
+     * @returns {Object} The registered { blob, url }, or null.
+     * @static
+     * @private
+     */
+    static #find(path) {
+        if (LocalFiles.#files.has(path)) {
+            return LocalFiles.#files.get(path);
+        }
+
+        const lower_path = path.toLowerCase();
+        const file_name = lower_path.split('/').pop();
+        const same_name = [];
+
+        for (const [registered_path, file] of LocalFiles.#files) {
+            const lower_registered = registered_path.toLowerCase();
+
+            if (lower_registered === lower_path) {
+                return file;
+            }
+
+            if (lower_registered.split('/').pop() === file_name) {
+                same_name.push(file);
+            }
+        }
+
+        return same_name.length === 1 ? same_name[0] : null;
+    }
+}
\ No newline at end of file
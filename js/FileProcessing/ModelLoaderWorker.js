@@ -0,0 +1,35 @@
+import ModelParser from "./ModelParser.js";
+import LocalFiles from "./LocalFiles.js";
+
+/*
+ * Module worker that loads the models with ModelParser, so fetching, parsing and processing them doesn't block the render loop
+ * (see FileLoader.load3DObject).
+ *
+ * Messages received: { id, object_path, base_url, configs, files }, where base_url is the URL of the page (the paths of the model files
+ * are relative to it, not to this script) and files are the imported files that were not sent before: [{ path, blob }] (see
+ * LocalFiles.getFiles). They are registered here, so the virtual paths are resolved like in the main thread.
+ *
+ * Messages posted for each request: { id, type: 'progress', progress } while loading, then { id, type: 'loaded', parsed } or
+ * { id, type: 'error', message }. The attributes of the processed geometries are transferred, not copied.
+ */
+self.onmessage = async (e) => {
+    const { id, object_path, base_url, configs, files } = e.data;
+
+    for (const file of files) {
+        LocalFiles.register(file.path, file.blob);
+    }
+
+    try {
+        const parser = new ModelParser((progress) => self.postMessage({ id: id, type: 'progress', progress: progress }), base_url);
+        const parsed = await parser.parse(object_path, configs);
+
+        const buffers = new Set();
+        for (const geometry of parsed.geometries) {
+            Object.values(geometry.processed.data).forEach((array) => buffers.add(array.buffer));
+        }
+
+        self.postMessage({ id: id, type: 'loaded', parsed: parsed }, [...buffers]);
+    } catch (error) {
+        self.postMessage({ id: id, type: 'error', message: error.message });
+    }
+};
\ No newline at end of file
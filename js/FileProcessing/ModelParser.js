@@ -0,0 +1,267 @@
+import GeometryProcessor from "../3DStuff/GeometryProcessor.js";
+import OBJParser from "./OBJParser.js";
+import GLTFParser from "./GLTFParser.js";
+import STLParser from "./STLParser.js";
+import PLYParser from "./PLYParser.js";
+import LocalFiles from "./LocalFiles.js";
+
+/**
+ * Fetches and parses the model files (.obj, .gltf, .glb, .stl and .ply), with their material libraries and buffers, and processes their
+ * geometries (see GeometryProcessor).
+ *
+ * This is the slow part of loading a model, and it doesn't use WebGL nor the DOM, so FileLoader runs it in a worker (see
+ * ModelLoaderWorker.js). The textures are loaded and the geometries uploaded to the GPU by FileLoader, in the main thread.
+ *
+ * @class
+ */
+export default class ModelParser {
+    /** @type {function(Object)} */
+    #on_progress = null;
+    /** @type {string} */
+    #base_url = null;
+
+    /**
+     * @param {function(Object)} on_progress - (Optional) Called while the model is loaded with { stage, loaded, total }: the stage is
+     * 'downloading' (loaded and total are bytes, the total is 0 if unknown), 'parsing' or 'processing' (loaded and total are geometries).
+     * @param {string} base_url - (Optional) The URL the relative paths are resolved against. Needed in a worker, where fetch resolves them
+     * against the worker script instead of the page. By default, fetch resolves them.
+     */
+    constructor(on_progress = null, base_url = null) {
+        this.#on_progress = on_progress;
+        this.#base_url = base_url;
+    }
+
+    /**
+     * Loads a model file.
+     *
+     * @param {string} object_path - Path to the model file, or the virtual path of an imported file (see LocalFiles).
+     * @param {Object} configs - The configurations for the object processing (see FileLoader.load3DObject), with the default values set.
+     * @returns {Promise<Object>} The parsed model:
+     * - format: 'obj', 'gltf' (for .gltf and .glb files), 'stl' or 'ply'.
+     * - directory: the directory of the model file, ending with '/'.
+     * - geometries: the geometries, like the ones of OBJParser.parseOBJ, with the result of GeometryProcessor.process as 'processed'
+     *   (instead of 'data').
+     * - materials: the materials of all the geometries, by name.
+     * - material_libs: the materials whose texture maps are relative to the same directory: [{ directory, materials }] (the MTL files of
+     *   an OBJ file, or the single material of an STL or PLY file).
+     * - images: the images of the glTF file (see GLTFParser.parseGLTF). Empty for the other formats.
+     * - loaded_files: the paths of the other files read (material libraries and buffers).
+     * - warnings: the parts of the files that were skipped.
+     */
+    async parse(object_path, configs) {
+        const extension = this.#getExtensionFromPath(object_path);
+        const directory = object_path.substring(0, object_path.lastIndexOf('/') + 1);
+
+        let parsed;
+
+        if (extension === 'gltf' || extension === 'glb') {
+            parsed = await this.#parseGLTF(object_path, extension, directory);
+        } else if (extension === 'stl' || extension === 'ply') {
+            parsed = await this.#parseMesh(object_path, extension, directory);
+        } else {
+            parsed = await this.#parseOBJ(object_path, directory);
+        }
+
+        const geometries = parsed.geometries;
+
+        this.#reportProgress('processing', 0, geometries.length);
+
+        geometries.forEach((geometry, i) => {
+            geometry.processed = GeometryProcessor.process(geometry.data, configs);
+            delete geometry.data;
+
+            this.#reportProgress('processing', i + 1, geometries.length);
+        });
+
+        return { directory: directory, images: [], ...parsed };
+    }
+
+    /**
+     * @param {string} object_path - Path to the .obj file.
+     * @param {string} directory - The directory of the file.
+     * @returns {Promise<Object>} The parsed model (see parse), without the processed geometries.
+     */
+    async #parseOBJ(object_path, directory) {
+        const text = new TextDecoder().decode(await this.#downloadFile(object_path));
+
+        this.#reportProgress('parsing', 0, 1);
+
+        const obj_parser = new OBJParser();
+        const parsed_obj_data = obj_parser.parseOBJ(text);
+
+        const materials = {};
+        const material_libs = [];
+        const loaded_files = [];
+
+        for (const material_lib of parsed_obj_data.materialLibs) {
+            const material_path = directory + material_lib.replaceAll('\\', '/');
+            const lib_materials = obj_parser.parseMTL(await (await this.#fetchFile(material_path, 'material')).text());
+
+            // The texture maps paths are relative to the .mtl file
+            material_libs.push({ directory: material_path.substring(0, material_path.lastIndexOf('/') + 1), materials: lib_materials });
+            loaded_files.push(material_path);
+
+            Object.assign(materials, lib_materials);
+        }
+
+        return {
+            format: 'obj',
+            geometries: parsed_obj_data.geometries,
+            materials: materials,
+            material_libs: material_libs,
+            loaded_files: loaded_files,
+            warnings: []
+        };
+    }
+
+    /**
+     * @param {string} object_path - Path to the .gltf or .glb file.
+     * @param {string} extension - The extension of the file: 'gltf' or 'glb'.
+     * @param {string} directory - The directory of the file (the external buffers and images are relative to it).
+     * @returns {Promise<Object>} The parsed model (see parse), without the processed geometries.
+     */
+    async #parseGLTF(object_path, extension, directory) {
+        const content = await this.#downloadFile(object_path);
+
+        this.#reportProgress('parsing', 0, 1);
+
+        const gltf_parser = new GLTFParser();
+        const loaded_files = []; // External buffers read, needed to save imported models in the scenes
+
+        let json;
+        let bin = null;
+
+        if (extension === 'glb') {
+            ({ json, bin } = gltf_parser.parseGLB(content));
+        } else {
+            json = JSON.parse(new TextDecoder().decode(content));
+        }
+
+        // The buffer without URI is the binary chunk of the .glb file
+        const buffers = [];
+        for (const buffer of json.buffers ?? []) {
+            if (buffer.uri === undefined) {
+                if (bin === null) {
+                    throw new Error('The glTF file ' + object_path + ' has a buffer without URI, but no binary chunk.');
+                }
+
+                buffers.push(bin);
+            } else if (buffer.uri.startsWith('data:')) {
+                buffers.push(await (await fetch(buffer.uri)).arrayBuffer());
+            } else {
+                const buffer_path = directory + decodeURIComponent(buffer.uri);
+
+                buffers.push(await (await this.#fetchFile(buffer_path, 'buffer')).arrayBuffer());
+                loaded_files.push(buffer_path);
+            }
+        }
+
+        const parsed_gltf = gltf_parser.parseGLTF(json, buffers);
+
+        return {
+            format: 'gltf',
+            geometries: parsed_gltf.geometries,
+            materials: parsed_gltf.materials,
+            material_libs: [],
+            images: parsed_gltf.images,
+            loaded_files: loaded_files,
+            warnings: parsed_gltf.warnings
+        };
+    }
+
+    /**
+     * @param {string} object_path - Path to the .stl or .ply file.
+     * @param {string} extension - The extension of the file: 'stl' or 'ply'.
+     * @param {string} directory - The directory of the file (the texture of a PLY file is relative to it, like the maps of an MTL file).
+     * @returns {Promise<Object>} The parsed model (see parse), without the processed geometries.
+     */
+    async #parseMesh(object_path, extension, directory) {
+        const array_buffer = await this.#downloadFile(object_path);
+
+        this.#reportProgress('parsing', 0, 1);
+
+        const parsed_mesh = extension === 'stl' ? new STLParser().parseSTL(array_buffer) : new PLYParser().parsePLY(array_buffer);
+
+        return {
+            format: extension,
+            geometries: parsed_mesh.geometries,
+            materials: parsed_mesh.materials,
+            material_libs: [{ directory: directory, materials: parsed_mesh.materials }],
+            loaded_files: [],
+            warnings: parsed_mesh.warnings
+        };
+    }
+
+    /**
+     * Fetches the model file, reporting the bytes downloaded.
+     *
+     * @param {string} path - Path to the file, or the virtual path of an imported file (see LocalFiles).
+     * @returns {Promise<ArrayBuffer>} The content of the file.
+     */
+    async #downloadFile(path) {
+        const response = await this.#fetchFile(path, 'object');
+        const total = parseInt(response.headers.get('Content-Length')) || 0;
+
+        if (!response.body) {
+            return response.arrayBuffer();
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+
+        this.#reportProgress('downloading', 0, total);
+
+        for (let result = await reader.read(); !result.done; result = await reader.read()) {
+            chunks.push(result.value);
+            loaded += result.value.length;
+
+            this.#reportProgress('downloading', loaded, total);
+        }
+
+        const content = new Uint8Array(loaded);
+        let offset = 0;
+
+        for (const chunk of chunks) {
+            content.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return content.buffer;
+    }
+
+    /**
+     * Fetches a file, throwing an error if it can't be read.
+     *
+     * @param {string} path - Path to the file, or the virtual path of an imported file (see LocalFiles).
+     * @param {string} file_type - The type of the file, used in the messages (e.g. 'object').
+     * @returns {Promise<Response>} The response.
+     */
+    async #fetchFile(path, file_type) {
+        const url = LocalFiles.isLocal(path) || this.#base_url === null ? LocalFiles.resolve(path) : new URL(path, this.#base_url).href;
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error('Failed to load ' + file_type + ' file ' + path + ': ' + response.status + ' - ' + response.statusText);
+        }
+
+        return response;
+    }
+
+    /**
+     * @param {string} stage - 'downloading', 'parsing' or 'processing'.
+     * @param {number} loaded - The bytes or geometries done.
+     * @param {number} total - The bytes or geometries to do (0 if unknown).
+     */
+    #reportProgress(stage, loaded, total) {
+        if (this.#on_progress !== null) {
+            this.#on_progress({ stage: stage, loaded: loaded, total: total });
+        }
+    }
+
+    #getExtensionFromPath(path) {
+        const file_name = path.split('\\').pop().split('/').pop();
+
+        return file_name.includes('.') ? file_name.split('.').pop().toLowerCase() : '';
+    }
+}
\ No newline at end of file
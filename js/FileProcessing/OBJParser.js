@@ -183,8 +183,50 @@ export default class OBJParser {
             Ni(parts) { material.opticalDensity = parseFloat(parts[0]); },
             d(parts) { material.opacity = parseFloat(parts[0]); },
             illum(parts) { material.illum = parseInt(parts[0]); },
+            map_Kd(parts, unparsedArgs) { material.diffuseMap = parseMapArgs(unparsedArgs); },
+            map_Ks(parts, unparsedArgs) { material.specularMap = parseMapArgs(unparsedArgs); },
+            map_Bump(parts, unparsedArgs) { material.bumpMap = parseMapArgs(unparsedArgs); },
+            map_bump(parts, unparsedArgs) { material.bumpMap = parseMapArgs(unparsedArgs); },
+            bump(parts, unparsedArgs) { material.bumpMap = parseMapArgs(unparsedArgs); },
+            map_d(parts, unparsedArgs) { material.opacityMap = parseMapArgs(unparsedArgs); },
         };
 
+        // Number of values taken by each texture map option (see the MTL specification)
+        const mapOptionsArgs = {
+            blendu: 1, blendv: 1, bm: 1, boost: 1, cc: 1, clamp: 1, imfchan: 1,
+            mm: 2, o: 3, s: 3, t: 3, texres: 1, type: 1,
+        };
+
+        // Parses the arguments of a map_* statement, like "-bm 0.5 -imfchan l textures/bump.png".
+        // Returns the file path and the options used by the renderer (bump multiplier and channel).
+        function parseMapArgs(unparsedArgs) {
+            const args = unparsedArgs.split(/\s+/);
+            const map = {
+                path: '',
+                bumpMultiplier: 1.0,
+                channel: null,
+            };
+
+            let i = 0;
+            while (i < args.length && args[i].startsWith('-')) {
+                const option = args[i].slice(1);
+                const values = args.slice(i + 1, i + 1 + (mapOptionsArgs[option] || 0));
+
+                if (option === 'bm') {
+                    map.bumpMultiplier = parseFloat(values[0]);
+                } else if (option === 'imfchan') {
+                    map.channel = values[0];
+                }
+
+                i += 1 + values.length;
+            }
+
+            // The file name can have spaces, so we join the remaining arguments
+            map.path = args.slice(i).join(' ');
+
+            return map;
+        }
+
         const keywordRE = /(\w*)(?: )*(.*)/;
         const commentRE = /#.*/;
         const lines = text.split('\n');
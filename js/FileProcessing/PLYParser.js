@@ -0,0 +1,353 @@
+/**
+ * Parses PLY files (ASCII, binary little endian and binary big endian) into the same structure as OBJParser, so the PLY models are
+ * rendered like the OBJ models.
+ *
+ * - The vertices can have normals (nx, ny, nz), texture coordinates (s, t / u, v / texture_u, texture_v) and colors (red, green, blue and
+ *   alpha), which become the vertex colors of the model (integer channels are divided by their maximum value).
+ * - The faces are lists of vertex indices (vertex_indices or vertex_index), triangulated as fans. MeshLab stores the texture coordinates in
+ *   the faces instead (a texcoord list with a pair of values per corner), which is also read.
+ * - The texture named by a "comment TextureFile" line of the header becomes the diffuse map of the material.
+ * - The other elements and properties are skipped.
+ *
+ * @class
+ */
+export default class PLYParser {
+    // DataView getter, size in bytes and maximum value (used to normalize the integer colors) of each property type
+    static #TYPES = {
+        char: { getter: 'getInt8', size: 1, max: 127 },
+        uchar: { getter: 'getUint8', size: 1, max: 255 },
+        short: { getter: 'getInt16', size: 2, max: 32767 },
+        ushort: { getter: 'getUint16', size: 2, max: 65535 },
+        int: { getter: 'getInt32', size: 4, max: 2147483647 },
+        uint: { getter: 'getUint32', size: 4, max: 4294967295 },
+        float: { getter: 'getFloat32', size: 4, max: 1 },
+        double: { getter: 'getFloat64', size: 8, max: 1 }
+    };
+
+    // Older files use the sized names of the types
+    static #TYPE_ALIASES = {
+        int8: 'char', uint8: 'uchar', int16: 'short', uint16: 'ushort', int32: 'int', uint32: 'uint', float32: 'float', float64: 'double'
+    };
+
+    // Color of the models without vertex colors or texture
+    static #DEFAULT_COLOR = [0.8, 0.8, 0.8];
+
+    static #TEXCOORD_NAMES = [['s', 't'], ['u', 'v'], ['texture_u', 'texture_v']];
+
+    /**
+     * Parses a PLY file.
+     *
+     * @param {ArrayBuffer} array_buffer - The content of the .ply file.
+     * @returns {Object} The parsed data:
+     * - geometries: a single geometry, like the ones of OBJParser.parseOBJ ({ object, groups, material, data: { position, texcoord, normal, color } }).
+     *   The attributes that the file doesn't have are not present.
+     * - materials: the 'default' material, like the ones of OBJParser.parseMTL. It has the texture of the file as diffuse map, or a gray
+     *   diffuse color if the vertices have no colors either.
+     * - warnings: the parts of the file that were skipped.
+     */
+    parsePLY(array_buffer) {
+        const header = this.#parseHeader(array_buffer);
+        const warnings = [];
+        const read = this.#createReader(array_buffer, header.body_offset, header.format);
+
+        const vertex_element = header.elements.find((element) => element.name === 'vertex');
+        const face_element = header.elements.find((element) => element.name === 'face');
+
+        if (!vertex_element || !face_element || face_element.count === 0) {
+            throw new Error('The PLY file has no faces (point clouds are not supported).');
+        }
+
+        let vertices = null;
+        let faces = null;
+
+        for (const element of header.elements) {
+            const values = this.#readElement(element, read);
+
+            if (element === vertex_element) {
+                vertices = values;
+            } else if (element === face_element) {
+                faces = values;
+            } else {
+                warnings.push('The "' + element.name + '" element was skipped.');
+            }
+        }
+
+        const data = this.#buildGeometryData(vertex_element, vertices, faces, warnings);
+
+        const material = {};
+
+        // A diffuse map without diffuse color is rendered as is (see drawObject in main.js)
+        if (header.texture_file !== null) {
+            material.diffuseMap = { path: header.texture_file, bumpMultiplier: 1.0, channel: null };
+        } else if (!('color' in data)) {
+            material.diffuse = [...PLYParser.#DEFAULT_COLOR];
+        }
+
+        return {
+            geometries: [{ object: 'default', groups: ['default'], material: 'default', data: data }],
+            materials: { default: material },
+            warnings: warnings
+        };
+    }
+
+    /**
+     * @param {ArrayBuffer} array_buffer - The content of the file.
+     * @returns {Object} { format, elements, texture_file, body_offset }. Each element is { name, count, properties }, and each property
+     * { name, type } or { name, count_type, type, list: true }.
+     */
+    #parseHeader(array_buffer) {
+        const bytes = new Uint8Array(array_buffer);
+        const end_marker = new TextEncoder().encode('end_header');
+
+        // The header is ASCII and ends at the line after "end_header"
+        let end_index = -1;
+        for (let i = 0; i + end_marker.length <= bytes.length && i < 65536; i++) {
+            if (end_marker.every((byte, k) => bytes[i + k] === byte)) {
+                end_index = i;
+                break;
+            }
+        }
+
+        if (end_index === -1) {
+            throw new Error('Not a PLY file (no end_header).');
+        }
+
+        let body_offset = end_index + end_marker.length;
+        while (body_offset < bytes.length && bytes[body_offset] !== 0x0A) {
+            body_offset++;
+        }
+        body_offset++;
+
+        const lines = new TextDecoder().decode(bytes.subarray(0, end_index)).split('\n').map((line) => line.trim());
+
+        if (lines[0] !== 'ply') {
+            throw new Error('Not a PLY file (invalid header).');
+        }
+
+        let format = null;
+        let texture_file = null;
+        const elements = [];
+
+        for (const line of lines.slice(1)) {
+            const parts = line.split(/\s+/);
+
+            switch (parts[0]) {
+                case 'format':
+                    format = parts[1];
+                    break;
+                case 'comment':
+                    if (parts[1] === 'TextureFile') {
+                        texture_file = line.replace(/^comment\s+TextureFile\s+/, '');
+                    }
+                    break;
+                case 'element':
+                    elements.push({ name: parts[1], count: parseInt(parts[2]), properties: [] });
+                    break;
+                case 'property':
+                    if (elements.length === 0) {
+                        throw new Error('Invalid PLY header: property before any element.');
+                    }
+
+                    elements[elements.length - 1].properties.push(parts[1] === 'list'
+                        ? { name: parts[4], count_type: this.#getType(parts[2]), type: this.#getType(parts[3]), list: true }
+                        : { name: parts[2], type: this.#getType(parts[1]) });
+                    break;
+            }
+        }
+
+        if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)) {
+            throw new Error('Unsupported PLY format "' + format + '".');
+        }
+
+        return { format: format, elements: elements, texture_file: texture_file, body_offset: body_offset };
+    }
+
+    /**
+     * @param {string} name - The name of a property type in the header.
+     * @returns {string} The name of the type in PLYParser.#TYPES.
+     */
+    #getType(name) {
+        const type = PLYParser.#TYPE_ALIASES[name] ?? name;
+
+        if (!(type in PLYParser.#TYPES)) {
+            throw new Error('Unsupported PLY property type "' + name + '".');
+        }
+
+        return type;
+    }
+
+    /**
+     * Creates a function that reads the next value of the body of the file.
+     *
+     * @param {ArrayBuffer} array_buffer - The content of the file.
+     * @param {number} offset - The offset of the body.
+     * @param {string} format - The format of the file.
+     * @returns {function(string): number} A function that receives the type of the value and returns it.
+     */
+    #createReader(array_buffer, offset, format) {
+        if (format === 'ascii') {
+            const tokens = new TextDecoder().decode(new Uint8Array(array_buffer, offset)).trim().split(/\s+/);
+            let index = 0;
+
+            return () => {
+                if (index >= tokens.length) {
+                    throw new Error('The PLY file is truncated.');
+                }
+
+                return Number(tokens[index++]);
+            };
+        }
+
+        const view = new DataView(array_buffer);
+        const little_endian = format === 'binary_little_endian';
+
+        return (type) => {
+            const { getter, size } = PLYParser.#TYPES[type];
+
+            if (offset + size > view.byteLength) {
+                throw new Error('The PLY file is truncated.');
+            }
+
+            const value = view[getter](offset, little_endian);
+            offset += size;
+
+            return value;
+        };
+    }
+
+    /**
+     * Reads all the items of an element.
+     *
+     * @param {Object} element - The element, as described in the header.
+     * @param {function(string): number} read - The reader of the body (see #createReader).
+     * @returns {Object} The values of each property by name: a Float64Array for the scalar properties, an array of arrays for the lists.
+     */
+    #readElement(element, read) {
+        const values = {};
+
+        for (const property of element.properties) {
+            values[property.name] = property.list ? new Array(element.count) : new Float64Array(element.count);
+        }
+
+        for (let i = 0; i < element.count; i++) {
+            for (const property of element.properties) {
+                if (property.list) {
+                    const count = read(property.count_type);
+                    const list = new Array(count);
+
+                    for (let k = 0; k < count; k++) {
+                        list[k] = read(property.type);
+                    }
+
+                    values[property.name][i] = list;
+                } else {
+                    values[property.name][i] = read(property.type);
+                }
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Expands the faces into triangles with the attributes of their vertices.
+     *
+     * @param {Object} vertex_element - The vertex element, as described in the header.
+     * @param {Object} vertices - The values of the vertices (see #readElement).
+     * @param {Object} faces - The values of the faces (see #readElement).
+     * @param {string[]} warnings - The warnings about the skipped faces are added to this list.
+     * @returns {Object} { position, texcoord, normal, color }, without the attributes the file doesn't have.
+     */
+    #buildGeometryData(vertex_element, vertices, faces, warnings) {
+        const has = (name) => name in vertices;
+
+        if (!has('x') || !has('y') || !has('z')) {
+            throw new Error('The PLY vertices have no x, y and z properties.');
+        }
+
+        const indices = faces.vertex_indices ?? faces.vertex_index;
+
+        if (!indices) {
+            throw new Error('The PLY faces have no vertex_indices property.');
+        }
+
+        const has_normals = has('nx') && has('ny') && has('nz');
+        const has_colors = has('red') && has('green') && has('blue');
+        const texcoord_names = PLYParser.#TEXCOORD_NAMES.find(([u, v]) => has(u) && has(v));
+        const face_texcoords = faces.texcoord ?? null;
+
+        // The integer colors are normalized by the maximum value of their type
+        const color_scales = {};
+        for (const property of vertex_element.properties) {
+            if (['red', 'green', 'blue', 'alpha'].includes(property.name)) {
+                color_scales[property.name] = 1 / PLYParser.#TYPES[property.type].max;
+            }
+        }
+
+        const data = { position: [] };
+
+        if (has_normals) {
+            data.normal = [];
+        }
+
+        if (texcoord_names || face_texcoords) {
+            data.texcoord = [];
+        }
+
+        if (has_colors) {
+            data.color = [];
+        }
+
+        const addCorner = (face, corner) => {
+            const v = indices[face][corner];
+
+            data.position.push(vertices.x[v], vertices.y[v], vertices.z[v]);
+
+            if (has_normals) {
+                data.normal.push(vertices.nx[v], vertices.ny[v], vertices.nz[v]);
+            }
+
+            if (face_texcoords) {
+                data.texcoord.push(face_texcoords[face][corner * 2] ?? 0, face_texcoords[face][corner * 2 + 1] ?? 0);
+            } else if (texcoord_names) {
+                data.texcoord.push(vertices[texcoord_names[0]][v], vertices[texcoord_names[1]][v]);
+            }
+
+            if (has_colors) {
+                data.color.push(
+                    vertices.red[v] * color_scales.red,
+                    vertices.green[v] * color_scales.green,
+                    vertices.blue[v] * color_scales.blue,
+                    has('alpha') ? vertices.alpha[v] * color_scales.alpha : 1.0
+                );
+            }
+        };
+
+        let skipped_faces = 0;
+
+        for (let f = 0; f < indices.length; f++) {
+            const face = indices[f];
+
+            if (face.length < 3 || face.some((v) => v < 0 || v >= vertex_element.count)) {
+                skipped_faces++;
+                continue;
+            }
+
+            for (let t = 1; t + 1 < face.length; t++) {
+                addCorner(f, 0);
+                addCorner(f, t);
+                addCorner(f, t + 1);
+            }
+        }
+
+        if (skipped_faces > 0) {
+            warnings.push(skipped_faces + ' face(s) with less than 3 vertices or invalid indices were skipped.');
+        }
+
+        if (data.position.length === 0) {
+            throw new Error('The PLY file has no valid faces.');
+        }
+
+        return data;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,203 @@
+import GraphicsMath from "../3DStuff/GraphicsMath.js";
+
+/**
+ * Parses STL files (binary and ASCII) into the same structure as OBJParser, so the STL models are rendered like the OBJ models.
+ *
+ * STL files only have triangles with a normal per facet. The facets without a normal (all zeros, as written by many exporters) get the
+ * normal given by their winding. The binary files exported by Materialise Magics can have a color per facet (the header has
+ * "COLOR=" and the attribute bytes of each facet a 15 bit color), which is used as the vertex color of the facet.
+ *
+ * @class
+ */
+export default class STLParser {
+    static #BINARY_HEADER_SIZE = 84;
+    static #BINARY_FACET_SIZE = 50;
+
+    // Color of the models without facet colors (the STL files have no materials)
+    static #DEFAULT_COLOR = [0.8, 0.8, 0.8];
+
+    /**
+     * Parses an STL file.
+     *
+     * @param {ArrayBuffer} array_buffer - The content of the .stl file.
+     * @returns {Object} The parsed data:
+     * - geometries: a single geometry, like the ones of OBJParser.parseOBJ ({ object, groups, material, data: { position, normal, color } }).
+     * - materials: the 'default' material, like the ones of OBJParser.parseMTL. It has no diffuse color if the facets have colors.
+     * - warnings: the parts of the file that were skipped.
+     */
+    parseSTL(array_buffer) {
+        const data = this.#isBinary(array_buffer) ? this.#parseBinary(array_buffer) : this.#parseASCII(new TextDecoder().decode(array_buffer));
+
+        if (data.position.length === 0) {
+            throw new Error('The STL file has no facets.');
+        }
+
+        this.#fillMissingNormals(data.position, data.normal);
+
+        const geometry_data = { position: data.position, normal: data.normal };
+        const material = {};
+
+        if (data.color.length > 0) {
+            geometry_data.color = data.color;
+        } else {
+            material.diffuse = [...STLParser.#DEFAULT_COLOR];
+        }
+
+        return {
+            geometries: [{ object: data.name, groups: ['default'], material: 'default', data: geometry_data }],
+            materials: { default: material },
+            warnings: data.warnings
+        };
+    }
+
+    /**
+     * ASCII files start with "solid", but some binary files do too (in their free header), so the size of the file is checked first.
+     *
+     * @param {ArrayBuffer} array_buffer - The content of the file.
+     * @returns {boolean} True if the file is a binary STL file.
+     */
+    #isBinary(array_buffer) {
+        if (array_buffer.byteLength >= STLParser.#BINARY_HEADER_SIZE) {
+            const facets_count = new DataView(array_buffer).getUint32(80, true);
+
+            if (STLParser.#BINARY_HEADER_SIZE + facets_count * STLParser.#BINARY_FACET_SIZE === array_buffer.byteLength) {
+                return true;
+            }
+        }
+
+        const start = new TextDecoder().decode(new Uint8Array(array_buffer, 0, Math.min(array_buffer.byteLength, 256)));
+
+        return !/^\s*solid/.test(start);
+    }
+
+    /**
+     * @param {ArrayBuffer} array_buffer - The content of a binary STL file.
+     * @returns {Object} { name, position, normal, color, warnings }. The color is empty if the file has no facet colors.
+     */
+    #parseBinary(array_buffer) {
+        if (array_buffer.byteLength < STLParser.#BINARY_HEADER_SIZE) {
+            throw new Error('Not an STL file (too short for a binary STL header).');
+        }
+
+        const view = new DataView(array_buffer);
+        const header = new TextDecoder('latin1').decode(new Uint8Array(array_buffer, 0, 80));
+        const warnings = [];
+
+        let facets_count = view.getUint32(80, true);
+        const available_facets = Math.floor((array_buffer.byteLength - STLParser.#BINARY_HEADER_SIZE) / STLParser.#BINARY_FACET_SIZE);
+
+        if (available_facets < facets_count) {
+            warnings.push('The file is truncated: only ' + available_facets + ' of ' + facets_count + ' facets were read.');
+            facets_count = available_facets;
+        }
+
+        // Materialise Magics: "COLOR=" followed by the RGBA bytes of the color used by the facets without their own color
+        const color_index = header.indexOf('COLOR=');
+        const has_colors = color_index !== -1 && color_index + 10 <= 80;
+        const default_color = has_colors ? [0, 1, 2].map((c) => view.getUint8(color_index + 6 + c) / 255) : null;
+
+        const position = new Array(facets_count * 9);
+        const normal = new Array(facets_count * 9);
+        const color = has_colors ? new Array(facets_count * 9) : [];
+
+        for (let f = 0; f < facets_count; f++) {
+            const offset = STLParser.#BINARY_HEADER_SIZE + f * STLParser.#BINARY_FACET_SIZE;
+            const facet_normal = [0, 1, 2].map((k) => view.getFloat32(offset + k * 4, true));
+
+            for (let v = 0; v < 3; v++) {
+                for (let k = 0; k < 3; k++) {
+                    position[f * 9 + v * 3 + k] = view.getFloat32(offset + 12 + v * 12 + k * 4, true);
+                    normal[f * 9 + v * 3 + k] = facet_normal[k];
+                }
+            }
+
+            if (has_colors) {
+                // The highest bit is 0 when the facet has its own color, with 5 bits per channel (red in the lowest bits)
+                const attribute = view.getUint16(offset + 48, true);
+                const facet_color = (attribute & 0x8000) === 0
+                    ? [attribute & 0x1F, (attribute >> 5) & 0x1F, (attribute >> 10) & 0x1F].map((c) => c / 31)
+                    : default_color;
+
+                for (let v = 0; v < 3; v++) {
+                    color.splice(f * 9 + v * 3, 3, ...facet_color);
+                }
+            }
+        }
+
+        return { name: 'default', position: position, normal: normal, color: color, warnings: warnings };
+    }
+
+    /**
+     * @param {string} text - The content of an ASCII STL file.
+     * @returns {Object} { name, position, normal, color, warnings }. The color is always empty.
+     */
+    #parseASCII(text) {
+        const position = [];
+        const normal = [];
+        const warnings = [];
+        let name = 'default';
+        let facet_normal = [0, 0, 0];
+        let facet_vertices = [];
+        let skipped_facets = 0;
+
+        for (const line of text.split('\n')) {
+            const parts = line.trim().split(/\s+/);
+
+            switch (parts[0]) {
+                case 'solid':
+                    if (parts.length > 1 && name === 'default') {
+                        name = parts.slice(1).join(' ');
+                    }
+                    break;
+                case 'facet':
+                    facet_normal = parts[1] === 'normal' ? parts.slice(2, 5).map(parseFloat) : [0, 0, 0];
+                    facet_vertices = [];
+                    break;
+                case 'vertex':
+                    facet_vertices.push(parts.slice(1, 4).map(parseFloat));
+                    break;
+                case 'endfacet':
+                    if (facet_vertices.length !== 3 || facet_vertices.flat().some(isNaN)) {
+                        skipped_facets++;
+                        break;
+                    }
+
+                    for (const vertex of facet_vertices) {
+                        position.push(...vertex);
+                        normal.push(...facet_normal.map((value) => isNaN(value) ? 0 : value));
+                    }
+                    break;
+            }
+        }
+
+        if (skipped_facets > 0) {
+            warnings.push(skipped_facets + ' facet(s) without exactly 3 valid vertices were skipped.');
+        }
+
+        return { name: name, position: position, normal: normal, color: [], warnings: warnings };
+    }
+
+    /**
+     * Replaces the zero normals of the facets by the normals given by their winding (counter-clockwise).
+     *
+     * @param {number[]} position - The positions of the vertices of the facets.
+     * @param {number[]} normal - The normals of the vertices of the facets, modified in place.
+     */
+    #fillMissingNormals(position, normal) {
+        for (let i = 0; i < position.length; i += 9) {
+            if (normal[i] !== 0 || normal[i + 1] !== 0 || normal[i + 2] !== 0) {
+                continue;
+            }
+
+            const facet_normal = GraphicsMath.calculateNormal(
+                position.slice(i, i + 3),
+                position.slice(i + 3, i + 6),
+                position.slice(i + 6, i + 9)
+            );
+
+            for (let v = 0; v < 3; v++) {
+                normal.splice(i + v * 3, 3, ...facet_normal);
+            }
+        }
+    }
+}
\ No newline at end of file
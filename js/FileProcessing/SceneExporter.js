@@ -0,0 +1,761 @@
+import DoLog from "../Logging/DoLog.js";
+import Model3D from "../3DStuff/Model3D.js";
+import Object3D from "../3DStuff/Object3D.js";
+import GraphicsMath from "../3DStuff/GraphicsMath.js";
+import FileLoader from "./FileLoader.js";
+import GLTFParser from "./GLTFParser.js";
+import LocalFiles from "./LocalFiles.js";
+import ZipWriter from "./ZipWriter.js";
+
+/**
+ * Exports the scene to files that other applications can open: OBJ + MTL (in a ZIP archive, with the textures) and binary glTF (GLB).
+ * The models can also be exported to binary STL (only the triangles) and binary PLY (the triangles with their normals and colors), the
+ * formats used by the 3D printing and scanning tools.
+ *
+ * The world matrix of each model is baked into the vertices of its objects, so the exported geometry is placed as in the editor and
+ * doesn't depend on the scene graph. The materials are exported as they are rendered:
+ * - The texture image of a model replaces the colors of its objects. The diffuse color is exported as white with the image as diffuse map.
+ * - The objects without a diffuse color (Kd) or map are rendered with their vertex colors, which are exported with the vertices.
+ * - The opacity of a model is multiplied into the opacity of its materials.
+ * The global color of the models (a tint added by the editor shader) is not exported.
+ *
+ * @class
+ */
+export default class SceneExporter extends DoLog {
+    // Values used by the renderer when the materials don't define them
+    static #DEFAULT_MATERIAL = {
+        ambient: [1.0, 1.0, 1.0],
+        specular: [0.0, 0.0, 0.0],
+        emissive: [0.0, 0.0, 0.0],
+        shininess: 1.0,
+        opacity: 1.0
+    };
+
+    static #GL_FLOAT = 5126;
+    static #GL_ARRAY_BUFFER = 34962;
+
+    /**
+     * @param {DoLog} log - The logger object in which this object will log messages.
+     */
+    constructor(log) {
+        super(log, 'SceneExporter> ');
+    }
+
+    /**
+     * Exports the models to an OBJ file with its MTL file. The archive has the files scene.obj, scene.mtl and the textures in the
+     * textures folder.
+     *
+     * @param {Model3D[]} models - The models to export.
+     * @returns {Promise<Blob>} The ZIP archive.
+     */
+    async exportOBJ(models) {
+        const entries = this.#collectEntries(models);
+        const materials = new Map(); // Name -> described material
+
+        const obj_lines = ['# Scene exported by the 3D Scene Editor', 'mtllib scene.mtl'];
+
+        // OBJ indices start at 1 and are shared by the whole file
+        let vertex_offset = 1;
+
+        for (const entry of entries) {
+            const geometry = entry.geometry;
+            const vertex_count = geometry.position.length / 3;
+            const material = entry.material;
+
+            obj_lines.push('o ' + entry.name, 'usemtl ' + material.name);
+
+            for (let i = 0; i < vertex_count; i++) {
+                const v = [0, 1, 2].map((k) => SceneExporter.#formatNumber(geometry.position[i * 3 + k]));
+
+                if (material.vertex_colors) {
+                    v.push(...[0, 1, 2].map((k) => SceneExporter.#formatNumber(geometry.color[i * 4 + k])));
+                }
+
+                obj_lines.push('v ' + v.join(' '));
+            }
+
+            for (let i = 0; i < vertex_count; i++) {
+                obj_lines.push('vt ' + SceneExporter.#formatNumber(geometry.texcoord[i * 2]) + ' ' + SceneExporter.#formatNumber(geometry.texcoord[i * 2 + 1]));
+            }
+
+            for (let i = 0; i < vertex_count; i++) {
+                obj_lines.push('vn ' + [0, 1, 2].map((k) => SceneExporter.#formatNumber(geometry.normal[i * 3 + k])).join(' '));
+            }
+
+            for (let i = 0; i + 2 < vertex_count; i += 3) {
+                const face = [0, 1, 2].map((k) => vertex_offset + i + k).map((index) => index + '/' + index + '/' + index);
+
+                obj_lines.push('f ' + face.join(' '));
+            }
+
+            vertex_offset += vertex_count;
+            materials.set(material.name, material);
+        }
+
+        // The images are read before writing the MTL file, since their file names depend on their types
+        const images = new Map();
+
+        for (const material of materials.values()) {
+            for (const source of Object.values(material.maps)) {
+                if (source !== null) {
+                    await this.#getImage(source, images);
+                }
+            }
+        }
+
+        const mtl_lines = ['# Materials of scene.obj'];
+
+        for (const material of materials.values()) {
+            mtl_lines.push('', ...this.#getMTLLines(material, images));
+        }
+
+        const zip = new ZipWriter();
+        zip.addFile('scene.obj', obj_lines.join('\n') + '\n');
+        zip.addFile('scene.mtl', mtl_lines.join('\n') + '\n');
+
+        const exported_images = [...images.values()].filter((image) => image.data !== null);
+
+        for (const image of exported_images) {
+            zip.addFile(image.file_name, image.data.bytes);
+        }
+
+        this.LOG('Exported ' + entries.length + ' object(s) and ' + exported_images.length + ' texture(s) to OBJ.', 'success');
+
+        return zip.toBlob();
+    }
+
+    /**
+     * Exports the models to a binary glTF file. Each model is a node with a mesh, and each object of the model a primitive of the mesh.
+     * The materials are converted to PBR materials (see #getGLTFMaterial) and the textures are stored in the file.
+     *
+     * @param {Model3D[]} models - The models to export.
+     * @returns {Promise<Blob>} The GLB file.
+     */
+    async exportGLB(models) {
+        const entries = this.#collectEntries(models);
+
+        const json = {
+            asset: { version: '2.0', generator: '3D Scene Editor' },
+            scene: 0,
+            scenes: [{ nodes: [] }],
+            nodes: [],
+            meshes: [],
+            materials: [],
+            textures: [],
+            images: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+
+        const bin_parts = [];
+        let bin_length = 0;
+
+        // Adds the data to the binary chunk, 4 bytes aligned, and returns the index of its buffer view
+        const addBufferView = (bytes, target = undefined) => {
+            const padding = (4 - bin_length % 4) % 4;
+
+            if (padding > 0) {
+                bin_parts.push(new Uint8Array(padding));
+                bin_length += padding;
+            }
+
+            json.bufferViews.push({ buffer: 0, byteOffset: bin_length, byteLength: bytes.byteLength, target: target });
+            bin_parts.push(bytes);
+            bin_length += bytes.byteLength;
+
+            return json.bufferViews.length - 1;
+        };
+
+        const addAccessor = (values, components, type, with_bounds = false) => {
+            const accessor = {
+                bufferView: addBufferView(new Uint8Array(values.buffer, values.byteOffset, values.byteLength), SceneExporter.#GL_ARRAY_BUFFER),
+                componentType: SceneExporter.#GL_FLOAT,
+                count: values.length / components,
+                type: type
+            };
+
+            // The bounds of the positions are required by the specification
+            if (with_bounds) {
+                accessor.min = [Infinity, Infinity, Infinity];
+                accessor.max = [-Infinity, -Infinity, -Infinity];
+
+                for (let i = 0; i < values.length; i += components) {
+                    for (let k = 0; k < components; k++) {
+                        accessor.min[k] = Math.min(accessor.min[k], values[i + k]);
+                        accessor.max[k] = Math.max(accessor.max[k], values[i + k]);
+                    }
+                }
+            }
+
+            json.accessors.push(accessor);
+            return json.accessors.length - 1;
+        };
+
+        const material_indices = new Map(); // Material name -> index
+        const images = new Map();
+        const texture_indices = new Map(); // Image -> texture index
+
+        const addTexture = async (source) => {
+            const image = await this.#getImage(source, images);
+
+            if (!texture_indices.has(image)) {
+                if (image.data === null) {
+                    texture_indices.set(image, null);
+                } else {
+                    json.images.push({ name: image.name, bufferView: addBufferView(image.data.bytes), mimeType: image.data.mime_type });
+                    json.textures.push({ source: json.images.length - 1 });
+                    texture_indices.set(image, json.textures.length - 1);
+                }
+            }
+
+            return texture_indices.get(image);
+        };
+
+        const meshes_by_model = new Map();
+
+        for (const entry of entries) {
+            const material = entry.material;
+
+            if (!material_indices.has(material.name)) {
+                const gltf_material = this.#getGLTFMaterial(material);
+
+                if (material.maps.diffuse) {
+                    const texture_index = await addTexture(material.maps.diffuse);
+
+                    if (texture_index !== null) {
+                        gltf_material.pbrMetallicRoughness.baseColorTexture = { index: texture_index };
+                    }
+                }
+
+                if (material.normal_map) {
+                    const texture_index = await addTexture(material.normal_map);
+
+                    if (texture_index !== null) {
+                        gltf_material.normalTexture = { index: texture_index };
+                    }
+                }
+
+                json.materials.push(gltf_material);
+                material_indices.set(material.name, json.materials.length - 1);
+            }
+
+            const geometry = entry.geometry;
+
+            // glTF has the origin of the texture coordinates at the top left corner of the images
+            const texcoord = new Float32Array(geometry.texcoord.length);
+            for (let i = 0; i < texcoord.length; i += 2) {
+                texcoord[i] = geometry.texcoord[i];
+                texcoord[i + 1] = 1 - geometry.texcoord[i + 1];
+            }
+
+            const primitive = {
+                attributes: {
+                    POSITION: addAccessor(geometry.position, 3, 'VEC3', true),
+                    NORMAL: addAccessor(geometry.normal, 3, 'VEC3'),
+                    TEXCOORD_0: addAccessor(texcoord, 2, 'VEC2')
+                },
+                material: material_indices.get(material.name)
+            };
+
+            if (material.vertex_colors) {
+                primitive.attributes.COLOR_0 = addAccessor(geometry.color, 4, 'VEC4');
+            }
+
+            if (!meshes_by_model.has(entry.model)) {
+                json.meshes.push({ name: entry.model.getModelName(), primitives: [] });
+                json.nodes.push({ name: entry.model.getModelName(), mesh: json.meshes.length - 1 });
+                json.scenes[0].nodes.push(json.nodes.length - 1);
+
+                meshes_by_model.set(entry.model, json.meshes[json.meshes.length - 1]);
+            }
+
+            meshes_by_model.get(entry.model).primitives.push(primitive);
+        }
+
+        json.buffers.push({ byteLength: bin_length });
+
+        // Empty arrays are not allowed by the specification
+        for (const key of Object.keys(json)) {
+            if (Array.isArray(json[key]) && json[key].length === 0) {
+                delete json[key];
+            }
+        }
+
+        this.LOG('Exported ' + entries.length + ' object(s) and ' + (json.images?.length ?? 0) + ' texture(s) to GLB.', 'success');
+
+        return SceneExporter.#createGLB(json, bin_parts, bin_length);
+    }
+
+    /**
+     * Exports the models to a binary STL file. STL files only have triangles, with a normal per triangle, so the materials are not exported.
+     *
+     * @param {Model3D[]} models - The models to export.
+     * @returns {Blob} The STL file.
+     */
+    exportSTL(models) {
+        const entries = this.#collectEntries(models);
+        const triangles_count = entries.reduce((count, entry) => count + Math.floor(entry.geometry.position.length / 9), 0);
+
+        // 80 bytes of header, the number of triangles and 50 bytes per triangle
+        const view = new DataView(new ArrayBuffer(84 + triangles_count * 50));
+        const header = new TextEncoder().encode('STL exported by the 3D Scene Editor');
+        new Uint8Array(view.buffer).set(header);
+        view.setUint32(80, triangles_count, true);
+
+        let offset = 84;
+
+        for (const entry of entries) {
+            const position = entry.geometry.position;
+
+            for (let i = 0; i + 8 < position.length; i += 9) {
+                const normal = GraphicsMath.calculateNormal(position.subarray(i, i + 3), position.subarray(i + 3, i + 6), position.subarray(i + 6, i + 9));
+                const values = [...normal.map((value) => isNaN(value) ? 0 : value), ...position.subarray(i, i + 9)];
+
+                values.forEach((value, k) => view.setFloat32(offset + k * 4, value, true));
+
+                // The attribute bytes are left at 0
+                offset += 50;
+            }
+        }
+
+        this.LOG('Exported ' + triangles_count + ' triangle(s) to STL.', 'success');
+
+        return new Blob([view], { type: 'model/stl' });
+    }
+
+    /**
+     * Exports the models to a binary PLY file. The vertices have their normals and the colors they are rendered with: their vertex colors,
+     * or the diffuse color of their material (see #describeMaterial), with the opacity as alpha. The textures are not exported.
+     *
+     * @param {Model3D[]} models - The models to export.
+     * @returns {Blob} The PLY file.
+     */
+    exportPLY(models) {
+        const entries = this.#collectEntries(models);
+        const vertex_count = entries.reduce((count, entry) => count + Math.floor(entry.geometry.position.length / 9) * 3, 0);
+        const face_count = vertex_count / 3;
+
+        const header = [
+            'ply',
+            'format binary_little_endian 1.0',
+            'comment Exported by the 3D Scene Editor',
+            'element vertex ' + vertex_count,
+            'property float x', 'property float y', 'property float z',
+            'property float nx', 'property float ny', 'property float nz',
+            'property uchar red', 'property uchar green', 'property uchar blue', 'property uchar alpha',
+            'element face ' + face_count,
+            'property list uchar int vertex_indices',
+            'end_header',
+            ''
+        ].join('\n');
+
+        // 6 floats and 4 bytes per vertex, then the number of indices and 3 indices per face
+        const vertices = new DataView(new ArrayBuffer(vertex_count * 28));
+        const faces = new DataView(new ArrayBuffer(face_count * 13));
+        const toByte = (value) => Math.round(Math.min(Math.max(value, 0), 1) * 255);
+
+        let v = 0;
+
+        for (const entry of entries) {
+            const { position, normal, color } = entry.geometry;
+            const material = entry.material;
+            const entry_vertex_count = Math.floor(position.length / 9) * 3;
+
+            for (let i = 0; i < entry_vertex_count; i++, v++) {
+                const offset = v * 28;
+
+                for (let k = 0; k < 3; k++) {
+                    vertices.setFloat32(offset + k * 4, position[i * 3 + k], true);
+                    vertices.setFloat32(offset + 12 + k * 4, normal[i * 3 + k], true);
+                }
+
+                const rgba = material.vertex_colors
+                    ? [color[i * 4], color[i * 4 + 1], color[i * 4 + 2], color[i * 4 + 3] * material.opacity]
+                    : [...material.diffuse, material.opacity];
+
+                rgba.forEach((value, k) => vertices.setUint8(offset + 24 + k, toByte(value)));
+            }
+        }
+
+        for (let f = 0; f < face_count; f++) {
+            faces.setUint8(f * 13, 3);
+
+            for (let k = 0; k < 3; k++) {
+                faces.setInt32(f * 13 + 1 + k * 4, f * 3 + k, true);
+            }
+        }
+
+        this.LOG('Exported ' + face_count + ' triangle(s) to PLY.', 'success');
+
+        return new Blob([header, vertices, faces], { type: 'application/octet-stream' });
+    }
+
+    /**
+     * Bakes the objects of the models and describes their materials.
+     *
+     * @param {Model3D[]} models - The models.
+     * @returns {Object[]} An entry for each object with vertices: { model, name, geometry, material } (see #bakeGeometry and #describeMaterial).
+     * @private
+     */
+    #collectEntries(models) {
+        const entries = [];
+        const used_names = new Set();
+
+        for (const model of models) {
+            const materials = new Map(); // Material of the objects -> exported material, shared by the objects of the model with the same material
+            const matrix = model.getWorldMatrix();
+
+            model.getRenderableObjects().forEach((obj, i) => {
+                if (obj.getVertexCount() === 0) {
+                    return;
+                }
+
+                const material_key = obj.getMaterial() ?? obj;
+
+                if (!materials.has(material_key)) {
+                    const name = SceneExporter.#getUniqueName(model.getModelName() + '_material_' + materials.size, used_names);
+                    materials.set(material_key, this.#describeMaterial(model, obj, name));
+                }
+
+                entries.push({
+                    model: model,
+                    name: SceneExporter.#getUniqueName(model.getModelName() + '_' + i, used_names),
+                    geometry: this.#bakeGeometry(matrix, obj.getGeometryData()),
+                    material: materials.get(material_key)
+                });
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Describes the material of an object as it is rendered by the editor (see drawObject in main.js).
+     *
+     * @param {Model3D} model - The model.
+     * @param {Object3D} obj - The object of the model.
+     * @param {string} name - The name of the exported material.
+     * @returns {Object} The material: { name, ambient, diffuse, specular, emissive, shininess, opacity, vertex_colors, maps, bump_map, opacity_map, normal_map }.
+     * The maps are image sources ({ path } or { blob }, see FileLoader.getTextureSource), with flip set for the images that must be flipped vertically.
+     * @private
+     */
+    #describeMaterial(model, obj, name) {
+        const material = { ...SceneExporter.#DEFAULT_MATERIAL, ...obj.getMaterial() };
+        const textures = obj.getTextures();
+        const texture_properties = model.getTextureProperties();
+
+        const getSource = (type) => textures[type] ? FileLoader.getTextureSource(textures[type]) : null;
+
+        const described = {
+            name: name,
+            ambient: material.ambient,
+            diffuse: material.diffuse ?? [1.0, 1.0, 1.0],
+            specular: material.specular,
+            emissive: material.emissive,
+            shininess: material.shininess,
+            opacity: material.opacity * model.getOpacity(),
+            vertex_colors: false,
+            maps: {
+                diffuse: getSource('diffuse'),
+                specular: getSource('specular'),
+                bump: getSource('bump'),
+                opacity: getSource('opacity')
+            },
+            bump_map: material.bumpMap ?? null,
+            opacity_map: material.opacityMap ?? null,
+            normal_map: null
+        };
+
+        // The images set in the properties panel are not flipped when they are loaded, unlike the material maps
+        if (model.hasTexture()) {
+            described.diffuse = [1.0, 1.0, 1.0];
+            described.maps.diffuse = { path: texture_properties.image_path, flip: true };
+        } else if (!('diffuse' in material) && !textures.diffuse) {
+            described.diffuse = [1.0, 1.0, 1.0];
+            described.vertex_colors = true;
+        }
+
+        if (model.hasNormalMap()) {
+            described.normal_map = { path: texture_properties.normal_map_path, flip: true };
+        }
+
+        return described;
+    }
+
+    /**
+     * Transforms the vertices of an object by the world matrix of its model. The indexed vertices are expanded, with a vertex per face corner.
+     *
+     * @param {Float32Array} matrix - The world matrix of the model.
+     * @param {Object} geometry_data - The geometry data of the object (see Object3D.getGeometryData).
+     * @returns {Object} The baked { position, normal, texcoord, color }.
+     * @private
+     */
+    #bakeGeometry(matrix, geometry_data) {
+        const vertex_count = geometry_data.indices.length;
+        const position = new Float32Array(vertex_count * 3);
+        const normal = new Float32Array(vertex_count * 3);
+        const texcoord = new Float32Array(vertex_count * 2);
+        const color = new Float32Array(vertex_count * 4);
+
+        const inverse = GraphicsMath.invertAffineMatrix(matrix) ?? GraphicsMath.createIdentityMatrix();
+        const mirrored = GraphicsMath.isMirroring(matrix);
+
+        for (let i = 0; i < vertex_count; i++) {
+            // Source vertex: the second and third vertices of each triangle are swapped when mirrored
+            const corner = i % 3;
+            const s = geometry_data.indices[mirrored && corner !== 0 ? i + (corner === 1 ? 1 : -1) : i];
+
+            const [x, y, z] = [0, 1, 2].map((k) => geometry_data.position[s * 3 + k]);
+            position[i * 3] = matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12];
+            position[i * 3 + 1] = matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13];
+            position[i * 3 + 2] = matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14];
+
+            normal.set(GraphicsMath.transformNormal(inverse, geometry_data.normal.subarray(s * 3, s * 3 + 3)), i * 3);
+
+            texcoord.set(geometry_data.texcoord.subarray(s * 2, s * 2 + 2), i * 2);
+            color.set(geometry_data.color.subarray(s * 4, s * 4 + 4), i * 4);
+        }
+
+        return { position: position, normal: normal, texcoord: texcoord, color: color };
+    }
+
+    /**
+     * Returns the lines of a material in the MTL file. The maps whose images could not be read are left out.
+     *
+     * @param {Object} material - The described material (see #describeMaterial).
+     * @param {Map<Object, Object>} images - The images of the maps (see #getImage).
+     * @returns {string[]} The lines.
+     * @private
+     */
+    #getMTLLines(material, images) {
+        const format = (values) => values.map(SceneExporter.#formatNumber).join(' ');
+        const getChannelOption = (map) => map?.channel ? '-imfchan ' + map.channel + ' ' : '';
+
+        const lines = [
+            'newmtl ' + material.name,
+            'Ka ' + format(material.ambient),
+            'Kd ' + format(material.diffuse),
+            'Ks ' + format(material.specular),
+            'Ke ' + format(material.emissive),
+            'Ns ' + SceneExporter.#formatNumber(material.shininess),
+            'd ' + SceneExporter.#formatNumber(material.opacity),
+            'illum 2'
+        ];
+
+        // File name of the image of a map, or null if there is no map or its image was not exported
+        const getFileName = (source) => source !== null ? images.get(SceneExporter.#getImageKey(source)).file_name : null;
+        const maps = material.maps;
+
+        if (getFileName(maps.diffuse)) {
+            lines.push('map_Kd ' + getFileName(maps.diffuse));
+        }
+
+        if (getFileName(maps.specular)) {
+            lines.push('map_Ks ' + getFileName(maps.specular));
+        }
+
+        if (getFileName(maps.bump)) {
+            const multiplier = material.bump_map?.bumpMultiplier ?? 1;
+            lines.push('map_Bump -bm ' + SceneExporter.#formatNumber(multiplier) + ' ' + getChannelOption(material.bump_map) + getFileName(maps.bump));
+        }
+
+        if (getFileName(maps.opacity)) {
+            lines.push('map_d ' + getChannelOption(material.opacity_map) + getFileName(maps.opacity));
+        }
+
+        return lines;
+    }
+
+    /**
+     * Converts a described material to a glTF PBR material (the inverse of the conversion of GLTFParser): the diffuse color is the base
+     * color, and the shininess gives the roughness. The materials are not metallic.
+     *
+     * @param {Object} material - The described material (see #describeMaterial).
+     * @returns {Object} The glTF material, without textures.
+     * @private
+     */
+    #getGLTFMaterial(material) {
+        const transparent = material.opacity < 1 || material.maps.opacity !== null;
+        const roughness = Math.min(Math.max((2 / (Math.max(material.shininess, 0) + 2)) ** 0.25, 0), 1);
+
+        const gltf_material = {
+            name: material.name,
+            pbrMetallicRoughness: {
+                baseColorFactor: [...material.diffuse.map((value) => Math.min(Math.max(value, 0), 1)), Math.min(Math.max(material.opacity, 0), 1)],
+                metallicFactor: 0,
+                roughnessFactor: roughness
+            },
+            emissiveFactor: material.emissive.map((value) => Math.min(Math.max(value, 0), 1)),
+            alphaMode: transparent ? 'BLEND' : 'OPAQUE'
+        };
+
+        return gltf_material;
+    }
+
+    /**
+     * Returns the exported image of a map, reading it if it was not read yet. Each image is exported once, even if it is used by several
+     * materials.
+     *
+     * @param {Object} source - The image source ({ path } or { blob }, and flip).
+     * @param {Map<Object, Object>} images - The images already read (see #getImageKey).
+     * @returns {Promise<Object>} The image: { name, file_name, data }. The data is null if the image could not be read (see #readImage).
+     * @private
+     */
+    async #getImage(source, images) {
+        const key = SceneExporter.#getImageKey(source);
+
+        if (!images.has(key)) {
+            const is_file_path = source.path && !source.path.startsWith('blob:') && !source.path.startsWith('data:');
+            const base_name = (is_file_path ? source.path.split('/').pop().replace(/\.[^.]*$/, '') : '') || 'image';
+            const name = base_name.replace(/[^\w.-]/g, '_') + '_' + images.size;
+            const data = await this.#readImage(source);
+
+            images.set(key, {
+                name: name,
+                file_name: data !== null ? 'textures/' + name + SceneExporter.#getImageExtension(data.mime_type) : null,
+                data: data
+            });
+        }
+
+        return images.get(key);
+    }
+
+    /**
+     * @param {Object} source - An image source.
+     * @returns {Object} The key of the image in the exported images: the blob, or the path (and whether it is flipped).
+     * @static
+     * @private
+     */
+    static #getImageKey(source) {
+        return source.blob ?? source.path + (source.flip ? ':flipped' : '');
+    }
+
+    /**
+     * Reads an image to export it. The images that are not PNG or JPEG (the formats supported by glTF), and the ones that must be flipped,
+     * are converted to PNG.
+     *
+     * @param {Object} source - The image source ({ path } or { blob }, and flip).
+     * @returns {Promise<Object>} { bytes, mime_type }, or null if the image could not be read.
+     * @private
+     */
+    async #readImage(source) {
+        try {
+            let blob = source.blob;
+
+            if (!blob) {
+                const response = await fetch(LocalFiles.resolve(source.path));
+
+                if (!response.ok) {
+                    throw new Error(response.status + ' - ' + response.statusText);
+                }
+
+                blob = await response.blob();
+            }
+
+            if (source.flip || !['image/png', 'image/jpeg'].includes(blob.type)) {
+                const bitmap = await createImageBitmap(blob);
+                const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+                const context = canvas.getContext('2d');
+
+                if (source.flip) {
+                    context.translate(0, bitmap.height);
+                    context.scale(1, -1);
+                }
+
+                context.drawImage(bitmap, 0, 0);
+                bitmap.close();
+
+                blob = await canvas.convertToBlob({ type: 'image/png' });
+            }
+
+            return { bytes: new Uint8Array(await blob.arrayBuffer()), mime_type: blob.type };
+        } catch (error) {
+            this.LOG('Failed to export the image ' + (source.path ?? 'stored in a model file') + ': ' + error, 'warning');
+            return null;
+        }
+    }
+
+    /**
+     * Builds a GLB file from its JSON document and binary chunk.
+     *
+     * @param {Object} json - The glTF document.
+     * @param {Uint8Array[]} bin_parts - The parts of the binary chunk.
+     * @param {number} bin_length - The length of the binary chunk.
+     * @returns {Blob} The GLB file.
+     * @static
+     * @private
+     */
+    static #createGLB(json, bin_parts, bin_length) {
+        // The chunks are 4 bytes aligned: the JSON is padded with spaces and the binary data with zeros
+        const json_bytes = new TextEncoder().encode(JSON.stringify(json));
+        const json_padding = (4 - json_bytes.length % 4) % 4;
+        const bin_padding = (4 - bin_length % 4) % 4;
+
+        const json_length = json_bytes.length + json_padding;
+        const total_bin_length = bin_length + bin_padding;
+        const total_length = 12 + 8 + json_length + (bin_length > 0 ? 8 + total_bin_length : 0);
+
+        const header = new DataView(new ArrayBuffer(20));
+        header.setUint32(0, GLTFParser.GLB_MAGIC, true);
+        header.setUint32(4, 2, true);
+        header.setUint32(8, total_length, true);
+        header.setUint32(12, json_length, true);
+        header.setUint32(16, GLTFParser.GLB_JSON_CHUNK, true);
+
+        const parts = [header, json_bytes, new TextEncoder().encode(' '.repeat(json_padding))];
+
+        if (bin_length > 0) {
+            const bin_header = new DataView(new ArrayBuffer(8));
+            bin_header.setUint32(0, total_bin_length, true);
+            bin_header.setUint32(4, GLTFParser.GLB_BIN_CHUNK, true);
+
+            parts.push(bin_header, ...bin_parts, new Uint8Array(bin_padding));
+        }
+
+        return new Blob(parts, { type: 'model/gltf-binary' });
+    }
+
+    /**
+     * Returns a name not used yet, adding a number to the name if needed. The spaces are replaced, since the OBJ and MTL names can't have them.
+     *
+     * @param {string} name - The name.
+     * @param {Set<string>} used_names - The names already used. The returned name is added to it.
+     * @returns {string} The unique name.
+     * @static
+     * @private
+     */
+    static #getUniqueName(name, used_names) {
+        const base_name = name.replace(/\s+/g, '_');
+        let unique_name = base_name;
+
+        for (let i = 1; used_names.has(unique_name); i++) {
+            unique_name = base_name + '_' + i;
+        }
+
+        used_names.add(unique_name);
+        return unique_name;
+    }
+
+    /**
+     * @param {string} mime_type - The type of an exported image.
+     * @returns {string} The extension for the type.
+     * @static
+     * @private
+     */
+    static #getImageExtension(mime_type) {
+        return mime_type === 'image/jpeg' ? '.jpg' : '.png';
+    }
+
+    /**
+     * Formats a number for the OBJ and MTL files, without trailing zeros.
+     *
+     * @param {number} value - The number.
+     * @returns {string} The number with up to 6 decimals.
+     * @static
+     * @private
+     */
+    static #formatNumber(value) {
+        return String(Number(value.toFixed(6)));
+    }
+}
\ No newline at end of file
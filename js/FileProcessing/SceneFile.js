@@ -0,0 +1,406 @@
+import Light from "../3DStuff/Light.js";
+import LocalFiles from "./LocalFiles.js";
+
+/**
+ * Describes the format of the scene files: migrates old files to the current version and validates them before they are loaded.
+ *
+ * Scene file versions:
+ * - 0: a plain array of models (the first format, without lights).
+ * - 1: an object with the models, lights and embedded images, but without a version number.
+ * - 2: a versioned object with a header (version, camera and settings) followed by the lights, models and images.
+ * - 3: the models can have a parent model (the scene graph). Their transformations are relative to their parents.
+ * - 4: the files of the models imported from the disk (OBJ, MTL and textures) are embedded, indexed by their virtual paths (see LocalFiles).
+ *
+ * Current format (version 4):
+ * {
+ *     version: 4,
+ *     camera: { location: { x, y, z }, yaw, pitch, fov, near, far },
+ *     settings: { models_configs: { generate_normals } },
+ *     lights: [ ...Light.toJSON() ],
+ *     models: [ { model_path, model_name, parent_name, transformation_dict, global_color, opacity, shadow_properties, texture_id, normal_map_id } ],
+ *     images: { image_id: data_uri },
+ *     files: { virtual_path: data_uri }
+ * }
+ *
+ * @class
+ */
+export default class SceneFile {
+    /**
+     * The version of the scene files written by the editor.
+     *
+     * @type {number}
+     * @static
+     */
+    static VERSION = 4;
+
+    /**
+     * Functions that migrate a scene from a version to the next one, indexed by the version they migrate from.
+     *
+     * @type {Object}
+     * @static
+     * @private
+     */
+    static #migrations = {
+        0: (scene) => ({ version: 1, models: scene }),
+        1: (scene) => ({ version: 2, settings: {}, lights: scene.lights, models: scene.models, images: scene.images ?? {} }),
+        2: (scene) => ({ ...scene, version: 3 }),
+        3: (scene) => ({ ...scene, version: 4, files: {} })
+    };
+
+    /**
+     * Returns the version of a parsed scene file. Files without a version number are from before the versioning was introduced.
+     *
+     * @param {*} scene - The parsed scene file.
+     * @returns {number} The version of the scene.
+     * @static
+     */
+    static getVersion(scene) {
+        if (Array.isArray(scene)) {
+            return 0;
+        }
+
+        if (scene !== null && typeof scene === 'object' && !('version' in scene)) {
+            return 1;
+        }
+
+        return scene?.version;
+    }
+
+    /**
+     * Migrates a parsed scene file to the current version. Files already in the current version (or invalid) are returned as they are.
+     *
+     * @param {*} scene - The parsed scene file.
+     * @returns {Object} The migrated scene.
+     * @static
+     */
+    static migrate(scene) {
+        let version = SceneFile.getVersion(scene);
+
+        while (Number.isInteger(version) && version in SceneFile.#migrations) {
+            scene = SceneFile.#migrations[version](scene);
+            version = scene.version;
+        }
+
+        return scene;
+    }
+
+    /**
+     * Validates a scene in the current version.
+     *
+     * @param {*} scene - The migrated scene (see SceneFile.migrate).
+     * @returns {string[]} The list of errors found, each one starting with the path of the invalid field. Empty if the scene is valid.
+     * @static
+     */
+    static validate(scene) {
+        const errors = [];
+
+        if (!SceneFile.#checkType(errors, 'scene', scene, 'object')) {
+            return errors;
+        }
+
+        if (scene.version !== SceneFile.VERSION) {
+            errors.push('version: expected ' + SceneFile.VERSION + ', found ' + JSON.stringify(scene.version) + '. The file may be from a newer version of the editor.');
+            return errors;
+        }
+
+        // Header
+        if (SceneFile.#checkOptionalType(errors, 'camera', scene.camera, 'object')) {
+            SceneFile.#validateCamera(errors, 'camera', scene.camera);
+        }
+
+        if (SceneFile.#checkOptionalType(errors, 'settings', scene.settings, 'object')) {
+            const models_configs = scene.settings.models_configs;
+
+            if (SceneFile.#checkOptionalType(errors, 'settings.models_configs', models_configs, 'object')) {
+                SceneFile.#checkOptionalType(errors, 'settings.models_configs.generate_normals', models_configs.generate_normals, 'boolean');
+            }
+        }
+
+        // Lights
+        if (SceneFile.#checkOptionalType(errors, 'lights', scene.lights, 'array')) {
+            scene.lights.forEach((light, i) => SceneFile.#validateLight(errors, `lights[${i}]`, light));
+        }
+
+        // Images
+        const images = scene.images ?? {};
+
+        if (SceneFile.#checkOptionalType(errors, 'images', scene.images, 'object')) {
+            for (const [image_id, data_uri] of Object.entries(images)) {
+                if (typeof data_uri !== 'string' || !data_uri.startsWith('data:image/')) {
+                    errors.push(`images["${image_id}"]: expected an image data URI.`);
+                }
+            }
+        }
+
+        // Imported files
+        const files = scene.files ?? {};
+
+        if (SceneFile.#checkOptionalType(errors, 'files', scene.files, 'object')) {
+            for (const [file_path, data_uri] of Object.entries(files)) {
+                if (!LocalFiles.isLocal(file_path)) {
+                    errors.push(`files["${file_path}"]: expected a path starting with "${LocalFiles.PREFIX}".`);
+                }
+
+                if (typeof data_uri !== 'string' || !data_uri.startsWith('data:')) {
+                    errors.push(`files["${file_path}"]: expected a data URI.`);
+                }
+            }
+        }
+
+        // Models
+        if (SceneFile.#checkType(errors, 'models', scene.models, 'array')) {
+            const names = new Set();
+
+            scene.models.forEach((model, i) => {
+                const path = `models[${i}]`;
+
+                if (!SceneFile.#validateModel(errors, path, model, images, files)) {
+                    return;
+                }
+
+                // The models are identified by their names in the editor
+                if (names.has(model.model_name)) {
+                    errors.push(`${path}.model_name: the name "${model.model_name}" is used by more than one model.`);
+                }
+
+                names.add(model.model_name);
+            });
+
+            SceneFile.#validateHierarchy(errors, scene.models, names);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates a model entry.
+     *
+     * @param {string[]} errors - The list of errors, where the errors found are added.
+     * @param {string} path - The path of the model in the scene.
+     * @param {*} model - The model entry.
+     * @param {Object} images - The images embedded in the scene.
+     * @param {Object} files - The imported files embedded in the scene.
+     * @returns {boolean} False if the model is not an object (its fields were not checked).
+     * @static
+     * @private
+     */
+    static #validateModel(errors, path, model, images, files) {
+        if (!SceneFile.#checkType(errors, path, model, 'object')) {
+            return false;
+        }
+
+        SceneFile.#checkName(errors, path + '.model_path', model.model_path);
+
+        // Imported models can only be loaded from the files embedded in the scene
+        if (LocalFiles.isLocal(model.model_path) && !Object.hasOwn(files, model.model_path)) {
+            errors.push(`${path}.model_path: the imported file "${model.model_path}" is not embedded in the scene.`);
+        }
+        SceneFile.#checkName(errors, path + '.model_name', model.model_name);
+
+        if (SceneFile.#checkType(errors, path + '.transformation_dict', model.transformation_dict, 'object')) {
+            for (const key of ['translation', 'rotation', 'scale']) {
+                SceneFile.#checkNumbers(errors, `${path}.transformation_dict.${key}`, model.transformation_dict[key], ['x', 'y', 'z']);
+            }
+        }
+
+        SceneFile.#checkNumbers(errors, path + '.global_color', model.global_color, ['r', 'g', 'b', 'a']);
+        SceneFile.#checkOptionalType(errors, path + '.opacity', model.opacity, 'number');
+
+        if (SceneFile.#checkOptionalType(errors, path + '.shadow_properties', model.shadow_properties, 'object')) {
+            SceneFile.#checkType(errors, path + '.shadow_properties.casts', model.shadow_properties.casts, 'boolean');
+            SceneFile.#checkType(errors, path + '.shadow_properties.receives', model.shadow_properties.receives, 'boolean');
+        }
+
+        if (model.parent_name !== undefined && model.parent_name !== null) {
+            SceneFile.#checkName(errors, path + '.parent_name', model.parent_name);
+        }
+
+        for (const key of ['texture_id', 'normal_map_id']) {
+            if (SceneFile.#checkOptionalType(errors, `${path}.${key}`, model[key], 'string') && model[key] !== '' && !Object.hasOwn(images, model[key])) {
+                errors.push(`${path}.${key}: the image "${model[key]}" is not embedded in the scene.`);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Validates the scene graph: the parents must be models of the scene, and a model can't be its own ancestor.
+     *
+     * @param {string[]} errors - The list of errors, where the errors found are added.
+     * @param {Object[]} models - The model entries.
+     * @param {Set<string>} names - The names of the models.
+     * @static
+     * @private
+     */
+    static #validateHierarchy(errors, models, names) {
+        const parents = new Map();
+
+        models.forEach((model, i) => {
+            // Invalid names were already reported by #validateModel
+            if (typeof model?.parent_name !== 'string' || model.parent_name.trim() === '') {
+                return;
+            }
+
+            if (!names.has(model.parent_name)) {
+                errors.push(`models[${i}].parent_name: there is no model named "${model.parent_name}".`);
+                return;
+            }
+
+            parents.set(model.model_name, model.parent_name);
+        });
+
+        models.forEach((model, i) => {
+            const visited = new Set([model?.model_name]);
+
+            for (let name = parents.get(model?.model_name); name !== undefined; name = parents.get(name)) {
+                if (visited.has(name)) {
+                    errors.push(`models[${i}].parent_name: the parents of "${model.model_name}" form a cycle.`);
+                    return;
+                }
+
+                visited.add(name);
+            }
+        });
+    }
+
+    /**
+     * Validates the camera state (as written by Camera.getState).
+     *
+     * @param {string[]} errors - The list of errors, where the errors found are added.
+     * @param {string} path - The path of the camera in the scene.
+     * @param {Object} camera - The camera state.
+     * @static
+     * @private
+     */
+    static #validateCamera(errors, path, camera) {
+        SceneFile.#checkNumbers(errors, path + '.location', camera.location, ['x', 'y', 'z']);
+        SceneFile.#checkType(errors, path + '.yaw', camera.yaw, 'number');
+        SceneFile.#checkType(errors, path + '.pitch', camera.pitch, 'number');
+
+        if (SceneFile.#checkType(errors, path + '.fov', camera.fov, 'number') && (camera.fov <= 0 || camera.fov >= 180)) {
+            errors.push(`${path}.fov: must be between 0 and 180 degrees, found ${camera.fov}.`);
+        }
+
+        const valid_near = SceneFile.#checkType(errors, path + '.near', camera.near, 'number');
+        const valid_far = SceneFile.#checkType(errors, path + '.far', camera.far, 'number');
+
+        if (valid_near && camera.near <= 0) {
+            errors.push(`${path}.near: must be greater than 0, found ${camera.near}.`);
+        }
+
+        if (valid_near && valid_far && camera.far <= camera.near) {
+            errors.push(`${path}.far: must be greater than near (${camera.near}), found ${camera.far}.`);
+        }
+    }
+
+    /**
+     * Validates a light entry (as written by Light.toJSON).
+     *
+     * @param {string[]} errors - The list of errors, where the errors found are added.
+     * @param {string} path - The path of the light in the scene.
+     * @param {*} light - The light entry.
+     * @static
+     * @private
+     */
+    static #validateLight(errors, path, light) {
+        if (!SceneFile.#checkType(errors, path, light, 'object')) {
+            return;
+        }
+
+        SceneFile.#checkName(errors, path + '.name', light.name);
+
+        if (!Object.hasOwn(Light.TYPES_IDS, light.type)) {
+            errors.push(`${path}.type: expected one of ${Object.keys(Light.TYPES_IDS).join(', ')}, found ${JSON.stringify(light.type)}.`);
+        }
+
+        SceneFile.#checkType(errors, path + '.enabled', light.enabled, 'boolean');
+        SceneFile.#checkOptionalType(errors, path + '.cast_shadows', light.cast_shadows, 'boolean');
+        SceneFile.#checkNumbers(errors, path + '.color', light.color, ['r', 'g', 'b']);
+        SceneFile.#checkType(errors, path + '.intensity', light.intensity, 'number');
+        SceneFile.#checkNumbers(errors, path + '.position', light.position, ['x', 'y', 'z']);
+        SceneFile.#checkNumbers(errors, path + '.direction', light.direction, ['x', 'y', 'z']);
+        SceneFile.#checkNumbers(errors, path + '.attenuation', light.attenuation, ['constant', 'linear', 'quadratic']);
+        SceneFile.#checkType(errors, path + '.inner_angle', light.inner_angle, 'number');
+        SceneFile.#checkType(errors, path + '.outer_angle', light.outer_angle, 'number');
+    }
+
+    /**
+     * Checks the type of a value, adding an error if it doesn't match.
+     *
+     * @param {string[]} errors - The list of errors.
+     * @param {string} path - The path of the value in the scene.
+     * @param {*} value - The value to check.
+     * @param {string} type - The expected type: 'object', 'array', 'string', 'boolean' or 'number' (finite numbers only).
+     * @returns {boolean} True if the value has the expected type.
+     * @static
+     * @private
+     */
+    static #checkType(errors, path, value, type) {
+        let valid;
+
+        switch (type) {
+            case 'object':
+                valid = value !== null && typeof value === 'object' && !Array.isArray(value);
+                break;
+            case 'array':
+                valid = Array.isArray(value);
+                break;
+            case 'number':
+                valid = Number.isFinite(value);
+                break;
+            default:
+                valid = typeof value === type;
+        }
+
+        if (!valid) {
+            const found = value === undefined ? 'nothing' : JSON.stringify(value);
+            errors.push(`${path}: expected ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}, found ${found?.length > 40 ? found.substring(0, 40) + '...' : found}.`);
+        }
+
+        return valid;
+    }
+
+    /**
+     * Same as #checkType, but missing values (undefined) are valid.
+     *
+     * @returns {boolean} True if the value is present and has the expected type.
+     * @static
+     * @private
+     */
+    static #checkOptionalType(errors, path, value, type) {
+        if (value === undefined) {
+            return false;
+        }
+
+        return SceneFile.#checkType(errors, path, value, type);
+    }
+
+    /**
+     * Checks that a value is a non empty string.
+     *
+     * @static
+     * @private
+     */
+    static #checkName(errors, path, value) {
+        if (SceneFile.#checkType(errors, path, value, 'string') && value.trim() === '') {
+            errors.push(`${path}: must not be empty.`);
+        }
+    }
+
+    /**
+     * Checks that a value is an object whose given keys are numbers, like { x, y, z }.
+     *
+     * @static
+     * @private
+     */
+    static #checkNumbers(errors, path, value, keys) {
+        if (!SceneFile.#checkType(errors, path, value, 'object')) {
+            return;
+        }
+
+        for (const key of keys) {
+            SceneFile.#checkType(errors, `${path}.${key}`, value[key], 'number');
+        }
+    }
+}
\ No newline at end of file
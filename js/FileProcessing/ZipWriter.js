@@ -0,0 +1,119 @@
+/**
+ * Writes ZIP archives without compression (the "stored" method), to download several files at once (e.g. an OBJ file with its MTL file
+ * and textures). The textures are already compressed, and the browsers open the archive without any extra library.
+ *
+ * @class
+ */
+export default class ZipWriter {
+    /**
+     * CRC-32 of each byte value, used to compute the checksums of the files.
+     *
+     * @type {Uint32Array}
+     * @static
+     * @private
+     */
+    static #CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+
+            table[n] = c >>> 0;
+        }
+
+        return table;
+    })();
+
+    // The files have no meaningful modification date: 1980-01-01, the first date of the format
+    static #DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+    /** @type {Object[]} */
+    #files = [];
+
+    /**
+     * Adds a file to the archive.
+     *
+     * @param {string} name - The path of the file in the archive, with '/' between the folders.
+     * @param {Uint8Array|string} content - The content of the file. Strings are encoded in UTF-8.
+     */
+    addFile(name, content) {
+        const data = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+
+        this.#files.push({ name: new TextEncoder().encode(name), data: data, crc: ZipWriter.#crc32(data) });
+    }
+
+    /**
+     * @returns {Blob} The archive with all the files added.
+     */
+    toBlob() {
+        const parts = [];
+        const central_directory = [];
+        let offset = 0;
+
+        for (const file of this.#files) {
+            // Local file header
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true); // Version needed to extract (2.0)
+            header.setUint16(6, 0x0800, true); // The names are encoded in UTF-8
+            header.setUint16(8, 0, true); // Stored (no compression)
+            header.setUint16(12, ZipWriter.#DOS_DATE, true);
+            header.setUint32(14, file.crc, true);
+            header.setUint32(18, file.data.length, true);
+            header.setUint32(22, file.data.length, true);
+            header.setUint16(26, file.name.length, true);
+
+            parts.push(header, file.name, file.data);
+
+            // Central directory entry
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true); // Version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(14, ZipWriter.#DOS_DATE, true);
+            entry.setUint32(16, file.crc, true);
+            entry.setUint32(20, file.data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, file.name.length, true);
+            entry.setUint32(42, offset, true);
+
+            central_directory.push(entry, file.name);
+
+            offset += 30 + file.name.length + file.data.length;
+        }
+
+        const central_directory_size = central_directory.reduce((size, part) => size + part.byteLength, 0);
+
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.#files.length, true);
+        end.setUint16(10, this.#files.length, true);
+        end.setUint32(12, central_directory_size, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central_directory, end], { type: 'application/zip' });
+    }
+
+    /**
+     * @param {Uint8Array} data - The data.
+     * @returns {number} The CRC-32 checksum of the data.
+     * @static
+     * @private
+     */
+    static #crc32(data) {
+        let crc = 0xFFFFFFFF;
+
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipWriter.#CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
\ No newline at end of file
@@ -21,7 +21,7 @@ export default class CameraControls extends DoLog {
 		const thumb_rot = this.#thumbsticks_values.camera_rotation;
 		const thumb_pos = this.#thumbsticks_values.camera_position;
 
-		const rotation_speed = (Math.PI / 180); // 1 degree in radians is the maximum rotation speed
+		const rotation_speed = (Math.PI / 3); // 60 degrees per second (in radians) is the maximum rotation speed
 
 		// Create the direction vectors
 		let rotation_direction = new Vec4(thumb_rot.x, thumb_rot.y, 0, 1);
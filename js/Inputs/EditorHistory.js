@@ -0,0 +1,248 @@
+import DoLog from "../Logging/DoLog.js";
+
+/**
+ * An operation recorded in the editor history. The operation is already done when it is pushed to the history.
+ *
+ * @typedef {Object} EditorCommand
+ * @property {string} label - The text shown in the history list.
+ * @property {Function} undo - Reverts the operation. May return a promise.
+ * @property {Function} redo - Does the operation again. May return a promise.
+ * @property {string} [merge_key] - Consecutive commands with the same key are merged into a single one until the history is sealed
+ * (e.g. all the frames of a transformation typed in the properties panel).
+ * @property {Object[]} [resources] - Objects kept alive by the command (e.g. deleted models). They are released when no command in the history uses them anymore.
+ */
+
+export default class EditorHistory extends DoLog {
+	/**
+	 * Maximum number of commands in the history. The oldest commands are dropped when it is full.
+	 *
+	 * @type {number}
+	 * @static
+	 */
+	static MAX_COMMANDS = 100;
+
+	static #history_list_id = 'history_list';
+	static #undo_btn_id = 'history_undo_btn';
+	static #redo_btn_id = 'history_redo_btn';
+
+	static #li_class = 'history_li';
+	static #li_current_class = 'history_current';
+	static #li_undone_class = 'history_undone';
+
+	/** @type {EditorCommand[]} */
+	#commands = [];
+	/** @type {number} */
+	#position = 0; // Number of commands done. Commands from this index on were undone and can be redone.
+	/** @type {boolean} */
+	#sealed = true;
+	/** @type {boolean} */
+	#busy = false; // Commands can be asynchronous, so undo and redo are ignored while a command is running
+
+	/** @type {Function} */
+	#release_resource = null;
+
+	/** @type {HTMLOListElement} */
+	#history_list_ol = null;
+
+	/**
+	 * @param {DoLog} log - The logger object in which this object will log messages.
+	 * @param {Function} release_resource - Called with each resource that is no longer used by any command in the history.
+	 */
+	constructor(log, release_resource) {
+		super(log, 'EditorHistory> ');
+
+		this.#release_resource = release_resource;
+		this.#history_list_ol = document.getElementById(EditorHistory.#history_list_id);
+
+		document.getElementById(EditorHistory.#undo_btn_id).addEventListener('click', () => this.undo());
+		document.getElementById(EditorHistory.#redo_btn_id).addEventListener('click', () => this.redo());
+
+		// Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes. Text and number inputs keep their own undo.
+		document.addEventListener('keydown', (e) => {
+			if (!(e.ctrlKey || e.metaKey) || e.target.tagName === 'TEXTAREA' || (e.target.tagName === 'INPUT' && ['text', 'number'].includes(e.target.type))) {
+				return;
+			}
+
+			const key = e.key.toLowerCase();
+
+			if (key === 'z' && !e.shiftKey) {
+				e.preventDefault();
+				this.undo();
+			} else if ((key === 'z' && e.shiftKey) || key === 'y') {
+				e.preventDefault();
+				this.redo();
+			}
+		});
+
+		this.#updateHistoryList();
+	}
+
+	/**
+	 * Record a command that was just done. The commands that were undone are dropped, since they can't be redone anymore.
+	 *
+	 * @param {EditorCommand} command - The command.
+	 */
+	push(command) {
+		const dropped = this.#commands.splice(this.#position);
+
+		const top = this.#commands[this.#position - 1];
+
+		// Merge with the previous command: undoing goes back to the state before the previous command, redoing to the state after this one
+		if (!this.#sealed && dropped.length === 0 && top && command.merge_key && top.merge_key === command.merge_key) {
+			top.redo = command.redo;
+		} else {
+			this.#commands.push(command);
+
+			if (this.#commands.length > EditorHistory.MAX_COMMANDS) {
+				dropped.push(...this.#commands.splice(0, this.#commands.length - EditorHistory.MAX_COMMANDS));
+			}
+
+			this.#position = this.#commands.length;
+		}
+
+		this.#sealed = false;
+
+		this.#releaseResources(dropped);
+		this.#updateHistoryList();
+	}
+
+	/**
+	 * Stop merging commands, so the next command starts a new entry even if it has the same merge key as the last one.
+	 * Called when the user finishes an edit (e.g. the 'change' event of an input).
+	 */
+	seal() {
+		this.#sealed = true;
+	}
+
+	/**
+	 * Undo the last command done.
+	 */
+	async undo() {
+		if (this.#busy || this.#position === 0) {
+			return;
+		}
+
+		this.#busy = true;
+		this.#sealed = true;
+
+		const command = this.#commands[this.#position - 1];
+
+		try {
+			await command.undo();
+			this.#position--;
+			this.LOG('Undo: ' + command.label);
+		} catch (error) {
+			this.LOG('Error undoing "' + command.label + '": ' + error, 'error');
+		}
+
+		this.#busy = false;
+		this.#updateHistoryList();
+	}
+
+	/**
+	 * Redo the last command undone.
+	 */
+	async redo() {
+		if (this.#busy || this.#position === this.#commands.length) {
+			return;
+		}
+
+		this.#busy = true;
+		this.#sealed = true;
+
+		const command = this.#commands[this.#position];
+
+		try {
+			await command.redo();
+			this.#position++;
+			this.LOG('Redo: ' + command.label);
+		} catch (error) {
+			this.LOG('Error redoing "' + command.label + '": ' + error, 'error');
+		}
+
+		this.#busy = false;
+		this.#updateHistoryList();
+	}
+
+	/**
+	 * Undo or redo commands until the given number of commands is done.
+	 *
+	 * @param {number} position - The number of commands that must be done (0 goes back to the start of the history).
+	 */
+	async goTo(position) {
+		while (position !== this.#position && !this.#busy) {
+			const previous_position = this.#position;
+
+			await (position < this.#position ? this.undo() : this.redo());
+
+			// Stop if a command failed
+			if (this.#position === previous_position) {
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Drop all the commands, releasing their resources. Used when the whole scene is replaced.
+	 */
+	clear() {
+		const dropped = this.#commands;
+
+		this.#commands = [];
+		this.#position = 0;
+		this.#sealed = true;
+
+		this.#releaseResources(dropped);
+		this.#updateHistoryList();
+	}
+
+	/**
+	 * Release the resources of dropped commands that are not used by any command left in the history.
+	 *
+	 * @param {EditorCommand[]} dropped - The dropped commands.
+	 */
+	#releaseResources(dropped) {
+		const in_use = new Set(this.#commands.flatMap((command) => command.resources ?? []));
+
+		const released = new Set();
+
+		for (const command of dropped) {
+			for (const resource of command.resources ?? []) {
+				if (!in_use.has(resource) && !released.has(resource)) {
+					released.add(resource);
+					this.#release_resource(resource);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Rebuild the <li> elements of the history list. The last command done is highlighted and the undone ones are grayed out.
+	 */
+	#updateHistoryList() {
+		this.#history_list_ol.innerHTML = '';
+
+		// The first entry is the state before any command, so the user can go back to it
+		const entries = ['(start)', ...this.#commands.map((command) => command.label)];
+
+		entries.forEach((label, position) => {
+			const li = document.createElement('li');
+
+			li.classList.add(EditorHistory.#li_class);
+			li.textContent = label;
+
+			if (position === this.#position) {
+				li.classList.add(EditorHistory.#li_current_class);
+			} else if (position > this.#position) {
+				li.classList.add(EditorHistory.#li_undone_class);
+			}
+
+			li.addEventListener('click', () => this.goTo(position));
+
+			this.#history_list_ol.appendChild(li);
+		});
+
+		document.getElementById(EditorHistory.#undo_btn_id).disabled = this.#position === 0;
+		document.getElementById(EditorHistory.#redo_btn_id).disabled = this.#position === this.#commands.length;
+	}
+}
\ No newline at end of file
@@ -0,0 +1,238 @@
+import DoLog from "../Logging/DoLog.js";
+
+import Camera from "../3DStuff/Camera.js";
+import TransformGizmo from "../3DStuff/TransformGizmo.js";
+import SelectionTransform from "../3DStuff/SelectionTransform.js";
+
+import ModelSelector from "./ModelSelector.js";
+import PropertiesEditor from "./PropertiesEditor.js";
+import EditorHistory from "./EditorHistory.js";
+import ModelCommands from "./ModelCommands.js";
+
+/**
+ * Handles the mouse and keyboard inputs of the transform gizmo: choosing the mode and the space, highlighting the handle under the mouse and
+ * dragging the handles of the active model. The drag is applied to all the selected models around the pivot chosen in the properties panel.
+ * The properties panel is updated while dragging, and each drag is recorded as a single history entry.
+ *
+ * Shortcuts: W (move), E (rotate), R (scale) and X (switch between local and world space).
+ */
+export default class GizmoControls extends DoLog {
+	static #mode_btn_class = 'gizmo_mode_btn';
+	static #space_btn_id = 'gizmo_space_btn';
+	static #active_class = 'gizmo_active';
+
+	static #shortcuts = { w: TransformGizmo.TRANSLATE, e: TransformGizmo.ROTATE, r: TransformGizmo.SCALE };
+
+	/** @type {HTMLCanvasElement} */
+	#canvas = null;
+	/** @type {TransformGizmo} */
+	#gizmo = null;
+	/** @type {Camera} */
+	#camera = null;
+	/** @type {ModelSelector} */
+	#model_selector = null;
+	/** @type {PropertiesEditor} */
+	#properties_editor = null;
+	/** @type {EditorHistory} */
+	#history = null;
+
+	/** @type {Object} */
+	#drag = null; // The dragged models, their transformations before the drag and the pivot mode
+	/** @type {boolean} */
+	#ignore_click = false;
+
+	/**
+	 * @param {DoLog} log - The logger object in which this object will log messages.
+	 * @param {HTMLCanvasElement} canvas - The canvas where the scene is rendered.
+	 * @param {TransformGizmo} gizmo - The transform gizmo.
+	 * @param {Camera} camera - The camera of the scene.
+	 * @param {ModelSelector} model_selector - The model selector, where the selected models are read from.
+	 * @param {PropertiesEditor} properties_editor - The properties editor, where the pivot of the selection is read from.
+	 * @param {EditorHistory} history - The editor history, where the drags are recorded.
+	 */
+	constructor(log, canvas, gizmo, camera, model_selector, properties_editor, history) {
+		super(log, 'GizmoControls> ');
+
+		this.#canvas = canvas;
+		this.#gizmo = gizmo;
+		this.#camera = camera;
+		this.#model_selector = model_selector;
+		this.#properties_editor = properties_editor;
+		this.#history = history;
+
+		for (const btn of document.getElementsByClassName(GizmoControls.#mode_btn_class)) {
+			btn.addEventListener('click', () => this.setMode(btn.dataset.gizmoMode));
+		}
+
+		document.getElementById(GizmoControls.#space_btn_id).addEventListener('click', () => this.toggleSpace());
+
+		document.addEventListener('keydown', (e) => {
+			if (e.ctrlKey || e.metaKey || e.altKey || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') {
+				return;
+			}
+
+			const key = e.key.toLowerCase();
+
+			if (key in GizmoControls.#shortcuts) {
+				this.setMode(GizmoControls.#shortcuts[key]);
+			} else if (key === 'x') {
+				this.toggleSpace();
+			}
+		});
+
+		canvas.addEventListener('mousedown', this.#mouseDown.bind(this));
+		document.addEventListener('mousemove', this.#mouseMove.bind(this));
+		document.addEventListener('mouseup', this.#mouseUp.bind(this));
+
+		this.#updateButtons();
+	}
+
+	/**
+	 * Set the gizmo mode.
+	 *
+	 * @param {string} mode - TransformGizmo.TRANSLATE, TransformGizmo.ROTATE or TransformGizmo.SCALE.
+	 */
+	setMode(mode) {
+		if (this.#drag !== null) {
+			return;
+		}
+
+		this.#gizmo.setMode(mode);
+		this.#updateButtons();
+	}
+
+	/**
+	 * Switch the gizmo between the local and the world space.
+	 */
+	toggleSpace() {
+		if (this.#drag !== null) {
+			return;
+		}
+
+		this.#gizmo.setSpace(this.#gizmo.getSpace() === TransformGizmo.LOCAL ? TransformGizmo.WORLD : TransformGizmo.LOCAL);
+		this.#updateButtons();
+	}
+
+	/**
+	 * Checks if the last click in the canvas ended a drag, so it must not select another model. Resets the check.
+	 *
+	 * @returns {boolean} True if the click must be ignored.
+	 */
+	consumeClick() {
+		const ignore = this.#ignore_click;
+		this.#ignore_click = false;
+
+		return ignore;
+	}
+
+	/**
+	 * Converts the position of a mouse event into pixel coordinates of the canvas drawing buffer.
+	 *
+	 * @param {MouseEvent} e - The mouse event.
+	 * @returns {Object} The coordinates { x, y }, from the top left corner of the canvas.
+	 */
+	#getCanvasPosition(e) {
+		const rect = this.#canvas.getBoundingClientRect();
+
+		return {
+			x: (e.clientX - rect.left) * this.#canvas.width / rect.width,
+			y: (e.clientY - rect.top) * this.#canvas.height / rect.height
+		};
+	}
+
+	#mouseDown(e) {
+		const model = this.#model_selector.getSelectedModel();
+
+		this.#ignore_click = false;
+
+		if (e.button !== 0 || model === null) {
+			return;
+		}
+
+		const { x, y } = this.#getCanvasPosition(e);
+		const axis = this.#gizmo.hitTest(x, y, model, this.#camera);
+
+		if (axis === -1 || !this.#gizmo.startDrag(axis, x, y, model, this.#camera)) {
+			return;
+		}
+
+		e.preventDefault();
+
+		const models = SelectionTransform.getTransformedModels(this.#model_selector.getSelectedModels(), model);
+
+		this.#drag = {
+			models: models,
+			before: models.map((m) => structuredClone(m.getTransformationDict())),
+			parent_matrices: SelectionTransform.getParentMatrices(models),
+			active_index: models.indexOf(model),
+			pivot_mode: this.#properties_editor.readPivotMode(),
+			moved: false
+		};
+		this.#ignore_click = true;
+	}
+
+	#mouseMove(e) {
+		const model = this.#model_selector.getSelectedModel();
+
+		if (this.#drag === null) {
+			// Highlight the handle under the mouse
+			const over_canvas = e.target === this.#canvas;
+			let axis = -1;
+
+			if (over_canvas && model !== null) {
+				const { x, y } = this.#getCanvasPosition(e);
+				axis = this.#gizmo.hitTest(x, y, model, this.#camera);
+			}
+
+			this.#gizmo.setHighlightedAxis(axis);
+			return;
+		}
+
+		const { x, y } = this.#getCanvasPosition(e);
+		const transformation = this.#gizmo.drag(x, y, this.#camera);
+
+		if (transformation === null) {
+			return;
+		}
+
+		const { models, before, parent_matrices, active_index, pivot_mode } = this.#drag;
+		const after = SelectionTransform.apply(before, parent_matrices, active_index, transformation, pivot_mode);
+
+		models.forEach((m, i) => m.setTransformation(after[i]));
+		this.#drag.moved = true;
+
+		// Update the panel fields live, so the panel doesn't overwrite the model with the values it had before the drag
+		this.#model_selector.refreshProperties(models[active_index], true);
+	}
+
+	#mouseUp() {
+		if (this.#drag === null) {
+			return;
+		}
+
+		const { models, before, moved } = this.#drag;
+
+		this.#gizmo.endDrag();
+		this.#drag = null;
+
+		const after = models.map((m) => m.getTransformationDict());
+
+		if (moved && !ModelCommands.sameValues(before, after)) {
+			// Each drag is a single entry, it is not merged with the transformations typed in the panel
+			this.#history.seal();
+			this.#history.push(ModelCommands.createSelectionTransformCommand(models, before, after, this.#model_selector));
+			this.#history.seal();
+		}
+	}
+
+	/**
+	 * Highlight the buttons of the current mode and show the current space.
+	 */
+	#updateButtons() {
+		for (const btn of document.getElementsByClassName(GizmoControls.#mode_btn_class)) {
+			btn.classList.toggle(GizmoControls.#active_class, btn.dataset.gizmoMode === this.#gizmo.getMode());
+		}
+
+		document.getElementById(GizmoControls.#space_btn_id).textContent = this.#gizmo.getSpace() === TransformGizmo.LOCAL ? 'LOCAL' : 'WORLD';
+	}
+}
\ No newline at end of file
@@ -0,0 +1,303 @@
+import DoLog from "../Logging/DoLog.js";
+
+import Light from "../3DStuff/Light.js";
+import Vec4 from "../3DStuff/Vec4.js";
+import { Color } from "../3DStuff/WebGLUtils.js";
+
+export default class LightsEditor extends DoLog {
+	static #lights_list_id = 'lights_list';
+	static #light_type_select_id = 'light_type_select';
+	static #light_add_btn_id = 'light_add_btn';
+	static #light_properties_id = 'light_properties';
+
+	static #light_enabled_input_id = 'light_enabled';
+	static #light_shadows_input_id = 'light_shadows';
+	static #light_color_input_id = 'light_color';
+	static #light_intensity_input_id = 'light_intensity';
+	static #light_position_prop = 'light_position';
+	static #light_direction_prop = 'light_direction';
+	static #light_attenuation_prop = 'light_attenuation';
+	static #light_cone_prop = 'light_cone';
+
+	static #li_class = 'light_li';
+	static #li_selected_class = 'light_selected';
+	static #li_disabled_class = 'light_disabled';
+
+	/** @type {Light[]} */
+	#lights = [];
+	/** @type {Light} */
+	#selected_light = null;
+
+	/** @type {HTMLOListElement} */
+	#lights_list_ol = null;
+	/** @type {HTMLDivElement} */
+	#light_properties_div = null;
+
+	/**
+	 * @param {DoLog} log - The logger object in which this object will log messages.
+	 */
+	constructor(log) {
+		super(log, 'LightsEditor> ');
+
+		this.LOG('Initializing lights panel.');
+
+		this.#lights_list_ol = document.getElementById(LightsEditor.#lights_list_id);
+		this.#light_properties_div = document.getElementById(LightsEditor.#light_properties_id);
+
+		const add_btn = document.getElementById(LightsEditor.#light_add_btn_id);
+		const type_select = document.getElementById(LightsEditor.#light_type_select_id);
+
+		add_btn.addEventListener('click', () => {
+			this.addLight(new Light(this.#createLightName(type_select.value), type_select.value));
+		});
+
+		// Any change in the properties inputs is written straight into the selected light
+		this.#light_properties_div.addEventListener('input', this.#readLightProperties.bind(this));
+
+		// The scene starts with a single directional light
+		const default_light = new Light(this.#createLightName(Light.DIRECTIONAL), Light.DIRECTIONAL);
+		default_light.direction = new Vec4(0.5, -0.6, 1, 0);
+		this.addLight(default_light);
+
+		this.LOG('Lights panel initialized.', 'success');
+	}
+
+	/**
+	 * Add a light to the scene and select it in the panel.
+	 *
+	 * @param {Light} light - The light to add.
+	 */
+	addLight(light) {
+		if (this.#lights.length >= Light.MAX_LIGHTS) {
+			this.LOG('The scene already has the maximum number of lights (' + Light.MAX_LIGHTS + ').', 'warning');
+			return;
+		}
+
+		this.#lights.push(light);
+		this.LOG('Light "' + light.name + '" added.');
+
+		this.#selectLight(light);
+	}
+
+	/**
+	 * Returns all the lights of the scene, enabled or not.
+	 *
+	 * @returns {Light[]} - The list of lights.
+	 */
+	getLights() {
+		return this.#lights;
+	}
+
+	/**
+	 * Returns the lights that should be sent to the shader.
+	 *
+	 * @returns {Light[]} - The list of enabled lights.
+	 */
+	getEnabledLights() {
+		return this.#lights.filter((light) => light.enabled);
+	}
+
+	/**
+	 * Replace all the lights of the scene. Used when loading a scene.
+	 *
+	 * @param {Light[]} lights - The new lights.
+	 */
+	setLights(lights) {
+		this.#lights = lights.slice(0, Light.MAX_LIGHTS);
+		this.#selectLight(this.#lights.length > 0 ? this.#lights[0] : null);
+	}
+
+	/**
+	 * Create an unique name for a new light of the given type.
+	 *
+	 * @param {string} type - The type of the light.
+	 * @returns {string} - The light name.
+	 */
+	#createLightName(type) {
+		let i = 1;
+		while (this.#lights.some((light) => light.name === type + '_' + i)) {
+			i++;
+		}
+
+		return type + '_' + i;
+	}
+
+	/**
+	 * Select a light, updating the list and the properties inputs.
+	 *
+	 * @param {Light} light - The light to select. If null, the properties inputs are hidden.
+	 */
+	#selectLight(light) {
+		this.#selected_light = light;
+
+		this.#updateLightsList();
+
+		if (light === null) {
+			this.#light_properties_div.style.display = 'none';
+			return;
+		}
+
+		this.#light_properties_div.style.display = 'block';
+		this.#loadLightProperties(light);
+	}
+
+	/**
+	 * Delete a light from the scene.
+	 *
+	 * @param {Light} light - The light to delete.
+	 */
+	#deleteLight(light) {
+		this.#lights.splice(this.#lights.indexOf(light), 1);
+		this.LOG('Light "' + light.name + '" deleted.');
+
+		if (light === this.#selected_light) {
+			this.#selectLight(this.#lights.length > 0 ? this.#lights[0] : null);
+		} else {
+			this.#updateLightsList();
+		}
+	}
+
+	/**
+	 * Rebuild the <li> elements of the lights list.
+	 */
+	#updateLightsList() {
+		this.#lights_list_ol.innerHTML = '';
+
+		for (const light of this.#lights) {
+			const li = document.createElement('li');
+
+			li.classList.add(LightsEditor.#li_class);
+			li.textContent = light.name;
+
+			if (light === this.#selected_light) {
+				li.classList.add(LightsEditor.#li_selected_class);
+			}
+
+			if (!light.enabled) {
+				li.classList.add(LightsEditor.#li_disabled_class);
+			}
+
+			li.addEventListener('click', () => this.#selectLight(light));
+
+			const delete_btn = document.createElement('button');
+			delete_btn.textContent = 'X';
+			delete_btn.classList.add('small_round_btn');
+			delete_btn.addEventListener('click', (e) => {
+				e.stopPropagation();
+				this.#deleteLight(light);
+			});
+
+			li.appendChild(delete_btn);
+			this.#lights_list_ol.appendChild(li);
+		}
+	}
+
+	/**
+	 * Load the properties of a light into the inputs of the panel. Only the sections used by the light type are shown.
+	 *
+	 * @param {Light} light - The light.
+	 */
+	#loadLightProperties(light) {
+		document.getElementById(LightsEditor.#light_enabled_input_id).checked = light.enabled;
+		document.getElementById(LightsEditor.#light_shadows_input_id).checked = light.cast_shadows;
+		document.getElementById(LightsEditor.#light_intensity_input_id).value = light.intensity;
+
+		const r = Math.round(light.color.r * 255).toString(16).padStart(2, '0');
+		const g = Math.round(light.color.g * 255).toString(16).padStart(2, '0');
+		const b = Math.round(light.color.b * 255).toString(16).padStart(2, '0');
+		document.getElementById(LightsEditor.#light_color_input_id).value = `#${r}${g}${b}`;
+
+		const position_ul = document.getElementById(LightsEditor.#light_position_prop);
+		position_ul.querySelector('.x').value = light.position.x;
+		position_ul.querySelector('.y').value = light.position.y;
+		position_ul.querySelector('.z').value = light.position.z;
+
+		const direction_ul = document.getElementById(LightsEditor.#light_direction_prop);
+		direction_ul.querySelector('.x').value = light.direction.x;
+		direction_ul.querySelector('.y').value = light.direction.y;
+		direction_ul.querySelector('.z').value = light.direction.z;
+
+		const attenuation_ul = document.getElementById(LightsEditor.#light_attenuation_prop);
+		attenuation_ul.querySelector('.constant').value = light.attenuation.constant;
+		attenuation_ul.querySelector('.linear').value = light.attenuation.linear;
+		attenuation_ul.querySelector('.quadratic').value = light.attenuation.quadratic;
+
+		const cone_ul = document.getElementById(LightsEditor.#light_cone_prop);
+		cone_ul.querySelector('.inner').value = light.inner_angle;
+		cone_ul.querySelector('.outer').value = light.outer_angle;
+
+		// Show only the sections used by this type of light
+		for (const section of this.#light_properties_div.querySelectorAll('[data-light-types]')) {
+			const types = section.dataset.lightTypes.split(' ');
+			section.style.display = types.includes(light.type) ? '' : 'none';
+		}
+	}
+
+	/**
+	 * Read the inputs of the panel into the selected light.
+	 */
+	#readLightProperties() {
+		const light = this.#selected_light;
+
+		if (light === null) {
+			return;
+		}
+
+		const enabled = document.getElementById(LightsEditor.#light_enabled_input_id).checked;
+
+		if (enabled !== light.enabled) {
+			light.enabled = enabled;
+			this.#updateLightsList();
+		}
+
+		light.cast_shadows = document.getElementById(LightsEditor.#light_shadows_input_id).checked;
+		light.intensity = this.#readNumber(document.getElementById(LightsEditor.#light_intensity_input_id), light.intensity);
+
+		const color_hex = document.getElementById(LightsEditor.#light_color_input_id).value.substring(1);
+		light.color = new Color(
+			parseInt(color_hex.substring(0, 2), 16) / 255,
+			parseInt(color_hex.substring(2, 4), 16) / 255,
+			parseInt(color_hex.substring(4, 6), 16) / 255
+		);
+
+		const position_ul = document.getElementById(LightsEditor.#light_position_prop);
+		light.position = new Vec4(
+			this.#readNumber(position_ul.querySelector('.x'), light.position.x),
+			this.#readNumber(position_ul.querySelector('.y'), light.position.y),
+			this.#readNumber(position_ul.querySelector('.z'), light.position.z),
+			1
+		);
+
+		const direction_ul = document.getElementById(LightsEditor.#light_direction_prop);
+		light.direction = new Vec4(
+			this.#readNumber(direction_ul.querySelector('.x'), light.direction.x),
+			this.#readNumber(direction_ul.querySelector('.y'), light.direction.y),
+			this.#readNumber(direction_ul.querySelector('.z'), light.direction.z),
+			0
+		);
+
+		const attenuation_ul = document.getElementById(LightsEditor.#light_attenuation_prop);
+		light.attenuation = {
+			constant: this.#readNumber(attenuation_ul.querySelector('.constant'), light.attenuation.constant),
+			linear: this.#readNumber(attenuation_ul.querySelector('.linear'), light.attenuation.linear),
+			quadratic: this.#readNumber(attenuation_ul.querySelector('.quadratic'), light.attenuation.quadratic)
+		};
+
+		const cone_ul = document.getElementById(LightsEditor.#light_cone_prop);
+		light.inner_angle = this.#readNumber(cone_ul.querySelector('.inner'), light.inner_angle);
+		light.outer_angle = this.#readNumber(cone_ul.querySelector('.outer'), light.outer_angle);
+	}
+
+	/**
+	 * Read a number from an input, keeping the previous value while the input is empty or invalid (the user is still typing).
+	 *
+	 * @param {HTMLInputElement} input - The input element.
+	 * @param {number} previous_value - The value to return if the input is not a valid number.
+	 * @returns {number} - The value read.
+	 */
+	#readNumber(input, previous_value) {
+		const value = parseFloat(input.value);
+
+		return isNaN(value) ? previous_value : value;
+	}
+}
\ No newline at end of file
@@ -0,0 +1,289 @@
+import Model3D from "../3DStuff/Model3D.js";
+import { Color } from "../3DStuff/WebGLUtils.js";
+
+/**
+ * Creates the editor history commands (see EditorHistory) of the operations done on the models.
+ *
+ * The commands are created after the operation is done, with the state of the model before and after it.
+ * Undoing or redoing a command also reloads the properties panel if the model is selected.
+ */
+export default class ModelCommands {
+	/**
+	 * A model was added to the scene (loaded from the models menu or duplicated from a model in the scene).
+	 *
+	 * @param {Model3D} model - The model added.
+	 * @param {boolean} duplicated - True if the model shares its objects with a model already in the scene.
+	 * @param {ModelSelector} model_selector - The model selector where the model was added.
+	 * @returns {Object} The command.
+	 */
+	static createAddCommand(model, duplicated, model_selector) {
+		return {
+			label: (duplicated ? 'Duplicate ' : 'Add ') + model.getModelName(),
+			undo: () => model_selector.removeModelFromList(model),
+			redo: () => model_selector.addModelToList(model),
+			resources: [model]
+		};
+	}
+
+	/**
+	 * A model was deleted from the scene. The model is only removed from the list, its GPU resources are kept while the command is in the history.
+	 *
+	 * @param {Model3D} model - The model deleted.
+	 * @param {number} index - The position of the model in the models list, so it goes back to the same place.
+	 * @param {ModelSelector} model_selector - The model selector where the model was.
+	 * @returns {Object} The command.
+	 */
+	static createDeleteCommand(model, index, model_selector) {
+		return {
+			label: 'Delete ' + model.getModelName(),
+			undo: () => model_selector.addModelToList(model, index),
+			redo: () => model_selector.removeModelFromList(model),
+			resources: [model]
+		};
+	}
+
+	/**
+	 * A model was renamed.
+	 *
+	 * @param {Model3D} model - The model renamed.
+	 * @param {string} old_name - The previous name.
+	 * @param {string} new_name - The new name.
+	 * @param {ModelSelector} model_selector - The model selector where the model is.
+	 * @returns {Object} The command.
+	 */
+	static createRenameCommand(model, old_name, new_name, model_selector) {
+		return {
+			label: 'Rename ' + old_name + ' to ' + new_name,
+			undo: () => model_selector.renameModel(model, old_name),
+			redo: () => model_selector.renameModel(model, new_name)
+		};
+	}
+
+	/**
+	 * A model was moved in the scene graph (dropped onto another model in the list, or onto the list header to move it to the root).
+	 *
+	 * @param {Model3D} model - The model.
+	 * @param {Object} before - The parent ({Model3D} parent, or null), the transformation ({Object} transformation) and the position in the list
+	 * ({number} index) of the model before the change.
+	 * @param {Object} after - The parent, the transformation and the position in the list after the change.
+	 * @param {ModelSelector} model_selector - The model selector where the model is.
+	 * @returns {Object} The command.
+	 */
+	static createParentCommand(model, before, after, model_selector) {
+		const apply = (state) => model_selector.setModelParent(model, state.parent, state.transformation, state.index);
+
+		before = { ...before, transformation: structuredClone(before.transformation) };
+		after = { ...after, transformation: structuredClone(after.transformation) };
+
+		return {
+			label: after.parent !== null ? 'Parent ' + model.getModelName() + ' to ' + after.parent.getModelName() : 'Unparent ' + model.getModelName(),
+			undo: () => apply(before),
+			redo: () => apply(after)
+		};
+	}
+
+	/**
+	 * The transformation of a model was changed in the properties panel.
+	 *
+	 * @param {Model3D} model - The model.
+	 * @param {Object} before - The transformation dictionary before the change.
+	 * @param {Object} after - The transformation dictionary after the change.
+	 * @param {ModelSelector} model_selector - The model selector, used to reload the properties panel.
+	 * @returns {Object} The command.
+	 */
+	static createTransformCommand(model, before, after, model_selector) {
+		const apply = (transformation_dict) => {
+			model.setTransformation(structuredClone(transformation_dict));
+			model_selector.refreshProperties(model, true);
+		};
+
+		before = structuredClone(before);
+		after = structuredClone(after);
+
+		return {
+			label: 'Transform ' + model.getModelName(),
+			undo: () => apply(before),
+			redo: () => apply(after),
+			merge_key: 'transform:' + model.getModelName()
+		};
+	}
+
+	/**
+	 * The transformation of several models was changed together (e.g. the transformation of the active model applied to the whole selection).
+	 * Recorded as a single history entry.
+	 *
+	 * @param {Model3D[]} models - The models.
+	 * @param {Object[]} before - The transformation dictionaries of the models before the change, in the same order.
+	 * @param {Object[]} after - The transformation dictionaries of the models after the change, in the same order.
+	 * @param {ModelSelector} model_selector - The model selector, used to reload the properties panel.
+	 * @returns {Object} The command.
+	 */
+	static createSelectionTransformCommand(models, before, after, model_selector) {
+		if (models.length === 1) {
+			return ModelCommands.createTransformCommand(models[0], before[0], after[0], model_selector);
+		}
+
+		const commands = models.map((model, i) => ModelCommands.createTransformCommand(model, before[i], after[i], model_selector));
+		const names = models.map((model) => model.getModelName());
+
+		return ModelCommands.createGroupCommand('Transform ' + models.length + ' models', commands, 'transform:' + names.join(','));
+	}
+
+	/**
+	 * The color or the opacity of a model was changed in the properties panel.
+	 *
+	 * @param {Model3D} model - The model.
+	 * @param {Object} before - The color ({Color} color and {number} opacity) before the change.
+	 * @param {Object} after - The color ({Color} color and {number} opacity) after the change.
+	 * @param {ModelSelector} model_selector - The model selector, used to reload the properties panel.
+	 * @returns {Object} The command.
+	 */
+	static createColorCommand(model, before, after, model_selector) {
+		const apply = (state) => {
+			model.setGlobalColor(new Color(state.color.r, state.color.g, state.color.b, state.color.a));
+			model.setOpacity(state.opacity);
+			model_selector.refreshProperties(model);
+		};
+
+		before = { color: { ...before.color }, opacity: before.opacity };
+		after = { color: { ...after.color }, opacity: after.opacity };
+
+		return {
+			label: 'Color ' + model.getModelName(),
+			undo: () => apply(before),
+			redo: () => apply(after),
+			merge_key: 'color:' + model.getModelName()
+		};
+	}
+
+	/**
+	 * The color or the opacity of several models was changed together (the color chosen in the panel applied to the whole selection).
+	 * Recorded as a single history entry.
+	 *
+	 * @param {Model3D[]} models - The models.
+	 * @param {Object[]} before - The colors ({Color} color and {number} opacity) of the models before the change, in the same order.
+	 * @param {Object} after - The color ({Color} color and {number} opacity) of all the models after the change.
+	 * @param {ModelSelector} model_selector - The model selector, used to reload the properties panel.
+	 * @returns {Object} The command.
+	 */
+	static createSelectionColorCommand(models, before, after, model_selector) {
+		if (models.length === 1) {
+			return ModelCommands.createColorCommand(models[0], before[0], after, model_selector);
+		}
+
+		const commands = models.map((model, i) => ModelCommands.createColorCommand(model, before[i], after, model_selector));
+		const names = models.map((model) => model.getModelName());
+
+		return ModelCommands.createGroupCommand('Color ' + models.length + ' models', commands, 'color:' + names.join(','));
+	}
+
+	/**
+	 * Several commands done together (e.g. a transformation applied to all the selected models), recorded as a single history entry.
+	 *
+	 * @param {string} label - The label of the command in the history list.
+	 * @param {Object[]} commands - The commands, in the order they were done.
+	 * @param {string} merge_key - (Optional) The merge key of the group (see EditorHistory).
+	 * @returns {Object} The command.
+	 */
+	static createGroupCommand(label, commands, merge_key = undefined) {
+		return {
+			label: label,
+			undo: async () => {
+				for (const command of [...commands].reverse()) {
+					await command.undo();
+				}
+			},
+			redo: async () => {
+				for (const command of commands) {
+					await command.redo();
+				}
+			},
+			merge_key: merge_key,
+			resources: commands.flatMap((command) => command.resources ?? [])
+		};
+	}
+
+	/**
+	 * Returns the texture image and the normal map of a model, to be restored by an images command.
+	 * The images are read into blobs, since the models revoke the URLs of the images they replace.
+	 *
+	 * @param {Model3D} model - The model.
+	 * @returns {Promise<Object>} An object with the properties texture and normal_map. Each one is null or an object with the properties image_id and blob.
+	 */
+	static async getImagesState(model) {
+		const properties = model.getTextureProperties();
+
+		const readImage = async (image_id, image_path) => {
+			if (!image_path) {
+				return null;
+			}
+
+			const response = await fetch(image_path);
+
+			return { image_id: image_id, blob: await response.blob() };
+		};
+
+		return {
+			texture: await readImage(properties.image_id, properties.image_path),
+			normal_map: await readImage(properties.normal_map_id, properties.normal_map_path)
+		};
+	}
+
+	/**
+	 * The texture image or the normal map of a model was set or cleared in the properties panel.
+	 *
+	 * @param {Model3D} model - The model.
+	 * @param {string} label - The label of the command in the history list.
+	 * @param {Object} before - The images of the model before the change (see getImagesState).
+	 * @param {Object} after - The images of the model after the change (see getImagesState).
+	 * @param {ModelSelector} model_selector - The model selector, used to reload the properties panel.
+	 * @param {WebGL2RenderingContext} gl - The WebGL2 context where the model is rendered.
+	 * @returns {Object} The command.
+	 */
+	static createImagesCommand(model, label, before, after, model_selector, gl) {
+		const apply = async (state) => {
+			if (state.texture) {
+				await model.setTexture(URL.createObjectURL(state.texture.blob), state.texture.image_id, gl);
+			} else {
+				model.clearTexture(gl);
+			}
+
+			if (state.normal_map) {
+				await model.setNormalMap(URL.createObjectURL(state.normal_map.blob), state.normal_map.image_id, gl);
+			} else {
+				model.clearNormalMap(gl);
+			}
+
+			model_selector.refreshProperties(model);
+		};
+
+		return {
+			label: label + ' ' + model.getModelName(),
+			undo: () => apply(before),
+			redo: () => apply(after)
+		};
+	}
+
+	/**
+	 * Compare two values read from the properties panel. Numbers are compared with a tolerance, since the panel doesn't show the exact values
+	 * of the model (the rotations are converted from degrees to radians and the colors are rounded to 8 bits per channel).
+	 *
+	 * @param {*} a - The first value (a number or an object/array of values).
+	 * @param {*} b - The second value.
+	 * @param {number} tolerance - (Optional) The relative tolerance for numbers (absolute for numbers smaller than 1).
+	 * @returns {boolean} True if the values are the same.
+	 */
+	static sameValues(a, b, tolerance = 1e-9) {
+		if (typeof a === 'number' && typeof b === 'number') {
+			return a === b || (Number.isNaN(a) && Number.isNaN(b)) || Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a), Math.abs(b));
+		}
+
+		if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+			const keys = Object.keys(a);
+
+			return keys.length === Object.keys(b).length && keys.every((key) => ModelCommands.sameValues(a[key], b[key], tolerance));
+		}
+
+		return a === b;
+	}
+}
\ No newline at end of file
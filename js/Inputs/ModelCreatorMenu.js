@@ -1,6 +1,7 @@
 import DoLog from '../Logging/DoLog.js';
 
 import PreviewCanvas from '../3DStuff/PreviewCanvas.js';
+import LocalFiles from '../FileProcessing/LocalFiles.js';
 
 export default class ModelCreatorMenu extends DoLog {
 	#models_path_list = [];
@@ -12,6 +13,7 @@ export default class ModelCreatorMenu extends DoLog {
 	static #MODEL_CREATOR_TAB_ID = 'model_creator';
 	static #CANVAS_PREVIEW_IDS = ['mc_1', 'mc_2', 'mc_3', 'mc_4'];
 	static #NUM_CANVAS_PREVIEW = ModelCreatorMenu.#CANVAS_PREVIEW_IDS.length;
+	static #IMPORT_INPUTS_IDS = ['import_files_input', 'import_folder_input'];
 
 	#created_models = [];
 
@@ -24,6 +26,7 @@ export default class ModelCreatorMenu extends DoLog {
 		this.#fillDisplayedModelsPath();
 
 		this.#initializeButtonsListeners();
+		this.#initializeImportInputs();
 
 		const ms = document.getElementById(ModelCreatorMenu.#MODEL_CREATOR_TAB_ID);
 		const objserver_callback = this.#observerCallback.bind(this);
@@ -47,6 +50,32 @@ export default class ModelCreatorMenu extends DoLog {
 		return this.#created_models.length > 0;
 	}
 
+	/**
+	 * Adds models to the menu (e.g. models imported from the disk), showing the page of the first one.
+	 * Paths already in the menu are not added again.
+	 *
+	 * @param {string[]} models_paths - The paths of the model files.
+	 */
+	addModelsPaths(models_paths) {
+		const new_paths = models_paths.filter((path) => !this.#models_path_list.includes(path));
+
+		if (new_paths.length === 0) {
+			return;
+		}
+
+		const first_index = this.#models_path_list.length;
+		this.#models_path_list.push(...new_paths);
+
+		this.#models_start_index = first_index - (first_index % ModelCreatorMenu.#NUM_CANVAS_PREVIEW);
+		this.#fillDisplayedModelsPath();
+
+		if (document.getElementById(ModelCreatorMenu.#MODEL_CREATOR_TAB_ID).style.display === 'block') {
+			this.#startRendering();
+		}
+
+		this.LOG('Added ' + new_paths.length + ' model(s) to the menu.', 'success');
+	}
+
 	#initializeButtonsListeners() {
 		const back_button_id = 'models_back';
 		const next_button_id = 'models_next';
@@ -70,6 +99,37 @@ export default class ModelCreatorMenu extends DoLog {
 		next_button.addEventListener('click', click_next);
 	}
 
+	/**
+	 * The import inputs (files or a whole folder) register the selected files and add their model files to the menu.
+	 * The files used by the models (materials, buffers and textures) must be selected together with them.
+	 */
+	#initializeImportInputs() {
+		const import_change = (e) => {
+			const files = e.target.files;
+
+			if (files.length === 0) {
+				return;
+			}
+
+			const model_paths = LocalFiles.registerFiles(files);
+
+			// The same files can be imported again (e.g. after editing them)
+			e.target.value = '';
+
+			if (model_paths.length === 0) {
+				this.LOG('No model file (' + LocalFiles.MODEL_EXTENSIONS.join(', ') + ') found in the ' + files.length + ' imported file(s).', 'warning');
+				return;
+			}
+
+			this.LOG('Imported ' + files.length + ' file(s) from the disk: ' + model_paths.join(', '), 'info');
+			this.addModelsPaths(model_paths);
+		};
+
+		for (const input_id of ModelCreatorMenu.#IMPORT_INPUTS_IDS) {
+			document.getElementById(input_id).addEventListener('change', import_change);
+		}
+	}
+
 	#initializePreviewCanvas(vs, fs) {
 		const canvas_click = (e) => {
 			const canvas_id = e.target.id;
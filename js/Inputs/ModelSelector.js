@@ -1,128 +1,510 @@
 import DoLog from "../Logging/DoLog.js";
 
 import Model3D from "../3DStuff/Model3D.js";
+import GraphicsMath from "../3DStuff/GraphicsMath.js";
 
 import PropertiesEditor from "./PropertiesEditor.js";
-
+import EditorHistory from "./EditorHistory.js";
+import ModelCommands from "./ModelCommands.js";
+
+/**
+ * The list of models in the scene, shown as a tree: the children of a model are listed under it, indented, and can be collapsed.
+ * Dragging a model onto another one makes it a child of that model, and dragging it onto the list header moves it to the root of the scene.
+ *
+ * The <li> elements are kept in a flat list, in depth first order (each model is followed by its descendants).
+ */
 export default class ModelSelector extends DoLog {
-	/** @type {string} */
-	#selected_model_name = null;
+	static #li_class = 'model_li';
+	static #li_selected_class = 'model_selected';
+	static #li_active_class = 'model_active';
+	static #li_hidden_class = 'model_hidden';
+	static #li_drop_target_class = 'model_drop_target';
+	static #name_class = 'model_name';
+	static #toggle_class = 'model_toggle';
+	static #rename_input_class = 'model_rename_input';
+
+	/**
+	 * The selected models, in the order they were selected.
+	 *
+	 * @type {Model3D[]}
+	 */
+	#selected_models = [];
+
+	/**
+	 * The active model: the last selected model. Its properties are shown in the properties panel, and the
+	 * changes made in the panel are applied to the whole selection relative to it.
+	 *
+	 * @type {Model3D}
+	 */
+	#active_model = null;
 
 	/** 
-	 * Maps models names to their respective 3D models.
+	 * Maps models names to their respective 3D models, in the order of the list.
 	 * 
 	 * @type {Object}
 	 */
 	#models_mapping = {};
 
+	/**
+	 * Maps the models in the list to their <li> elements.
+	 *
+	 * @type {Map<Model3D, HTMLLIElement>}
+	 */
+	#models_li = new Map();
+
+	/**
+	 * Maps the <li> elements of the list to their models (the reverse of #models_li), so the list can be walked in order without searches.
+	 *
+	 * @type {WeakMap<HTMLLIElement, Model3D>}
+	 */
+	#li_models = new WeakMap();
+
 	/** @type {Set} */
 	#loaded_models_paths = new Set();
 
+	/**
+	 * The models whose children are hidden in the list.
+	 *
+	 * @type {WeakSet<Model3D>}
+	 */
+	#collapsed_models = new WeakSet();
+
+	/** @type {Model3D} */
+	#dragged_model = null; // The model being dragged in the list, to be re-parented
+
 	/** @type {HTMLUListElement} */
 	#model_selector_ul = null;
 
 	/** @type {PropertiesEditor} */
 	#properties_editor = null;
 
+	/** @type {EditorHistory} */
+	#history = null;
+
 	/** @type  {WebGL2RenderingContext} */
 	#gl = null;
 
 	/**
 	 * @param {DoLog} log - The logger object in which this object will log messages.
 	 * @param {PropertiesEditor} properties_editor - The properties editor object where the model properties will be displayed and edited.
+	 * @param {EditorHistory} history - The editor history where the deletions and renames of models are recorded.
 	 * @param {WebGL2RenderingContext} gl - The WebGL2 rendering context where the models are being rendered and selected.
 	 */
-	constructor(log, properties_editor, gl) {
+	constructor(log, properties_editor, history, gl) {
 		super(log, 'ModelSelector> ');
 
 		this.#gl = gl;
 		this.#model_selector_ul = document.getElementById('model_selector');
 		this.#properties_editor = properties_editor;
+		this.#history = history;
+
+		// The Delete key deletes all the selected models
+		document.addEventListener('keydown', (e) => {
+			if (e.key !== 'Delete' || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+				return;
+			}
+
+			this.deleteSelectedModels();
+		});
+
+		// Dropping a model outside the other models (e.g. on the list header) moves it to the root of the scene
+		this.#model_selector_ul.addEventListener('dragover', (e) => {
+			if (this.#dragged_model !== null) {
+				e.preventDefault();
+			}
+		});
+
+		this.#model_selector_ul.addEventListener('drop', (e) => {
+			e.preventDefault();
+			this.#dropModel(null);
+		});
 	}
 
 	/**
-	 * Event handler for when a model is selected from the list.
+	 * Select a model: highlight it in the list and load the properties of the active model into the properties panel.
+	 * Used when a model is clicked in the list or picked in the canvas. Ctrl+click toggles a model in the selection and Shift+click adds it.
 	 * 
-	 * @param {MouseEvent} e - The event object.
+	 * @param {Model3D} model - The model to select. If null (and the selection is not extended), all models are unselected and the properties panel is cleared.
+	 * @param {Object} options - (Optional) How the selection changes:
+	 * @param {boolean} options.toggle - Add the model to the selection, or remove it if it is already selected (Ctrl+click).
+	 * @param {boolean} options.extend - Add the model to the selection and make it the active one (Shift+click).
+	 * @param {boolean} options.range - Used with extend, to add the models between the active model and this one in the list.
+	 */
+	selectModel(model, options = {}) {
+		if (model !== null && !this.#models_li.has(model)) {
+			model = null;
+		}
+
+		let selection;
+
+		if (options.toggle) {
+			if (model === null) {
+				return;
+			}
+
+			selection = this.#selected_models.includes(model)
+				? this.#selected_models.filter((m) => m !== model)
+				: [...this.#selected_models, model];
+		} else if (options.extend) {
+			if (model === null) {
+				return;
+			}
+
+			selection = [...this.#selected_models];
+
+			const models_list = this.get3DModelsList().filter((m) => !this.#models_li.get(m).classList.contains(ModelSelector.#li_hidden_class) || m === model);
+			const active_index = models_list.indexOf(this.#active_model);
+			const index = models_list.indexOf(model);
+
+			const range = options.range && active_index !== -1
+				? models_list.slice(Math.min(active_index, index), Math.max(active_index, index) + 1)
+				: [model];
+
+			for (const m of range) {
+				if (!selection.includes(m)) {
+					selection.push(m);
+				}
+			}
+
+			// The clicked model becomes the active one
+			selection = [...selection.filter((m) => m !== model), model];
+		} else {
+			selection = model !== null ? [model] : [];
+		}
+
+		this.#setSelection(selection);
+	}
+
+	/**
+	 * Replace the selection. The last model of the selection becomes the active one.
+	 *
+	 * @param {Model3D[]} selection - The models to select.
 	 */
-	#modelSelected(e) {
-		const li_class = 'model_li';
-		const li_selected_class = 'model_selected';
+	#setSelection(selection) {
+		const previous_active = this.#active_model;
+
+		this.#selected_models = selection;
+		this.#active_model = selection.length > 0 ? selection[selection.length - 1] : null;
+
+		for (const [model, li] of this.#models_li) {
+			li.classList.toggle(ModelSelector.#li_selected_class, selection.includes(model));
+			li.classList.toggle(ModelSelector.#li_active_class, model === this.#active_model);
+		}
+
+		if (this.#active_model === previous_active) {
+			return;
+		}
 
-		const model_name = e.target.textContent.slice(0, -1); // Remove the 'X' of the delete button
+		if (this.#active_model === null) {
+			this.#properties_editor.clearProperties();
+			return;
+		}
 
-		this.LOG('Selected model: ' + model_name);
+		this.LOG('Selected model: ' + this.#active_model.getModelName() + (selection.length > 1 ? ' (' + selection.length + ' models selected)' : ''));
 
-		// Unselect the previous model
-		if (this.#selected_model_name !== null) {
-			const prev_li = document.querySelector(`.${li_class}.${li_selected_class}`);
-			prev_li.classList.remove(li_selected_class);
+		// A model picked in the canvas can be hidden in a collapsed branch
+		for (let parent = this.#active_model.getParent(); parent !== null; parent = parent.getParent()) {
+			this.#collapsed_models.delete(parent);
 		}
 
-		e.target.classList.add(li_selected_class);
+		this.#refreshTree();
 
-		// Set the properties editor to reflect the selected model transformations and texture properties
-		const model = this.#models_mapping[model_name];
-		this.#properties_editor.loadTransformationsProperties(model.getTransformationDict());
-		this.#properties_editor.loadTextureProperties(model.getTextureProperties());
+		// The list can be long (e.g. many duplicates), so make sure the active model is visible
+		this.#models_li.get(this.#active_model).scrollIntoView({ block: 'nearest' });
 
-		// Select the new model
-		this.#selected_model_name = model_name;
+		// Set the properties editor to reflect the active model transformations and texture properties
+		this.refreshProperties(this.#active_model);
 	}
 
 	/**
 	 * Create the delete button for the model list.
 	 * 
+	 * @param {Model3D} model - The model deleted by the button.
 	 * @returns {HTMLButtonElement} - The delete button.
 	 */
-	#createDeleteButton() {
+	#createDeleteButton(model) {
 		const button = document.createElement('button');
 		button.textContent = 'X';
 		button.classList.add('small_round_btn');
 
-		button.addEventListener('click', this.#deleteModel.bind(this));
+		button.addEventListener('click', (e) => {
+			e.stopPropagation();
+			this.#deleteModel(model);
+		});
 
 		return button;
 	}
 
 	/**
-	 * Event handler for when a model is deleted from the list.
+	 * Event handler for when a model is deleted from the list. The descendants of the model are deleted with it.
+	 * The models are only removed from the list, so the deletion can be undone. Their GPU resources are freed when the deletion leaves the history (see releaseModel).
 	 * 
-	 * @param {MouseEvent} e - The event object
+	 * @param {Model3D} model - The model deleted.
 	 */
-	#deleteModel(e) {
-		e.stopPropagation();
-		e.target.parentElement.remove();
+	#deleteModel(model) {
+		this.#deleteModels([model]);
+	}
+
+	/**
+	 * Delete all the selected models (and their descendants), as a single history entry.
+	 */
+	deleteSelectedModels() {
+		if (this.#selected_models.length === 0) {
+			return;
+		}
+
+		this.#deleteModels(this.#selected_models);
+	}
+
+	/**
+	 * Delete models and their descendants from the list, recording a single history entry.
+	 *
+	 * @param {Model3D[]} models - The models to delete.
+	 */
+	#deleteModels(models) {
+		// The models are removed in the order of the list, so undoing the deletions in reverse order puts them back in the same places
+		const deleted = this.get3DModelsList().filter((m) => models.some((model) => m.isDescendantOf(model)));
+
+		this.#setSelection(this.#selected_models.filter((m) => !deleted.includes(m)));
+
+		const commands = deleted.map((model) => ModelCommands.createDeleteCommand(model, this.removeModelFromList(model), this));
+
+		if (deleted.length === 1) {
+			this.LOG('Model "' + deleted[0].getModelName() + '" deleted.');
+			this.#history.push(commands[0]);
+		} else {
+			this.LOG(deleted.length + ' models deleted.');
+			this.#history.push(ModelCommands.createGroupCommand('Delete ' + deleted.length + ' models', commands));
+		}
+	}
+
+	/**
+	 * Make a model the child of another one (or move it to the root of the scene), keeping its place in the world.
+	 * Called when a model is dropped in the list.
+	 *
+	 * @param {Model3D} parent - The new parent, or null to move the dragged model to the root.
+	 */
+	#dropModel(parent) {
+		const model = this.#dragged_model;
+		this.#dragged_model = null;
+
+		if (model === null || parent === model.getParent() || (parent !== null && parent.isDescendantOf(model))) {
+			return;
+		}
+
+		const before = { parent: model.getParent(), transformation: structuredClone(model.getTransformationDict()), index: this.#getListIndex(model) };
+
+		// The world matrix of the model is kept, so it must be expressed relative to the new parent
+		const to_parent = parent !== null ? GraphicsMath.invertAffineMatrix(parent.getWorldMatrix()) : GraphicsMath.createIdentityMatrix();
+
+		if (to_parent === null) {
+			this.LOG('The model "' + parent.getModelName() + '" has a scale of 0, so it can\'t be a parent.', 'warning');
+			return;
+		}
+
+		const transformation = GraphicsMath.decomposeMatrix(GraphicsMath.multiplyMatrices(to_parent, model.getWorldMatrix()));
 
-		const model_name = e.target.parentElement.textContent.slice(0, -1); // Remove the 'X' of the delete button
-		const model = this.#models_mapping[model_name];
-		const model_path = model.getModelPath();
+		this.setModelParent(model, parent, transformation);
 
-		if (model_name === this.#selected_model_name) {
-			this.#selected_model_name = null;
+		const after = { parent: parent, transformation: structuredClone(model.getTransformationDict()), index: this.#getListIndex(model) };
+
+		this.LOG(parent !== null
+			? 'Model "' + model.getModelName() + '" is now a child of "' + parent.getModelName() + '".'
+			: 'Model "' + model.getModelName() + '" moved to the root of the scene.');
+
+		this.#history.push(ModelCommands.createParentCommand(model, before, after, this));
+	}
+
+	/**
+	 * Change the parent of a model in the scene graph, moving it (with its descendants) in the list.
+	 *
+	 * @param {Model3D} model - The model.
+	 * @param {Model3D} parent - The new parent, or null to move the model to the root of the scene.
+	 * @param {Object} transformation_dict - The transformation of the model, relative to the new parent.
+	 * @param {number} index - (Optional) The position of the model in the list. By default, the model goes after the last descendant of
+	 * the parent (or to the end of the list, for the root).
+	 */
+	setModelParent(model, parent, transformation_dict, index = null) {
+		model.setParent(parent);
+		model.setTransformation(structuredClone(transformation_dict));
+
+		// Move the <li> elements of the model and its descendants, which are next to each other in the list
+		const subtree_li = this.#getListItems().filter((li) => this.#getModelOfItem(li).isDescendantOf(model));
+		subtree_li.forEach((li) => li.remove());
+
+		if (parent !== null) {
+			this.#collapsed_models.delete(parent);
 		}
 
-		// Delete the model object
-		model.deleteModel(this.#gl);
+		const list_items = this.#getListItems();
 
-		// Clear the properties editor pane
-		this.#properties_editor.clearProperties();
+		if (index === null) {
+			index = parent !== null ? this.#getSubtreeEnd(parent) : list_items.length;
+		}
 
-		// Delete the model from the mapping
-		delete this.#models_mapping[model_name];
+		const next_li = list_items[index] ?? null;
 
-		// Update loaded models paths set if necessary
-		if (!Model3D.checkIfModelHasDuplicates(model_path)) {
-			this.#loaded_models_paths.delete(model_path);
+		for (const li of subtree_li) {
+			this.#model_selector_ul.insertBefore(li, next_li);
 		}
+
+		this.#updateModelsMapping();
+		this.#refreshTree();
+		this.refreshProperties(model, true);
 	}
 
 	/**
-	 * Add a model to the list of selectable models.
+	 * Returns the <li> elements of the models, in the order of the list.
+	 *
+	 * @returns {HTMLLIElement[]} The list items.
+	 */
+	#getListItems() {
+		return Array.from(this.#model_selector_ul.querySelectorAll('.' + ModelSelector.#li_class));
+	}
+
+	/**
+	 * Returns the model of a list item.
+	 *
+	 * @param {HTMLLIElement} li - The list item.
+	 * @returns {Model3D} The model, or null if the item is not in the list.
+	 */
+	#getModelOfItem(li) {
+		return this.#li_models.get(li) ?? null;
+	}
+
+	/**
+	 * Returns the position of a model in the list.
+	 *
+	 * @param {Model3D} model - The model.
+	 * @returns {number} The index of the model in the list, or -1 if it is not in the list.
+	 */
+	#getListIndex(model) {
+		return this.#getListItems().indexOf(this.#models_li.get(model));
+	}
+
+	/**
+	 * Returns the position after the last descendant of a model in the list, where a new child goes.
+	 *
+	 * @param {Model3D} model - The model.
+	 * @returns {number} The index after the last descendant (or after the model, if it has no descendants in the list).
+	 */
+	#getSubtreeEnd(model) {
+		const list_items = this.#getListItems();
+		let index = list_items.indexOf(this.#models_li.get(model)) + 1;
+
+		while (index < list_items.length && this.#getModelOfItem(list_items[index]).isDescendantOf(model)) {
+			index++;
+		}
+
+		return index;
+	}
+
+	/**
+	 * Update the tree look of the list: the indentation of each model, the collapse buttons of the models with children and the models
+	 * hidden in collapsed branches.
+	 */
+	#refreshTree() {
+		for (const [model, li] of this.#models_li) {
+			let depth = 0;
+			let hidden = false;
+
+			for (let parent = model.getParent(); parent !== null; parent = parent.getParent()) {
+				depth++;
+				hidden ||= this.#collapsed_models.has(parent);
+			}
+
+			const has_children = model.getChildren().some((child) => this.#models_li.has(child));
+			const toggle = li.querySelector('.' + ModelSelector.#toggle_class);
+
+			li.style.setProperty('--model-depth', depth);
+			li.classList.toggle(ModelSelector.#li_hidden_class, hidden);
+
+			toggle.style.visibility = has_children ? 'visible' : 'hidden';
+			toggle.textContent = this.#collapsed_models.has(model) ? '▸' : '▾';
+		}
+	}
+
+	/**
+	 * Show or hide the children of a model in the list.
+	 *
+	 * @param {Model3D} model - The model.
+	 */
+	#toggleCollapsed(model) {
+		if (this.#collapsed_models.has(model)) {
+			this.#collapsed_models.delete(model);
+		} else {
+			this.#collapsed_models.add(model);
+		}
+
+		this.#refreshTree();
+	}
+
+	/**
+	 * Replace the name of a model in the list by a text input, so the user can rename it.
+	 * Enter (or leaving the input) confirms the new name and Escape cancels it.
+	 *
+	 * @param {Model3D} model - The model to rename.
+	 */
+	#startRename(model) {
+		const name_span = this.#models_li.get(model).querySelector('.' + ModelSelector.#name_class);
+
+		const input = document.createElement('input');
+		input.type = 'text';
+		input.value = model.getModelName();
+		input.classList.add(ModelSelector.#rename_input_class);
+
+		let done = false;
+
+		const finish = (confirm) => {
+			if (done) {
+				return;
+			}
+
+			done = true;
+			input.replaceWith(name_span);
+
+			const old_name = model.getModelName();
+			const new_name = input.value.trim();
+
+			if (!confirm || new_name === '' || new_name === old_name) {
+				return;
+			}
+
+			if (new_name in this.#models_mapping) {
+				this.LOG('There is already a model named "' + new_name + '".', 'warning');
+				return;
+			}
+
+			this.renameModel(model, new_name);
+			this.#history.push(ModelCommands.createRenameCommand(model, old_name, new_name, this));
+		};
+
+		// Clicks and keys in the input must not select the model or trigger the editor shortcuts
+		input.addEventListener('click', (e) => e.stopPropagation());
+		input.addEventListener('keydown', (e) => {
+			e.stopPropagation();
+
+			if (e.key === 'Enter') {
+				finish(true);
+			} else if (e.key === 'Escape') {
+				finish(false);
+			}
+		});
+		input.addEventListener('blur', () => finish(true));
+
+		name_span.replaceWith(input);
+		input.focus();
+		input.select();
+	}
+
+	/**
+	 * Add a model to the list of selectable models. If the name of the model is already in use, the model is renamed.
 	 * 
 	 * @param {Model3D} model_element - The model element to add to the list.
+	 * @param {number} index - (Optional) The position of the model in the list. By default, the model is added after the last descendant
+	 * of its parent (if the parent is in the list) or to the end of the list.
 	 */
-	addModelToList(model_element) {
+	addModelToList(model_element, index = null) {
 		// Get the model name
 		let model_name = model_element.getModelName();
 
@@ -138,26 +520,186 @@ export default class ModelSelector extends DoLog {
 			model_element.renameModel(model_name); // Rename the model
 		}
 
-		// Add model to the mapping
-		this.#models_mapping[model_name] = model_element;
 		// Add the model path to the set of loaded models paths
 		this.#loaded_models_paths.add(model_element.getModelPath());
 
 		// Create the list item <li> for the selectable models list in the menu
 		const li = document.createElement('li');
-		const li_class = 'model_li';
+		li.classList.add(ModelSelector.#li_class);
+
+		const name_span = document.createElement('span');
+		name_span.classList.add(ModelSelector.#name_class);
+		name_span.textContent = model_name;
+		name_span.title = 'Double click to rename';
+
+		// Button to collapse and expand the children of the model
+		const toggle = document.createElement('span');
+		toggle.classList.add(ModelSelector.#toggle_class);
+
+		toggle.addEventListener('click', (e) => {
+			e.stopPropagation();
+			this.#toggleCollapsed(model_element);
+		});
+
+		// Add behavior to the list item when clicked (model selected) and double clicked (model renamed)
+		li.addEventListener('click', (e) => this.selectModel(model_element, { toggle: e.ctrlKey || e.metaKey, extend: e.shiftKey, range: true }));
+		name_span.addEventListener('dblclick', () => this.#startRename(model_element));
+
+		// Dragging the list item onto another model makes it a child of that model
+		li.draggable = true;
+
+		li.addEventListener('dragstart', (e) => {
+			this.#dragged_model = model_element;
+			e.dataTransfer.effectAllowed = 'move';
+			e.dataTransfer.setData('text/plain', model_element.getModelName());
+		});
+
+		li.addEventListener('dragend', () => {
+			this.#dragged_model = null;
+			li.classList.remove(ModelSelector.#li_drop_target_class);
+		});
+
+		li.addEventListener('dragover', (e) => {
+			if (this.#dragged_model === null) {
+				return;
+			}
+
+			e.stopPropagation();
+
+			// A model can't be moved into itself or into its descendants
+			if (!model_element.isDescendantOf(this.#dragged_model)) {
+				e.preventDefault();
+				li.classList.add(ModelSelector.#li_drop_target_class);
+			}
+		});
 
-		li.classList.add(li_class);
-		li.textContent = model_name;
+		li.addEventListener('dragleave', () => li.classList.remove(ModelSelector.#li_drop_target_class));
 
-		// Add behavior to the list item when clicked (model selected)
-		li.addEventListener('click', this.#modelSelected.bind(this));
+		li.addEventListener('drop', (e) => {
+			e.preventDefault();
+			e.stopPropagation();
+			li.classList.remove(ModelSelector.#li_drop_target_class);
+			this.#dropModel(model_element);
+		});
 
-		// Append the list item to the list of models
-		this.#model_selector_ul.appendChild(li);
+		li.appendChild(toggle);
+		li.appendChild(name_span);
 
 		// Add the delete button to the list item
-		li.appendChild(this.#createDeleteButton());
+		li.appendChild(this.#createDeleteButton(model_element));
+
+		// Append the list item to the list of models (or insert it at the given position)
+		const list_items = this.#getListItems();
+		const parent = model_element.getParent();
+
+		if (index === null && parent !== null && this.#models_li.has(parent)) {
+			index = this.#getSubtreeEnd(parent);
+		}
+
+		if (index !== null && index < list_items.length) {
+			this.#model_selector_ul.insertBefore(li, list_items[index]);
+		} else {
+			this.#model_selector_ul.appendChild(li);
+		}
+
+		this.#models_li.set(model_element, li);
+		this.#li_models.set(li, model_element);
+		this.#updateModelsMapping();
+		this.#refreshTree();
+	}
+
+	/**
+	 * Remove a model from the list of selectable models, without deleting it. If the model is selected, the properties panel is cleared.
+	 *
+	 * @param {Model3D} model - The model to remove.
+	 * @returns {number} The position the model had in the list.
+	 */
+	removeModelFromList(model) {
+		const li = this.#models_li.get(model);
+		const index = this.#getListIndex(model);
+
+		li.remove();
+		this.#models_li.delete(model);
+		this.#li_models.delete(li);
+		this.#updateModelsMapping();
+		this.#refreshTree();
+
+		// Unselect the model. If it was the active model, the previous selected model becomes the active one (or the properties panel is cleared).
+		if (this.#selected_models.includes(model)) {
+			this.#setSelection(this.#selected_models.filter((m) => m !== model));
+		}
+
+		return index;
+	}
+
+	/**
+	 * Rename a model in the list.
+	 *
+	 * @param {Model3D} model - The model to rename.
+	 * @param {string} new_name - The new name of the model.
+	 */
+	renameModel(model, new_name) {
+		const old_name = model.getModelName();
+
+		model.renameModel(new_name);
+
+		if (this.#models_li.has(model)) {
+			this.#models_li.get(model).querySelector('.' + ModelSelector.#name_class).textContent = new_name;
+			this.#updateModelsMapping();
+		}
+
+		this.LOG('Model "' + old_name + '" renamed to "' + new_name + '".');
+	}
+
+	/**
+	 * Free the GPU resources of a model that is no longer in the list. Called by the editor history when the deletion of a model can't be undone anymore.
+	 * The model is also removed from the scene graph.
+	 *
+	 * @param {Model3D} model - The model.
+	 */
+	releaseModel(model) {
+		if (!this.#models_li.has(model)) {
+			model.setParent(null);
+			model.deleteModel(this.#gl);
+		}
+	}
+
+	/**
+	 * Load the properties of a model into the properties panel, if the model is the active one.
+	 * Used when the model is changed outside the panel (e.g. by undo/redo or by the transform gizmo).
+	 *
+	 * @param {Model3D} model - The model.
+	 * @param {boolean} transformations_only - (Optional) If true, only the position, rotation and scale fields are updated. Default is false.
+	 */
+	refreshProperties(model, transformations_only = false) {
+		if (!this.#models_li.has(model) || model !== this.#active_model) {
+			return;
+		}
+
+		this.#properties_editor.loadTransformationsProperties(model.getTransformationDict());
+
+		if (transformations_only) {
+			return;
+		}
+
+		this.#properties_editor.loadTextureProperties(model.getTextureProperties());
+		this.#properties_editor.loadNormalMapProperties(model.getTextureProperties());
+		this.#properties_editor.loadShadowProperties(model.getShadowProperties());
+	}
+
+	/**
+	 * Rebuild the mapping of names to models and the set of loaded models paths from the models in the list, keeping the order of the list.
+	 */
+	#updateModelsMapping() {
+		this.#models_mapping = {};
+		this.#loaded_models_paths.clear();
+
+		for (const li of this.#getListItems()) {
+			const model = this.#getModelOfItem(li);
+
+			this.#models_mapping[model.getModelName()] = model;
+			this.#loaded_models_paths.add(model.getModelPath());
+		}
 	}
 
 	/**
@@ -180,26 +722,50 @@ export default class ModelSelector extends DoLog {
 
 
 	/**
-	 * Clear the list of all selectable models. It will delete ALL the loaded models in the process.
+	 * Clear the list of all selectable models. It will delete ALL the loaded models in the process, including the ones kept by the editor history.
 	 */
 	clear3DModelsList() {
+		this.#history.clear();
+
 		for (const model_name in this.#models_mapping) {
 			const model = this.#models_mapping[model_name];
+			model.setParent(null);
 			model.deleteModel(this.#gl);
 		}
 
 		this.#models_mapping = {};
+		this.#models_li.clear();
+		this.#li_models = new WeakMap();
 		this.#loaded_models_paths.clear();
-		this.#selected_model_name = null;
-		this.#model_selector_ul.innerHTML = '';
+		this.#selected_models = [];
+		this.#active_model = null;
+		this.#getListItems().forEach((li) => li.remove());
 	}
 
 	/**
-	 * Returns the selected model name.
+	 * Returns the name of the active model (the last selected model).
 	 * 
-	 * @returns {string} - The selected model name.
+	 * @returns {string} - The active model name, or null if no model is selected.
 	 */
 	getSelectedModelName() {
-		return this.#selected_model_name;
+		return this.#active_model !== null ? this.#active_model.getModelName() : null;
+	}
+
+	/**
+	 * Returns the active model (the last selected model). Its properties are the ones shown in the properties panel.
+	 * 
+	 * @returns {Model3D} - The active model, or null if no model is selected.
+	 */
+	getSelectedModel() {
+		return this.#active_model;
+	}
+
+	/**
+	 * Returns all the selected models. The active model is the last one.
+	 * 
+	 * @returns {Model3D[]} - The selected models.
+	 */
+	getSelectedModels() {
+		return [...this.#selected_models];
 	}
 }
\ No newline at end of file
@@ -7,73 +7,50 @@ export default class PropertiesEditor extends DoLog {
 	static #position_prop = 'prop_position';
 	static #rotation_prop = 'prop_rotation';
 	static #scale_prop = 'prop_scale';
+	static #shadows_prop = 'prop_shadows';
+	static #pivot_select_id = 'selection_pivot';
 
 	static #texture_color_input_id = 'texture_color';
+	// The color opacity is the strength of the global color (0 by default, which adds no color), so the model opacity has its own input
 	static #texture_color_opacity_input_id = 'texture_color_opacity';
+	static #model_opacity_input_id = 'model_opacity';
 
-	static #texture_image_input = 'texture_image_input';
-	static #img_element_id = 'texture_img_element';
-	static #texture_clear_btn_id = 'texture_clear_btn';
 	static #default_img_name = 'img_icon.png';
 	static #default_img_src = 'imgs/' + PropertiesEditor.#default_img_name;
 
-	// Flags to control texture loading
-	/** @type {string} */
-	#current_texture_id = '';
-	/** @type {boolean} */
-	#set_new_texture = false;
-	/** @type {boolean} */
-	#clear_texture = false;
+	// Image slots of the panel: the color texture and the normal map. Each slot has an image icon, a file input and a clear button.
+	// The flags control the image loading:
+	//  - current_id: the id of the image in the slot (name_of_img + size).
+	//  - set_new: the user selected a new image, that must be loaded into the model.
+	//  - clear: the user cleared the image, that must be removed from the model.
+	/** @type {Object} */
+	#texture_slot = {
+		name: 'texture',
+		input_id: 'texture_image_input',
+		img_element_id: 'texture_img_element',
+		clear_btn_id: 'texture_clear_btn',
+		current_id: '',
+		set_new: false,
+		clear: false
+	};
+	/** @type {Object} */
+	#normal_map_slot = {
+		name: 'normal map',
+		input_id: 'normal_map_image_input',
+		img_element_id: 'normal_map_img_element',
+		clear_btn_id: 'normal_map_clear_btn',
+		current_id: '',
+		set_new: false,
+		clear: false
+	};
 
 	constructor(log) {
 		super(log, 'PropertiesEditor> ');
 
 		this.LOG('Initializing properties panel.');
 
-		const img_input = document.getElementById(PropertiesEditor.#texture_image_input);
-		const clear_btn = document.getElementById(PropertiesEditor.#texture_clear_btn_id);
-
-		const img_icon = document.getElementById(PropertiesEditor.#img_element_id);
-
-		const img_input_change = (e) => {
-			const input = e.target;
-
-			if (input.files.length === 0) {
-				return;
-			} else {
-				/** @type {File} */
-				const img_file = input.files[0];
-				const new_img_id = img_file.name + String(img_file.size);
-
-				// Check if the user selected the same image
-				if (this.#current_texture_id === new_img_id) {
-					this.LOG('The same texture image was selected: ' + img_file.name + ' (' + img_file.size + ' bytes).' + ' This will not be loaded again.', 'info');
-
-					this.#clear_texture = false;
-					this.#set_new_texture = false;
-
-					return;
-				}
-
-				this.LOG('New texture image selected: ' + img_file.name + ' (' + img_file.size + ' bytes)');
-
-				// Set the flags to load the new texture and return it to the caller
-				this.#current_texture_id = new_img_id;
-				this.#set_new_texture = true;
-				this.#clear_texture = false;
-
-				// Create a blob URL to the new image and set it to the image icon (this will be returned to the caller) 
-				const img_blob_url = URL.createObjectURL(img_file);
-
-				img_icon.src = img_blob_url;
-
-				// Reset the input file element so the user can select another image with the same name (we distinguish them by size)
-				input.value = '';
-			}
-		};
-
-		img_input.addEventListener('change', img_input_change.bind(this));
-		clear_btn.addEventListener('click', this.clearTexture.bind(this));
+		this.#setupImageSlot(this.#texture_slot);
+		this.#setupImageSlot(this.#normal_map_slot);
 
 		// Load the default properties values
 		this.clearProperties();
@@ -105,6 +82,41 @@ export default class PropertiesEditor extends DoLog {
 		return { translation: position, rotation: rotation, scale: scale };
 	}
 
+	/**
+	 * Read the pivot used to transform a multiple selection.
+	 * 
+	 * @returns {string} - SelectionTransform.CENTROID (the center of the selected models) or SelectionTransform.ACTIVE (the active model).
+	 */
+	readPivotMode() {
+		return document.getElementById(PropertiesEditor.#pivot_select_id).value;
+	}
+
+	/**
+	 * Load the shadow properties of a Model3D object into the properties panel.
+	 * 
+	 * @param {Object} shadow_properties - An object with the properties: casts and receives.
+	 */
+	loadShadowProperties(shadow_properties) {
+		const shadows_ul = document.getElementById(PropertiesEditor.#shadows_prop);
+
+		shadows_ul.querySelector('.casts').checked = shadow_properties.casts;
+		shadows_ul.querySelector('.receives').checked = shadow_properties.receives;
+	}
+
+	/**
+	 * Read the shadow properties from the properties panel.
+	 * 
+	 * @returns {Object} - An object with the properties: casts (the model casts shadows) and receives (the model receives shadows).
+	 */
+	readShadowProperties() {
+		const shadows_ul = document.getElementById(PropertiesEditor.#shadows_prop);
+
+		return {
+			casts: shadows_ul.querySelector('.casts').checked,
+			receives: shadows_ul.querySelector('.receives').checked
+		};
+	}
+
 	/**
 	 * Load the texture properties of a Model3D object into the properties panel.
 	 * 
@@ -112,19 +124,10 @@ export default class PropertiesEditor extends DoLog {
 	 *  - {string} image_id - The id of the image element (name_of_img + size).
 	 * 	- {string} image_path - The blob path to the image file.
 	 * 	- {Color} color - The color the user choose in RGBA format.
+	 * 	- {number} opacity - The opacity of the model.
 	 */
 	loadTextureProperties(texture_properties) {
-		// Reset the input image and the current texture id
-		this.#resetInputImage();
-
-		// If an image is provided, load it into the image icon and update the current texture id
-		if (texture_properties.image_path) {
-			this.#setInputImage(texture_properties.image_path, texture_properties.image_id);
-		}
-
-		// Set flags to false (we don't want to clear the texture or set a new one)
-		this.#clear_texture = false;
-		this.#set_new_texture = false;
+		this.#loadImageSlot(this.#texture_slot, texture_properties.image_path, texture_properties.image_id);
 
 		// Load the color properties
 		const color_input = document.getElementById(PropertiesEditor.#texture_color_input_id);
@@ -138,6 +141,8 @@ export default class PropertiesEditor extends DoLog {
 
 		color_input.value = `#${r}${g}${b}`;
 		color_opacity_input.value = color.a;
+
+		document.getElementById(PropertiesEditor.#model_opacity_input_id).value = texture_properties.opacity;
 	}
 
 	/**
@@ -149,6 +154,7 @@ export default class PropertiesEditor extends DoLog {
 	 * 	- {string} image_path - A blob path pointing to the image selected by the user.
 	 * 	- {boolean} clear - A flag indicating whether the user wants to clear the texture.
 	 * 	- {Color} color - The color the user choose in RGBA format.
+	 * 	- {number} opacity - The opacity of the model, from 0 to 1.
 	 */
 	readTextureProperties() {
 		// Reading color
@@ -164,28 +170,21 @@ export default class PropertiesEditor extends DoLog {
 
 		const color_rgba = new Color(r, g, b, a);
 
-		let img_path_return = '';
+		// Reading model opacity (keep the model opaque while the input is empty)
+		const opacity = parseFloat(document.getElementById(PropertiesEditor.#model_opacity_input_id).value);
 
-		// Only set the texture if we detect that the user selected a new image and doesn't want to clear it
-		if (!this.#clear_texture && this.#set_new_texture) {
-			// Let's get the image path from the image icon element
-			const img_element = document.getElementById(PropertiesEditor.#img_element_id);
-			img_path_return = img_element.src;
-		}
+		const image = this.#readImageSlot(this.#texture_slot);
 
 		// Return the image, color and clear flag
 		const properties = {
-			set_texture: this.#set_new_texture,
-			image_id: this.#current_texture_id,
-			image_path: img_path_return,
-			clear: this.#clear_texture,
-			color: color_rgba
+			set_texture: image.set,
+			image_id: image.image_id,
+			image_path: image.image_path,
+			clear: image.clear,
+			color: color_rgba,
+			opacity: isNaN(opacity) ? 1.0 : opacity
 		};
 
-		// Reset the flags for the next read
-		this.#clear_texture = false;
-		this.#set_new_texture = false;
-
 		// Return the properties
 		return properties;
 	}
@@ -196,38 +195,54 @@ export default class PropertiesEditor extends DoLog {
 	 *
 	 */
 	clearTexture() {
-		// Reset the flags
-		this.#clear_texture = true;
-		this.#set_new_texture = false;
-		this.#current_texture_id = '';
+		this.#clearImageSlot(this.#texture_slot);
+	}
 
-		// Reset the image icon
-		const img_icon = document.getElementById(PropertiesEditor.#img_element_id);
-		img_icon.src = PropertiesEditor.#default_img_src;
+	/**
+	 * Load the normal map of a Model3D object into the properties panel.
+	 * 
+	 * @param {Object} texture_properties - The texture properties of the model (see Model3D.getTextureProperties). Only normal_map_id and normal_map_path are used.
+	 */
+	loadNormalMapProperties(texture_properties) {
+		this.#loadImageSlot(this.#normal_map_slot, texture_properties.normal_map_path, texture_properties.normal_map_id);
+	}
 
-		const input_texture_img = document.getElementById(PropertiesEditor.#texture_image_input);
-		input_texture_img.value = '';
+	/**
+	 * Read the normal map properties from the properties panel.
+	 * 
+	 * @returns {Object} - A normal map dictionary with the properties read from the panel, as follows:
+	 * 	- {boolean} set_normal_map - A flag indicating whether the user wants to set a new normal map.
+	 *  - {string} image_id - The id of the image element (name_of_img + size).
+	 * 	- {string} image_path - A blob path pointing to the image selected by the user.
+	 * 	- {boolean} clear - A flag indicating whether the user wants to clear the normal map.
+	 */
+	readNormalMapProperties() {
+		const image = this.#readImageSlot(this.#normal_map_slot);
+
+		return {
+			set_normal_map: image.set,
+			image_id: image.image_id,
+			image_path: image.image_path,
+			clear: image.clear
+		};
+	}
+
+	/**
+	 * Clear the normal map image from the properties panel, indicating to the Model3D object that the normal map should be cleared.
+	 */
+	clearNormalMap() {
+		this.#clearImageSlot(this.#normal_map_slot);
 	}
 
 	clearProperties() {
 		this.#loadPosition({ x: 0, y: 0, z: 0 });
 		this.#loadRotation({ x: 0, y: 0, z: 0 });
 		this.#loadScale({ x: 1, y: 1, z: 1 });
+		this.loadShadowProperties({ casts: true, receives: true });
 
-		// Reset the image icon
-		const img_icon = document.getElementById(PropertiesEditor.#img_element_id);
-		img_icon.src = PropertiesEditor.#default_img_src;
-
-		// Reset the image input
-		const input_texture_img = document.getElementById(PropertiesEditor.#texture_image_input);
-		input_texture_img.value = '';
-
-		// Reset the current texture id
-		this.#current_texture_id = '';
-
-		// Reset the flags
-		this.#clear_texture = false;
-		this.#set_new_texture = false;
+		// Reset the images icons, inputs and flags
+		this.#loadImageSlot(this.#texture_slot, null, '');
+		this.#loadImageSlot(this.#normal_map_slot, null, '');
 
 		const color_input = document.getElementById(PropertiesEditor.#texture_color_input_id);
 		const color_opacity_input = document.getElementById(PropertiesEditor.#texture_color_opacity_input_id);
@@ -235,30 +250,129 @@ export default class PropertiesEditor extends DoLog {
 		color_input.value = '#000000';
 		color_opacity_input.value = 0.0;
 
+		document.getElementById(PropertiesEditor.#model_opacity_input_id).value = 1.0;
+
 		this.LOG('Default properties loaded.', 'info');
 	}
 
 	/**
-	 * Reset the image icon to the default image and the current texture id.
+	 * Listen to the file input and the clear button of an image slot.
+	 * 
+	 * @param {Object} slot - The image slot (#texture_slot or #normal_map_slot).
 	 */
-	#resetInputImage() {
-		const img_icon = document.getElementById(PropertiesEditor.#img_element_id);
-		img_icon.src = PropertiesEditor.#default_img_src;
+	#setupImageSlot(slot) {
+		const img_input = document.getElementById(slot.input_id);
+		const clear_btn = document.getElementById(slot.clear_btn_id);
+
+		const img_icon = document.getElementById(slot.img_element_id);
+
+		const img_input_change = (e) => {
+			const input = e.target;
+
+			if (input.files.length === 0) {
+				return;
+			} else {
+				/** @type {File} */
+				const img_file = input.files[0];
+				const new_img_id = img_file.name + String(img_file.size);
+
+				// Check if the user selected the same image
+				if (slot.current_id === new_img_id) {
+					this.LOG('The same ' + slot.name + ' image was selected: ' + img_file.name + ' (' + img_file.size + ' bytes).' + ' This will not be loaded again.', 'info');
+
+					slot.clear = false;
+					slot.set_new = false;
+
+					return;
+				}
+
+				this.LOG('New ' + slot.name + ' image selected: ' + img_file.name + ' (' + img_file.size + ' bytes)');
+
+				// Set the flags to load the new image and return it to the caller
+				slot.current_id = new_img_id;
+				slot.set_new = true;
+				slot.clear = false;
+
+				// Create a blob URL to the new image and set it to the image icon (this will be returned to the caller) 
+				const img_blob_url = URL.createObjectURL(img_file);
 
-		this.#current_texture_id = '';
+				img_icon.src = img_blob_url;
+
+				// Reset the input file element so the user can select another image with the same name (we distinguish them by size)
+				input.value = '';
+			}
+		};
+
+		img_input.addEventListener('change', img_input_change.bind(this));
+		clear_btn.addEventListener('click', () => this.#clearImageSlot(slot));
+	}
+
+	/**
+	 * Load an image into a slot, without flagging it to be set in the model (it already has it).
+	 * 
+	 * @param {Object} slot - The image slot.
+	 * @param {string} image_path - The blob path to the image file. If empty, the default icon is shown.
+	 * @param {string} image_id - The id of the image element.
+	 */
+	#loadImageSlot(slot, image_path, image_id) {
+		const img_icon = document.getElementById(slot.img_element_id);
+		img_icon.src = image_path ? image_path : PropertiesEditor.#default_img_src;
+
+		document.getElementById(slot.input_id).value = '';
+
+		slot.current_id = image_path ? image_id : '';
+
+		// Set flags to false (we don't want to clear the image or set a new one)
+		slot.clear = false;
+		slot.set_new = false;
+	}
+
+	/**
+	 * Read the image of a slot and reset its flags for the next read.
+	 * 
+	 * @param {Object} slot - The image slot.
+	 * @returns {Object} - An object with the properties: set, image_id, image_path and clear.
+	 */
+	#readImageSlot(slot) {
+		let img_path_return = '';
+
+		// Only set the image if we detect that the user selected a new image and doesn't want to clear it
+		if (!slot.clear && slot.set_new) {
+			// Let's get the image path from the image icon element
+			const img_element = document.getElementById(slot.img_element_id);
+			img_path_return = img_element.src;
+		}
+
+		const image = {
+			set: slot.set_new,
+			image_id: slot.current_id,
+			image_path: img_path_return,
+			clear: slot.clear
+		};
+
+		// Reset the flags for the next read
+		slot.clear = false;
+		slot.set_new = false;
+
+		return image;
 	}
 
 	/**
-	 * Receive an image element and set it to the input image element, updating the current texture id.
+	 * Reset the image icon of a slot, setting its clear flag so the image is removed from the model.
 	 * 
-	 * @param {string} image_path - The blob path to the image file.
-	 * @param {string} image_id - The id of the image element
+	 * @param {Object} slot - The image slot.
 	 */
-	#setInputImage(image_path, image_id) {
-		const img_icon = document.getElementById(PropertiesEditor.#img_element_id);
-		img_icon.src = image_path;
+	#clearImageSlot(slot) {
+		// Reset the flags
+		slot.clear = true;
+		slot.set_new = false;
+		slot.current_id = '';
+
+		// Reset the image icon
+		const img_icon = document.getElementById(slot.img_element_id);
+		img_icon.src = PropertiesEditor.#default_img_src;
 
-		this.#current_texture_id = image_id;
+		document.getElementById(slot.input_id).value = '';
 	}
 
 	#readPosition() {
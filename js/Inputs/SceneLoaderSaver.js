@@ -1,35 +1,130 @@
 import Model3D from "../3DStuff/Model3D.js";
+import Light from "../3DStuff/Light.js";
+import Camera from "../3DStuff/Camera.js";
 
 import DoLog from "../Logging/DoLog.js";
 import FileLoader from "../FileProcessing/FileLoader.js";
+import SceneFile from "../FileProcessing/SceneFile.js";
+import SceneExporter from "../FileProcessing/SceneExporter.js";
+import LocalFiles from "../FileProcessing/LocalFiles.js";
 import ModelSelector from "./ModelSelector.js";
+import ModelCreatorMenu from "./ModelCreatorMenu.js";
+import LightsEditor from "./LightsEditor.js";
 import { Color } from "../3DStuff/WebGLUtils.js";
 
 export class Scene {
 
 	constructor() {
+		this.camera = null;
+		this.settings = {};
 		this.models = [];
+		this.lights = [];
+		this.images = {}; // Image id -> data URI. Images used by more than one model are stored only once.
+		this.files = {}; // Virtual path -> data URI. The files of the models imported from the disk (see LocalFiles).
 	}
 
-	addModel(model_path, model_name, transformation_dict, global_color) {
+	/**
+	 * @param {Camera} camera - The camera whose pose and projection settings are saved.
+	 */
+	setCamera(camera) {
+		this.camera = camera.getState();
+	}
+
+	/**
+	 * @param {Object} models_configs - The configurations used to load the models (see FileLoader.load3DObject).
+	 */
+	setModelsConfigs(models_configs) {
+		this.settings.models_configs = { ...models_configs };
+	}
+
+	/**
+	 * @param {string} model_path - The path to the model file.
+	 * @param {string} model_name - The name of the model.
+	 * @param {string} parent_name - The name of the parent model, or null for models at the root of the scene.
+	 * @param {Object} transformation_dict - The transformation dictionary with the properties: translation, rotation, and scale (relative to the parent).
+	 * @param {Color} global_color - The global color of the model.
+	 * @param {number} opacity - The opacity of the model.
+	 * @param {Object} shadow_properties - An object with the properties: casts and receives.
+	 * @param {Object} images_ids - The ids of the model images in the scene images ('texture' and 'normal_map'). Empty ids mean no image.
+	 */
+	addModel(model_path, model_name, parent_name, transformation_dict, global_color, opacity, shadow_properties, images_ids) {
 		const model = {
 			model_path: model_path,
 			model_name: model_name,
+			parent_name: parent_name,
 			transformation_dict: transformation_dict,
-			global_color: { r: global_color.r, g: global_color.g, b: global_color.b, a: global_color.a }
+			global_color: { r: global_color.r, g: global_color.g, b: global_color.b, a: global_color.a },
+			opacity: opacity,
+			shadow_properties: { casts: shadow_properties.casts, receives: shadow_properties.receives },
+			texture_id: images_ids.texture,
+			normal_map_id: images_ids.normal_map
 		}
 
 		this.models.push(model);
 	}
 
+	/**
+	 * @param {string} image_id - The id of the image (name_of_img + size).
+	 * @param {string} data_uri - The image encoded as a data URI.
+	 */
+	addImage(image_id, data_uri) {
+		this.images[image_id] = data_uri;
+	}
+
+	/**
+	 * @param {string} image_id - The id of the image.
+	 * @returns {boolean} True if the image was already added to the scene.
+	 */
+	hasImage(image_id) {
+		return image_id in this.images;
+	}
+
+	/**
+	 * @param {string} path - The virtual path of the imported file.
+	 * @param {string} data_uri - The file encoded as a data URI.
+	 */
+	addFile(path, data_uri) {
+		this.files[path] = data_uri;
+	}
+
+	/**
+	 * @param {string} path - The virtual path of the imported file.
+	 * @returns {boolean} True if the file was already added to the scene.
+	 */
+	hasFile(path) {
+		return path in this.files;
+	}
+
+	/**
+	 * @param {Light} light - The light to add to the scene.
+	 */
+	addLight(light) {
+		this.lights.push(light.toJSON());
+	}
+
 	getJSON() {
-		return JSON.stringify(this.models, null, 4);
+		const scene = {
+			version: SceneFile.VERSION,
+			camera: this.camera,
+			settings: this.settings,
+			lights: this.lights,
+			models: this.models,
+			images: this.images,
+			files: this.files
+		};
+
+		return JSON.stringify(scene, null, 4);
 	}
 }
 
 export class SceneLoaderSaver extends DoLog {
 	static #save_scene_button_id = 'save_scene_btn';
 	static #load_scene_input_id = 'load_scene_input';
+	static #load_camera_checkbox_id = 'load_camera_checkbox';
+	static #export_obj_button_id = 'export_obj_btn';
+	static #export_glb_button_id = 'export_glb_btn';
+	static #export_stl_button_id = 'export_stl_btn';
+	static #export_ply_button_id = 'export_ply_btn';
 
 	/** @type {WebGL2RenderingContext} */
 	#gl = null;
@@ -38,6 +133,12 @@ export class SceneLoaderSaver extends DoLog {
 
 	/** @type {ModelSelector} */
 	#model_selector = null;
+	/** @type {ModelCreatorMenu} */
+	#model_creator = null;
+	/** @type {LightsEditor} */
+	#lights_editor = null;
+	/** @type {Camera} */
+	#camera = null;
 
 	/** @type {Object} */
 	#MODELS_CONFIGS = null;
@@ -45,37 +146,106 @@ export class SceneLoaderSaver extends DoLog {
 	/**
 	 * @param {DoLog} log - The logger object in which this object will log messages.
 	 * @param {ModelSelector} model_selector - The model selector object responsible for managing the models in the scene.
+	 * @param {ModelCreatorMenu} model_creator - The models menu, where the imported models of the loaded scenes are added.
+	 * @param {LightsEditor} lights_editor - The lights editor object responsible for managing the lights in the scene.
+	 * @param {Camera} camera - The camera of the scene. Its state is saved with the scene and restored when loading (unless the user chooses not to).
 	 * @param {Object} MODELS_CONFIGS - The configurations for the models when loading them. To check the available configurations, see {@link FileLoader.load3DObject}.
 	 * @param {WebGL2RenderingContext} gl - The WebGL2 rendering context from which the models are being rendered.
 	 * @param {WebGLProgram} program - The WebGL program object used to render the models.
 	 */
-	constructor(log, model_selector, MODELS_CONFIGS, gl, program) {
+	constructor(log, model_selector, model_creator, lights_editor, camera, MODELS_CONFIGS, gl, program) {
 		super(log, 'SceneLoaderSaver> ');
 
 		const save_scene_input = document.getElementById(SceneLoaderSaver.#save_scene_button_id);
 		const load_scene_input = document.getElementById(SceneLoaderSaver.#load_scene_input_id);
 
 		this.#model_selector = model_selector;
+		this.#model_creator = model_creator;
+		this.#lights_editor = lights_editor;
+		this.#camera = camera;
 		this.#MODELS_CONFIGS = MODELS_CONFIGS;
 		this.#gl = gl;
 		this.#program = program;
 
-		const save_scene_click = () => {
-			const scene_json = this.saveScene(this.#model_selector.get3DModelsList());
-
-			const blob = new Blob([scene_json], { type: 'application/json' });
-			const url = URL.createObjectURL(blob);
-
-			const a = document.createElement('a');
-			a.href = url;
-			a.download = 'scene.json';
-			a.click();
+		const save_scene_click = async () => {
+			try {
+				const scene_json = await this.saveScene(this.#model_selector.get3DModelsList(), this.#lights_editor.getLights());
 
-			URL.revokeObjectURL(url);
+				this.#download(new Blob([scene_json], { type: 'application/json' }), 'scene.json');
+			} catch (error) {
+				this.LOG('Error saving the scene: ' + error, 'error');
+			}
 		}
 
 		save_scene_input.addEventListener('click', save_scene_click);
 		load_scene_input.addEventListener('change', this.#loadScene.bind(this));
+
+		// Exports of the scene to other applications
+		const scene_exporter = new SceneExporter(this.outputLog);
+
+		const export_click = async (format) => {
+			const models = this.#model_selector.get3DModelsList();
+
+			if (models.length === 0) {
+				this.LOG('There are no models to export.', 'warning');
+				return;
+			}
+
+			try {
+				if (format === 'obj') {
+					this.#download(await scene_exporter.exportOBJ(models), 'scene_obj.zip');
+				} else {
+					this.#download(await scene_exporter.exportGLB(models), 'scene.glb');
+				}
+			} catch (error) {
+				this.LOG('Error exporting the scene: ' + error, 'error');
+			}
+		};
+
+		document.getElementById(SceneLoaderSaver.#export_obj_button_id).addEventListener('click', () => export_click('obj'));
+		document.getElementById(SceneLoaderSaver.#export_glb_button_id).addEventListener('click', () => export_click('glb'));
+
+		// The selected models can be exported to the mesh formats of the 3D printing and scanning tools
+		const export_selection_click = (format) => {
+			const models = this.#model_selector.getSelectedModels();
+
+			if (models.length === 0) {
+				this.LOG('Select the models to export.', 'warning');
+				return;
+			}
+
+			const file_name = (models.length === 1 ? models[0].getModelName() : 'selection') + '.' + format;
+
+			try {
+				if (format === 'stl') {
+					this.#download(scene_exporter.exportSTL(models), file_name);
+				} else {
+					this.#download(scene_exporter.exportPLY(models), file_name);
+				}
+			} catch (error) {
+				this.LOG('Error exporting the selected models: ' + error, 'error');
+			}
+		};
+
+		document.getElementById(SceneLoaderSaver.#export_stl_button_id).addEventListener('click', () => export_selection_click('stl'));
+		document.getElementById(SceneLoaderSaver.#export_ply_button_id).addEventListener('click', () => export_selection_click('ply'));
+	}
+
+	/**
+	 * Download a file created by the editor.
+	 * 
+	 * @param {Blob} blob - The content of the file.
+	 * @param {string} file_name - The name of the downloaded file.
+	 */
+	#download(blob, file_name) {
+		const url = URL.createObjectURL(blob);
+
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = file_name;
+		a.click();
+
+		URL.revokeObjectURL(url);
 	}
 
 	async #loadScene(e) {
@@ -87,57 +257,204 @@ export class SceneLoaderSaver extends DoLog {
 
 			file_reader.onload = async (e) => {
 				const loaded_models_paths = [];
-				const scene_json = e.target.result;
-				const scene = JSON.parse(scene_json);
+				const scene = this.#readSceneFile(e.target.result, file.name);
+
+				// Invalid files are rejected before touching the current scene
+				if (scene === null) {
+					return;
+				}
+
+				// The models are loaded with the configurations they were saved with
+				const models_configs = { ...this.#MODELS_CONFIGS, ...scene.settings?.models_configs };
+
+				/** @type {Map<string, Model3D>} */
+				const models_by_name = new Map();
 
 				try {
 					this.#model_selector.clear3DModelsList();
 
-					for (const m of scene) {
+					// The imported models are loaded from the files embedded in the scene
+					for (const [path, data_uri] of Object.entries(scene.files ?? {})) {
+						const response = await fetch(data_uri);
+						LocalFiles.register(path, await response.blob());
+					}
+
+					for (const m of scene.models) {
 						let model = null;
 
 						if (loaded_models_paths.includes(m.model_path)) {
 							// Model already loaded, duplicate it
-							const models_loaded = this.#model_selector.get3DModelsList();
-							const original_model = models_loaded.find((model) => model.getModelPath() === m.model_path);
+							const original_model = Array.from(models_by_name.values()).find((model) => model.getModelPath() === m.model_path);
 							model = original_model.duplicateModel();
 						} else {
 							// Model not loaded yet
-							model = await file_loader.load3DObject(m.model_path, this.#gl, this.#program, this.#MODELS_CONFIGS);
+							model = await file_loader.load3DObject(m.model_path, this.#gl, this.#program, models_configs);
 							loaded_models_paths.push(m.model_path);
 						}
 
 						model.renameModel(m.model_name);
+
+						// Kept before loading its images, so it is deleted if they fail to load
+						models_by_name.set(m.model_name, model);
+
 						model.setTransformation(m.transformation_dict);
 						model.setGlobalColor(new Color(m.global_color.r, m.global_color.g, m.global_color.b, m.global_color.a));
 
+						// Scenes saved before opacity and shadows existed don't have these properties
+						if ('opacity' in m) {
+							model.setOpacity(m.opacity);
+						}
+
+						if (m.shadow_properties) {
+							model.setShadowProperties(m.shadow_properties);
+						}
+
+						// Scenes saved before the images were embedded only have the models colors
+						const images = scene.images;
+
+						if (m.texture_id && m.texture_id in images) {
+							await model.setTexture(await this.#dataURIToBlobURL(images[m.texture_id]), m.texture_id, this.#gl);
+						}
+
+						if (m.normal_map_id && m.normal_map_id in images) {
+							await model.setNormalMap(await this.#dataURIToBlobURL(images[m.normal_map_id]), m.normal_map_id, this.#gl);
+						}
+					}
+
+					// Build the scene graph. The models are added to the list after their parents, so each child is listed under its parent.
+					for (const m of scene.models) {
+						if (m.parent_name) {
+							models_by_name.get(m.model_name).setParent(models_by_name.get(m.parent_name));
+						}
+					}
+
+					const depth = (model) => model.getParent() !== null ? depth(model.getParent()) + 1 : 0;
+					const models = Array.from(models_by_name.values()).sort((a, b) => depth(a) - depth(b));
+
+					for (const model of models) {
 						this.#model_selector.addModelToList(model);
 					}
 
+					// The list deletes the models from now on (see clear3DModelsList)
+					models_by_name.clear();
+
+					// The imported models can be added again from the models menu
+					this.#model_creator.addModelsPaths(loaded_models_paths.filter((path) => LocalFiles.isLocal(path)));
+
+					// Scenes saved before the camera was stored (or when the user unchecks the option) keep the current camera
+					const load_camera = document.getElementById(SceneLoaderSaver.#load_camera_checkbox_id).checked;
+
+					if (scene.camera && load_camera) {
+						this.#camera.setState(scene.camera);
+					}
+
+					// Scenes saved before lights existed keep the current lights
+					if (scene.lights) {
+						this.#lights_editor.setLights(scene.lights.map((l) => Light.fromJSON(l)));
+					}
+
 					this.LOG('Scene "' + file.name + '" loaded successfully.', 'success');
 				} catch (error) {
+					// Release the models loaded before the error (and the blob URLs of their images, revoked with their textures)
+					for (const model of models_by_name.values()) {
+						model.setParent(null);
+						model.deleteModel(this.#gl);
+					}
+
 					this.LOG('Error loading scene: ' + error, 'error');
 				}
 			}
 
 			file_reader.readAsText(file);
 		}
+	}
+
+	/**
+	 * Parse a scene file, migrating it to the current version and validating it. Every problem found is logged.
+	 * 
+	 * @param {string} scene_json - The content of the scene file.
+	 * @param {string} file_name - The name of the scene file (used in the log messages).
+	 * @returns {Object} The scene in the current version, or null if the file is invalid.
+	 */
+	#readSceneFile(scene_json, file_name) {
+		let scene;
+
+		try {
+			scene = JSON.parse(scene_json);
+		} catch (error) {
+			this.LOG('Scene "' + file_name + '" is not a valid JSON file: ' + error.message, 'error');
+			return null;
+		}
+
+		const version = SceneFile.getVersion(scene);
+		scene = SceneFile.migrate(scene);
+
+		const errors = SceneFile.validate(scene);
+
+		if (errors.length > 0) {
+			for (const error of errors) {
+				this.LOG(error, 'error');
+			}
+
+			this.LOG('Scene "' + file_name + '" was not loaded: ' + errors.length + ' invalid field(s) found.', 'error');
+			return null;
+		}
 
+		if (version < SceneFile.VERSION) {
+			this.LOG('Scene "' + file_name + '" migrated from version ' + version + ' to version ' + SceneFile.VERSION + '.', 'info');
+		}
 
+		return scene;
 	}
 
 	/**
-	 * Save the scene to a JSON file.
+	 * Save the scene to a JSON file. The texture images and normal maps of the models, and the files of the models imported from the disk,
+	 * are embedded in the file as data URIs.
 	 * 
 	 * @param {Model3D[]} models_list - List of models to save.
+	 * @param {Light[]} lights_list - List of lights to save.
+	 * @returns {Promise<string>} The scene in JSON format.
 	 */
-	saveScene(models_list) {
+	async saveScene(models_list, lights_list) {
 		const scene = new Scene();
+		scene.setCamera(this.#camera);
+		scene.setModelsConfigs(this.#MODELS_CONFIGS);
 
-		this.LOG('Saving scene with ' + models_list.length + ' models.');
+		this.LOG('Saving scene with ' + models_list.length + ' models and ' + lights_list.length + ' lights.');
 
 		for (const m of models_list) {
-			scene.addModel(m.getModelPath(), m.getModelName(), m.getTransformationDict(), m.getGlobalColor());
+			const texture_properties = m.getTextureProperties();
+
+			const images_ids = {
+				texture: texture_properties.image_path ? texture_properties.image_id : '',
+				normal_map: texture_properties.normal_map_path ? texture_properties.normal_map_id : ''
+			};
+
+			// Identical images (same id) are embedded only once
+			if (images_ids.texture && !scene.hasImage(images_ids.texture)) {
+				scene.addImage(images_ids.texture, await this.#fileToDataURI(texture_properties.image_path));
+			}
+
+			if (images_ids.normal_map && !scene.hasImage(images_ids.normal_map)) {
+				scene.addImage(images_ids.normal_map, await this.#fileToDataURI(texture_properties.normal_map_path));
+			}
+
+			// The files of an imported model (the OBJ, its materials and textures) are embedded once, even if the model is duplicated
+			if (LocalFiles.isLocal(m.getModelPath())) {
+				for (const path of LocalFiles.getDependencies(m.getModelPath())) {
+					if (!scene.hasFile(path)) {
+						scene.addFile(path, await this.#fileToDataURI(LocalFiles.resolve(path)));
+					}
+				}
+			}
+
+			const parent = m.getParent();
+
+			scene.addModel(m.getModelPath(), m.getModelName(), parent !== null ? parent.getModelName() : null, m.getTransformationDict(), m.getGlobalColor(), m.getOpacity(), m.getShadowProperties(), images_ids);
+		}
+
+		for (const l of lights_list) {
+			scene.addLight(l);
 		}
 
 		this.LOG('Scene saved successfully.', 'success');
@@ -145,4 +462,37 @@ export class SceneLoaderSaver extends DoLog {
 		return scene.getJSON();
 	}
 
+	/**
+	 * Read a file (usually a blob URL created by the properties panel or by an import) into a data URI, so it can be stored in the scene file.
+	 * 
+	 * @param {string} file_path - The path to the file.
+	 * @returns {Promise<string>} The file as a data URI.
+	 */
+	async #fileToDataURI(file_path) {
+		const response = await fetch(file_path);
+		const blob = await response.blob();
+
+		return new Promise((resolve, reject) => {
+			const file_reader = new FileReader();
+
+			file_reader.onload = () => resolve(file_reader.result);
+			file_reader.onerror = () => reject('Error reading file ' + file_path);
+
+			file_reader.readAsDataURL(blob);
+		});
+	}
+
+	/**
+	 * Create a blob URL from a data URI. Each model gets its own URL, since Model3D revokes it when the texture is cleared.
+	 * 
+	 * @param {string} data_uri - The image as a data URI.
+	 * @returns {Promise<string>} The blob URL.
+	 */
+	async #dataURIToBlobURL(data_uri) {
+		const response = await fetch(data_uri);
+		const blob = await response.blob();
+
+		return URL.createObjectURL(blob);
+	}
+
 }
\ No newline at end of file
@@ -1,9 +1,13 @@
 #version 300 es
 precision highp float;
+precision highp sampler2DArrayShadow;
 
 in vec4 v_color;
 in vec3 v_normal;
 in vec2 v_uv;
+in vec3 v_world_position;
+in vec4 v_tangent;
+in vec4 v_global_color; // Global color of the model (a uniform, or an instance attribute for the instanced duplicates)
 
 out vec4 fragColor;
 
@@ -12,42 +16,253 @@ uniform bool u_enable_vertex_color;
 uniform bool u_enable_material_color;
 uniform bool u_enable_lighting;
 
+// Material properties (MTL: Kd, Ka, Ks, Ke, Ns and d)
 uniform vec3 u_material_color;
-uniform vec3 u_light_direction;
-uniform vec4 u_global_color;
+uniform vec3 u_material_ambient;
+uniform vec3 u_material_specular;
+uniform vec3 u_material_emissive;
+uniform float u_material_shininess;
+uniform float u_material_opacity;
+uniform float u_model_opacity;
+
+// Material texture maps (MTL: map_Kd, map_Ks, map_Bump and map_d)
+// The channels are weights applied with a dot product to read a scalar value from the texture (MTL: -imfchan)
+#define BUMP_HEIGHT_SCALE 0.05f
+
+uniform bool u_enable_diffuse_map;
+uniform bool u_enable_specular_map;
+uniform bool u_enable_bump_map;
+uniform bool u_enable_opacity_map;
+uniform sampler2D u_diffuse_map;
+uniform sampler2D u_specular_map;
+uniform sampler2D u_bump_map;
+uniform sampler2D u_opacity_map;
+uniform vec4 u_bump_channel;
+uniform float u_bump_multiplier;
+uniform vec4 u_opacity_channel;
+
+// Normal map set by the user in the properties panel (tangent space)
+uniform bool u_enable_normal_map;
+uniform sampler2D u_normal_map;
+
+// Light sources
+#define MAX_LIGHTS 8
+#define MAX_SHADOW_MAPS 4
+
+#define LIGHT_DIRECTIONAL 0
+#define LIGHT_POINT 1
+#define LIGHT_SPOT 2
+
+struct Light {
+    int type;
+    vec3 position;
+    vec3 direction; // Direction in which the light travels (directional and spot lights)
+    vec3 color; // Light color already multiplied by its intensity
+    vec3 attenuation; // Constant, linear and quadratic attenuation factors (point and spot lights)
+    float inner_cutoff; // Cosine of the inner cone angle (spot lights)
+    float outer_cutoff; // Cosine of the outer cone angle (spot lights)
+    int shadow_index; // Layer of the light in u_shadow_maps, or -1 if the light doesn't cast shadows
+};
+
+uniform Light u_lights[MAX_LIGHTS];
+uniform int u_num_lights;
+uniform vec3 u_ambient_light;
+
+// Shadow maps (one layer per shadow casting light)
+uniform sampler2DArrayShadow u_shadow_maps;
+uniform mat4 u_light_space_matrices[MAX_SHADOW_MAPS];
+uniform bool u_receive_shadows;
+
+uniform vec3 u_camera_position;
 uniform sampler2D u_texture;
 
+// Returns how much of the fragment is lit by the light of the given shadow map (0.0 = fully in shadow, 1.0 = fully lit).
+// Uses percentage closer filtering (PCF) with a 3x3 kernel to soften the shadow edges.
+float computeShadow(int shadow_index, vec3 normal, vec3 to_light) {
+    vec4 light_space_position = u_light_space_matrices[shadow_index] * vec4(v_world_position, 1.0f);
+    vec3 projected = (light_space_position.xyz / light_space_position.w) * 0.5f + 0.5f;
+
+    // Fragments outside the shadow map are not shadowed
+    if(projected.z > 1.0f || any(lessThan(projected.xy, vec2(0.0f))) || any(greaterThan(projected.xy, vec2(1.0f)))) {
+        return 1.0f;
+    }
+
+    // The bias avoids shadow acne, and must be bigger when the surface is steep in relation to the light
+    float bias = max(0.002f * (1.0f - dot(normal, to_light)), 0.0005f);
+    vec2 texel_size = 1.0f / vec2(textureSize(u_shadow_maps, 0).xy);
+
+    float lit = 0.0f;
+    for(int x = -1; x <= 1; x++) {
+        for(int y = -1; y <= 1; y++) {
+            vec2 uv = projected.xy + vec2(float(x), float(y)) * texel_size;
+            lit += texture(u_shadow_maps, vec4(uv, float(shadow_index), projected.z - bias));
+        }
+    }
+
+    return lit / 9.0f;
+}
+
+// Replaces the normal by the one read from the normal map, transformed from tangent space to world space.
+vec3 computeNormalMapNormal(vec3 normal) {
+    // Gram-Schmidt, since the interpolated tangent may not be perpendicular to the normal anymore
+    vec3 tangent = v_tangent.xyz - normal * dot(normal, v_tangent.xyz);
+
+    // Vertices without texture coordinates have no tangent
+    if(dot(tangent, tangent) < 1e-12f) {
+        return normal;
+    }
+
+    tangent = normalize(tangent);
+    vec3 bitangent = cross(normal, tangent) * v_tangent.w;
+
+    vec3 tangent_normal = texture(u_normal_map, v_uv).xyz * 2.0f - 1.0f;
+
+    // The user textures are uploaded without flipping the image rows, so the up direction of the image is -v
+    tangent_normal.y = -tangent_normal.y;
+
+    return normalize(mat3(tangent, bitangent, normal) * tangent_normal);
+}
+
+// Perturbs the normal using the height read from the bump map.
+// The surface gradient is computed with screen space derivatives, so the geometry doesn't need tangents (Mikkelsen, 2010).
+vec3 computeBumpNormal(vec3 normal) {
+    float height = dot(texture(u_bump_map, v_uv), u_bump_channel) * u_bump_multiplier * BUMP_HEIGHT_SCALE;
+
+    vec3 dp_dx = dFdx(v_world_position);
+    vec3 dp_dy = dFdy(v_world_position);
+    float dh_dx = dFdx(height);
+    float dh_dy = dFdy(height);
+
+    vec3 r1 = cross(dp_dy, normal);
+    vec3 r2 = cross(normal, dp_dx);
+    float det = dot(dp_dx, r1);
+
+    // Degenerate derivatives (e.g. surfaces seen edge on) would produce an invalid normal
+    if(abs(det) < 1e-12f) {
+        return normal;
+    }
+
+    vec3 surface_gradient = sign(det) * (dh_dx * r1 + dh_dy * r2);
+
+    return normalize(abs(det) * normal - surface_gradient);
+}
+
+// Computes the diffuse and specular contribution of a single light source
+vec3 computeLight(Light light, vec3 normal, vec3 to_camera, vec3 albedo, vec3 specular_color) {
+    vec3 to_light;
+    float attenuation = 1.0f;
+
+    if(light.type == LIGHT_DIRECTIONAL) {
+        to_light = normalize(-light.direction);
+    } else {
+        vec3 light_vector = light.position - v_world_position;
+        float distance = length(light_vector);
+
+        to_light = light_vector / distance;
+        attenuation = 1.0f / (light.attenuation.x + light.attenuation.y * distance + light.attenuation.z * distance * distance);
+
+        if(light.type == LIGHT_SPOT) {
+            // Smooth falloff between the inner and the outer cone
+            float theta = dot(-to_light, normalize(light.direction));
+            attenuation *= smoothstep(light.outer_cutoff, light.inner_cutoff, theta);
+        }
+    }
+
+    vec3 halfway = normalize(to_light + to_camera);
+
+    float diffuse_factor = max(dot(normal, to_light), 0.0f);
+    float specular_factor = 0.0f;
+
+    // Only surfaces facing the light can have a highlight
+    if(diffuse_factor > 0.0f) {
+        specular_factor = pow(max(dot(normal, halfway), 0.0f), max(u_material_shininess, 1.0f));
+    }
+
+    vec3 diffuse = light.color * diffuse_factor * albedo;
+    vec3 specular = light.color * specular_color * specular_factor;
+
+    if(u_receive_shadows && light.shadow_index >= 0 && diffuse_factor > 0.0f) {
+        attenuation *= computeShadow(light.shadow_index, normal, to_light);
+    }
+
+    return attenuation * (diffuse + specular);
+}
+
 void main() {
     fragColor = vec4(0.0f, 0.0f, 0.0f, 1.0f); // Default color
-    fragColor = vec4(vec3(u_global_color.rgb * u_global_color.a), 1.0f); // Global color
+    fragColor = vec4(vec3(v_global_color.rgb * v_global_color.a), 1.0f); // Global color
+
+    // The alpha is computed apart from the colors, since they are summed
+    float alpha = u_material_opacity * u_model_opacity;
+
+    if(u_enable_opacity_map) {
+        alpha *= dot(texture(u_opacity_map, v_uv), u_opacity_channel);
+    }
 
     // If the texture is enabled, we will use the texture color
     if(u_enable_texture) {
-        fragColor += texture(u_texture, v_uv);
+        vec4 texture_color = texture(u_texture, v_uv);
+
+        fragColor += vec4(texture_color.rgb, 0.0f);
+        alpha *= texture_color.a;
     }
 
     // If the vertex color is enabled, we will use the vertex color too
     if(u_enable_vertex_color) {
-        fragColor += v_color;
+        fragColor += vec4(v_color.rgb, 0.0f);
+        alpha *= v_color.a;
     }
 
-    // If the material color is enabled, we will use the material color too
+    // If the material color is enabled, we will use the material color too, multiplied by the diffuse map (if any)
     if(u_enable_material_color) {
-        fragColor += vec4(u_material_color, 1.0f);
+        vec3 material_color = u_material_color;
+
+        if(u_enable_diffuse_map) {
+            material_color *= texture(u_diffuse_map, v_uv).rgb;
+        }
+
+        fragColor += vec4(material_color, 0.0f);
     }
 
     // Normalize the color if some value greater than 1.0f
     float max = max(max(fragColor.r, fragColor.g), fragColor.b);
     if(max > 1.0f) {
-        fragColor = vec4(fragColor.rgb / max, clamp(fragColor.a, 0.0f, 1.0f));
+        fragColor = vec4(fragColor.rgb / max, clamp(alpha, 0.0f, 1.0f));
     } else {
-        fragColor = vec4(fragColor.rgb, clamp(fragColor.a, 0.0f, 1.0f));
+        fragColor = vec4(fragColor.rgb, clamp(alpha, 0.0f, 1.0f));
     }
 
-    // Apply lighting (if enabled)
+    // Apply Blinn-Phong lighting (if enabled). The color computed above is used as the surface albedo.
     if(u_enable_lighting) {
-        float dot_product = dot(normalize(v_normal), normalize(u_light_direction));
-        float light = abs(dot_product);
-        fragColor = vec4(fragColor.rgb * light, fragColor.a);
+        vec3 albedo = fragColor.rgb;
+
+        vec3 normal = normalize(v_normal);
+        vec3 to_camera = normalize(u_camera_position - v_world_position);
+
+        if(u_enable_normal_map) {
+            normal = computeNormalMapNormal(normal);
+        }
+
+        if(u_enable_bump_map) {
+            normal = computeBumpNormal(normal);
+        }
+
+        vec3 specular_color = u_material_specular;
+
+        if(u_enable_specular_map) {
+            specular_color *= texture(u_specular_map, v_uv).rgb;
+        }
+
+        vec3 color = u_ambient_light * u_material_ambient * albedo + u_material_emissive;
+
+        for(int i = 0; i < MAX_LIGHTS; i++) {
+            if(i >= u_num_lights) {
+                break;
+            }
+
+            color += computeLight(u_lights[i], normal, to_camera, albedo, specular_color);
+        }
+
+        fragColor = vec4(color, fragColor.a);
     }
 }
\ No newline at end of file
@@ -0,0 +1,11 @@
+#version 300 es
+precision highp float;
+
+// The color of the axis of the handle (or the highlight color if the handle is under the mouse)
+uniform vec4 u_color;
+
+out vec4 fragColor;
+
+void main() {
+    fragColor = u_color;
+}
\ No newline at end of file
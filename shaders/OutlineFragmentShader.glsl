@@ -0,0 +1,38 @@
+#version 300 es
+precision highp float;
+
+// Mask of the selected model: red is 1 where the model covers the pixel
+uniform sampler2D u_mask;
+uniform vec4 u_outline_color;
+uniform int u_thickness; // Outline thickness in pixels
+
+out vec4 fragColor;
+
+void main() {
+    ivec2 pixel = ivec2(gl_FragCoord.xy);
+
+    // The outline is drawn only around the model, not over it
+    if (texelFetch(u_mask, pixel, 0).r > 0.5) {
+        discard;
+    }
+
+    ivec2 last_pixel = textureSize(u_mask, 0) - 1;
+
+    // Look for the model in a disc around the pixel
+    for (int y = -u_thickness; y <= u_thickness; y++) {
+        for (int x = -u_thickness; x <= u_thickness; x++) {
+            if (x * x + y * y > u_thickness * u_thickness) {
+                continue;
+            }
+
+            ivec2 neighbor = clamp(pixel + ivec2(x, y), ivec2(0), last_pixel);
+
+            if (texelFetch(u_mask, neighbor, 0).r > 0.5) {
+                fragColor = u_outline_color;
+                return;
+            }
+        }
+    }
+
+    discard;
+}
\ No newline at end of file
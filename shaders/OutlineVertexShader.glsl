@@ -0,0 +1,8 @@
+#version 300 es
+
+// Full screen triangle, generated from the vertex index (no vertex attributes are needed)
+void main() {
+    vec2 position = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+
+    gl_Position = vec4(position * 2.0 - 1.0, 0.0, 1.0);
+}
\ No newline at end of file
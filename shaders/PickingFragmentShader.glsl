@@ -0,0 +1,11 @@
+#version 300 es
+precision highp float;
+
+// The identifier of the model, encoded as a color (see ModelPicker)
+uniform vec4 u_pick_color;
+
+out vec4 fragColor;
+
+void main() {
+    fragColor = u_pick_color;
+}
\ No newline at end of file
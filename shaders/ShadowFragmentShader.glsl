@@ -0,0 +1,6 @@
+#version 300 es
+precision highp float;
+
+// The depth pass only writes to the depth buffer, so there is nothing to do here
+void main() {
+}
\ No newline at end of file
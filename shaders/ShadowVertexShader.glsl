@@ -0,0 +1,11 @@
+#version 300 es
+
+// The location must match the one in VertexShader.glsl, so the objects VAOs can be reused in the depth pass
+layout(location = 0) in vec4 a_position;
+
+uniform mat4 u_model_matrix;
+uniform mat4 u_light_space_matrix;
+
+void main() {
+    gl_Position = u_light_space_matrix * u_model_matrix * a_position;
+}
\ No newline at end of file
@@ -1,22 +1,43 @@
 #version 300 es
 
-in vec4 a_position;
+// Fixed location, so the same VAOs can be used by the shadow depth pass (see ShadowVertexShader.glsl)
+layout(location = 0) in vec4 a_position;
 in vec4 a_color;
 in vec2 a_uv;
 in vec3 a_normal;
+in vec4 a_tangent; // xyz: tangent, w: handedness of the bitangent
 
+// Per instance attributes of the duplicates drawn together (see InstancedRenderer.js). The matrix takes the locations 8 to 11.
+layout(location = 8) in mat4 a_instance_matrix;
+layout(location = 12) in vec4 a_instance_color;
+
+uniform bool u_enable_instancing;
 uniform mat4 u_model_matrix;
+uniform vec4 u_global_color;
 uniform mat4 u_perspective_projection;
 uniform mat4 u_camera_matrix;
 
 out vec4 v_color;
 out vec3 v_normal;
 out vec2 v_uv;
+out vec3 v_world_position;
+out vec4 v_tangent;
+out vec4 v_global_color;
 
 void main() {
-    v_normal = normalize(mat3(u_model_matrix) * a_normal);
+    mat4 model_matrix = u_enable_instancing ? a_instance_matrix : u_model_matrix;
+
+    // The normal matrix is the inverse transpose of the model matrix, so normals stay perpendicular under non-uniform scaling
+    mat3 normal_matrix = transpose(inverse(mat3(model_matrix)));
+    vec4 world_position = model_matrix * a_position;
+
+    v_normal = normalize(normal_matrix * a_normal);
     v_color = a_color;
     v_uv = a_uv;
+    v_world_position = world_position.xyz;
+    // Tangents lie on the surface, so they are transformed by the model matrix itself. They are normalized in the fragment shader.
+    v_tangent = vec4(mat3(model_matrix) * a_tangent.xyz, a_tangent.w);
+    v_global_color = u_enable_instancing ? a_instance_color : u_global_color;
 
-    gl_Position = u_perspective_projection * u_camera_matrix * u_model_matrix * a_position;
+    gl_Position = u_perspective_projection * u_camera_matrix * world_position;
 }
\ No newline at end of file